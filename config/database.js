@@ -97,6 +97,8 @@ async function connectDB() {
       await usersCollection.createIndex({ uid: 1 }, { unique: true });
       await usersCollection.createIndex({ email: 1 });
       await usersCollection.createIndex({ isAdmin: 1 });
+      await usersCollection.createIndex({ 'calendarToken.hash': 1 }, { sparse: true });
+      await usersCollection.createIndex({ emailFrequency: 1, emailDigestSentAt: 1 });
 
       // Indexes for projects collection
       await projectsCollection.createIndex({ authorId: 1 });
@@ -107,6 +109,8 @@ async function connectDB() {
       await projectsCollection.createIndex({ 'bookmarks.userId': 1 });
       await projectsCollection.createIndex({ likeCount: -1 });
       await projectsCollection.createIndex({ commentCount: -1 });
+      await projectsCollection.createIndex({ accessLevel: 1, embargoUntil: 1 }); // Embargo lifts
+      await projectsCollection.createIndex({ handle: 1 }, { unique: true, sparse: true });
       await projectsCollection.createIndex({ title: 'text', abstract: 'text', tags: 'text' }); // Text search index
 
       // Indexes for activities collection
@@ -118,6 +122,9 @@ async function connectDB() {
       await notificationsCollection.createIndex({ userId: 1, read: 1, createdAt: -1 });
       await notificationsCollection.createIndex({ userId: 1, createdAt: -1 });
       await notificationsCollection.createIndex({ projectId: 1 });
+      await notificationsCollection.createIndex({ userId: 1, lastActivityAt: -1 });
+      await notificationsCollection.createIndex({ userId: 1, groupKey: 1, read: 1, createdAt: -1 });
+      await notificationsCollection.createIndex({ read: 1, lastActivityAt: 1 });
 
       // Indexes for thesis management collections
       const milestonesCollection = db.collection('project_milestones');
@@ -125,11 +132,30 @@ async function connectDB() {
       const projectCommentsCollection = db.collection('project_comments');
       const supervisorRequestsCollection = db.collection('supervisor_requests');
       const teamMatchSuggestionsCollection = db.collection('team_match_suggestions');
+      const projectFullTextCollection = db.collection('project_fulltext');
+      const projectFingerprintsCollection = db.collection('project_fingerprints');
+      const oaiDeletedRecordsCollection = db.collection('oai_deleted_records');
+      const projectRelatedCollection = db.collection('project_related');
+      const savedSearchesCollection = db.collection('saved_searches');
+      const projectRevisionsCollection = db.collection('project_revisions');
+      const workflowDefinitionsCollection = db.collection('workflow_definitions');
+      const deadlineTemplatesCollection = db.collection('deadline_templates');
+      const defenseSessionsCollection = db.collection('defense_sessions');
+      const rubricsCollection = db.collection('rubrics');
+      const defenseGradesCollection = db.collection('defense_grades');
+      const auditLogCollection = db.collection('audit_log');
+      const emailDeliveriesCollection = db.collection('email_deliveries');
+      const notificationPreferencesCollection = db.collection('notification_preferences');
+      const notificationsArchiveCollection = db.collection('notifications_archive');
+      const webhooksCollection = db.collection('webhooks');
+      const webhookDeliveriesCollection = db.collection('webhook_deliveries');
+      const thesisHandlesCollection = db.collection('thesis_handles');
 
       // ProjectMilestones indexes
       await milestonesCollection.createIndex({ projectId: 1, phase: 1 });
       await milestonesCollection.createIndex({ status: 1 });
       await milestonesCollection.createIndex({ reviewerId: 1 });
+      await milestonesCollection.createIndex({ status: 1, deadline: 1 });
 
       // TeamMembers indexes
       await teamMembersCollection.createIndex({ projectId: 1 });
@@ -149,6 +175,77 @@ async function connectDB() {
       await teamMatchSuggestionsCollection.createIndex({ projectId: 1, matchScore: -1 });
       await teamMatchSuggestionsCollection.createIndex({ studentId: 1 });
 
+      // ProjectFullText indexes (one document per PDF page)
+      await projectFullTextCollection.createIndex({ projectId: 1, page: 1 });
+      await projectFullTextCollection.createIndex({ text: 'text' });
+
+      // ProjectFingerprints indexes (MinHash/LSH duplicate detection)
+      await projectFingerprintsCollection.createIndex({ projectId: 1 }, { unique: true });
+      await projectFingerprintsCollection.createIndex({ bandKeys: 1 });
+
+      // OaiDeletedRecords indexes (tombstones for OAI-PMH harvesters)
+      await oaiDeletedRecordsCollection.createIndex({ projectId: 1 }, { unique: true });
+      await oaiDeletedRecordsCollection.createIndex({ datestamp: 1 });
+
+      // ProjectRelated indexes (cached related-work lists)
+      await projectRelatedCollection.createIndex({ projectId: 1 }, { unique: true });
+
+      // SavedSearches indexes
+      await savedSearchesCollection.createIndex({ userId: 1, createdAt: -1 });
+      await savedSearchesCollection.createIndex({ muted: 1, nextRunAt: 1 });
+
+      // ProjectRevisions indexes (one immutable snapshot per change)
+      await projectRevisionsCollection.createIndex({ projectId: 1, revision: -1 }, { unique: true });
+
+      // WorkflowDefinitions indexes (one active state machine per key)
+      await workflowDefinitionsCollection.createIndex({ key: 1 }, { unique: true });
+
+      // DeadlineTemplates indexes (one default deadline per department, term and phase)
+      await deadlineTemplatesCollection.createIndex({ department: 1, year: 1, phase: 1 }, { unique: true });
+
+      // DefenseSessions indexes (schedule listing and double-booking checks)
+      await defenseSessionsCollection.createIndex({ status: 1, startsAt: 1, endsAt: 1 });
+      await defenseSessionsCollection.createIndex({ examinerIds: 1, startsAt: 1 });
+      await defenseSessionsCollection.createIndex({ 'slots.projectId': 1, phase: 1 });
+      await defenseSessionsCollection.createIndex({ 'slots.participantIds': 1, startsAt: 1 });
+
+      // Rubrics indexes (one rubric per defense phase)
+      await rubricsCollection.createIndex({ phase: 1 }, { unique: true });
+
+      // DefenseGrades indexes (one grade per project and phase, grade sheets per term)
+      await defenseGradesCollection.createIndex({ projectId: 1, phase: 1 }, { unique: true });
+      await defenseGradesCollection.createIndex({ year: 1, phase: 1, department: 1 });
+
+      // AuditLog indexes (seq orders the hash chain; entries are never updated or deleted)
+      await auditLogCollection.createIndex({ seq: 1 }, { unique: true });
+      await auditLogCollection.createIndex({ timestamp: -1 });
+      await auditLogCollection.createIndex({ actorId: 1, timestamp: -1 });
+      await auditLogCollection.createIndex({ targetType: 1, targetId: 1, timestamp: -1 });
+      await auditLogCollection.createIndex({ action: 1, timestamp: -1 });
+
+      // Indexes for email deliveries (retry queue and per-user history)
+      await emailDeliveriesCollection.createIndex({ status: 1, nextAttemptAt: 1 });
+      await emailDeliveriesCollection.createIndex({ userId: 1, createdAt: -1 });
+
+      // Indexes for notification preferences (one document per user)
+      await notificationPreferencesCollection.createIndex({ userId: 1 }, { unique: true });
+
+      // Indexes for archived notifications (purged by the retention policy)
+      await notificationsArchiveCollection.createIndex({ userId: 1, createdAt: -1 });
+      await notificationsArchiveCollection.createIndex({ archivedAt: 1 });
+
+      // Indexes for webhooks (active endpoints per event)
+      await webhooksCollection.createIndex({ active: 1, events: 1 });
+
+      // Indexes for webhook deliveries (retry queue and per-webhook log)
+      await webhookDeliveriesCollection.createIndex({ status: 1, nextAttemptAt: 1 });
+      await webhookDeliveriesCollection.createIndex({ webhookId: 1, createdAt: -1 });
+      await webhookDeliveriesCollection.createIndex({ eventId: 1 });
+
+      // Indexes for thesis handles (kept as tombstones after deletion so handles are never reused)
+      await thesisHandlesCollection.createIndex({ handle: 1 }, { unique: true });
+      await thesisHandlesCollection.createIndex({ projectId: 1 }, { unique: true });
+
       console.log('✅ Database indexes created/verified successfully!');
     } catch (indexError) {
       console.warn('⚠️  Error creating indexes (may already exist):', indexError.message);
@@ -362,6 +459,348 @@ async function getTeamMatchSuggestionsCollection() {
   }
 }
 
+async function getProjectFullTextCollection() {
+  try {
+    await ensureConnection();
+    const db = getDB();
+    if (!db) {
+      throw new Error('Database not available');
+    }
+    const collection = db.collection('project_fulltext');
+    if (!collection) {
+      throw new Error('Project full-text collection not available');
+    }
+    return collection;
+  } catch (error) {
+    console.error('Error getting project full-text collection:', error);
+    throw error;
+  }
+}
+
+async function getProjectFingerprintsCollection() {
+  try {
+    await ensureConnection();
+    const db = getDB();
+    if (!db) {
+      throw new Error('Database not available');
+    }
+    const collection = db.collection('project_fingerprints');
+    if (!collection) {
+      throw new Error('Project fingerprints collection not available');
+    }
+    return collection;
+  } catch (error) {
+    console.error('Error getting project fingerprints collection:', error);
+    throw error;
+  }
+}
+
+async function getOaiDeletedRecordsCollection() {
+  try {
+    await ensureConnection();
+    const db = getDB();
+    if (!db) {
+      throw new Error('Database not available');
+    }
+    const collection = db.collection('oai_deleted_records');
+    if (!collection) {
+      throw new Error('OAI deleted records collection not available');
+    }
+    return collection;
+  } catch (error) {
+    console.error('Error getting OAI deleted records collection:', error);
+    throw error;
+  }
+}
+
+async function getProjectRelatedCollection() {
+  try {
+    await ensureConnection();
+    const db = getDB();
+    if (!db) {
+      throw new Error('Database not available');
+    }
+    const collection = db.collection('project_related');
+    if (!collection) {
+      throw new Error('Project related collection not available');
+    }
+    return collection;
+  } catch (error) {
+    console.error('Error getting project related collection:', error);
+    throw error;
+  }
+}
+
+async function getSavedSearchesCollection() {
+  try {
+    await ensureConnection();
+    const db = getDB();
+    if (!db) {
+      throw new Error('Database not available');
+    }
+    const collection = db.collection('saved_searches');
+    if (!collection) {
+      throw new Error('Saved searches collection not available');
+    }
+    return collection;
+  } catch (error) {
+    console.error('Error getting saved searches collection:', error);
+    throw error;
+  }
+}
+
+async function getProjectRevisionsCollection() {
+  try {
+    await ensureConnection();
+    const db = getDB();
+    if (!db) {
+      throw new Error('Database not available');
+    }
+    const collection = db.collection('project_revisions');
+    if (!collection) {
+      throw new Error('Project revisions collection not available');
+    }
+    return collection;
+  } catch (error) {
+    console.error('Error getting project revisions collection:', error);
+    throw error;
+  }
+}
+
+async function getWorkflowDefinitionsCollection() {
+  try {
+    await ensureConnection();
+    const db = getDB();
+    if (!db) {
+      throw new Error('Database not available');
+    }
+    const collection = db.collection('workflow_definitions');
+    if (!collection) {
+      throw new Error('Workflow definitions collection not available');
+    }
+    return collection;
+  } catch (error) {
+    console.error('Error getting workflow definitions collection:', error);
+    throw error;
+  }
+}
+
+async function getDeadlineTemplatesCollection() {
+  try {
+    await ensureConnection();
+    const db = getDB();
+    if (!db) {
+      throw new Error('Database not available');
+    }
+    const collection = db.collection('deadline_templates');
+    if (!collection) {
+      throw new Error('Deadline templates collection not available');
+    }
+    return collection;
+  } catch (error) {
+    console.error('Error getting deadline templates collection:', error);
+    throw error;
+  }
+}
+
+async function getDefenseSessionsCollection() {
+  try {
+    await ensureConnection();
+    const db = getDB();
+    if (!db) {
+      throw new Error('Database not available');
+    }
+    const collection = db.collection('defense_sessions');
+    if (!collection) {
+      throw new Error('Defense sessions collection not available');
+    }
+    return collection;
+  } catch (error) {
+    console.error('Error getting defense sessions collection:', error);
+    throw error;
+  }
+}
+
+async function getRubricsCollection() {
+  try {
+    await ensureConnection();
+    const db = getDB();
+    if (!db) {
+      throw new Error('Database not available');
+    }
+    const collection = db.collection('rubrics');
+    if (!collection) {
+      throw new Error('Rubrics collection not available');
+    }
+    return collection;
+  } catch (error) {
+    console.error('Error getting rubrics collection:', error);
+    throw error;
+  }
+}
+
+async function getDefenseGradesCollection() {
+  try {
+    await ensureConnection();
+    const db = getDB();
+    if (!db) {
+      throw new Error('Database not available');
+    }
+    const collection = db.collection('defense_grades');
+    if (!collection) {
+      throw new Error('Defense grades collection not available');
+    }
+    return collection;
+  } catch (error) {
+    console.error('Error getting defense grades collection:', error);
+    throw error;
+  }
+}
+
+async function getAuditLogCollection() {
+  try {
+    await ensureConnection();
+    const db = getDB();
+    if (!db) {
+      throw new Error('Database not available');
+    }
+    const collection = db.collection('audit_log');
+    if (!collection) {
+      throw new Error('Audit log collection not available');
+    }
+    return collection;
+  } catch (error) {
+    console.error('Error getting audit log collection:', error);
+    throw error;
+  }
+}
+
+async function getEmailDeliveriesCollection() {
+  try {
+    await ensureConnection();
+    const db = getDB();
+    if (!db) {
+      throw new Error('Database not available');
+    }
+    const collection = db.collection('email_deliveries');
+    if (!collection) {
+      throw new Error('Email deliveries collection not available');
+    }
+    return collection;
+  } catch (error) {
+    console.error('Error getting email deliveries collection:', error);
+    throw error;
+  }
+}
+
+async function getNotificationPreferencesCollection() {
+  try {
+    await ensureConnection();
+    const db = getDB();
+    if (!db) {
+      throw new Error('Database not available');
+    }
+    const collection = db.collection('notification_preferences');
+    if (!collection) {
+      throw new Error('Notification preferences collection not available');
+    }
+    return collection;
+  } catch (error) {
+    console.error('Error getting notification preferences collection:', error);
+    throw error;
+  }
+}
+
+async function getNotificationsArchiveCollection() {
+  try {
+    await ensureConnection();
+    const db = getDB();
+    if (!db) {
+      throw new Error('Database not available');
+    }
+    const collection = db.collection('notifications_archive');
+    if (!collection) {
+      throw new Error('Notifications archive collection not available');
+    }
+    return collection;
+  } catch (error) {
+    console.error('Error getting notifications archive collection:', error);
+    throw error;
+  }
+}
+
+async function getWebhooksCollection() {
+  try {
+    await ensureConnection();
+    const db = getDB();
+    if (!db) {
+      throw new Error('Database not available');
+    }
+    const collection = db.collection('webhooks');
+    if (!collection) {
+      throw new Error('Webhooks collection not available');
+    }
+    return collection;
+  } catch (error) {
+    console.error('Error getting webhooks collection:', error);
+    throw error;
+  }
+}
+
+async function getWebhookDeliveriesCollection() {
+  try {
+    await ensureConnection();
+    const db = getDB();
+    if (!db) {
+      throw new Error('Database not available');
+    }
+    const collection = db.collection('webhook_deliveries');
+    if (!collection) {
+      throw new Error('Webhook deliveries collection not available');
+    }
+    return collection;
+  } catch (error) {
+    console.error('Error getting webhook deliveries collection:', error);
+    throw error;
+  }
+}
+
+async function getThesisHandlesCollection() {
+  try {
+    await ensureConnection();
+    const db = getDB();
+    if (!db) {
+      throw new Error('Database not available');
+    }
+    const collection = db.collection('thesis_handles');
+    if (!collection) {
+      throw new Error('Thesis handles collection not available');
+    }
+    return collection;
+  } catch (error) {
+    console.error('Error getting thesis handles collection:', error);
+    throw error;
+  }
+}
+
+async function getThesisHandleSequencesCollection() {
+  try {
+    await ensureConnection();
+    const db = getDB();
+    if (!db) {
+      throw new Error('Database not available');
+    }
+    const collection = db.collection('thesis_handle_sequences');
+    if (!collection) {
+      throw new Error('Thesis handle sequences collection not available');
+    }
+    return collection;
+  } catch (error) {
+    console.error('Error getting thesis handle sequences collection:', error);
+    throw error;
+  }
+}
+
 module.exports = {
   connectDB,
   getDB,
@@ -374,6 +813,25 @@ module.exports = {
   getProjectCommentsCollection,
   getSupervisorRequestsCollection,
   getTeamMatchSuggestionsCollection,
+  getProjectFullTextCollection,
+  getProjectFingerprintsCollection,
+  getOaiDeletedRecordsCollection,
+  getProjectRelatedCollection,
+  getSavedSearchesCollection,
+  getProjectRevisionsCollection,
+  getWorkflowDefinitionsCollection,
+  getDeadlineTemplatesCollection,
+  getDefenseSessionsCollection,
+  getRubricsCollection,
+  getDefenseGradesCollection,
+  getAuditLogCollection,
+  getEmailDeliveriesCollection,
+  getNotificationPreferencesCollection,
+  getNotificationsArchiveCollection,
+  getWebhooksCollection,
+  getWebhookDeliveriesCollection,
+  getThesisHandlesCollection,
+  getThesisHandleSequencesCollection,
   ensureConnection,
   ObjectId,
   isConnected: () => isConnected,
@@ -93,15 +93,49 @@ const options = {
                             format: 'uri',
                             description: 'GitHub repository URL',
                         },
-                        pdfUrl: {
+                        pdfKey: {
                             type: 'string',
-                            format: 'uri',
-                            description: 'PDF file URL',
+                            description: 'Storage key of the uploaded PDF (served by /api/projects/{id}/pdf/view)',
+                            readOnly: true,
+                        },
+                        accessLevel: {
+                            type: 'string',
+                            enum: ['public', 'university', 'supervisor'],
+                            description: 'Who may read the PDF while embargoed (set via PUT /api/thesis/{id}/embargo)',
+                            readOnly: true,
+                        },
+                        embargoUntil: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true,
+                            description: 'When the PDF becomes public (null keeps a restricted level until lifted)',
+                            readOnly: true,
+                        },
+                        license: {
+                            type: 'string',
+                            nullable: true,
+                            enum: ['CC-BY-4.0', 'CC-BY-SA-4.0', 'CC-BY-ND-4.0', 'CC-BY-NC-4.0', 'CC-BY-NC-SA-4.0', 'CC-BY-NC-ND-4.0', 'CC0-1.0', 'all-rights-reserved', 'custom'],
+                            description: 'Reuse license chosen by the author (set via PUT /api/thesis/{id}/license, required before final submission)',
+                            readOnly: true,
+                        },
+                        licenseConsentAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true,
+                            description: 'When the author agreed to the license',
+                            readOnly: true,
+                        },
+                        handle: {
+                            type: 'string',
+                            nullable: true,
+                            example: 'KT-CSE-2025-0042',
+                            description: 'Persistent identifier minted when the project is completed (resolve via GET /api/thesis/handle/{handle})',
+                            readOnly: true,
                         },
                         status: {
                             type: 'string',
-                            enum: ['pending', 'approved', 'rejected'],
-                            description: 'Project approval status',
+                            example: 'supervisor_review',
+                            description: 'Workflow state (states are defined by the admin-editable workflow definition)',
                         },
                         createdAt: {
                             type: 'string',
@@ -2,6 +2,10 @@
 // Handles admin-only operations
 const { getProjectsCollection } = require('../config/database');
 const Project = require('../models/Project');
+const WorkflowDefinition = require('../models/WorkflowDefinition');
+const { workflowDefinitionSchema } = require('../validators/thesisSchemas');
+const { getWorkflow, saveWorkflow } = require('../utils/workflowEngine');
+const { getAuditContext, recordAudit } = require('../utils/auditLog');
 const logger = require('../config/logger');
 
 /**
@@ -25,13 +29,14 @@ exports.getAllProjects = async (req, res) => {
 
 /**
  * Get pending projects (admin only)
- * Returns projects waiting for approval
+ * Returns projects waiting for approval (states in the workflow's 'review' category)
  */
 exports.getPendingProjects = async (req, res) => {
     try {
         const projectsCollection = await getProjectsCollection();
+        const workflow = await getWorkflow();
         const projects = await projectsCollection
-            .find({ status: 'pending' })
+            .find({ status: { $in: workflow.getStatesByCategory('review') } })
             .sort({ createdAt: -1 })
             .toArray();
         res.json(projects.map(p => new Project(p).toJSON()));
@@ -45,7 +50,98 @@ exports.getPendingProjects = async (req, res) => {
     }
 };
 
+/**
+ * Get the active workflow definition (admin only)
+ * Includes the roles, guards and categories a definition may use
+ */
+exports.getWorkflowDefinition = async (req, res) => {
+    try {
+        const workflow = await getWorkflow();
+        res.json({
+            success: true,
+            workflow: workflow.toJSON(),
+            options: {
+                roles: WorkflowDefinition.ROLES,
+                guards: WorkflowDefinition.GUARDS,
+                categories: WorkflowDefinition.CATEGORIES
+            }
+        });
+    } catch (error) {
+        logger.error('Error fetching workflow definition (admin):', { error: error.message });
+        res.status(500).json({
+            message: 'Error fetching workflow definition',
+            code: 'FETCH_WORKFLOW_ADMIN_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Replace the workflow definition (admin only)
+ * States that projects are still in cannot be removed
+ */
+exports.updateWorkflowDefinition = async (req, res) => {
+    try {
+        const { error, value } = workflowDefinitionSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                message: 'Invalid workflow definition',
+                errors: error.details.map(d => d.message)
+            });
+        }
+
+        const problems = new WorkflowDefinition(value).validate();
+        if (problems.length > 0) {
+            return res.status(400).json({
+                message: 'Invalid workflow definition',
+                errors: problems
+            });
+        }
+
+        const current = await getWorkflow();
+        const keptStates = value.states.map(s => s.name);
+        const removedStates = current.states.map(s => s.name).filter(name => !keptStates.includes(name));
+
+        if (removedStates.length > 0) {
+            const projectsCollection = await getProjectsCollection();
+            const inUse = await projectsCollection.distinct('status', { status: { $in: removedStates } });
+            if (inUse.length > 0) {
+                return res.status(409).json({
+                    message: `Projects are still in these states: ${inUse.join(', ')}. Move them before removing the states.`,
+                    code: 'WORKFLOW_STATE_IN_USE',
+                    states: inUse
+                });
+            }
+        }
+
+        const workflow = await saveWorkflow(value, req.user.uid);
+        await recordAudit(getAuditContext(req), {
+            action: 'workflow_definition.update',
+            targetType: 'workflow_definition',
+            targetId: workflow.key,
+            before: { version: current.version, states: current.states.map(s => s.name), transitions: current.transitions.map(t => t.name) },
+            after: { version: workflow.version, states: workflow.states.map(s => s.name), transitions: workflow.transitions.map(t => t.name) }
+        });
+        logger.info(`Workflow definition updated to version ${workflow.version} by ${req.user.uid}`);
+
+        res.json({
+            success: true,
+            message: 'Workflow definition updated',
+            workflow: workflow.toJSON()
+        });
+    } catch (error) {
+        logger.error('Error updating workflow definition (admin):', { error: error.message });
+        res.status(500).json({
+            message: 'Error updating workflow definition',
+            code: 'UPDATE_WORKFLOW_ADMIN_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
 module.exports = {
     getAllProjects: exports.getAllProjects,
     getPendingProjects: exports.getPendingProjects,
+    getWorkflowDefinition: exports.getWorkflowDefinition,
+    updateWorkflowDefinition: exports.updateWorkflowDefinition,
 };
@@ -0,0 +1,127 @@
+// Audit Controller
+// Handles querying, exporting and verifying the audit log (admin only)
+
+const { getAuditLogCollection } = require('../config/database');
+const { auditQuerySchema } = require('../validators/thesisSchemas');
+const { verifyAuditChain } = require('../utils/auditLog');
+const { toCsv } = require('../utils/csvExport');
+const AuditEntry = require('../models/AuditEntry');
+const logger = require('../config/logger');
+
+// Rows in one CSV export
+const MAX_EXPORT_ROWS = 10000;
+
+/**
+ * List or export audit entries, newest first
+ * GET /api/admin/audit?action=project.status_change&targetType=project&from=2025-01-01&format=csv
+ */
+const getAuditLog = async (req, res) => {
+    try {
+        const { error, value } = auditQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                message: 'Invalid audit query',
+                errors: error.details.map(d => d.message)
+            });
+        }
+
+        const filter = {};
+        ['actorId', 'actorRole', 'action', 'targetType', 'targetId', 'requestId'].forEach(field => {
+            if (value[field]) filter[field] = value[field];
+        });
+        if (value.from || value.to) {
+            filter.timestamp = {};
+            if (value.from) filter.timestamp.$gte = value.from;
+            if (value.to) filter.timestamp.$lte = value.to;
+        }
+
+        const auditLogCollection = await getAuditLogCollection();
+
+        if (value.format === 'csv') {
+            const entries = await auditLogCollection
+                .find(filter)
+                .sort({ seq: -1 })
+                .limit(MAX_EXPORT_ROWS)
+                .toArray();
+
+            const headers = [
+                'Seq', 'Timestamp', 'Actor', 'Role', 'Action', 'Target Type', 'Target ID',
+                'Before', 'After', 'Metadata', 'IP', 'Request ID', 'Hash', 'Previous Hash'
+            ];
+            const rows = entries.map(e => [
+                e.seq,
+                e.timestamp,
+                e.actorId,
+                e.actorRole,
+                e.action,
+                e.targetType,
+                e.targetId,
+                e.before === null ? '' : JSON.stringify(e.before),
+                e.after === null ? '' : JSON.stringify(e.after),
+                JSON.stringify(e.metadata || {}),
+                e.ip,
+                e.requestId,
+                e.hash,
+                e.prevHash
+            ]);
+
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+            return res.send(toCsv(headers, rows));
+        }
+
+        const skip = (value.page - 1) * value.limit;
+        const [entries, total] = await Promise.all([
+            auditLogCollection.find(filter).sort({ seq: -1 }).skip(skip).limit(value.limit).toArray(),
+            auditLogCollection.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            entries: entries.map(e => new AuditEntry(e).toJSON()),
+            pagination: {
+                page: value.page,
+                limit: value.limit,
+                total,
+                pages: Math.ceil(total / value.limit)
+            }
+        });
+    } catch (error) {
+        logger.error('Error fetching audit log:', { error: error.message });
+        res.status(500).json({
+            message: 'Error fetching audit log',
+            code: 'FETCH_AUDIT_LOG_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Check the hash chain for tampering
+ * GET /api/admin/audit/verify
+ */
+const verifyAuditLog = async (req, res) => {
+    try {
+        const result = await verifyAuditChain();
+        if (!result.valid) {
+            logger.error('Audit log chain verification failed:', { brokenAt: result.brokenAt, reason: result.reason });
+        }
+
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        logger.error('Error verifying audit log:', { error: error.message });
+        res.status(500).json({
+            message: 'Error verifying audit log',
+            code: 'VERIFY_AUDIT_LOG_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+module.exports = {
+    getAuditLog,
+    verifyAuditLog,
+};
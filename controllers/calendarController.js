@@ -0,0 +1,129 @@
+// Calendar Controller
+// Handles private iCalendar feeds of milestone deadlines, defenses and office hours
+
+const { getUsersCollection } = require('../config/database');
+const {
+    issueCalendarToken,
+    revokeCalendarToken,
+    findUserByCalendarToken,
+    getCalendarEvents
+} = require('../utils/calendarFeed');
+const { buildCalendar } = require('../utils/icalendar');
+const logger = require('../config/logger');
+
+/**
+ * Public URL of a feed
+ */
+const getFeedUrl = (req, token) => {
+    const baseURL = process.env.CALENDAR_BASE_URL || `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+    return `${baseURL}/feed/${token}.ics`;
+};
+
+/**
+ * Check whether the current user has an active feed
+ * GET /api/calendar/token
+ */
+const getCalendarTokenStatus = async (req, res) => {
+    try {
+        const usersCollection = await getUsersCollection();
+        const user = await usersCollection.findOne({ uid: req.user.uid }, { projection: { calendarToken: 1 } });
+
+        res.json({
+            success: true,
+            active: Boolean(user?.calendarToken),
+            createdAt: user?.calendarToken?.createdAt || null
+        });
+    } catch (error) {
+        logger.error('Error fetching calendar token:', { error: error.message, uid: req.user.uid });
+        res.status(500).json({
+            message: 'Error fetching calendar feed',
+            code: 'FETCH_CALENDAR_TOKEN_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Create the current user's feed URL, revoking the previous one
+ * POST /api/calendar/token
+ * The URL is only shown in this response
+ */
+const createCalendarToken = async (req, res) => {
+    try {
+        const token = await issueCalendarToken(req.user.uid);
+        logger.info(`Calendar feed token issued for ${req.user.uid}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Calendar feed created. Any previous feed URL no longer works.',
+            url: getFeedUrl(req, token)
+        });
+    } catch (error) {
+        logger.error('Error creating calendar token:', { error: error.message, uid: req.user.uid });
+        res.status(500).json({
+            message: 'Error creating calendar feed',
+            code: 'CREATE_CALENDAR_TOKEN_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Revoke the current user's feed URL
+ * DELETE /api/calendar/token
+ */
+const deleteCalendarToken = async (req, res) => {
+    try {
+        const revoked = await revokeCalendarToken(req.user.uid);
+        if (!revoked) {
+            return res.status(404).json({ message: 'No active calendar feed' });
+        }
+
+        logger.info(`Calendar feed token revoked for ${req.user.uid}`);
+        res.json({
+            success: true,
+            message: 'Calendar feed revoked'
+        });
+    } catch (error) {
+        logger.error('Error revoking calendar token:', { error: error.message, uid: req.user.uid });
+        res.status(500).json({
+            message: 'Error revoking calendar feed',
+            code: 'REVOKE_CALENDAR_TOKEN_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Serve a user's feed (public - the token in the URL is the credential)
+ * GET /api/calendar/feed/:token.ics
+ */
+const getCalendarFeed = async (req, res) => {
+    try {
+        const token = String(req.params.file || '').replace(/\.ics$/, '');
+        const user = await findUserByCalendarToken(token);
+        if (!user) {
+            return res.status(404).json({ message: 'Calendar feed not found' });
+        }
+
+        const events = await getCalendarEvents(user);
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+        res.setHeader('Content-Disposition', 'inline; filename="knowledgetrace.ics"');
+        res.setHeader('Cache-Control', 'private, max-age=300');
+        res.send(buildCalendar(`KnowledgeTrace - ${user.name || user.displayName || user.email}`, events));
+    } catch (error) {
+        logger.error('Error generating calendar feed:', { error: error.message });
+        res.status(500).json({
+            message: 'Error generating calendar feed',
+            code: 'CALENDAR_FEED_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+module.exports = {
+    getCalendarTokenStatus,
+    createCalendarToken,
+    deleteCalendarToken,
+    getCalendarFeed,
+};
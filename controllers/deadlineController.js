@@ -0,0 +1,285 @@
+// Milestone Deadline Controller
+// Handles deadline templates (admin) and per-project deadline overrides (supervisor)
+
+const {
+    getDeadlineTemplatesCollection,
+    getProjectsCollection,
+    getUsersCollection,
+    ObjectId
+} = require('../config/database');
+const { deadlineTemplateSchema, projectDeadlineSchema } = require('../validators/thesisSchemas');
+const { MILESTONE_PHASES } = require('../utils/milestoneDeliverables');
+const {
+    findTemplateDeadline,
+    applyProjectDeadline,
+    applyTemplateDeadlines
+} = require('../utils/milestoneDeadlines');
+const { getProjectRoles, findMilestone } = require('../utils/workflowEngine');
+const { getAuditContext, recordAudit } = require('../utils/auditLog');
+const DeadlineTemplate = require('../models/DeadlineTemplate');
+const ProjectMilestone = require('../models/ProjectMilestone');
+const logger = require('../config/logger');
+
+/**
+ * List deadline templates (admin only)
+ * GET /api/admin/deadline-templates?year=2025&department=CSE
+ */
+const getDeadlineTemplates = async (req, res) => {
+    try {
+        const filter = {};
+        const year = parseInt(req.query.year, 10);
+        if (!isNaN(year)) filter.year = year;
+        if (typeof req.query.department === 'string') filter.department = req.query.department.trim();
+
+        const deadlineTemplatesCollection = await getDeadlineTemplatesCollection();
+        const templates = await deadlineTemplatesCollection
+            .find(filter)
+            .sort({ year: -1, department: 1, deadline: 1 })
+            .toArray();
+
+        res.json({
+            success: true,
+            templates: templates.map(t => new DeadlineTemplate(t).toJSON())
+        });
+    } catch (error) {
+        logger.error('Error fetching deadline templates:', { error: error.message });
+        res.status(500).json({
+            message: 'Error fetching deadline templates',
+            code: 'FETCH_DEADLINE_TEMPLATES_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Create or replace the deadline template for a department, year and phase (admin only)
+ * POST /api/admin/deadline-templates
+ * Open milestones it applies to take the new deadline unless their supervisor overrode it
+ */
+const saveDeadlineTemplate = async (req, res) => {
+    try {
+        const { error, value } = deadlineTemplateSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                message: 'Invalid deadline template',
+                errors: error.details.map(d => d.message)
+            });
+        }
+
+        const { department, year, phase, deadline } = value;
+        const now = new Date();
+
+        const deadlineTemplatesCollection = await getDeadlineTemplatesCollection();
+        const previous = await deadlineTemplatesCollection.findOne({ department, year, phase });
+        await deadlineTemplatesCollection.updateOne(
+            { department, year, phase },
+            {
+                $set: { deadline, createdBy: req.user.uid, updatedAt: now },
+                $setOnInsert: { createdAt: now }
+            },
+            { upsert: true }
+        );
+        const template = await deadlineTemplatesCollection.findOne({ department, year, phase });
+
+        const { updated } = await applyTemplateDeadlines(template);
+        await recordAudit(getAuditContext(req), {
+            action: 'deadline_template.save',
+            targetType: 'deadline_template',
+            targetId: template._id,
+            before: previous ? { deadline: previous.deadline } : null,
+            after: { deadline },
+            metadata: { department, year, phase, updatedProjects: updated || 0 }
+        });
+        logger.info(`Deadline template saved for ${department || 'all departments'} ${year} ${phase} by ${req.user.uid}`);
+
+        res.json({
+            success: true,
+            message: 'Deadline template saved',
+            template: new DeadlineTemplate(template).toJSON(),
+            updatedProjects: updated || 0
+        });
+    } catch (error) {
+        logger.error('Error saving deadline template:', { error: error.message });
+        res.status(500).json({
+            message: 'Error saving deadline template',
+            code: 'SAVE_DEADLINE_TEMPLATE_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Delete a deadline template (admin only)
+ * DELETE /api/admin/deadline-templates/:id
+ */
+const deleteDeadlineTemplate = async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ message: 'Invalid template ID' });
+        }
+
+        const deadlineTemplatesCollection = await getDeadlineTemplatesCollection();
+        const template = await deadlineTemplatesCollection.findOne({ _id: new ObjectId(req.params.id) });
+        if (!template) {
+            return res.status(404).json({ message: 'Deadline template not found' });
+        }
+
+        await deadlineTemplatesCollection.deleteOne({ _id: template._id });
+        const { updated } = await applyTemplateDeadlines(template);
+        await recordAudit(getAuditContext(req), {
+            action: 'deadline_template.delete',
+            targetType: 'deadline_template',
+            targetId: template._id,
+            before: { deadline: template.deadline },
+            metadata: { department: template.department, year: template.year, phase: template.phase, updatedProjects: updated || 0 }
+        });
+
+        res.json({
+            success: true,
+            message: 'Deadline template deleted',
+            updatedProjects: updated || 0
+        });
+    } catch (error) {
+        logger.error('Error deleting deadline template:', { error: error.message, id: req.params.id });
+        res.status(500).json({
+            message: 'Error deleting deadline template',
+            code: 'DELETE_DEADLINE_TEMPLATE_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Load a project and the current user's roles on it
+ * @returns {Promise<Object>} { project, user, roles } - project is null if not found
+ */
+const loadProjectRoles = async (projectId, uid) => {
+    if (!ObjectId.isValid(projectId)) return { project: null, user: null, roles: [] };
+
+    const projectsCollection = await getProjectsCollection();
+    const usersCollection = await getUsersCollection();
+    const [project, user] = await Promise.all([
+        projectsCollection.findOne({ _id: new ObjectId(projectId) }),
+        usersCollection.findOne({ uid })
+    ]);
+
+    return { project, user, roles: project ? getProjectRoles(project, uid, user) : [] };
+};
+
+/**
+ * Get a project's deadline per phase (template, supervisor override and the milestone's current deadline)
+ * GET /api/workflow/:projectId/deadlines
+ */
+const getProjectDeadlines = async (req, res) => {
+    try {
+        const { project, roles } = await loadProjectRoles(req.params.projectId, req.user.uid);
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found' });
+        }
+        if (roles.length === 0) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const deadlines = await Promise.all(MILESTONE_PHASES.map(async (phase) => {
+            const [templateDeadline, milestone] = await Promise.all([
+                findTemplateDeadline(project, phase),
+                findMilestone(project._id, phase)
+            ]);
+            const override = project.deadlineOverrides?.[phase] || null;
+
+            return {
+                phase,
+                templateDeadline,
+                override,
+                deadline: milestone?.deadline || override || templateDeadline,
+                milestoneStatus: milestone?.status || null,
+                overdue: milestone ? new ProjectMilestone(milestone).isOverdue() : false
+            };
+        }));
+
+        res.json({
+            success: true,
+            deadlines
+        });
+    } catch (error) {
+        logger.error('Error fetching project deadlines:', { error: error.message, projectId: req.params.projectId });
+        res.status(500).json({
+            message: 'Error fetching project deadlines',
+            code: 'FETCH_PROJECT_DEADLINES_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Override a project's deadline for one phase (assigned supervisor or admin)
+ * PUT /api/workflow/:projectId/deadlines/:phase
+ * Body { deadline: null } removes the override and falls back to the template
+ */
+const setProjectDeadline = async (req, res) => {
+    try {
+        const { phase } = req.params;
+        if (!MILESTONE_PHASES.includes(phase)) {
+            return res.status(400).json({ message: `Phase must be one of: ${MILESTONE_PHASES.join(', ')}` });
+        }
+
+        const { error, value } = projectDeadlineSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                message: 'Invalid deadline',
+                errors: error.details.map(d => d.message)
+            });
+        }
+
+        const { project, user, roles } = await loadProjectRoles(req.params.projectId, req.user.uid);
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found' });
+        }
+        if (!roles.includes('supervisor') && !roles.includes('admin')) {
+            return res.status(403).json({ message: 'Only the project supervisor can change its deadlines' });
+        }
+
+        const projectsCollection = await getProjectsCollection();
+        const update = value.deadline
+            ? { $set: { [`deadlineOverrides.${phase}`]: value.deadline, updatedAt: new Date() } }
+            : { $unset: { [`deadlineOverrides.${phase}`]: '' }, $set: { updatedAt: new Date() } };
+        await projectsCollection.updateOne({ _id: project._id }, update);
+
+        const deadlineOverrides = { ...project.deadlineOverrides };
+        if (value.deadline) deadlineOverrides[phase] = value.deadline;
+        else delete deadlineOverrides[phase];
+
+        const { deadline, deadlineSource } = await applyProjectDeadline({ ...project, deadlineOverrides }, phase);
+        await recordAudit(getAuditContext(req, user), {
+            action: 'project.deadline_override',
+            targetType: 'project',
+            targetId: project._id,
+            before: { [phase]: project.deadlineOverrides?.[phase] || null },
+            after: { [phase]: value.deadline || null }
+        });
+        logger.info(`Deadline for ${phase} of project ${project._id} ${value.deadline ? 'overridden' : 'reset'} by ${req.user.uid}`);
+
+        res.json({
+            success: true,
+            message: value.deadline ? 'Deadline updated' : 'Deadline reset to the department default',
+            phase,
+            deadline: deadline || null,
+            deadlineSource: deadlineSource || null
+        });
+    } catch (error) {
+        logger.error('Error setting project deadline:', { error: error.message, projectId: req.params.projectId });
+        res.status(500).json({
+            message: 'Error setting project deadline',
+            code: 'SET_PROJECT_DEADLINE_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+module.exports = {
+    getDeadlineTemplates,
+    saveDeadlineTemplate,
+    deleteDeadlineTemplate,
+    getProjectDeadlines,
+    setProjectDeadline,
+};
@@ -0,0 +1,647 @@
+// Defense Controller
+// Handles defense sessions, examiner committees, project slot booking and defense outcomes
+
+const {
+    getDefenseSessionsCollection,
+    getProjectsCollection,
+    getUsersCollection,
+    ObjectId
+} = require('../config/database');
+const {
+    defenseSessionSchema,
+    defenseSessionUpdateSchema,
+    defenseBookingSchema,
+    defenseOutcomeSchema
+} = require('../validators/thesisSchemas');
+const {
+    findExaminerConflicts,
+    findStudentConflicts,
+    findInvalidExaminers,
+    findDefenseBooking
+} = require('../utils/defenseScheduling');
+const { createDefenseNotification } = require('../utils/notificationHelper');
+const { getAuditContext, recordAudit } = require('../utils/auditLog');
+const { emitWebhookEvent } = require('../utils/webhooks');
+const DefenseSession = require('../models/DefenseSession');
+const logger = require('../config/logger');
+
+const MINUTE_MS = 60 * 1000;
+
+const isAdminUser = (user) => user?.isAdmin === true || user?.role === 'admin';
+
+/**
+ * Load a defense session and the current user
+ * @returns {Promise<Object>} { session, user } - session is null if not found
+ */
+const loadSession = async (id, uid) => {
+    const usersCollection = await getUsersCollection();
+    const user = await usersCollection.findOne({ uid });
+    if (!ObjectId.isValid(id)) return { session: null, user };
+
+    const defenseSessionsCollection = await getDefenseSessionsCollection();
+    const session = await defenseSessionsCollection.findOne({ _id: new ObjectId(id) });
+    return { session: session ? new DefenseSession(session) : null, user };
+};
+
+/**
+ * Respond with the double-bookings that prevent a change
+ */
+const sendConflicts = (res, conflicts) => res.status(409).json({
+    message: 'Scheduling conflict: an examiner or student is already booked at that time',
+    code: 'DEFENSE_CONFLICT',
+    conflicts
+});
+
+/**
+ * Notify everyone involved in a session (except the user who made the change)
+ */
+const notifyParticipants = async (recipientIds, senderId, session, message, project = null) => {
+    try {
+        await Promise.all([...new Set(recipientIds)]
+            .filter(uid => uid && uid !== senderId)
+            .map(uid => createDefenseNotification(uid, senderId, session, message, project)));
+    } catch (notifError) {
+        logger.warn('Could not send defense notifications:', { error: notifError.message, sessionId: String(session._id) });
+    }
+};
+
+const describeSession = (session) => `${session.phase.replace(/_/g, ' ')} defense on ${new Date(session.startsAt).toLocaleString()} in ${session.room}`;
+
+/**
+ * List defense sessions
+ * GET /api/defenses?phase=mid_defense&from=2025-01-01&to=2025-02-01
+ * Supervisors and admins see every session, students the sessions they are booked into
+ */
+const getDefenseSessions = async (req, res) => {
+    try {
+        const usersCollection = await getUsersCollection();
+        const user = await usersCollection.findOne({ uid: req.user.uid });
+
+        const filter = { status: req.query.status === 'cancelled' ? 'cancelled' : 'scheduled' };
+        if (DefenseSession.PHASES.includes(req.query.phase)) filter.phase = req.query.phase;
+
+        const from = req.query.from ? new Date(req.query.from) : null;
+        const to = req.query.to ? new Date(req.query.to) : null;
+        if (from && !isNaN(from)) filter.endsAt = { $gte: from };
+        if (to && !isNaN(to)) filter.startsAt = { $lte: to };
+
+        if (user?.role !== 'supervisor' && !isAdminUser(user)) {
+            filter['slots.participantIds'] = req.user.uid;
+        }
+
+        const defenseSessionsCollection = await getDefenseSessionsCollection();
+        const sessions = await defenseSessionsCollection
+            .find(filter)
+            .sort({ startsAt: 1 })
+            .limit(200)
+            .toArray();
+
+        res.json({
+            success: true,
+            count: sessions.length,
+            sessions: sessions.map(s => new DefenseSession(s).toJSON())
+        });
+    } catch (error) {
+        logger.error('Error fetching defense sessions:', { error: error.message, uid: req.user.uid });
+        res.status(500).json({
+            message: 'Error fetching defense sessions',
+            code: 'FETCH_DEFENSE_SESSIONS_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Get a defense session with its examiners
+ * GET /api/defenses/:id
+ */
+const getDefenseSession = async (req, res) => {
+    try {
+        const { session, user } = await loadSession(req.params.id, req.user.uid);
+        if (!session) {
+            return res.status(404).json({ message: 'Defense session not found' });
+        }
+
+        const canView = user?.role === 'supervisor' || isAdminUser(user) || session.getParticipantIds().includes(req.user.uid);
+        if (!canView) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const usersCollection = await getUsersCollection();
+        const examiners = await usersCollection
+            .find({ uid: { $in: session.examinerIds } })
+            .project({ uid: 1, name: 1, displayName: 1, email: 1 })
+            .toArray();
+
+        res.json({
+            success: true,
+            session: {
+                ...session.toJSON(),
+                examiners: examiners.map(e => ({ uid: e.uid, name: e.name || e.displayName, email: e.email }))
+            }
+        });
+    } catch (error) {
+        logger.error('Error fetching defense session:', { error: error.message, id: req.params.id });
+        res.status(500).json({
+            message: 'Error fetching defense session',
+            code: 'FETCH_DEFENSE_SESSION_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Create a defense session with its examiner committee
+ * POST /api/defenses
+ */
+const createDefenseSession = async (req, res) => {
+    try {
+        const { error, value } = defenseSessionSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                message: 'Invalid defense session',
+                errors: error.details.map(d => d.message)
+            });
+        }
+
+        const session = new DefenseSession({ ...value, createdBy: req.user.uid });
+        if (session.slotMinutes > session.durationMinutes) {
+            return res.status(400).json({ message: 'Slot length cannot exceed the session length' });
+        }
+
+        const invalidExaminers = await findInvalidExaminers(session.examinerIds);
+        if (invalidExaminers.length > 0) {
+            return res.status(400).json({
+                message: 'Examiners must be supervisors',
+                code: 'INVALID_EXAMINERS',
+                invalidExaminers
+            });
+        }
+
+        const conflicts = await findExaminerConflicts(session.examinerIds, session.startsAt, session.endsAt);
+        if (conflicts.length > 0) {
+            return sendConflicts(res, conflicts);
+        }
+
+        const sessionData = session.toJSON();
+        delete sessionData._id;
+
+        const defenseSessionsCollection = await getDefenseSessionsCollection();
+        const result = await defenseSessionsCollection.insertOne(sessionData);
+        session._id = result.insertedId;
+
+        await recordAudit(getAuditContext(req), {
+            action: 'defense_session.create',
+            targetType: 'defense_session',
+            targetId: session._id,
+            after: { phase: session.phase, startsAt: session.startsAt, endsAt: session.endsAt, room: session.room, examinerIds: session.examinerIds }
+        });
+
+        await notifyParticipants(
+            session.examinerIds,
+            req.user.uid,
+            session,
+            `You are on the examiner committee for the ${describeSession(session)}.`
+        );
+        logger.info(`Defense session ${session._id} created by ${req.user.uid}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Defense session created',
+            session: session.toJSON()
+        });
+    } catch (error) {
+        logger.error('Error creating defense session:', { error: error.message, uid: req.user.uid });
+        res.status(500).json({
+            message: 'Error creating defense session',
+            code: 'CREATE_DEFENSE_SESSION_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Change a session's time, room or committee (its creator, an examiner or an admin)
+ * PATCH /api/defenses/:id
+ * Booked slots keep their times, so the session must still cover them
+ */
+const updateDefenseSession = async (req, res) => {
+    try {
+        const { error, value } = defenseSessionUpdateSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                message: 'Invalid defense session',
+                errors: error.details.map(d => d.message)
+            });
+        }
+
+        const { session: current, user } = await loadSession(req.params.id, req.user.uid);
+        if (!current) {
+            return res.status(404).json({ message: 'Defense session not found' });
+        }
+        if (!current.isManagedBy(req.user.uid) && !isAdminUser(user)) {
+            return res.status(403).json({ message: 'Only the session creator, its examiners or an admin can change it' });
+        }
+        if (current.status !== 'scheduled') {
+            return res.status(409).json({ message: 'Defense session was cancelled', code: 'DEFENSE_CANCELLED' });
+        }
+
+        const session = new DefenseSession({ ...current.toJSON(), ...value, updatedAt: new Date() });
+        if (session.slotMinutes > session.durationMinutes) {
+            return res.status(400).json({ message: 'Slot length cannot exceed the session length' });
+        }
+
+        const outside = session.slots.filter(slot => new Date(slot.startsAt) < session.startsAt || new Date(slot.endsAt) > session.endsAt);
+        if (outside.length > 0) {
+            return res.status(409).json({
+                message: 'Booked slots would fall outside the session. Move or cancel them first.',
+                code: 'DEFENSE_SLOTS_OUTSIDE',
+                slots: outside.map(slot => ({ _id: slot._id, projectTitle: slot.projectTitle, startsAt: slot.startsAt }))
+            });
+        }
+
+        if (value.examinerIds) {
+            const invalidExaminers = await findInvalidExaminers(session.examinerIds);
+            if (invalidExaminers.length > 0) {
+                return res.status(400).json({
+                    message: 'Examiners must be supervisors',
+                    code: 'INVALID_EXAMINERS',
+                    invalidExaminers
+                });
+            }
+        }
+
+        const conflicts = await findExaminerConflicts(session.examinerIds, session.startsAt, session.endsAt, session._id);
+        if (conflicts.length > 0) {
+            return sendConflicts(res, conflicts);
+        }
+
+        const defenseSessionsCollection = await getDefenseSessionsCollection();
+        await defenseSessionsCollection.updateOne(
+            { _id: session._id },
+            {
+                $set: {
+                    title: session.title,
+                    startsAt: session.startsAt,
+                    endsAt: session.endsAt,
+                    durationMinutes: session.durationMinutes,
+                    slotMinutes: session.slotMinutes,
+                    room: session.room,
+                    examinerIds: session.examinerIds,
+                    updatedAt: session.updatedAt
+                }
+            }
+        );
+
+        const changedFields = Object.keys(value);
+        await recordAudit(getAuditContext(req, user), {
+            action: 'defense_session.update',
+            targetType: 'defense_session',
+            targetId: session._id,
+            before: changedFields.reduce((acc, key) => ({ ...acc, [key]: current[key] }), {}),
+            after: changedFields.reduce((acc, key) => ({ ...acc, [key]: session[key] }), {})
+        });
+
+        await notifyParticipants(
+            [...current.getParticipantIds(), ...session.examinerIds],
+            req.user.uid,
+            session,
+            `The ${describeSession(session)} has been updated.`
+        );
+
+        res.json({
+            success: true,
+            message: 'Defense session updated',
+            session: session.toJSON()
+        });
+    } catch (error) {
+        logger.error('Error updating defense session:', { error: error.message, id: req.params.id });
+        res.status(500).json({
+            message: 'Error updating defense session',
+            code: 'UPDATE_DEFENSE_SESSION_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Cancel a defense session (its creator, an examiner or an admin)
+ * DELETE /api/defenses/:id
+ */
+const cancelDefenseSession = async (req, res) => {
+    try {
+        const { session, user } = await loadSession(req.params.id, req.user.uid);
+        if (!session) {
+            return res.status(404).json({ message: 'Defense session not found' });
+        }
+        if (!session.isManagedBy(req.user.uid) && !isAdminUser(user)) {
+            return res.status(403).json({ message: 'Only the session creator, its examiners or an admin can cancel it' });
+        }
+        if (session.slots.some(slot => slot.outcome)) {
+            return res.status(409).json({
+                message: 'Outcomes have already been recorded for this session',
+                code: 'DEFENSE_OUTCOMES_RECORDED'
+            });
+        }
+
+        const defenseSessionsCollection = await getDefenseSessionsCollection();
+        await defenseSessionsCollection.updateOne(
+            { _id: session._id },
+            { $set: { status: 'cancelled', updatedAt: new Date() } }
+        );
+        await recordAudit(getAuditContext(req, user), {
+            action: 'defense_session.cancel',
+            targetType: 'defense_session',
+            targetId: session._id,
+            before: { status: 'scheduled', bookedProjects: session.slots.map(slot => slot.projectId) },
+            after: { status: 'cancelled' }
+        });
+
+        await notifyParticipants(
+            session.getParticipantIds(),
+            req.user.uid,
+            session,
+            `The ${describeSession(session)} has been cancelled.`
+        );
+        logger.info(`Defense session ${session._id} cancelled by ${req.user.uid}`);
+
+        res.json({
+            success: true,
+            message: 'Defense session cancelled'
+        });
+    } catch (error) {
+        logger.error('Error cancelling defense session:', { error: error.message, id: req.params.id });
+        res.status(500).json({
+            message: 'Error cancelling defense session',
+            code: 'CANCEL_DEFENSE_SESSION_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Book a project into a slot of the session (session creator, examiner, the project's supervisor or an admin)
+ * POST /api/defenses/:id/slots
+ */
+const bookDefenseSlot = async (req, res) => {
+    try {
+        const { error, value } = defenseBookingSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                message: 'Invalid booking',
+                errors: error.details.map(d => d.message)
+            });
+        }
+
+        const { session, user } = await loadSession(req.params.id, req.user.uid);
+        if (!session) {
+            return res.status(404).json({ message: 'Defense session not found' });
+        }
+        if (session.status !== 'scheduled') {
+            return res.status(409).json({ message: 'Defense session was cancelled', code: 'DEFENSE_CANCELLED' });
+        }
+
+        const projectsCollection = await getProjectsCollection();
+        const project = await projectsCollection.findOne({ _id: new ObjectId(value.projectId) });
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found' });
+        }
+
+        const canBook = session.isManagedBy(req.user.uid) || project.supervisorId === req.user.uid || isAdminUser(user);
+        if (!canBook) {
+            return res.status(403).json({ message: 'Only the session examiners, the project supervisor or an admin can book this project' });
+        }
+
+        const existing = await findDefenseBooking(project._id, session.phase);
+        if (existing) {
+            return res.status(409).json({
+                message: 'Project is already booked for this defense. Cancel that booking first.',
+                code: 'DEFENSE_ALREADY_BOOKED',
+                sessionId: existing.session._id
+            });
+        }
+
+        const startsAt = new Date(value.startsAt);
+        const endsAt = new Date(startsAt.getTime() + session.slotMinutes * MINUTE_MS);
+        const unavailable = session.checkSlot(startsAt, endsAt);
+        if (unavailable) {
+            return res.status(409).json({ message: unavailable, code: 'DEFENSE_SLOT_UNAVAILABLE' });
+        }
+
+        const participantIds = [...new Set([project.authorId, ...(project.studentIds || [])].filter(Boolean))];
+        const conflicts = await findStudentConflicts(participantIds, startsAt, endsAt);
+        if (conflicts.length > 0) {
+            return sendConflicts(res, conflicts);
+        }
+
+        const slot = {
+            _id: new ObjectId(),
+            projectId: String(project._id),
+            projectTitle: project.title,
+            participantIds,
+            startsAt,
+            endsAt,
+            outcome: null,
+            bookedBy: req.user.uid,
+            bookedAt: new Date()
+        };
+
+        // Only push if no slot was booked into the same time in the meantime
+        const defenseSessionsCollection = await getDefenseSessionsCollection();
+        const result = await defenseSessionsCollection.updateOne(
+            {
+                _id: session._id,
+                status: 'scheduled',
+                slots: { $not: { $elemMatch: { startsAt: { $lt: endsAt }, endsAt: { $gt: startsAt } } } }
+            },
+            { $push: { slots: slot }, $set: { updatedAt: new Date() } }
+        );
+        if (result.matchedCount === 0) {
+            return res.status(409).json({ message: 'Slot was booked in the meantime', code: 'DEFENSE_SLOT_UNAVAILABLE' });
+        }
+
+        await recordAudit(getAuditContext(req, user), {
+            action: 'defense_slot.book',
+            targetType: 'defense_session',
+            targetId: session._id,
+            after: { slotId: slot._id, projectId: slot.projectId, startsAt, endsAt }
+        });
+
+        await notifyParticipants(
+            [...participantIds, project.supervisorId, ...session.examinerIds],
+            req.user.uid,
+            session,
+            `"${project.title}" is scheduled for the ${session.phase.replace(/_/g, ' ')} defense at ${startsAt.toLocaleString()} in ${session.room}.`,
+            project
+        );
+        logger.info(`Project ${project._id} booked into defense session ${session._id} by ${req.user.uid}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Project booked',
+            slot
+        });
+    } catch (error) {
+        logger.error('Error booking defense slot:', { error: error.message, id: req.params.id });
+        res.status(500).json({
+            message: 'Error booking defense slot',
+            code: 'BOOK_DEFENSE_SLOT_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Cancel a project's booking (session creator, examiner, the project's supervisor or an admin)
+ * DELETE /api/defenses/:id/slots/:slotId
+ */
+const cancelDefenseSlot = async (req, res) => {
+    try {
+        const { session, user } = await loadSession(req.params.id, req.user.uid);
+        const slot = session?.getSlot(req.params.slotId);
+        if (!slot) {
+            return res.status(404).json({ message: 'Booking not found' });
+        }
+
+        const projectsCollection = await getProjectsCollection();
+        const project = await projectsCollection.findOne({ _id: new ObjectId(slot.projectId) });
+
+        const canCancel = session.isManagedBy(req.user.uid) || project?.supervisorId === req.user.uid || isAdminUser(user);
+        if (!canCancel) {
+            return res.status(403).json({ message: 'Only the session examiners, the project supervisor or an admin can cancel this booking' });
+        }
+        if (slot.outcome) {
+            return res.status(409).json({ message: 'The defense outcome has already been recorded', code: 'DEFENSE_OUTCOME_RECORDED' });
+        }
+
+        const defenseSessionsCollection = await getDefenseSessionsCollection();
+        await defenseSessionsCollection.updateOne(
+            { _id: session._id },
+            { $pull: { slots: { _id: slot._id } }, $set: { updatedAt: new Date() } }
+        );
+        await recordAudit(getAuditContext(req, user), {
+            action: 'defense_slot.cancel',
+            targetType: 'defense_session',
+            targetId: session._id,
+            before: { slotId: slot._id, projectId: slot.projectId, startsAt: slot.startsAt, endsAt: slot.endsAt }
+        });
+
+        await notifyParticipants(
+            [...slot.participantIds, project?.supervisorId, ...session.examinerIds],
+            req.user.uid,
+            session,
+            `The ${session.phase.replace(/_/g, ' ')} defense of "${slot.projectTitle}" at ${new Date(slot.startsAt).toLocaleString()} has been cancelled.`,
+            project
+        );
+
+        res.json({
+            success: true,
+            message: 'Booking cancelled'
+        });
+    } catch (error) {
+        logger.error('Error cancelling defense slot:', { error: error.message, id: req.params.id, slotId: req.params.slotId });
+        res.status(500).json({
+            message: 'Error cancelling defense slot',
+            code: 'CANCEL_DEFENSE_SLOT_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Record the committee's outcome for a booked project (an examiner or an admin)
+ * PUT /api/defenses/:id/slots/:slotId/outcome
+ * Until an outcome is recorded the project cannot leave its defense phase
+ */
+const recordDefenseOutcome = async (req, res) => {
+    try {
+        const { error, value } = defenseOutcomeSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                message: 'Invalid defense outcome',
+                errors: error.details.map(d => d.message)
+            });
+        }
+
+        const { session, user } = await loadSession(req.params.id, req.user.uid);
+        const slot = session?.getSlot(req.params.slotId);
+        if (!slot) {
+            return res.status(404).json({ message: 'Booking not found' });
+        }
+        if (!session.examinerIds.includes(req.user.uid) && !isAdminUser(user)) {
+            return res.status(403).json({ message: 'Only the examiner committee can record the outcome' });
+        }
+        if (session.status !== 'scheduled') {
+            return res.status(409).json({ message: 'Defense session was cancelled', code: 'DEFENSE_CANCELLED' });
+        }
+        if (new Date(slot.startsAt) > new Date()) {
+            return res.status(400).json({ message: 'The outcome can be recorded once the defense has started' });
+        }
+
+        const outcome = {
+            result: value.result,
+            notes: value.notes,
+            recordedBy: req.user.uid,
+            recordedAt: new Date()
+        };
+
+        const defenseSessionsCollection = await getDefenseSessionsCollection();
+        await defenseSessionsCollection.updateOne(
+            { _id: session._id, 'slots._id': slot._id },
+            { $set: { 'slots.$.outcome': outcome, updatedAt: new Date() } }
+        );
+        await recordAudit(getAuditContext(req, user), {
+            action: 'defense_slot.outcome',
+            targetType: 'defense_session',
+            targetId: session._id,
+            before: { outcome: slot.outcome?.result || null },
+            after: { outcome: value.result },
+            metadata: { slotId: slot._id, projectId: slot.projectId }
+        });
+
+        const projectsCollection = await getProjectsCollection();
+        const project = await projectsCollection.findOne({ _id: new ObjectId(slot.projectId) });
+
+        await notifyParticipants(
+            [...slot.participantIds, project?.supervisorId],
+            req.user.uid,
+            session,
+            `The ${session.phase.replace(/_/g, ' ')} defense outcome for "${slot.projectTitle}" is: ${value.result.replace(/_/g, ' ')}.`,
+            project
+        );
+        await emitWebhookEvent('defense.outcome_recorded', {
+            sessionId: String(session._id),
+            slotId: String(slot._id),
+            phase: session.phase,
+            projectId: slot.projectId,
+            projectTitle: slot.projectTitle,
+            outcome: value.result,
+            recordedBy: req.user.uid
+        });
+        logger.info(`Defense outcome ${value.result} recorded for project ${slot.projectId} by ${req.user.uid}`);
+
+        res.json({
+            success: true,
+            message: 'Defense outcome recorded',
+            slot: { ...slot, outcome }
+        });
+    } catch (error) {
+        logger.error('Error recording defense outcome:', { error: error.message, id: req.params.id, slotId: req.params.slotId });
+        res.status(500).json({
+            message: 'Error recording defense outcome',
+            code: 'RECORD_DEFENSE_OUTCOME_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+module.exports = {
+    getDefenseSessions,
+    getDefenseSession,
+    createDefenseSession,
+    updateDefenseSession,
+    cancelDefenseSession,
+    bookDefenseSlot,
+    cancelDefenseSlot,
+    recordDefenseOutcome,
+};
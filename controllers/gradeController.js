@@ -0,0 +1,529 @@
+// Grade Controller
+// Handles defense rubrics (admin), examiner scoring, grade finalization and term grade sheets
+
+const {
+    getRubricsCollection,
+    getDefenseGradesCollection,
+    getDefenseSessionsCollection,
+    getProjectsCollection,
+    getUsersCollection,
+    ObjectId
+} = require('../config/database');
+const {
+    rubricSchema,
+    defenseScoresSchema,
+    gradeFinalizeSchema
+} = require('../validators/thesisSchemas');
+const {
+    SPREAD_THRESHOLD,
+    validateScores,
+    computeExaminerTotal,
+    aggregateScores,
+    averageByCriterion
+} = require('../utils/gradeAggregation');
+const { toCsv } = require('../utils/csvExport');
+const { createDefenseNotification } = require('../utils/notificationHelper');
+const { getAuditContext, recordAudit } = require('../utils/auditLog');
+const { emitWebhookEvent } = require('../utils/webhooks');
+const Rubric = require('../models/Rubric');
+const DefenseGrade = require('../models/DefenseGrade');
+const DefenseSession = require('../models/DefenseSession');
+const logger = require('../config/logger');
+
+const isAdminUser = (user) => user?.isAdmin === true || user?.role === 'admin';
+
+/**
+ * Load a booked defense slot with its session and project, and the current user
+ * @returns {Promise<Object>} { session, slot, project, user } - slot is null if not found
+ */
+const loadBooking = async (sessionId, slotId, uid) => {
+    const usersCollection = await getUsersCollection();
+    const user = await usersCollection.findOne({ uid });
+    if (!ObjectId.isValid(sessionId)) return { slot: null, user };
+
+    const defenseSessionsCollection = await getDefenseSessionsCollection();
+    const sessionDoc = await defenseSessionsCollection.findOne({ _id: new ObjectId(sessionId), status: 'scheduled' });
+    const session = sessionDoc ? new DefenseSession(sessionDoc) : null;
+    const slot = session?.getSlot(slotId) || null;
+    if (!slot) return { slot: null, user };
+
+    const projectsCollection = await getProjectsCollection();
+    const project = await projectsCollection.findOne({ _id: new ObjectId(slot.projectId) });
+    return { session, slot, project, user };
+};
+
+/**
+ * Recompute a grade's aggregate from its stored scores
+ * @returns {Promise<DefenseGrade>} The updated grade
+ */
+const refreshAggregate = async (gradeId) => {
+    const defenseGradesCollection = await getDefenseGradesCollection();
+    const grade = new DefenseGrade(await defenseGradesCollection.findOne({ _id: gradeId }));
+    grade.aggregate = {
+        ...aggregateScores(grade.scores),
+        criteria: averageByCriterion(grade.rubric.criteria, grade.scores)
+    };
+
+    await defenseGradesCollection.updateOne(
+        { _id: gradeId, status: 'open' },
+        { $set: { aggregate: grade.aggregate } }
+    );
+    return grade;
+};
+
+/**
+ * Get the rubric of each defense phase (admin only)
+ * GET /api/admin/rubrics
+ */
+const getRubrics = async (req, res) => {
+    try {
+        const rubricsCollection = await getRubricsCollection();
+        const rubrics = await rubricsCollection.find({}).toArray();
+
+        res.json({
+            success: true,
+            phases: DefenseSession.PHASES,
+            spreadThreshold: SPREAD_THRESHOLD,
+            rubrics: rubrics.map(r => new Rubric(r).toJSON())
+        });
+    } catch (error) {
+        logger.error('Error fetching rubrics:', { error: error.message });
+        res.status(500).json({
+            message: 'Error fetching rubrics',
+            code: 'FETCH_RUBRICS_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Create or replace the rubric of a defense phase (admin only)
+ * PUT /api/admin/rubrics/:phase
+ * Grades already started keep the rubric version they were scored against
+ */
+const saveRubric = async (req, res) => {
+    try {
+        const { phase } = req.params;
+        if (!DefenseSession.PHASES.includes(phase)) {
+            return res.status(400).json({ message: `Phase must be one of: ${DefenseSession.PHASES.join(', ')}` });
+        }
+
+        const { error, value } = rubricSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                message: 'Invalid rubric',
+                errors: error.details.map(d => d.message)
+            });
+        }
+
+        const problems = new Rubric({ phase, ...value }).validate();
+        if (problems.length > 0) {
+            return res.status(400).json({
+                message: 'Invalid rubric',
+                errors: problems
+            });
+        }
+
+        const rubricsCollection = await getRubricsCollection();
+        const current = await rubricsCollection.findOne({ phase });
+        const now = new Date();
+        const rubric = new Rubric({
+            ...value,
+            phase,
+            version: current ? current.version + 1 : 1,
+            updatedBy: req.user.uid,
+            createdAt: current ? current.createdAt : now,
+            updatedAt: now
+        });
+
+        const rubricData = rubric.toJSON();
+        delete rubricData._id;
+        await rubricsCollection.replaceOne({ phase }, rubricData, { upsert: true });
+        await recordAudit(getAuditContext(req), {
+            action: 'rubric.save',
+            targetType: 'rubric',
+            targetId: phase,
+            before: current ? { version: current.version, criteria: current.criteria } : null,
+            after: { version: rubric.version, criteria: rubric.criteria }
+        });
+        logger.info(`Rubric for ${phase} updated to version ${rubric.version} by ${req.user.uid}`);
+
+        res.json({
+            success: true,
+            message: 'Rubric saved',
+            rubric: rubric.toJSON()
+        });
+    } catch (error) {
+        logger.error('Error saving rubric:', { error: error.message, phase: req.params.phase });
+        res.status(500).json({
+            message: 'Error saving rubric',
+            code: 'SAVE_RUBRIC_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Get the grade of a booked project
+ * GET /api/defenses/:id/slots/:slotId/grade
+ * The committee, the project supervisor and admins see every score; students see the final mark once finalized
+ */
+const getDefenseGrade = async (req, res) => {
+    try {
+        const { session, slot, project, user } = await loadBooking(req.params.id, req.params.slotId, req.user.uid);
+        if (!slot) {
+            return res.status(404).json({ message: 'Booking not found' });
+        }
+
+        const defenseGradesCollection = await getDefenseGradesCollection();
+        const gradeDoc = await defenseGradesCollection.findOne({ projectId: slot.projectId, phase: session.phase });
+        const grade = gradeDoc ? new DefenseGrade(gradeDoc) : null;
+
+        const isGrader = session.examinerIds.includes(req.user.uid)
+            || project?.supervisorId === req.user.uid
+            || isAdminUser(user);
+
+        if (!isGrader) {
+            if (!slot.participantIds.includes(req.user.uid)) {
+                return res.status(403).json({ message: 'Access denied' });
+            }
+            return res.json({ success: true, grade: grade ? grade.toStudentJSON() : null });
+        }
+
+        let rubric = grade?.rubric || null;
+        if (!rubric) {
+            const rubricsCollection = await getRubricsCollection();
+            const current = await rubricsCollection.findOne({ phase: session.phase });
+            rubric = current ? new Rubric(current).toSnapshot() : null;
+        }
+
+        res.json({
+            success: true,
+            grade: grade ? grade.toJSON() : null,
+            rubric,
+            missingExaminers: grade ? grade.getMissingExaminers(session.examinerIds) : session.examinerIds,
+            spreadThreshold: SPREAD_THRESHOLD
+        });
+    } catch (error) {
+        logger.error('Error fetching defense grade:', { error: error.message, id: req.params.id, slotId: req.params.slotId });
+        res.status(500).json({
+            message: 'Error fetching defense grade',
+            code: 'FETCH_DEFENSE_GRADE_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Submit or update the current examiner's scores for a booked project
+ * PUT /api/defenses/:id/slots/:slotId/scores
+ */
+const submitDefenseScores = async (req, res) => {
+    try {
+        const { error, value } = defenseScoresSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                message: 'Invalid scores',
+                errors: error.details.map(d => d.message)
+            });
+        }
+
+        const { session, slot, project } = await loadBooking(req.params.id, req.params.slotId, req.user.uid);
+        if (!slot) {
+            return res.status(404).json({ message: 'Booking not found' });
+        }
+        if (!session.examinerIds.includes(req.user.uid)) {
+            return res.status(403).json({ message: 'Only members of the examiner committee can submit scores' });
+        }
+        if (new Date(slot.startsAt) > new Date()) {
+            return res.status(400).json({ message: 'Scores can be submitted once the defense has started' });
+        }
+
+        const defenseGradesCollection = await getDefenseGradesCollection();
+        let gradeDoc = await defenseGradesCollection.findOne({ projectId: slot.projectId, phase: session.phase });
+
+        if (!gradeDoc) {
+            const rubricsCollection = await getRubricsCollection();
+            const rubric = await rubricsCollection.findOne({ phase: session.phase });
+            if (!rubric) {
+                return res.status(409).json({
+                    message: `No rubric has been defined for the ${session.phase.replace(/_/g, ' ')} defense yet`,
+                    code: 'RUBRIC_MISSING'
+                });
+            }
+
+            const gradeData = new DefenseGrade({
+                projectId: slot.projectId,
+                projectTitle: slot.projectTitle,
+                department: project?.department,
+                year: project?.year,
+                phase: session.phase,
+                sessionId: session._id,
+                slotId: slot._id,
+                rubric: new Rubric(rubric).toSnapshot()
+            }).toJSON();
+            delete gradeData._id;
+
+            // Another examiner may create the grade at the same moment
+            await defenseGradesCollection.updateOne(
+                { projectId: slot.projectId, phase: session.phase },
+                { $setOnInsert: gradeData },
+                { upsert: true }
+            );
+            gradeDoc = await defenseGradesCollection.findOne({ projectId: slot.projectId, phase: session.phase });
+        }
+
+        const grade = new DefenseGrade(gradeDoc);
+        if (grade.isFinalized()) {
+            return res.status(409).json({ message: 'Grades have been finalized and can no longer change', code: 'GRADE_FINALIZED' });
+        }
+
+        const problems = validateScores(grade.rubric.criteria, value.scores);
+        if (problems.length > 0) {
+            return res.status(400).json({
+                message: 'Invalid scores',
+                errors: problems
+            });
+        }
+
+        const now = new Date();
+        const previous = grade.scores.find(s => s.examinerId === req.user.uid);
+        const entry = {
+            examinerId: req.user.uid,
+            scores: value.scores,
+            total: computeExaminerTotal(grade.rubric.criteria, value.scores),
+            comments: value.comments,
+            submittedAt: previous ? previous.submittedAt : now,
+            updatedAt: now
+        };
+
+        const result = previous
+            ? await defenseGradesCollection.updateOne(
+                { _id: grade._id, status: 'open', 'scores.examinerId': req.user.uid },
+                { $set: { 'scores.$': entry, updatedAt: now } }
+            )
+            : await defenseGradesCollection.updateOne(
+                { _id: grade._id, status: 'open', 'scores.examinerId': { $ne: req.user.uid } },
+                { $push: { scores: entry }, $set: { updatedAt: now } }
+            );
+        if (result.matchedCount === 0) {
+            return res.status(409).json({ message: 'The grade changed in the meantime. Reload and try again.', code: 'GRADE_CHANGED' });
+        }
+
+        const updated = await refreshAggregate(grade._id);
+
+        res.json({
+            success: true,
+            message: 'Scores saved',
+            score: entry,
+            aggregate: updated.aggregate,
+            missingExaminers: updated.getMissingExaminers(session.examinerIds)
+        });
+    } catch (error) {
+        logger.error('Error submitting defense scores:', { error: error.message, id: req.params.id, slotId: req.params.slotId });
+        res.status(500).json({
+            message: 'Error submitting defense scores',
+            code: 'SUBMIT_DEFENSE_SCORES_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Lock a project's grade once every examiner has scored it (an examiner or an admin)
+ * POST /api/defenses/:id/slots/:slotId/grade/finalize
+ */
+const finalizeDefenseGrade = async (req, res) => {
+    try {
+        const { error, value } = gradeFinalizeSchema.validate(req.body || {});
+        if (error) {
+            return res.status(400).json({
+                message: 'Invalid request',
+                errors: error.details.map(d => d.message)
+            });
+        }
+
+        const { session, slot, project, user } = await loadBooking(req.params.id, req.params.slotId, req.user.uid);
+        if (!slot) {
+            return res.status(404).json({ message: 'Booking not found' });
+        }
+        if (!session.examinerIds.includes(req.user.uid) && !isAdminUser(user)) {
+            return res.status(403).json({ message: 'Only the examiner committee or an admin can finalize grades' });
+        }
+
+        const defenseGradesCollection = await getDefenseGradesCollection();
+        const gradeDoc = await defenseGradesCollection.findOne({ projectId: slot.projectId, phase: session.phase });
+        if (!gradeDoc) {
+            return res.status(409).json({ message: 'No scores have been submitted yet', code: 'GRADE_INCOMPLETE', missingExaminers: session.examinerIds });
+        }
+        if (gradeDoc.status === 'finalized') {
+            return res.status(409).json({ message: 'Grades have already been finalized', code: 'GRADE_FINALIZED' });
+        }
+
+        const grade = await refreshAggregate(gradeDoc._id);
+        const missingExaminers = grade.getMissingExaminers(session.examinerIds);
+        if (missingExaminers.length > 0) {
+            return res.status(409).json({
+                message: 'Every member of the examiner committee must submit scores first',
+                code: 'GRADE_INCOMPLETE',
+                missingExaminers
+            });
+        }
+
+        if (grade.aggregate.flagged && !value.acknowledgeSpread) {
+            return res.status(409).json({
+                message: `Examiner totals differ by ${grade.aggregate.spread} points (threshold ${SPREAD_THRESHOLD}). Review the scores or acknowledge the spread to finalize.`,
+                code: 'GRADE_SPREAD_FLAGGED',
+                aggregate: grade.aggregate
+            });
+        }
+
+        const now = new Date();
+        const result = await defenseGradesCollection.updateOne(
+            { _id: grade._id, status: 'open' },
+            { $set: { status: 'finalized', finalizedBy: req.user.uid, finalizedAt: now, updatedAt: now } }
+        );
+        if (result.matchedCount === 0) {
+            return res.status(409).json({ message: 'Grades have already been finalized', code: 'GRADE_FINALIZED' });
+        }
+
+        await recordAudit(getAuditContext(req, user), {
+            action: 'defense_grade.finalize',
+            targetType: 'defense_grade',
+            targetId: grade._id,
+            before: { status: 'open' },
+            after: { status: 'finalized', mean: grade.aggregate.mean },
+            metadata: { projectId: slot.projectId, phase: session.phase, spread: grade.aggregate.spread, spreadAcknowledged: grade.aggregate.flagged }
+        });
+
+        try {
+            await Promise.all(slot.participantIds.map(uid => createDefenseNotification(
+                uid,
+                req.user.uid,
+                session,
+                `Your ${session.phase.replace(/_/g, ' ')} defense grade for "${slot.projectTitle}" has been finalized.`,
+                project
+            )));
+        } catch (notifError) {
+            logger.warn('Could not send grade notifications:', { error: notifError.message, projectId: slot.projectId });
+        }
+        await emitWebhookEvent('defense.grade_finalized', {
+            sessionId: String(session._id),
+            slotId: String(slot._id),
+            phase: session.phase,
+            projectId: slot.projectId,
+            projectTitle: slot.projectTitle,
+            mean: grade.aggregate.mean,
+            examinerCount: grade.aggregate.examinerCount,
+            finalizedBy: req.user.uid
+        });
+        logger.info(`Grade for project ${slot.projectId} (${session.phase}) finalized by ${req.user.uid}`);
+
+        res.json({
+            success: true,
+            message: 'Grades finalized',
+            grade: { ...grade.toJSON(), status: 'finalized', finalizedBy: req.user.uid, finalizedAt: now }
+        });
+    } catch (error) {
+        logger.error('Error finalizing defense grade:', { error: error.message, id: req.params.id, slotId: req.params.slotId });
+        res.status(500).json({
+            message: 'Error finalizing defense grade',
+            code: 'FINALIZE_DEFENSE_GRADE_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Export the grade sheet of a term as CSV (admin only)
+ * GET /api/admin/grades/export?year=2025&phase=final_submission&department=CSE
+ */
+const exportGradeSheet = async (req, res) => {
+    try {
+        const year = parseInt(req.query.year, 10);
+        if (isNaN(year)) {
+            return res.status(400).json({ message: 'year is required' });
+        }
+
+        const filter = { year };
+        if (DefenseSession.PHASES.includes(req.query.phase)) filter.phase = req.query.phase;
+        if (typeof req.query.department === 'string' && req.query.department.trim()) {
+            filter.department = req.query.department.trim();
+        }
+
+        const defenseGradesCollection = await getDefenseGradesCollection();
+        const grades = await defenseGradesCollection
+            .find(filter)
+            .sort({ department: 1, phase: 1, projectTitle: 1 })
+            .toArray();
+
+        const projectsCollection = await getProjectsCollection();
+        const projects = await projectsCollection
+            .find({ _id: { $in: grades.map(g => new ObjectId(g.projectId)) } })
+            .project({ authorId: 1, studentIds: 1 })
+            .toArray();
+        const projectMap = new Map(projects.map(p => [String(p._id), p]));
+
+        const uids = [...new Set([
+            ...projects.flatMap(p => [p.authorId, ...(p.studentIds || [])]),
+            ...grades.flatMap(g => (g.scores || []).map(s => s.examinerId))
+        ].filter(Boolean))];
+        const usersCollection = await getUsersCollection();
+        const users = await usersCollection
+            .find({ uid: { $in: uids } })
+            .project({ uid: 1, name: 1, displayName: 1, email: 1 })
+            .toArray();
+        const nameOf = (uid) => {
+            const u = users.find(user => user.uid === uid);
+            return u ? (u.name || u.displayName || u.email) : uid;
+        };
+
+        const headers = [
+            'Project ID', 'Project Title', 'Department', 'Year', 'Phase', 'Students', 'Examiners',
+            'Rubric Version', 'Mean', 'Min', 'Max', 'Spread', 'Spread Flagged', 'Status', 'Finalized At'
+        ];
+        const rows = grades.map(g => {
+            const project = projectMap.get(g.projectId);
+            const students = project ? [...new Set([project.authorId, ...(project.studentIds || [])].filter(Boolean))] : [];
+            const aggregate = g.aggregate || {};
+            return [
+                g.projectId,
+                g.projectTitle,
+                g.department,
+                g.year,
+                g.phase,
+                students.map(nameOf).join('; '),
+                (g.scores || []).map(s => nameOf(s.examinerId)).join('; '),
+                g.rubric?.version,
+                aggregate.mean,
+                aggregate.min,
+                aggregate.max,
+                aggregate.spread,
+                aggregate.flagged ? 'yes' : 'no',
+                g.status,
+                g.finalizedAt
+            ];
+        });
+
+        const filename = ['grades', year, filter.phase, filter.department].filter(Boolean).join('-').replace(/[^A-Za-z0-9_-]/g, '_');
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+        res.send(toCsv(headers, rows));
+    } catch (error) {
+        logger.error('Error exporting grade sheet:', { error: error.message, year: req.query.year });
+        res.status(500).json({
+            message: 'Error exporting grade sheet',
+            code: 'EXPORT_GRADES_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+module.exports = {
+    getRubrics,
+    saveRubric,
+    getDefenseGrade,
+    submitDefenseScores,
+    finalizeDefenseGrade,
+    exportGradeSheet,
+};
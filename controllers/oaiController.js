@@ -0,0 +1,387 @@
+// OAI-PMH Controller
+// Exposes the public thesis vault to repository harvesters (OAI-PMH 2.0, oai_dc)
+
+const {
+    getProjectsCollection,
+    getOaiDeletedRecordsCollection,
+    ObjectId
+} = require('../config/database');
+const {
+    REPOSITORY_NAME,
+    ADMIN_EMAIL,
+    PAGE_SIZE,
+    OAI_DC,
+    escapeXml,
+    toDatestamp,
+    parseDatestamp,
+    slugify,
+    getSetSpecs,
+    toIdentifier,
+    fromIdentifier,
+    encodeResumptionToken,
+    decodeResumptionToken,
+    renderHeader,
+    renderDublinCore,
+    renderEnvelope,
+    renderError
+} = require('../utils/oaiPmh');
+const { loadCitations } = require('../utils/citationLoader');
+const Project = require('../models/Project');
+const logger = require('../config/logger');
+
+// Arguments each verb accepts (besides verb itself)
+const VERB_ARGUMENTS = {
+    Identify: { required: [], optional: [] },
+    ListMetadataFormats: { required: [], optional: ['identifier'] },
+    ListSets: { required: [], optional: [], exclusive: 'resumptionToken' },
+    ListIdentifiers: { required: ['metadataPrefix'], optional: ['from', 'until', 'set'], exclusive: 'resumptionToken' },
+    ListRecords: { required: ['metadataPrefix'], optional: ['from', 'until', 'set'], exclusive: 'resumptionToken' },
+    GetRecord: { required: ['identifier', 'metadataPrefix'], optional: [] }
+};
+
+// Thrown by verb handlers to answer with OAI-PMH error elements
+class OaiError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+const vaultFilter = () => ({
+    visibility: 'public',
+    status: { $in: Project.VAULT_STATUSES }
+});
+
+/**
+ * Check a request's arguments against what its verb accepts
+ * @returns {string|null} Error message, or null if the arguments are valid
+ */
+const checkArguments = (verb, args) => {
+    const spec = VERB_ARGUMENTS[verb];
+    const names = Object.keys(args).filter(name => name !== 'verb');
+
+    const repeated = names.find(name => Array.isArray(args[name]));
+    if (repeated) return `Argument "${repeated}" is repeated`;
+
+    if (spec.exclusive && names.includes(spec.exclusive)) {
+        return names.length === 1 ? null : `${spec.exclusive} is an exclusive argument`;
+    }
+
+    const allowed = [...spec.required, ...spec.optional];
+    const illegal = names.find(name => !allowed.includes(name));
+    if (illegal) return `Illegal argument "${illegal}" for ${verb}`;
+
+    const missing = spec.required.find(name => !args[name]);
+    if (missing) return `Missing required argument "${missing}"`;
+
+    return null;
+};
+
+/**
+ * Resolve a setSpec to a project filter
+ * Departments are stored by name, so department:<slug> is matched against the known department names
+ */
+const buildSetFilter = async (set) => {
+    const [type, value] = set.split(':');
+
+    // Top-level sets of the hierarchy contain every record with that field
+    if (['department', 'year'].includes(type) && value === undefined) {
+        return { [type]: { $nin: [null, ''] } };
+    }
+
+    if (type === 'year' && /^\d{4}$/.test(value || '')) {
+        return { year: parseInt(value, 10) };
+    }
+
+    if (type === 'department' && value) {
+        const projectsCollection = await getProjectsCollection();
+        const departments = await projectsCollection.distinct('department', vaultFilter());
+        const names = departments.filter(name => slugify(name) === value);
+        return { department: { $in: names } };
+    }
+
+    return null;
+};
+
+/**
+ * Render a full <record> for live projects
+ */
+const renderRecords = async (projects, withMetadata) => {
+    const citations = withMetadata ? await loadCitations(projects) : [];
+
+    return projects.map((project, index) => {
+        const header = renderHeader({
+            identifier: toIdentifier(project._id),
+            datestamp: project.updatedAt || project.createdAt,
+            setSpecs: getSetSpecs(project)
+        });
+        if (!withMetadata) return header;
+        return `<record>${header}<metadata>${renderDublinCore(citations[index], project)}</metadata></record>`;
+    });
+};
+
+const renderDeletedRecords = (tombstones, withMetadata) => tombstones.map(tombstone => {
+    const header = renderHeader({
+        identifier: tombstone.identifier,
+        datestamp: tombstone.datestamp,
+        setSpecs: tombstone.sets,
+        deleted: true
+    });
+    return withMetadata ? `<record>${header}</record>` : header;
+});
+
+const identify = async (baseURL) => {
+    const projectsCollection = await getProjectsCollection();
+    const [earliest] = await projectsCollection
+        .find(vaultFilter(), { projection: { updatedAt: 1 } })
+        .sort({ updatedAt: 1 })
+        .limit(1)
+        .toArray();
+
+    return [
+        '<Identify>',
+        `<repositoryName>${escapeXml(REPOSITORY_NAME)}</repositoryName>`,
+        `<baseURL>${escapeXml(baseURL)}</baseURL>`,
+        '<protocolVersion>2.0</protocolVersion>',
+        `<adminEmail>${escapeXml(ADMIN_EMAIL)}</adminEmail>`,
+        `<earliestDatestamp>${toDatestamp(earliest?.updatedAt || new Date(0))}</earliestDatestamp>`,
+        '<deletedRecord>persistent</deletedRecord>',
+        '<granularity>YYYY-MM-DDThh:mm:ssZ</granularity>',
+        '</Identify>'
+    ].join('');
+};
+
+/**
+ * Look up a record by OAI identifier
+ * @returns {Promise<Object>} { project } for live records or { tombstone } for deleted ones
+ */
+const findRecord = async (identifier) => {
+    const projectId = fromIdentifier(identifier);
+    if (!projectId || !ObjectId.isValid(projectId)) {
+        throw new OaiError('idDoesNotExist', `No record with identifier ${identifier}`);
+    }
+
+    const projectsCollection = await getProjectsCollection();
+    const project = await projectsCollection.findOne({ _id: new ObjectId(projectId), ...vaultFilter() });
+    if (project) return { project };
+
+    const deletedRecordsCollection = await getOaiDeletedRecordsCollection();
+    const tombstone = await deletedRecordsCollection.findOne({ projectId: new ObjectId(projectId) });
+    if (tombstone) return { tombstone };
+
+    throw new OaiError('idDoesNotExist', `No record with identifier ${identifier}`);
+};
+
+const listMetadataFormats = async ({ identifier }) => {
+    if (identifier) await findRecord(identifier);
+
+    return [
+        '<ListMetadataFormats><metadataFormat>',
+        `<metadataPrefix>${OAI_DC.metadataPrefix}</metadataPrefix>`,
+        `<schema>${OAI_DC.schema}</schema>`,
+        `<metadataNamespace>${OAI_DC.metadataNamespace}</metadataNamespace>`,
+        '</metadataFormat></ListMetadataFormats>'
+    ].join('');
+};
+
+const listSets = async ({ resumptionToken }) => {
+    if (resumptionToken) {
+        throw new OaiError('badResumptionToken', 'The set list is returned in a single response');
+    }
+
+    const projectsCollection = await getProjectsCollection();
+    const [departments, years] = await Promise.all([
+        projectsCollection.distinct('department', vaultFilter()),
+        projectsCollection.distinct('year', vaultFilter())
+    ]);
+
+    const sets = [['department', 'Departments'], ['year', 'Years']];
+    const seen = new Set();
+    departments.filter(Boolean).sort().forEach(name => {
+        const spec = `department:${slugify(name)}`;
+        if (seen.has(spec)) return;
+        seen.add(spec);
+        sets.push([spec, `Department of ${name}`]);
+    });
+    years.filter(Boolean).sort((a, b) => b - a).forEach(year => {
+        sets.push([`year:${year}`, `Year ${year}`]);
+    });
+
+    return [
+        '<ListSets>',
+        ...sets.map(([spec, name]) => `<set><setSpec>${escapeXml(spec)}</setSpec><setName>${escapeXml(name)}</setName></set>`),
+        '</ListSets>'
+    ].join('');
+};
+
+/**
+ * ListIdentifiers / ListRecords
+ * Live vault records (oldest change first) are followed by deleted records; the offset walks across both
+ */
+const listRecords = async (verb, args) => {
+    let state;
+    if (args.resumptionToken) {
+        state = decodeResumptionToken(args.resumptionToken);
+        if (!state || state.verb !== verb) {
+            throw new OaiError('badResumptionToken', 'The resumption token is invalid or has expired');
+        }
+    } else {
+        state = {
+            verb,
+            metadataPrefix: args.metadataPrefix,
+            from: args.from,
+            until: args.until,
+            set: args.set,
+            offset: 0
+        };
+    }
+
+    if (state.metadataPrefix !== OAI_DC.metadataPrefix) {
+        throw new OaiError('cannotDisseminateFormat', `Metadata format "${state.metadataPrefix}" is not supported`);
+    }
+
+    const from = state.from ? parseDatestamp(state.from) : null;
+    const until = state.until ? parseDatestamp(state.until, true) : null;
+    if ((state.from && !from) || (state.until && !until)) {
+        throw new OaiError('badArgument', 'from and until must be YYYY-MM-DD or YYYY-MM-DDThh:mm:ssZ');
+    }
+    if (from && until && from.granularity !== until.granularity) {
+        throw new OaiError('badArgument', 'from and until must have the same granularity');
+    }
+    if (from && until && from.date > until.date) {
+        throw new OaiError('badArgument', 'from must not be later than until');
+    }
+
+    const liveFilter = vaultFilter();
+    const deletedFilter = {};
+    if (from || until) {
+        const range = {};
+        if (from) range.$gte = from.date;
+        if (until) range.$lte = until.date;
+        liveFilter.updatedAt = range;
+        deletedFilter.datestamp = range;
+    }
+    if (state.set) {
+        const setFilter = await buildSetFilter(state.set);
+        if (!setFilter) {
+            throw new OaiError('badArgument', `Unknown set "${state.set}"`);
+        }
+        Object.assign(liveFilter, setFilter);
+        deletedFilter.sets = state.set.includes(':') ? state.set : { $regex: `^${state.set}:` };
+    }
+
+    const projectsCollection = await getProjectsCollection();
+    const deletedRecordsCollection = await getOaiDeletedRecordsCollection();
+    const [liveCount, deletedCount] = await Promise.all([
+        projectsCollection.countDocuments(liveFilter),
+        deletedRecordsCollection.countDocuments(deletedFilter)
+    ]);
+    const completeListSize = liveCount + deletedCount;
+
+    if (completeListSize === 0) {
+        throw new OaiError('noRecordsMatch', 'No records match the request');
+    }
+    if (state.offset >= completeListSize) {
+        throw new OaiError('badResumptionToken', 'The resumption token is past the end of the list');
+    }
+
+    const withMetadata = verb === 'ListRecords';
+    const items = [];
+
+    if (state.offset < liveCount) {
+        const projects = await projectsCollection
+            .find(liveFilter)
+            .sort({ updatedAt: 1, _id: 1 })
+            .skip(state.offset)
+            .limit(PAGE_SIZE)
+            .toArray();
+        items.push(...await renderRecords(projects, withMetadata));
+    }
+
+    if (items.length < PAGE_SIZE && deletedCount > 0) {
+        const tombstones = await deletedRecordsCollection
+            .find(deletedFilter)
+            .sort({ datestamp: 1, _id: 1 })
+            .skip(Math.max(0, state.offset - liveCount))
+            .limit(PAGE_SIZE - items.length)
+            .toArray();
+        items.push(...renderDeletedRecords(tombstones, withMetadata));
+    }
+
+    const nextOffset = state.offset + items.length;
+    let token = '';
+    if (nextOffset < completeListSize) {
+        token = `<resumptionToken completeListSize="${completeListSize}" cursor="${state.offset}">${encodeResumptionToken({ ...state, offset: nextOffset })}</resumptionToken>`;
+    } else if (state.offset > 0) {
+        // Last page of an incomplete list: an empty token tells the harvester it is done
+        token = `<resumptionToken completeListSize="${completeListSize}" cursor="${state.offset}"/>`;
+    }
+
+    return `<${verb}>${items.join('')}${token}</${verb}>`;
+};
+
+const getRecord = async ({ identifier, metadataPrefix }) => {
+    const { project, tombstone } = await findRecord(identifier);
+
+    if (metadataPrefix !== OAI_DC.metadataPrefix) {
+        throw new OaiError('cannotDisseminateFormat', `Metadata format "${metadataPrefix}" is not supported`);
+    }
+
+    const [record] = project
+        ? await renderRecords([project], true)
+        : renderDeletedRecords([tombstone], true);
+
+    return `<GetRecord>${record}</GetRecord>`;
+};
+
+/**
+ * Handle an OAI-PMH request
+ * GET|POST /api/oai?verb=...
+ * Protocol errors are returned as OAI-PMH <error> elements with HTTP 200, as the spec requires
+ */
+const handleOaiRequest = async (req, res) => {
+    const args = (req.method === 'POST' ? req.body : req.query) || {};
+    const baseURL = process.env.OAI_BASE_URL || `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+    const { verb } = args;
+
+    const send = (requestArgs, body) => {
+        res.type('text/xml');
+        res.send(renderEnvelope({ baseURL, requestArgs, body }));
+    };
+
+    if (typeof verb !== 'string' || !VERB_ARGUMENTS[verb]) {
+        return send(null, renderError('badVerb', verb ? `Illegal verb "${verb}"` : 'Missing verb argument'));
+    }
+
+    const argumentError = checkArguments(verb, args);
+    if (argumentError) {
+        return send(null, renderError('badArgument', argumentError));
+    }
+
+    try {
+        let body;
+        switch (verb) {
+            case 'Identify': body = await identify(baseURL); break;
+            case 'ListMetadataFormats': body = await listMetadataFormats(args); break;
+            case 'ListSets': body = await listSets(args); break;
+            case 'GetRecord': body = await getRecord(args); break;
+            default: body = await listRecords(verb, args);
+        }
+        send(args, body);
+    } catch (error) {
+        if (error instanceof OaiError) {
+            return send(args, renderError(error.code, error.message));
+        }
+
+        logger.error('Error handling OAI-PMH request:', { error: error.message, verb });
+        res.status(500).json({
+            message: 'Error handling OAI-PMH request',
+            code: 'OAI_PMH_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+module.exports = {
+    handleOaiRequest,
+};
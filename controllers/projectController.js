@@ -1,14 +1,33 @@
 // Project Controller
 // Handles all project-related business logic
+const { Readable } = require('stream');
 const { getProjectsCollection, getUsersCollection, getNotificationsCollection, getActivitiesCollection, ObjectId } = require('../config/database');
 const Project = require('../models/Project');
 const logger = require('../config/logger');
 const { stripHtml, getPlainTextLength } = require('../utils/htmlStrip');
 const {
     createNotification,
-    createProjectSubmissionNotification,
     createProjectStatusUpdateNotification
 } = require('../utils/notificationHelper');
+const { indexProjectPdf, removeProjectFullText } = require('../utils/fullTextIndex');
+const { findDuplicates, indexProjectFingerprint, removeProjectFingerprint } = require('../utils/fingerprintIndex');
+const { syncOaiRecord } = require('../utils/oaiRecords');
+const { invalidateRelatedProjects } = require('../utils/relatedProjects');
+const { recordRevision, removeProjectRevisions } = require('../utils/projectRevisions');
+const { getWorkflow, resolveState, transitionProject } = require('../utils/workflowEngine');
+const { getAuditContext, recordAudit } = require('../utils/auditLog');
+const { emitProjectTransition } = require('../utils/webhooks');
+const { saveFile, statFile, openFile, readFile } = require('../utils/storage');
+const { buildEtag, sendStoredFile } = require('../utils/fileResponse');
+const { getPdfAccess, getViewer } = require('../utils/projectAccess');
+const { tombstoneProjectHandle } = require('../utils/thesisHandles');
+const { getWatermarkText, getWatermarkedPdf } = require('../utils/pdfWatermark');
+const { StorageNotConfiguredError, NotFoundError } = require('../errors/AppError');
+
+// A missing storage setup is reported as such instead of a generic upload failure
+const sendUploadError = (res, uploadError) => (uploadError instanceof StorageNotConfiguredError
+    ? res.status(503).json({ message: 'File uploads are unavailable: storage is not configured', code: 'STORAGE_NOT_CONFIGURED' })
+    : res.status(500).json({ message: 'Failed to upload PDF file. Please try again.', code: 'UPLOAD_ERROR' }));
 
 /**
  * Get all projects with optional filters
@@ -31,22 +50,22 @@ exports.getAllProjects = async (req, res) => {
             }
         }
 
-        // Filter by status (default to approved for non-authenticated users)
+        // Filter by status (default to vault projects for non-authenticated users)
         let statusFilter = null;
         if (isAdmin) {
             // Admins can see all projects - no status filter
             logger.debug('Admin user fetching all projects');
         } else if (req.user && req.user.uid) {
-            // Authenticated users can see approved projects AND their own pending projects
+            // Authenticated users can see vault projects AND their own projects in any state
             statusFilter = {
                 $or: [
-                    { status: 'approved' },
-                    { status: 'pending', authorId: req.user.uid }
+                    { status: { $in: Project.VAULT_STATUSES } },
+                    { authorId: req.user.uid }
                 ]
             };
         } else {
-            // Non-authenticated users only see approved projects
-            query.status = 'approved';
+            // Non-authenticated users only see vault projects
+            query.status = { $in: Project.VAULT_STATUSES };
         }
 
         // Apply filters with sanitization to prevent NoSQL injection
@@ -116,12 +135,8 @@ exports.getAllProjects = async (req, res) => {
 
         // Log status distribution for debugging (especially for admins)
         if (isAdmin) {
-            const statusCounts = {
-                pending: projects.filter(p => p.status === 'pending').length,
-                approved: projects.filter(p => p.status === 'approved').length,
-                rejected: projects.filter(p => p.status === 'rejected').length,
-            };
-            logger.debug('Admin view project status distribution', statusCounts);
+            const workflow = await getWorkflow();
+            logger.debug('Admin view project status distribution', workflow.countByState(projects));
         }
 
         res.json(projects.map(p => new Project(p).toJSON()));
@@ -156,15 +171,32 @@ exports.getProjectById = async (req, res) => {
             });
         }
 
-        // Only show approved projects to non-authenticated users
-        if (!req.user && project.status !== 'approved') {
+        // Only show vault projects to non-authenticated users
+        if (!req.user && !Project.VAULT_STATUSES.includes(project.status)) {
             return res.status(403).json({
                 message: 'Project not available',
                 code: 'ACCESS_DENIED'
             });
         }
 
-        res.json(new Project(project).toJSON());
+        // The duplicate check is for whoever reviews the project
+        // (checks stored before matchedProjectIds existed hold full matches - only their IDs are passed on)
+        const viewer = await getViewer(req.user?.uid || null);
+        const reviewer = viewer && (viewer.isAdmin || (Boolean(project.supervisorId) && project.supervisorId === viewer.uid));
+        const check = project.duplicateCheck;
+
+        res.json({
+            ...new Project(project).toJSON(),
+            ...(reviewer ? {
+                duplicateCheck: check ? {
+                    isDuplicate: check.isDuplicate,
+                    highestMatch: check.highestMatch,
+                    threshold: check.threshold,
+                    matchedProjectIds: check.matchedProjectIds || (check.matches || []).map(m => m.projectId).filter(Boolean),
+                    checkedAt: check.checkedAt
+                } : null
+            } : {})
+        });
     } catch (error) {
         logger.error('Error fetching project by ID:', { error: error.message, id: req.params.id });
         res.status(500).json({
@@ -238,17 +270,17 @@ exports.createProject = async (req, res) => {
             return res.status(400).json({ message: 'Project abstract must be less than 5000 characters', code: 'VALIDATION_ERROR' });
         }
 
-        let pdfUrl = '';
+        let pdfKey = '';
         if (req.file) {
             try {
-                const { uploadToCloudinary } = require('../utils/cloudinary');
-                pdfUrl = await uploadToCloudinary(req.file.buffer, req.file.originalname);
-                if (!pdfUrl) {
-                    return res.status(500).json({ message: 'Failed to upload PDF file. Please try again.', code: 'UPLOAD_ERROR' });
-                }
+                pdfKey = await saveFile(req.file.buffer, {
+                    folder: 'projects',
+                    filename: req.file.originalname,
+                    contentType: req.file.mimetype
+                });
             } catch (uploadError) {
                 logger.error('PDF upload error during project creation:', { error: uploadError.message, uid: req.user.uid });
-                return res.status(500).json({ message: 'Failed to upload PDF file. Please try again.', code: 'UPLOAD_ERROR' });
+                return sendUploadError(res, uploadError);
             }
         }
 
@@ -343,6 +375,27 @@ exports.createProject = async (req, res) => {
             }
         }
 
+        // Automatic near-duplicate check against the fingerprint index
+        // The project keeps only the outcome and matched IDs - passages are shown to the submitter once
+        let duplicateCheck = null;
+        let duplicateMatches = [];
+        try {
+            const result = await findDuplicates(abstract, { viewer: await getViewer(req.user.uid) });
+            duplicateMatches = result.matches;
+            duplicateCheck = {
+                isDuplicate: result.isDuplicate,
+                highestMatch: result.highestMatch,
+                threshold: result.threshold,
+                matchedProjectIds: result.matchIds,
+                checkedAt: new Date()
+            };
+            if (result.isDuplicate) {
+                logger.warn('Possible duplicate project submitted', { uid: req.user.uid, highestMatch: result.highestMatch });
+            }
+        } catch (duplicateError) {
+            logger.warn('Could not run duplicate check for new project:', { error: duplicateError.message, uid: req.user.uid });
+        }
+
         const projectData = {
             title,
             abstract,
@@ -354,9 +407,10 @@ exports.createProject = async (req, res) => {
             supervisorDepartment, // Denormalized for filtering
             year: validatedYear,
             githubLink,
-            pdfUrl,
+            pdfKey,
             tags,
-            status: 'pending',
+            status: (await getWorkflow()).initialState,
+            duplicateCheck,
             createdAt: new Date(),
             updatedAt: new Date(),
         };
@@ -379,19 +433,33 @@ exports.createProject = async (req, res) => {
             return res.status(500).json({ message: 'Project created but could not be retrieved', code: 'DB_RETRIEVAL_ERROR' });
         }
 
-        // Create notification for admin
-        try {
-            await createProjectSubmissionNotification(
-                req.user.uid,
-                project.author || req.user.name || req.user.displayName || 'A student',
-                project.title,
-                project._id
-            );
-        } catch (notifError) {
-            logger.warn('Could not send admin notification for new project:', { error: notifError.message, projectId: project._id });
-        }
+        await indexProjectFingerprint(project._id, project.abstract);
+        await recordRevision(null, project, {
+            authorId: req.user.uid,
+            authorName: project.author,
+            changeType: 'create'
+        });
 
-        res.status(201).json({ message: 'Project submitted successfully', project: new Project(project).toJSON() });
+        // Make the PDF body searchable in the thesis vault
+        if (req.file) {
+            await indexProjectPdf(project._id, req.file.buffer);
+        }
+
+        // New projects start as drafts - submission events are sent by the workflow's 'submit' transition
+        res.status(201).json({
+            message: 'Project created as a draft. Submit it for review when it is ready.',
+            project: new Project(project).toJSON(),
+            duplicateCheck: duplicateCheck && {
+                isDuplicate: duplicateCheck.isDuplicate,
+                highestMatch: duplicateCheck.highestMatch,
+                threshold: duplicateCheck.threshold,
+                matches: duplicateMatches,
+                checkedAt: duplicateCheck.checkedAt
+            },
+            warning: duplicateCheck?.isDuplicate
+                ? 'Potential duplicate thesis detected. Please review similar projects before proceeding.'
+                : null
+        });
     } catch (error) {
         logger.error('Error creating project:', { error: error.message, uid: req.user.uid });
         res.status(500).json({
@@ -403,16 +471,15 @@ exports.createProject = async (req, res) => {
 };
 
 /**
- * Update project status (admin or owner)
+ * Update project status through the workflow definition (roles and guards per transition)
  */
 exports.updateProjectStatus = async (req, res) => {
     try {
         const projectsCollection = await getProjectsCollection();
         const usersCollection = await getUsersCollection();
 
-        // Check if user is admin
+        // User document decides the admin role
         const user = await usersCollection.findOne({ uid: req.user.uid });
-        const isAdmin = user?.isAdmin || false;
 
         let project;
         if (ObjectId.isValid(req.params.id)) {
@@ -425,35 +492,33 @@ exports.updateProjectStatus = async (req, res) => {
             return res.status(404).json({ message: 'Project not found' });
         }
 
-        // Check if user is admin or project owner
-        if (!isAdmin && project.authorId !== req.user.uid) {
-            return res.status(403).json({ message: 'Access denied' });
-        }
+        // Legacy clients still send 'pending' / 'rejected'; roles and guards come from the workflow
+        const workflow = await getWorkflow();
+        const status = resolveState(workflow, req.body.status);
 
-        const { status } = req.body;
-        if (!['pending', 'approved', 'rejected'].includes(status)) {
-            return res.status(400).json({ message: 'Invalid status' });
+        const result = await transitionProject(project, status, {
+            uid: req.user.uid,
+            user,
+            feedback: req.body.feedback || '',
+            audit: getAuditContext(req, user)
+        });
+        if (!result.success) {
+            return res.status(result.status).json({ message: result.message, code: result.code, ...result.details });
         }
-
-        await projectsCollection.updateOne(
-            { _id: project._id },
-            { $set: { status, updatedAt: new Date() } }
-        );
-
-        const updatedProject = await projectsCollection.findOne({ _id: project._id });
+        const updatedProject = result.project;
+        await emitProjectTransition(result, req.user.uid);
 
         // Create notification for student
-        if (status !== 'pending') { // Only notify if status changed to approved/rejected
-            try {
-                await createProjectStatusUpdateNotification(
-                    project.authorId,
-                    project.title,
-                    status,
-                    project._id
-                );
-            } catch (notifError) {
-                logger.warn('Could not send student notification for status update:', { error: notifError.message, projectId: project._id });
-            }
+        try {
+            await createProjectStatusUpdateNotification(
+                project.authorId,
+                project.title,
+                status,
+                project._id,
+                workflow.getState(status)?.label || status
+            );
+        } catch (notifError) {
+            logger.warn('Could not send student notification for status update:', { error: notifError.message, projectId: project._id });
         }
 
         res.json({ message: 'Project status updated', project: new Project(updatedProject).toJSON() });
@@ -518,6 +583,7 @@ exports.updateProject = async (req, res) => {
             if (!isNaN(year)) updateData.year = year;
         }
         if (req.body.githubLink) updateData.githubLink = String(req.body.githubLink).trim().substring(0, 500);
+        if (['public', 'private'].includes(req.body.visibility)) updateData.visibility = req.body.visibility;
 
         // Enhance updateProject to handle supervisorId
         if (req.body.supervisorId) {
@@ -540,12 +606,57 @@ exports.updateProject = async (req, res) => {
             }
         }
 
+        // Replace the PDF if a new one was uploaded
+        if (req.file) {
+            try {
+                updateData.pdfKey = await saveFile(req.file.buffer, {
+                    folder: 'projects',
+                    filename: req.file.originalname,
+                    contentType: req.file.mimetype
+                });
+            } catch (uploadError) {
+                logger.error('PDF upload error during project update:', { error: uploadError.message, projectId: id });
+                return sendUploadError(res, uploadError);
+            }
+        }
+
+        Object.assign(updateData, Project.publishUpdate(project, updateData));
+
         await projectsCollection.updateOne(
             { _id: project._id },
             { $set: updateData }
         );
 
+        if (updateData.abstract && updateData.abstract !== project.abstract) {
+            await indexProjectFingerprint(project._id, updateData.abstract);
+        }
+
+        if (req.file) {
+            await indexProjectPdf(project._id, req.file.buffer);
+        }
+
         const updatedProject = await projectsCollection.findOne({ _id: project._id });
+        await syncOaiRecord(project, updatedProject);
+        await invalidateRelatedProjects(project, updatedProject);
+        await recordRevision(project, updatedProject, {
+            authorId: req.user.uid,
+            authorName: user?.name || user?.displayName || '',
+            changeType: req.file ? 'pdf' : 'update' // 'pdf' marks updates that replaced the PDF
+        });
+
+        const changedFields = Object.keys(updateData).filter(key =>
+            key !== 'updatedAt' && JSON.stringify(updateData[key]) !== JSON.stringify(project[key])
+        );
+        if (changedFields.length > 0) {
+            await recordAudit(getAuditContext(req, user), {
+                action: 'project.update',
+                targetType: 'project',
+                targetId: project._id,
+                before: changedFields.reduce((acc, key) => ({ ...acc, [key]: project[key] ?? null }), {}),
+                after: changedFields.reduce((acc, key) => ({ ...acc, [key]: updateData[key] }), {})
+            });
+        }
+
         res.json({ message: 'Project updated successfully', project: new Project(updatedProject).toJSON() });
     } catch (error) {
         logger.error('Error updating project:', { error: error.message, projectId: req.params.id });
@@ -587,6 +698,19 @@ exports.deleteProject = async (req, res) => {
 
         // Delete project
         await projectsCollection.deleteOne({ _id: project._id });
+        await removeProjectFullText(project._id);
+        await removeProjectFingerprint(project._id);
+        await removeProjectRevisions(project._id);
+        await syncOaiRecord(project, null);
+        await invalidateRelatedProjects(project, null);
+        await tombstoneProjectHandle(project);
+
+        await recordAudit(getAuditContext(req, user), {
+            action: 'project.delete',
+            targetType: 'project',
+            targetId: project._id,
+            before: { title: project.title, status: project.status, authorId: project.authorId }
+        });
 
         res.json({ message: 'Project deleted successfully' });
     } catch (error) {
@@ -1160,9 +1284,10 @@ exports.deleteReply = async (req, res) => {
 
 
 /**
- * View PDF - Proxy endpoint to serve PDFs with inline disposition
+ * View PDF - streams the stored PDF for inline viewing
  * GET /api/projects/:id/pdf/view
- * Cloudinary raw resources force download, so we proxy them to allow inline viewing
+ * Vault PDFs are public unless embargoed; others need the caller to be on the project (see utils/projectAccess).
+ * Supports Range requests (progressive loading in PDF.js) and ETag/Last-Modified revalidation.
  */
 exports.viewPdf = async (req, res) => {
     try {
@@ -1179,37 +1304,57 @@ exports.viewPdf = async (req, res) => {
             return res.status(404).json({ message: 'Project not found' });
         }
 
-        if (!project.pdfUrl) {
-            return res.status(404).json({ message: 'PDF not found for this project' });
+        const access = await getPdfAccess(project, req.user?.uid || null);
+        if (access.reason === 'auth_required') {
+            return res.status(401).json({ message: 'Sign in to view this PDF', code: 'AUTH_REQUIRED' });
+        }
+        if (access.reason === 'embargoed') {
+            return res.status(403).json({
+                message: 'This PDF is under embargo',
+                code: 'PDF_EMBARGOED',
+                accessLevel: project.accessLevel,
+                embargoUntil: project.embargoUntil || null,
+                reason: project.embargoReason || ''
+            });
+        }
+        if (!access.allowed) {
+            return res.status(403).json({ message: 'You do not have access to this PDF', code: 'ACCESS_DENIED' });
         }
 
-        // Fetch PDF from Cloudinary
-        const https = require('https');
-        const http = require('http');
-        const url = require('url');
-
-        const pdfUrl = project.pdfUrl;
-        const parsedUrl = url.parse(pdfUrl);
-        const protocol = parsedUrl.protocol === 'https:' ? https : http;
+        if (!project.pdfKey) {
+            return res.status(404).json({ message: 'PDF not found for this project' });
+        }
 
-        protocol.get(pdfUrl, (cloudinaryResponse) => {
-            if (cloudinaryResponse.statusCode !== 200) {
-                return res.status(cloudinaryResponse.statusCode).json({
-                    message: 'Error fetching PDF from storage'
-                });
-            }
+        const stored = await statFile(project.pdfKey);
+        const file = {
+            size: stored.size,
+            etag: buildEtag(project.pdfKey),
+            lastModified: stored.lastModified,
+            contentType: 'application/pdf',
+            disposition: 'inline',
+            // Restricted PDFs are only revalidated, never reused without checking access again
+            cacheControl: Project.isInVault(project) && Project.getAccessLevel(project) === 'public'
+                ? 'public, max-age=3600'
+                : 'private, no-cache',
+            open: async (range) => (await openFile(project.pdfKey, range)).stream
+        };
 
-            // Set headers for inline PDF viewing
-            res.setHeader('Content-Type', 'application/pdf');
-            res.setHeader('Content-Disposition', 'inline');
+        if (access.watermark) {
+            const text = getWatermarkText(access.viewer);
+            const etag = buildEtag(project.pdfKey, text);
+            const watermarked = await getWatermarkedPdf(etag, () => readFile(project.pdfKey), text);
+            Object.assign(file, {
+                size: watermarked.length,
+                etag,
+                open: async (range) => Readable.from([range ? watermarked.subarray(range.start, range.end + 1) : watermarked])
+            });
+        }
 
-            // Pipe the PDF stream to response
-            cloudinaryResponse.pipe(res);
-        }).on('error', (error) => {
-            logger.error('HTTP Error fetching PDF from Cloudinary:', { error: error.message, projectId: req.params.id });
-            res.status(500).json({ message: 'Error loading PDF' });
-        });
+        await sendStoredFile(req, res, file);
     } catch (error) {
+        if (error instanceof NotFoundError) {
+            return res.status(404).json({ message: 'PDF not found in storage' });
+        }
         logger.error('Error in viewPdf controller:', { error: error.message, projectId: req.params.id });
         res.status(500).json({ message: 'Error loading PDF' });
     }
@@ -0,0 +1,264 @@
+// Project Revision Controller
+// Handles project revision history, diffs between revisions and restores
+
+const {
+    getProjectsCollection,
+    getUsersCollection,
+    ObjectId
+} = require('../config/database');
+const { revisionDiffQuerySchema } = require('../validators/thesisSchemas');
+const {
+    REVISION_FIELDS,
+    recordRevision,
+    listRevisions,
+    getRevision
+} = require('../utils/projectRevisions');
+const { diffSnapshots } = require('../utils/textDiff');
+const { indexProjectFingerprint } = require('../utils/fingerprintIndex');
+const { indexStoredProjectPdf } = require('../utils/fullTextIndex');
+const { syncOaiRecord } = require('../utils/oaiRecords');
+const { invalidateRelatedProjects } = require('../utils/relatedProjects');
+const { getAuditContext, recordAudit } = require('../utils/auditLog');
+const Project = require('../models/Project');
+const logger = require('../config/logger');
+
+/**
+ * Load a project and the current user's access to its history
+ * Team members, the supervisor and admins can read revisions; the owner and admins can restore
+ * @returns {Promise<Object>} { project, user, canView, canRestore } - project is null if not found
+ */
+const loadProjectAccess = async (projectId, uid) => {
+    if (!ObjectId.isValid(projectId)) return { project: null };
+
+    const projectsCollection = await getProjectsCollection();
+    const usersCollection = await getUsersCollection();
+    const [project, user] = await Promise.all([
+        projectsCollection.findOne({ _id: new ObjectId(projectId) }),
+        usersCollection.findOne({ uid })
+    ]);
+
+    if (!project) return { project: null };
+
+    const isAdmin = user?.isAdmin === true;
+    const isOwner = project.authorId === uid;
+    const isMember = (project.studentIds || []).includes(uid);
+    const isSupervisor = Boolean(project.supervisorId) && project.supervisorId === uid;
+
+    return {
+        project,
+        user,
+        canView: isAdmin || isOwner || isMember || isSupervisor,
+        canRestore: isAdmin || isOwner
+    };
+};
+
+const parseRevisionNumber = (value) => {
+    const revision = Number(value);
+    return Number.isInteger(revision) && revision > 0 ? revision : null;
+};
+
+/**
+ * List a project's revisions (newest first)
+ * GET /api/projects/:id/revisions
+ */
+const getProjectRevisions = async (req, res) => {
+    try {
+        const { project, canView } = await loadProjectAccess(req.params.id, req.user.uid);
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found' });
+        }
+        if (!canView) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const revisions = await listRevisions(project._id);
+
+        res.json({
+            success: true,
+            revisions
+        });
+    } catch (error) {
+        logger.error('Error fetching project revisions:', { error: error.message, projectId: req.params.id });
+        res.status(500).json({
+            message: 'Error fetching project revisions',
+            code: 'FETCH_REVISIONS_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Get one revision with its full snapshot
+ * GET /api/projects/:id/revisions/:revision
+ */
+const getProjectRevision = async (req, res) => {
+    try {
+        const revisionNumber = parseRevisionNumber(req.params.revision);
+        if (!revisionNumber) {
+            return res.status(400).json({ message: 'Invalid revision number' });
+        }
+
+        const { project, canView } = await loadProjectAccess(req.params.id, req.user.uid);
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found' });
+        }
+        if (!canView) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const revision = await getRevision(project._id, revisionNumber);
+        if (!revision) {
+            return res.status(404).json({ message: 'Revision not found' });
+        }
+
+        res.json({
+            success: true,
+            revision
+        });
+    } catch (error) {
+        logger.error('Error fetching project revision:', { error: error.message, projectId: req.params.id });
+        res.status(500).json({
+            message: 'Error fetching project revision',
+            code: 'FETCH_REVISION_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Diff two revisions field by field (word-level for abstract and description)
+ * GET /api/projects/:id/revisions/diff?from=2&to=5
+ * Defaults: to = latest revision, from = the revision before it
+ */
+const diffProjectRevisions = async (req, res) => {
+    try {
+        const { error, value } = revisionDiffQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                message: 'Invalid diff parameters',
+                errors: error.details.map(d => d.message)
+            });
+        }
+
+        const { project, canView } = await loadProjectAccess(req.params.id, req.user.uid);
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found' });
+        }
+        if (!canView) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const revisions = await listRevisions(project._id);
+        if (revisions.length === 0) {
+            return res.status(404).json({ message: 'This project has no revisions yet' });
+        }
+
+        const to = value.to || revisions[0].revision;
+        const from = value.from || to - 1;
+
+        const [fromRevision, toRevision] = await Promise.all([
+            getRevision(project._id, from),
+            getRevision(project._id, to)
+        ]);
+        if (!fromRevision || !toRevision) {
+            return res.status(404).json({ message: 'Revision not found' });
+        }
+
+        res.json({
+            success: true,
+            from: { revision: fromRevision.revision, authorName: fromRevision.authorName, createdAt: fromRevision.createdAt },
+            to: { revision: toRevision.revision, authorName: toRevision.authorName, createdAt: toRevision.createdAt },
+            changes: diffSnapshots(fromRevision.snapshot, toRevision.snapshot, REVISION_FIELDS)
+        });
+    } catch (error) {
+        logger.error('Error diffing project revisions:', { error: error.message, projectId: req.params.id });
+        res.status(500).json({
+            message: 'Error comparing project revisions',
+            code: 'DIFF_REVISIONS_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Restore an earlier revision (owner or admin)
+ * POST /api/projects/:id/revisions/:revision/restore
+ * The restore itself becomes a new revision; workflow status is not touched
+ */
+const restoreProjectRevision = async (req, res) => {
+    try {
+        const revisionNumber = parseRevisionNumber(req.params.revision);
+        if (!revisionNumber) {
+            return res.status(400).json({ message: 'Invalid revision number' });
+        }
+
+        const { project, user, canRestore } = await loadProjectAccess(req.params.id, req.user.uid);
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found' });
+        }
+        if (!canRestore) {
+            return res.status(403).json({ message: 'Only the project owner can restore a revision' });
+        }
+
+        const revision = await getRevision(project._id, revisionNumber);
+        if (!revision) {
+            return res.status(404).json({ message: 'Revision not found' });
+        }
+
+        const updateData = { ...revision.snapshot, updatedAt: new Date() };
+        Object.assign(updateData, Project.publishUpdate(project, updateData));
+
+        const projectsCollection = await getProjectsCollection();
+        await projectsCollection.updateOne({ _id: project._id }, { $set: updateData });
+        const updatedProject = await projectsCollection.findOne({ _id: project._id });
+
+        if (updatedProject.abstract !== project.abstract) {
+            await indexProjectFingerprint(project._id, updatedProject.abstract);
+        }
+        if (updatedProject.pdfKey !== project.pdfKey) {
+            await indexStoredProjectPdf(project._id, updatedProject.pdfKey);
+        }
+        await syncOaiRecord(project, updatedProject);
+        await invalidateRelatedProjects(project, updatedProject);
+
+        const { revision: newRevision } = await recordRevision(project, updatedProject, {
+            authorId: req.user.uid,
+            authorName: user?.name || user?.displayName || '',
+            changeType: 'restore',
+            restoredFrom: revisionNumber
+        });
+
+        await recordAudit(getAuditContext(req, user), {
+            action: 'project.restore_revision',
+            targetType: 'project',
+            targetId: project._id,
+            after: { revision: newRevision },
+            metadata: { restoredFrom: revisionNumber }
+        });
+
+        logger.info(`Project ${project._id} restored to revision ${revisionNumber} by ${req.user.uid}`);
+
+        res.json({
+            success: true,
+            message: newRevision
+                ? `Revision ${revisionNumber} restored as revision ${newRevision}`
+                : `Project already matches revision ${revisionNumber}`,
+            revision: newRevision,
+            project: new Project(updatedProject).toJSON()
+        });
+    } catch (error) {
+        logger.error('Error restoring project revision:', { error: error.message, projectId: req.params.id });
+        res.status(500).json({
+            message: 'Error restoring project revision',
+            code: 'RESTORE_REVISION_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+module.exports = {
+    getProjectRevisions,
+    getProjectRevision,
+    diffProjectRevisions,
+    restoreProjectRevision,
+};
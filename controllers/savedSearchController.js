@@ -0,0 +1,278 @@
+// Saved Search Controller
+// Handles saved vault searches that alert their owner when new projects match
+
+const {
+    getSavedSearchesCollection,
+    getProjectsCollection,
+    ObjectId
+} = require('../config/database');
+const {
+    savedSearchSchema,
+    savedSearchUpdateSchema,
+    thesisSearchSchema
+} = require('../validators/thesisSchemas');
+const { buildVaultSearch } = require('../utils/vaultSearch');
+const { getViewer } = require('../utils/projectAccess');
+const SavedSearch = require('../models/SavedSearch');
+const Project = require('../models/Project');
+const logger = require('../config/logger');
+
+// Saved searches each user may keep
+const MAX_SAVED_SEARCHES = 20;
+
+/**
+ * Find a saved search owned by the current user
+ * @returns {Promise<Object|null>} Saved search document, or null if missing or not owned
+ */
+const findOwnSavedSearch = async (id, uid) => {
+    if (!ObjectId.isValid(id)) return null;
+    const savedSearchesCollection = await getSavedSearchesCollection();
+    return savedSearchesCollection.findOne({ _id: new ObjectId(id), userId: uid });
+};
+
+/**
+ * List the current user's saved searches
+ * GET /api/saved-searches
+ */
+const getSavedSearches = async (req, res) => {
+    try {
+        const savedSearchesCollection = await getSavedSearchesCollection();
+        const savedSearches = await savedSearchesCollection
+            .find({ userId: req.user.uid })
+            .sort({ createdAt: -1 })
+            .toArray();
+
+        res.json({
+            success: true,
+            savedSearches: savedSearches.map(s => new SavedSearch(s).toJSON())
+        });
+    } catch (error) {
+        logger.error('Error fetching saved searches:', { error: error.message, uid: req.user.uid });
+        res.status(500).json({
+            message: 'Error fetching saved searches',
+            code: 'FETCH_SAVED_SEARCHES_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Save a vault search
+ * POST /api/saved-searches
+ * Only projects published after the search is saved trigger alerts
+ */
+const createSavedSearch = async (req, res) => {
+    try {
+        const { error, value } = savedSearchSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                message: 'Invalid saved search',
+                errors: error.details.map(d => d.message)
+            });
+        }
+
+        const savedSearchesCollection = await getSavedSearchesCollection();
+        const count = await savedSearchesCollection.countDocuments({ userId: req.user.uid });
+        if (count >= MAX_SAVED_SEARCHES) {
+            return res.status(400).json({
+                message: `You can save up to ${MAX_SAVED_SEARCHES} searches. Delete one to save another.`,
+                code: 'SAVED_SEARCH_LIMIT'
+            });
+        }
+
+        const now = new Date();
+        const savedSearch = new SavedSearch({
+            ...value,
+            userId: req.user.uid,
+            lastRunAt: now,
+            nextRunAt: SavedSearch.getNextRunAt(value.frequency, now),
+            createdAt: now,
+            updatedAt: now
+        });
+
+        const searchData = savedSearch.toJSON();
+        delete searchData._id;
+        const result = await savedSearchesCollection.insertOne(searchData);
+
+        logger.info(`Saved search created: ${result.insertedId} by user: ${req.user.uid}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Search saved successfully',
+            savedSearch: new SavedSearch({ ...searchData, _id: result.insertedId }).toJSON()
+        });
+    } catch (error) {
+        logger.error('Error creating saved search:', { error: error.message, uid: req.user.uid });
+        res.status(500).json({
+            message: 'Error saving search',
+            code: 'CREATE_SAVED_SEARCH_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Get one saved search
+ * GET /api/saved-searches/:id
+ */
+const getSavedSearchById = async (req, res) => {
+    try {
+        const savedSearch = await findOwnSavedSearch(req.params.id, req.user.uid);
+        if (!savedSearch) {
+            return res.status(404).json({ message: 'Saved search not found' });
+        }
+
+        res.json({
+            success: true,
+            savedSearch: new SavedSearch(savedSearch).toJSON()
+        });
+    } catch (error) {
+        logger.error('Error fetching saved search:', { error: error.message, id: req.params.id });
+        res.status(500).json({
+            message: 'Error fetching saved search',
+            code: 'FETCH_SAVED_SEARCH_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Update a saved search (name, filters, frequency, digest, mute)
+ * PUT /api/saved-searches/:id
+ */
+const updateSavedSearch = async (req, res) => {
+    try {
+        const { error, value } = savedSearchUpdateSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                message: 'Invalid saved search',
+                errors: error.details.map(d => d.message)
+            });
+        }
+
+        const savedSearch = await findOwnSavedSearch(req.params.id, req.user.uid);
+        if (!savedSearch) {
+            return res.status(404).json({ message: 'Saved search not found' });
+        }
+
+        const now = new Date();
+        const updateData = { ...value, updatedAt: now };
+
+        if (value.frequency && value.frequency !== savedSearch.frequency) {
+            updateData.nextRunAt = SavedSearch.getNextRunAt(value.frequency, savedSearch.lastRunAt);
+        }
+
+        // Unmuting starts fresh instead of alerting on everything published while muted
+        if (value.muted === false && savedSearch.muted) {
+            updateData.lastRunAt = now;
+            updateData.nextRunAt = SavedSearch.getNextRunAt(value.frequency || savedSearch.frequency, now);
+        }
+
+        const savedSearchesCollection = await getSavedSearchesCollection();
+        await savedSearchesCollection.updateOne({ _id: savedSearch._id }, { $set: updateData });
+
+        res.json({
+            success: true,
+            message: 'Saved search updated',
+            savedSearch: new SavedSearch({ ...savedSearch, ...updateData }).toJSON()
+        });
+    } catch (error) {
+        logger.error('Error updating saved search:', { error: error.message, id: req.params.id });
+        res.status(500).json({
+            message: 'Error updating saved search',
+            code: 'UPDATE_SAVED_SEARCH_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Delete a saved search
+ * DELETE /api/saved-searches/:id
+ */
+const deleteSavedSearch = async (req, res) => {
+    try {
+        const savedSearch = await findOwnSavedSearch(req.params.id, req.user.uid);
+        if (!savedSearch) {
+            return res.status(404).json({ message: 'Saved search not found' });
+        }
+
+        const savedSearchesCollection = await getSavedSearchesCollection();
+        await savedSearchesCollection.deleteOne({ _id: savedSearch._id });
+
+        res.json({ success: true, message: 'Saved search deleted' });
+    } catch (error) {
+        logger.error('Error deleting saved search:', { error: error.message, id: req.params.id });
+        res.status(500).json({
+            message: 'Error deleting saved search',
+            code: 'DELETE_SAVED_SEARCH_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Run a saved search now
+ * GET /api/saved-searches/:id/results?page=1&limit=20
+ */
+const getSavedSearchResults = async (req, res) => {
+    try {
+        const savedSearch = await findOwnSavedSearch(req.params.id, req.user.uid);
+        if (!savedSearch) {
+            return res.status(404).json({ message: 'Saved search not found' });
+        }
+
+        const { error, value } = thesisSearchSchema.validate({
+            ...savedSearch.filters,
+            page: req.query.page,
+            limit: req.query.limit
+        });
+        if (error) {
+            return res.status(400).json({
+                message: 'Invalid search parameters',
+                errors: error.details.map(d => d.message)
+            });
+        }
+
+        const { page, limit } = value;
+        const projectsCollection = await getProjectsCollection();
+        const { filter } = await buildVaultSearch(value, await getViewer(req.user.uid));
+
+        const [projects, totalCount] = await Promise.all([
+            projectsCollection
+                .find(filter)
+                .sort({ publishedAt: -1, createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .toArray(),
+            projectsCollection.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            projects: projects.map(p => new Project(p).toJSON()),
+            pagination: {
+                page,
+                limit,
+                total: totalCount,
+                pages: Math.ceil(totalCount / limit)
+            }
+        });
+    } catch (error) {
+        logger.error('Error running saved search:', { error: error.message, id: req.params.id });
+        res.status(500).json({
+            message: 'Error running saved search',
+            code: 'RUN_SAVED_SEARCH_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+module.exports = {
+    getSavedSearches,
+    createSavedSearch,
+    getSavedSearchById,
+    updateSavedSearch,
+    deleteSavedSearch,
+    getSavedSearchResults,
+};
@@ -8,8 +8,11 @@ const {
     ObjectId
 } = require('../config/database');
 const logger = require('../config/logger');
-const { supervisorRequestSchema, supervisorResponseSchema } = require('../validators/thesisSchemas');
+const { supervisorRequestSchema, supervisorResponseSchema, officeHourSlotsSchema } = require('../validators/thesisSchemas');
 const SupervisorRequest = require('../models/SupervisorRequest');
+const { getWorkflow } = require('../utils/workflowEngine');
+const { getAuditContext, recordAudit } = require('../utils/auditLog');
+const { emitWebhookEvent } = require('../utils/webhooks');
 const {
     createSupervisorRequestNotification,
     createSupervisorResponseNotification
@@ -179,6 +182,13 @@ const sendRequest = async (req, res) => {
 
         const result = await requestsCollection.insertOne(request.toJSON());
 
+        await emitWebhookEvent('supervisor_request.created', {
+            requestId: String(result.insertedId),
+            studentId: studentUid,
+            supervisorId,
+            projectId: projectId || null
+        });
+
         // Send notification to supervisor
         try {
             const student = await usersCollection.findOne({ uid: studentUid });
@@ -424,6 +434,27 @@ const respondToRequest = async (req, res) => {
             );
         }
 
+        await recordAudit(getAuditContext(req), {
+            action: 'supervisor_request.respond',
+            targetType: 'supervisor_request',
+            targetId: request._id,
+            before: { status: request.status },
+            after: { status: newStatus },
+            metadata: {
+                studentId: request.studentId,
+                projectId: request.projectId || null,
+                supervisorAssigned: action === 'approve' && Boolean(request.projectId)
+            }
+        });
+
+        await emitWebhookEvent('supervisor_request.responded', {
+            requestId: String(request._id),
+            studentId: request.studentId,
+            supervisorId: supervisorUid,
+            projectId: request.projectId || null,
+            status: newStatus
+        });
+
         // Send notification to student
         try {
             const usersCollection = await getUsersCollection();
@@ -545,16 +576,16 @@ const getSupervisorProfile = async (req, res) => {
             .sort({ createdAt: -1 })
             .toArray();
 
+        // Counts follow the states of the workflow definition
+        const workflow = await getWorkflow();
+        const activeStates = workflow.getStatesByCategory('draft', 'review', 'active');
+        const doneStates = workflow.getStatesByCategory('done');
+
         const stats = {
             totalProjects: projects.length,
-            activeProjects: projects.filter(p => ['pending', 'approved'].includes(p.status)).length,
-            completedProjects: projects.filter(p => p.status === 'completed').length,
-            projectsByStatus: {
-                pending: projects.filter(p => p.status === 'pending').length,
-                approved: projects.filter(p => p.status === 'approved').length,
-                rejected: projects.filter(p => p.status === 'rejected').length,
-                completed: projects.filter(p => p.status === 'completed').length
-            },
+            activeProjects: projects.filter(p => activeStates.includes(p.status)).length,
+            completedProjects: projects.filter(p => doneStates.includes(p.status)).length,
+            projectsByStatus: workflow.countByState(projects),
             projectsByYear: {}
         };
 
@@ -743,20 +774,19 @@ const getStats = async (req, res) => {
         // Get unique students
         const studentIds = [...new Set(projects.map(p => p.authorId).filter(Boolean))];
 
-        // Calculate statistics
+        // Calculate statistics (state groups come from the workflow definition)
+        const workflow = await getWorkflow();
+        const activeStates = workflow.getStatesByCategory('draft', 'review', 'active');
+        const doneStates = workflow.getStatesByCategory('done');
+        const reviewStates = workflow.getStatesByCategory('review');
+
         const stats = {
             totalStudents: studentIds.length,
             totalProjects: projects.length,
-            activeProjects: projects.filter(p => ['pending', 'approved'].includes(p.status)).length,
-            completedProjects: projects.filter(p => p.status === 'completed').length,
-            pendingReviews: projects.filter(p => p.status === 'pending').length,
-            projectsByStatus: {
-                pending: projects.filter(p => p.status === 'pending').length,
-                approved: projects.filter(p => p.status === 'approved').length,
-                rejected: projects.filter(p => p.status === 'rejected').length,
-                completed: projects.filter(p => p.status === 'completed').length,
-                archived: projects.filter(p => p.status === 'archived').length
-            },
+            activeProjects: projects.filter(p => activeStates.includes(p.status)).length,
+            completedProjects: projects.filter(p => doneStates.includes(p.status)).length,
+            pendingReviews: projects.filter(p => reviewStates.includes(p.status)).length,
+            projectsByStatus: workflow.countByState(projects),
             projectsByYear: {},
             recentActivity: []
         };
@@ -820,6 +850,7 @@ const updateProfile = async (req, res) => {
             'bio',
             'researchAreas',
             'officeHours',
+            'officeHourSlots',
             'maxStudents',
             'socialLinks',
             'photoURL'
@@ -832,6 +863,18 @@ const updateProfile = async (req, res) => {
             }
         });
 
+        // Structured office hours end up in calendar feeds, so they must be well-formed
+        if (updateData.officeHourSlots !== undefined) {
+            const { error, value } = officeHourSlotsSchema.validate(updateData.officeHourSlots);
+            if (error) {
+                return res.status(400).json({
+                    message: 'Invalid office hours',
+                    errors: error.details.map(d => d.message)
+                });
+            }
+            updateData.officeHourSlots = value;
+        }
+
         updateData.updatedAt = new Date();
 
         const result = await usersCollection.updateOne(
@@ -6,11 +6,45 @@ const {
     getUsersCollection,
     ObjectId
 } = require('../config/database');
-const { checkDuplicate } = require('../utils/duplicateDetection');
-const { thesisSearchSchema } = require('../validators/thesisSchemas');
+const { findDuplicates } = require('../utils/fingerprintIndex');
+const {
+    thesisSearchSchema,
+    duplicateCheckSchema,
+    citationQuerySchema,
+    thesisExportSchema,
+    relatedProjectsQuerySchema,
+    thesisEmbargoSchema,
+    thesisLicenseSchema
+} = require('../validators/thesisSchemas');
+const {
+    CITATION_FORMATS,
+    formatCitation,
+    formatCitationList
+} = require('../utils/citationFormatter');
+const { loadCitations } = require('../utils/citationLoader');
+const { getRelatedProjects } = require('../utils/relatedProjects');
+const { buildFacetStage, formatFacets } = require('../utils/searchFacets');
+const { buildVaultSearch } = require('../utils/vaultSearch');
+const { getViewer, isProjectMember, canReadPdf } = require('../utils/projectAccess');
+const { getAuditContext, recordAudit } = require('../utils/auditLog');
+const { describeLicense } = require('../utils/licenses');
+const { resolveHandle } = require('../utils/thesisHandles');
 const Project = require('../models/Project');
 const logger = require('../config/logger');
 
+/**
+ * Public JSON of a vault project, without its PDF when the viewer may not read it
+ * @param {Object} project - Project document
+ * @param {Object|null} viewer - See utils/projectAccess getViewer
+ * @returns {Object} { json, canRead }
+ */
+const toVaultJSON = (project, viewer) => {
+    const canRead = canReadPdf(project, viewer);
+    const json = new Project(project).toJSON();
+    if (!canRead) json.pdfKey = '';
+    return { json, canRead };
+};
+
 /**
  * Search theses with advanced filters
  * GET /api/thesis/search
@@ -26,47 +60,11 @@ const searchTheses = async (req, res) => {
             });
         }
 
-        const {
-            query,
-            year,
-            department,
-            tags,
-            supervisor,
-            page,
-            limit,
-            sortBy,
-            sortOrder
-        } = value;
+        const { page, limit, sortBy, sortOrder } = value;
 
         const projectsCollection = await getProjectsCollection();
-
-        // Build search filter
-        const filter = {
-            // Show public and finished/approved theses in vault
-            visibility: 'public',
-            status: { $in: ['approved', 'completed', 'archived'] }
-        };
-
-        // Text search on title, abstract, tags
-        if (query) {
-            filter.$text = { $search: query };
-        }
-
-        if (year) {
-            filter.year = year;
-        }
-
-        if (department) {
-            filter.department = department;
-        }
-
-        if (tags && tags.length > 0) {
-            filter.tags = { $in: tags };
-        }
-
-        if (supervisor) {
-            filter.supervisor = { $regex: supervisor, $options: 'i' };
-        }
+        const viewer = await getViewer(req.user?.uid || null);
+        const { filter, baseFilter, facetFilters, fullTextHits } = await buildVaultSearch(value, viewer);
 
         // Calculate pagination
         const skip = (page - 1) * limit;
@@ -84,15 +82,31 @@ const searchTheses = async (req, res) => {
 
         const totalCount = await projectsCollection.countDocuments(filter);
 
+        // Facet counts for the current query, each ignoring its own selection
+        let facets;
+        if (value.facets) {
+            const [facetResult] = await projectsCollection
+                .aggregate([{ $match: baseFilter }, { $facet: buildFacetStage(facetFilters) }])
+                .toArray();
+            facets = formatFacets(facetResult, value);
+        }
+
         res.json({
             success: true,
-            projects: projects.map(p => new Project(p).toJSON()),
+            projects: projects.map(p => {
+                const { json, canRead } = toVaultJSON(p, viewer);
+                return {
+                    ...json,
+                    pdfMatches: canRead ? fullTextHits.get(p._id.toString()) || [] : []
+                };
+            }),
             pagination: {
                 page,
                 limit,
                 total: totalCount,
                 pages: Math.ceil(totalCount / limit)
-            }
+            },
+            facets
         });
     } catch (error) {
         logger.error('Error searching theses:', { error: error.message });
@@ -144,10 +158,30 @@ const getThesisById = async (req, res) => {
             }
         }
 
+        // Related work is a nice-to-have; the detail page still loads without it
+        let related = [];
+        try {
+            related = await getRelatedProjects(project);
+        } catch (relatedError) {
+            logger.warn('Could not load related projects:', { error: relatedError.message, id });
+        }
+
+        const viewer = await getViewer(req.user?.uid || null);
+        const { json, canRead } = toVaultJSON({ ...project, views: (project.views || 0) + 1 }, viewer);
+
         res.json({
             success: true,
-            project: new Project({ ...project, views: (project.views || 0) + 1 }).toJSON(),
-            supervisor: supervisorDetails
+            project: json,
+            pdfAccess: {
+                hasPdf: Boolean(project.pdfKey),
+                canRead,
+                accessLevel: Project.getAccessLevel(project),
+                embargoUntil: project.embargoUntil || null,
+                embargoReason: project.embargoReason || ''
+            },
+            license: describeLicense(project),
+            supervisor: supervisorDetails,
+            related
         });
     } catch (error) {
         logger.error('Error fetching thesis:', { error: error.message, id: req.params.id });
@@ -159,37 +193,427 @@ const getThesisById = async (req, res) => {
 };
 
 /**
- * Check for duplicate theses based on abstract
- * POST /api/thesis/check-duplicate
+ * Resolve a persistent handle to its thesis
+ * GET /api/thesis/handle/:handle
+ * Handles of deleted theses answer 410 with what is left of the record; handles of theses outside the vault
+ * answer 404 unless the caller is a member or an admin
  */
-const checkDuplicateThesis = async (req, res) => {
+const getThesisByHandle = async (req, res) => {
+    try {
+        const handle = String(req.params.handle).toUpperCase();
+
+        if (!Project.HANDLE_PATTERN.test(handle)) {
+            return res.status(400).json({ message: 'Invalid handle', code: 'INVALID_HANDLE' });
+        }
+
+        const resolved = await resolveHandle(handle);
+        if (!resolved) {
+            return res.status(404).json({ message: 'Handle not found', code: 'HANDLE_NOT_FOUND' });
+        }
+
+        const { record, project } = resolved;
+        if (!project) {
+            return res.status(410).json({
+                message: 'This thesis has been removed from the repository',
+                code: 'THESIS_DELETED',
+                handle: record.handle,
+                // Titles of theses that were never public stay hidden
+                title: record.public ? record.title : undefined,
+                deletedAt: record.deletedAt
+            });
+        }
+
+        const viewer = await getViewer(req.user?.uid || null);
+
+        // Completed projects outside the vault keep their handle, but only their members and admins may resolve it
+        if (!Project.isInVault(project) && !viewer?.isAdmin && !isProjectMember(project, viewer?.uid)) {
+            return res.status(404).json({ message: 'Handle not found', code: 'HANDLE_NOT_FOUND' });
+        }
+
+        const { json } = toVaultJSON(project, viewer);
+
+        res.json({
+            success: true,
+            handle: record.handle,
+            project: json,
+            license: describeLicense(project)
+        });
+    } catch (error) {
+        logger.error('Error resolving thesis handle:', { error: error.message, handle: req.params.handle });
+        res.status(500).json({
+            message: 'Error resolving handle',
+            code: 'RESOLVE_HANDLE_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Get projects related to a thesis (similar topic, shared tags/tech stack, same supervisor)
+ * GET /api/thesis/:id/related
+ */
+const getRelatedTheses = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { error, value } = relatedProjectsQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                message: 'Invalid related projects parameters',
+                errors: error.details.map(d => d.message)
+            });
+        }
+
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).json({ message: 'Invalid thesis ID' });
+        }
+
+        const projectsCollection = await getProjectsCollection();
+        const project = await projectsCollection.findOne({ _id: new ObjectId(id) });
+
+        if (!project) {
+            return res.status(404).json({ message: 'Thesis not found' });
+        }
+
+        // Like citations, related projects of a project outside the vault are only for its members and admins
+        if (!Project.isInVault(project)) {
+            const viewer = await getViewer(req.user?.uid || null);
+            if (!viewer?.isAdmin && !isProjectMember(project, viewer?.uid)) {
+                return res.status(404).json({ message: 'Thesis not found' });
+            }
+        }
+
+        const related = await getRelatedProjects(project, value.limit);
+
+        res.json({
+            success: true,
+            related
+        });
+    } catch (error) {
+        logger.error('Error fetching related theses:', { error: error.message, id: req.params.id });
+        res.status(500).json({
+            message: 'Error fetching related projects',
+            code: 'RELATED_THESES_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Pick the citation format from ?format= or the Accept header
+ * @returns {string|null} Format key, or null for the JSON bundle of all formats
+ */
+const negotiateCitationFormat = (req, format) => {
+    if (format) return format;
+
+    const accepted = req.accepts([
+        'application/json',
+        CITATION_FORMATS.bibtex.mediaType,
+        CITATION_FORMATS.ris.mediaType,
+        CITATION_FORMATS.csl.mediaType,
+        'text/x-bibliography',
+        'text/plain'
+    ]);
+
+    switch (accepted) {
+        case CITATION_FORMATS.bibtex.mediaType: return 'bibtex';
+        case CITATION_FORMATS.ris.mediaType: return 'ris';
+        case CITATION_FORMATS.csl.mediaType: return 'csl';
+        case 'text/x-bibliography':
+        case 'text/plain':
+            return /style=["']?ieee/i.test(req.get('Accept') || '') ? 'ieee' : 'apa';
+        default: return null;
+    }
+};
+
+/**
+ * Get the citation of a thesis
+ * GET /api/thesis/:id/cite
+ * Format via ?format=bibtex|ris|csl|apa|ieee or the Accept header; defaults to a JSON bundle of all formats
+ */
+const getThesisCitation = async (req, res) => {
     try {
-        const { abstract } = req.body;
+        const { id } = req.params;
 
-        if (!abstract || abstract.length < 100) {
+        const { error, value } = citationQuerySchema.validate(req.query);
+        if (error) {
             return res.status(400).json({
-                message: 'Abstract must be at least 100 characters'
+                message: 'Invalid citation parameters',
+                errors: error.details.map(d => d.message)
             });
         }
 
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).json({ message: 'Invalid thesis ID' });
+        }
+
         const projectsCollection = await getProjectsCollection();
+        const project = await projectsCollection.findOne({ _id: new ObjectId(id) });
+
+        if (!project) {
+            return res.status(404).json({ message: 'Thesis not found' });
+        }
+
+        // Projects outside the vault are only citable by their members and admins
+        if (!Project.isInVault(project)) {
+            const viewer = await getViewer(req.user?.uid || null);
+            if (!viewer?.isAdmin && !isProjectMember(project, viewer?.uid)) {
+                return res.status(404).json({ message: 'Thesis not found' });
+            }
+        }
+
+        const [data] = await loadCitations([project]);
+        const format = negotiateCitationFormat(req, value.format);
+
+        res.vary('Accept');
+
+        if (!format) {
+            return res.json({
+                success: true,
+                citations: Object.keys(CITATION_FORMATS).reduce((acc, key) => {
+                    acc[key] = formatCitation(data, key);
+                    return acc;
+                }, {})
+            });
+        }
+
+        const citation = formatCitation(data, format);
+        res.type(CITATION_FORMATS[format].mediaType);
+        res.send(format === 'csl' ? JSON.stringify([citation], null, 2) : citation);
+    } catch (error) {
+        logger.error('Error generating thesis citation:', { error: error.message, id: req.params.id });
+        res.status(500).json({
+            message: 'Error generating citation',
+            code: 'THESIS_CITATION_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
 
-        // Get all existing project abstracts
-        const existingProjects = await projectsCollection
-            .find(
-                { abstract: { $exists: true, $ne: '' } },
-                { projection: { _id: 1, title: 1, abstract: 1, year: 1 } }
-            )
+/**
+ * Export citations for a set of search results
+ * GET /api/thesis/export
+ * Accepts the search filters (or ?ids=) plus ?format=, and returns a downloadable file
+ */
+const exportCitations = async (req, res) => {
+    try {
+        const { error, value } = thesisExportSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                message: 'Invalid export parameters',
+                errors: error.details.map(d => d.message)
+            });
+        }
+
+        const { format, ids, page, limit, sortBy, sortOrder } = value;
+
+        const projectsCollection = await getProjectsCollection();
+        const viewer = await getViewer(req.user?.uid || null);
+        const { filter } = await buildVaultSearch(ids ? {} : value, viewer);
+        if (ids) {
+            filter._id = { $in: ids.split(',').map(id => new ObjectId(id)) };
+        }
+
+        const projects = await projectsCollection
+            .find(filter)
+            .sort({ [sortBy]: sortOrder === 'asc' ? 1 : -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
             .toArray();
 
-        // Check for duplicates using 60% threshold (from user requirement)
-        const duplicateCheck = checkDuplicate(abstract, existingProjects, 60);
+        const citations = await loadCitations(projects);
+        const { mediaType, extension } = CITATION_FORMATS[format];
+
+        res.type(mediaType);
+        res.attachment(`knowledgetrace-citations-${format}.${extension}`);
+        res.send(formatCitationList(citations, format));
+    } catch (error) {
+        logger.error('Error exporting citations:', { error: error.message });
+        res.status(500).json({
+            message: 'Error exporting citations',
+            code: 'CITATION_EXPORT_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Set or lift the PDF embargo of a thesis (author, supervisor or admin)
+ * PUT /api/thesis/:id/embargo
+ * Metadata stays public; the access level limits who may read the PDF until embargoUntil (or until lifted)
+ */
+const updateThesisEmbargo = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { error, value } = thesisEmbargoSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                message: 'Invalid embargo',
+                errors: error.details.map(d => d.message)
+            });
+        }
+
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).json({ message: 'Invalid thesis ID' });
+        }
+
+        const projectsCollection = await getProjectsCollection();
+        const project = await projectsCollection.findOne({ _id: new ObjectId(id) });
+
+        if (!project) {
+            return res.status(404).json({ message: 'Thesis not found' });
+        }
+
+        const usersCollection = await getUsersCollection();
+        const user = await usersCollection.findOne({ uid: req.user.uid });
+        const isAdmin = user?.isAdmin === true;
+
+        if (!isAdmin && project.authorId !== req.user.uid && project.supervisorId !== req.user.uid) {
+            return res.status(403).json({
+                message: 'Only the author, the supervisor or an admin can change the embargo',
+                code: 'EMBARGO_FORBIDDEN'
+            });
+        }
+
+        const embargo = value.accessLevel === 'public'
+            ? { accessLevel: 'public', embargoUntil: null, embargoReason: '' }
+            : { accessLevel: value.accessLevel, embargoUntil: value.embargoUntil, embargoReason: value.reason };
+
+        await projectsCollection.updateOne(
+            { _id: project._id },
+            { $set: { ...embargo, updatedAt: new Date() } }
+        );
+
+        await recordAudit(getAuditContext(req, user), {
+            action: 'project.embargo',
+            targetType: 'project',
+            targetId: project._id,
+            before: {
+                accessLevel: project.accessLevel || 'public',
+                embargoUntil: project.embargoUntil || null,
+                embargoReason: project.embargoReason || ''
+            },
+            after: embargo
+        });
+        logger.info(`Embargo of thesis ${id} set to ${embargo.accessLevel} by ${req.user.uid}`);
+
+        res.json({
+            success: true,
+            message: embargo.accessLevel === 'public' ? 'Embargo lifted' : 'Embargo saved',
+            embargo
+        });
+    } catch (error) {
+        logger.error('Error updating thesis embargo:', { error: error.message, id: req.params.id });
+        res.status(500).json({
+            message: 'Error updating embargo',
+            code: 'UPDATE_EMBARGO_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Choose the reuse license of a thesis, recording the author's consent (author or team member)
+ * PUT /api/thesis/:id/license
+ * Required before final submission (hasLicense workflow guard)
+ */
+const updateThesisLicense = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { error, value } = thesisLicenseSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                message: 'Invalid license',
+                errors: error.details.map(d => d.message)
+            });
+        }
+
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).json({ message: 'Invalid thesis ID' });
+        }
+
+        const projectsCollection = await getProjectsCollection();
+        const project = await projectsCollection.findOne({ _id: new ObjectId(id) });
+
+        if (!project) {
+            return res.status(404).json({ message: 'Thesis not found' });
+        }
+
+        // Only the authors can grant reuse rights to their work
+        if (project.authorId !== req.user.uid && !(project.studentIds || []).includes(req.user.uid)) {
+            return res.status(403).json({
+                message: 'Only the authors of the thesis can choose its license',
+                code: 'LICENSE_FORBIDDEN'
+            });
+        }
+
+        const now = new Date();
+        const license = {
+            license: value.license,
+            licenseTerms: value.license === 'custom' ? value.terms : '',
+            licenseConsentAt: now,
+            licenseConsentBy: req.user.uid
+        };
+
+        await projectsCollection.updateOne(
+            { _id: project._id },
+            { $set: { ...license, updatedAt: now } }
+        );
+
+        await recordAudit(getAuditContext(req), {
+            action: 'project.license',
+            targetType: 'project',
+            targetId: project._id,
+            before: project.license
+                ? { license: project.license, licenseTerms: project.licenseTerms || '', licenseConsentAt: project.licenseConsentAt || null }
+                : null,
+            after: { license: license.license, licenseTerms: license.licenseTerms, licenseConsentAt: now }
+        });
+        logger.info(`License of thesis ${id} set to ${license.license} by ${req.user.uid}`);
+
+        res.json({
+            success: true,
+            message: 'License saved',
+            license: describeLicense(license)
+        });
+    } catch (error) {
+        logger.error('Error updating thesis license:', { error: error.message, id: req.params.id });
+        res.status(500).json({
+            message: 'Error updating license',
+            code: 'UPDATE_LICENSE_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Check for duplicate theses based on abstract
+ * POST /api/thesis/check-duplicate
+ */
+const checkDuplicateThesis = async (req, res) => {
+    try {
+        const { error, value } = duplicateCheckSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                message: error.details[0].message,
+                errors: error.details.map(d => d.message)
+            });
+        }
+
+        const { abstract, threshold, excludeProjectId } = value;
+
+        // Candidates come from the LSH index; thresholds default to the server configuration
+        const viewer = await getViewer(req.user.uid);
+        const duplicateCheck = await findDuplicates(abstract, { threshold, excludeProjectId, viewer });
 
         res.json({
             success: true,
             isDuplicate: duplicateCheck.isDuplicate,
             matches: duplicateCheck.matches,
             highestMatch: duplicateCheck.highestMatch,
+            threshold: duplicateCheck.threshold,
             warning: duplicateCheck.isDuplicate
                 ? 'Potential duplicate thesis detected. Please review similar projects before proceeding.'
                 : null
@@ -255,6 +679,12 @@ const getThesisStats = async (req, res) => {
 module.exports = {
     searchTheses,
     getThesisById,
+    getThesisByHandle,
     checkDuplicateThesis,
     getThesisStats,
+    getThesisCitation,
+    exportCitations,
+    getRelatedTheses,
+    updateThesisEmbargo,
+    updateThesisLicense,
 };
@@ -2,7 +2,9 @@
 // Handles all user-related business logic
 const { getUsersCollection } = require('../config/database');
 const User = require('../models/User');
+const EmailDelivery = require('../models/EmailDelivery');
 const logger = require('../config/logger');
+const { getWorkflow } = require('../utils/workflowEngine');
 
 /**
  * Get current user's profile
@@ -182,7 +184,7 @@ exports.updateUserProfile = async (req, res) => {
         const usersCollection = await getUsersCollection();
 
         // Validate and sanitize allowed fields
-        const allowedFields = ['name', 'photoURL', 'bio', 'location', 'website'];
+        const allowedFields = ['name', 'photoURL', 'bio', 'location', 'website', 'emailFrequency'];
         const updateData = {
             updatedAt: new Date(),
         };
@@ -241,6 +243,12 @@ exports.updateUserProfile = async (req, res) => {
                             updateData.website = null;
                         }
                         break;
+                    case 'emailFrequency':
+                        if (!EmailDelivery.FREQUENCIES.includes(value)) {
+                            return res.status(400).json({ message: `Email frequency must be one of: ${EmailDelivery.FREQUENCIES.join(', ')}`, code: 'VALIDATION_ERROR' });
+                        }
+                        updateData.emailFrequency = value;
+                        break;
                 }
             }
         }
@@ -340,10 +348,13 @@ exports.getPublicUserProfile = async (req, res) => {
             publicUserData.designation = user.designation;
             publicUserData.researchAreas = user.researchAreas || [];
             publicUserData.officeHours = user.officeHours;
+            const workflow = await getWorkflow();
+            const activeStates = workflow.getStatesByCategory('draft', 'review', 'active');
+            const doneStates = workflow.getStatesByCategory('done');
             publicUserData.stats = {
                 supervisedCount: projects.length,
-                activeProjects: projects.filter(p => ['pending', 'approved'].includes(p.status)).length,
-                completedProjects: projects.filter(p => p.status === 'completed').length
+                activeProjects: projects.filter(p => activeStates.includes(p.status)).length,
+                completedProjects: projects.filter(p => doneStates.includes(p.status)).length
             };
             publicUserData.recentProjects = projects.slice(0, 10).map(p => new Project(p).toJSON());
         }
@@ -0,0 +1,345 @@
+// Webhook Controller
+// Handles outbound webhook registration, the delivery log and replays (admin only)
+
+const {
+    getWebhooksCollection,
+    getWebhookDeliveriesCollection,
+    ObjectId
+} = require('../config/database');
+const {
+    webhookSchema,
+    webhookUpdateSchema,
+    webhookDeliveryQuerySchema
+} = require('../validators/thesisSchemas');
+const {
+    generateWebhookSecret,
+    emitWebhookEvent,
+    replayWebhookDelivery: replayDelivery
+} = require('../utils/webhooks');
+const { getAuditContext, recordAudit } = require('../utils/auditLog');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const logger = require('../config/logger');
+
+const findWebhook = async (id) => {
+    if (!ObjectId.isValid(id)) return null;
+    const webhooksCollection = await getWebhooksCollection();
+    return webhooksCollection.findOne({ _id: new ObjectId(id) });
+};
+
+/**
+ * List webhooks (secrets are never returned)
+ * GET /api/admin/webhooks
+ */
+const getWebhooks = async (req, res) => {
+    try {
+        const webhooksCollection = await getWebhooksCollection();
+        const webhooks = await webhooksCollection.find({}).sort({ createdAt: -1 }).toArray();
+
+        res.json({
+            success: true,
+            webhooks: webhooks.map(w => new Webhook(w).toPublicJSON()),
+            events: Webhook.EVENTS
+        });
+    } catch (error) {
+        logger.error('Error fetching webhooks:', { error: error.message });
+        res.status(500).json({
+            message: 'Error fetching webhooks',
+            code: 'FETCH_WEBHOOKS_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Register a webhook - the response is the only time the secret is shown
+ * POST /api/admin/webhooks
+ */
+const createWebhook = async (req, res) => {
+    try {
+        const { error, value } = webhookSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                message: 'Invalid webhook',
+                errors: error.details.map(d => d.message)
+            });
+        }
+
+        const webhook = new Webhook({
+            ...value,
+            secret: value.secret || generateWebhookSecret(),
+            createdBy: req.user.uid
+        });
+        const webhookData = webhook.toJSON();
+        delete webhookData._id;
+
+        const webhooksCollection = await getWebhooksCollection();
+        const result = await webhooksCollection.insertOne(webhookData);
+        webhook._id = result.insertedId;
+
+        await recordAudit(getAuditContext(req), {
+            action: 'webhook.create',
+            targetType: 'webhook',
+            targetId: webhook._id,
+            after: { name: webhook.name, url: webhook.url, events: webhook.events }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Webhook registered',
+            webhook: webhook.toPublicJSON(),
+            secret: webhook.secret
+        });
+    } catch (error) {
+        logger.error('Error creating webhook:', { error: error.message });
+        res.status(500).json({
+            message: 'Error creating webhook',
+            code: 'CREATE_WEBHOOK_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Update a webhook; re-enabling clears its failure count, rotateSecret issues a new secret
+ * PUT /api/admin/webhooks/:id
+ */
+const updateWebhook = async (req, res) => {
+    try {
+        const { error, value } = webhookUpdateSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                message: 'Invalid webhook',
+                errors: error.details.map(d => d.message)
+            });
+        }
+
+        const existing = await findWebhook(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ message: 'Webhook not found' });
+        }
+
+        const { rotateSecret, ...changes } = value;
+        const $set = { ...changes, updatedAt: new Date() };
+        if (changes.active === true && !existing.active) {
+            Object.assign($set, { consecutiveFailures: 0, disabledAt: null, disabledReason: null });
+        }
+        if (rotateSecret) {
+            $set.secret = generateWebhookSecret();
+        }
+
+        const webhooksCollection = await getWebhooksCollection();
+        const updated = await webhooksCollection.findOneAndUpdate(
+            { _id: existing._id },
+            { $set },
+            { returnDocument: 'after' }
+        );
+
+        const fields = Object.keys(changes);
+        await recordAudit(getAuditContext(req), {
+            action: 'webhook.update',
+            targetType: 'webhook',
+            targetId: existing._id,
+            before: Object.fromEntries(fields.map(f => [f, existing[f]])),
+            after: Object.fromEntries(fields.map(f => [f, updated[f]])),
+            metadata: { secretRotated: Boolean(rotateSecret) }
+        });
+
+        res.json({
+            success: true,
+            message: 'Webhook updated',
+            webhook: new Webhook(updated).toPublicJSON(),
+            ...(rotateSecret ? { secret: updated.secret } : {})
+        });
+    } catch (error) {
+        logger.error('Error updating webhook:', { error: error.message, id: req.params.id });
+        res.status(500).json({
+            message: 'Error updating webhook',
+            code: 'UPDATE_WEBHOOK_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Delete a webhook (its delivery log is kept; pending deliveries fail on their next attempt)
+ * DELETE /api/admin/webhooks/:id
+ */
+const deleteWebhook = async (req, res) => {
+    try {
+        const webhook = await findWebhook(req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ message: 'Webhook not found' });
+        }
+
+        const webhooksCollection = await getWebhooksCollection();
+        await webhooksCollection.deleteOne({ _id: webhook._id });
+
+        await recordAudit(getAuditContext(req), {
+            action: 'webhook.delete',
+            targetType: 'webhook',
+            targetId: webhook._id,
+            before: { name: webhook.name, url: webhook.url, events: webhook.events }
+        });
+
+        res.json({ success: true, message: 'Webhook deleted' });
+    } catch (error) {
+        logger.error('Error deleting webhook:', { error: error.message, id: req.params.id });
+        res.status(500).json({
+            message: 'Error deleting webhook',
+            code: 'DELETE_WEBHOOK_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Send a 'ping' event to check the endpoint and its signature verification
+ * POST /api/admin/webhooks/:id/ping
+ */
+const pingWebhook = async (req, res) => {
+    try {
+        const webhook = await findWebhook(req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ message: 'Webhook not found' });
+        }
+        if (!webhook.active) {
+            return res.status(400).json({ message: 'Re-enable the webhook before pinging it', code: 'WEBHOOK_DISABLED' });
+        }
+
+        const result = await emitWebhookEvent('ping', { webhookId: String(webhook._id), sentBy: req.user.uid }, { webhookId: webhook._id });
+        if (!result.success) {
+            throw result.error;
+        }
+
+        res.status(202).json({
+            success: true,
+            message: 'Ping queued - check the delivery log for the result',
+            eventId: result.eventId,
+            deliveryId: result.deliveries[0]
+        });
+    } catch (error) {
+        logger.error('Error pinging webhook:', { error: error.message, id: req.params.id });
+        res.status(500).json({
+            message: 'Error pinging webhook',
+            code: 'PING_WEBHOOK_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Delivery log of a webhook, newest first
+ * GET /api/admin/webhooks/:id/deliveries?status=failed&page=1&limit=20
+ */
+const getWebhookDeliveries = async (req, res) => {
+    try {
+        const { error, value } = webhookDeliveryQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                message: 'Invalid delivery query',
+                errors: error.details.map(d => d.message)
+            });
+        }
+
+        const webhook = await findWebhook(req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ message: 'Webhook not found' });
+        }
+
+        const filter = { webhookId: webhook._id };
+        if (value.status) filter.status = value.status;
+        if (value.event) filter.event = value.event;
+
+        const webhookDeliveriesCollection = await getWebhookDeliveriesCollection();
+        const [deliveries, total] = await Promise.all([
+            webhookDeliveriesCollection
+                .find(filter)
+                .sort({ createdAt: -1 })
+                .skip((value.page - 1) * value.limit)
+                .limit(value.limit)
+                .toArray(),
+            webhookDeliveriesCollection.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            deliveries: deliveries.map(d => new WebhookDelivery(d).toJSON()),
+            pagination: {
+                page: value.page,
+                limit: value.limit,
+                total,
+                pages: Math.ceil(total / value.limit)
+            }
+        });
+    } catch (error) {
+        logger.error('Error fetching webhook deliveries:', { error: error.message, id: req.params.id });
+        res.status(500).json({
+            message: 'Error fetching webhook deliveries',
+            code: 'FETCH_WEBHOOK_DELIVERIES_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Send a logged delivery again with the same event ID and payload
+ * POST /api/admin/webhooks/:id/deliveries/:deliveryId/replay
+ */
+const replayWebhookDelivery = async (req, res) => {
+    try {
+        const webhook = await findWebhook(req.params.id);
+        if (!webhook || !ObjectId.isValid(req.params.deliveryId)) {
+            return res.status(404).json({ message: 'Delivery not found' });
+        }
+        if (!webhook.active) {
+            return res.status(400).json({ message: 'Re-enable the webhook before replaying deliveries', code: 'WEBHOOK_DISABLED' });
+        }
+
+        const webhookDeliveriesCollection = await getWebhookDeliveriesCollection();
+        const delivery = await webhookDeliveriesCollection.findOne({
+            _id: new ObjectId(req.params.deliveryId),
+            webhookId: webhook._id
+        });
+        if (!delivery) {
+            return res.status(404).json({ message: 'Delivery not found' });
+        }
+
+        const replayId = await replayDelivery(delivery);
+        const replay = await webhookDeliveriesCollection.findOne({ _id: replayId });
+
+        await recordAudit(getAuditContext(req), {
+            action: 'webhook.replay',
+            targetType: 'webhook',
+            targetId: webhook._id,
+            metadata: { deliveryId: String(delivery._id), replayId: String(replayId), event: delivery.event }
+        });
+
+        res.json({
+            success: true,
+            message: {
+                succeeded: 'Delivery replayed',
+                pending: 'Replay failed - it will be retried',
+                failed: 'Replay failed'
+            }[replay.status],
+            delivery: new WebhookDelivery(replay).toJSON()
+        });
+    } catch (error) {
+        logger.error('Error replaying webhook delivery:', { error: error.message, id: req.params.id, deliveryId: req.params.deliveryId });
+        res.status(500).json({
+            message: 'Error replaying webhook delivery',
+            code: 'REPLAY_WEBHOOK_DELIVERY_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+module.exports = {
+    getWebhooks,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    pingWebhook,
+    getWebhookDeliveries,
+    replayWebhookDelivery,
+};
@@ -8,7 +8,12 @@ const {
     getUsersCollection,
     ObjectId
 } = require('../config/database');
-const { workflowReviewSchema, projectCommentSchema } = require('../validators/thesisSchemas');
+const {
+    workflowReviewSchema,
+    workflowTransitionSchema,
+    projectCommentSchema,
+    deliverableSchema
+} = require('../validators/thesisSchemas');
 const Project = require('../models/Project');
 const ProjectMilestone = require('../models/ProjectMilestone');
 const ProjectComment = require('../models/ProjectComment');
@@ -18,6 +23,61 @@ const {
     createProjectStatusUpdateNotification,
     createSupervisorRequestNotification
 } = require('../utils/notificationHelper');
+const {
+    LINK_TYPES,
+    getRequiredDeliverables,
+    getMissingDeliverables,
+    computeChecksum
+} = require('../utils/milestoneDeliverables');
+const {
+    getWorkflow,
+    getCurrentState,
+    getTransitionTarget,
+    findMilestone,
+    transitionProject,
+    getAvailableTransitions
+} = require('../utils/workflowEngine');
+const { OPEN_STATUSES } = require('../utils/milestoneDeadlines');
+const { getAuditContext } = require('../utils/auditLog');
+const { emitProjectTransition } = require('../utils/webhooks');
+const { saveFile, statFile, openFile } = require('../utils/storage');
+const { buildEtag, sendStoredFile } = require('../utils/fileResponse');
+const { StorageNotConfiguredError, NotFoundError } = require('../errors/AppError');
+
+/**
+ * Respond with the reason a workflow transition was refused
+ */
+const sendTransitionError = (res, result) => res.status(result.status).json({
+    message: result.message,
+    code: result.code,
+    ...result.details
+});
+
+/**
+ * Tell the project owner about a status change
+ */
+const notifyStatusChange = async (project, status) => {
+    try {
+        const workflow = await getWorkflow();
+        await createProjectStatusUpdateNotification(
+            project.authorId,
+            project.title,
+            status,
+            project._id,
+            workflow.getState(status)?.label || status
+        );
+    } catch (notifError) {
+        logger.warn('Could not send student notification for status change:', { error: notifError.message, authorId: project.authorId, projectId: project._id });
+    }
+};
+
+/**
+ * Milestone phase deliverables currently go to (null when no milestone is open)
+ */
+const getOpenPhase = async (project) => {
+    const workflow = await getWorkflow();
+    return workflow.getState(getCurrentState(workflow, project))?.phase || null;
+};
 
 /**
  * Get all pending approvals for supervisor
@@ -28,16 +88,28 @@ const getPendingApprovals = async (req, res) => {
         const supervisorUid = req.user.uid;
 
         const projectsCollection = await getProjectsCollection();
+        const workflow = await getWorkflow();
 
         // Find all projects assigned to this supervisor awaiting review
         const pendingProjects = await projectsCollection
             .find({
                 supervisorId: supervisorUid,
-                status: { $in: ['supervisor_review', 'mid_defense', 'final_submission'] }
+                status: { $in: workflow.getStatesByCategory('review') }
             })
             .sort({ updatedAt: -1 })
             .toArray();
 
+        // Open milestones with a deadline, to flag overdue work and the next due date
+        const milestonesCollection = await getProjectMilestonesCollection();
+        const openMilestones = await milestonesCollection
+            .find({
+                projectId: { $in: pendingProjects.map(p => String(p._id)) },
+                status: { $in: OPEN_STATUSES },
+                deadline: { $ne: null }
+            })
+            .sort({ deadline: 1 })
+            .toArray();
+
         // Get student details for each project
         const usersCollection = await getUsersCollection();
         const enrichedProjects = await Promise.all(
@@ -47,13 +119,21 @@ const getPendingApprovals = async (req, res) => {
                     .project({ uid: 1, name: 1, email: 1, displayName: 1 })
                     .toArray();
 
+                const projectMilestones = openMilestones
+                    .filter(m => m.projectId === String(project._id))
+                    .map(m => new ProjectMilestone(m));
+
                 return {
                     ...new Project(project).toJSON(),
                     students: students.map(s => ({
                         uid: s.uid,
                         name: s.name || s.displayName,
                         email: s.email
-                    }))
+                    })),
+                    overdueMilestones: projectMilestones
+                        .filter(m => m.isOverdue())
+                        .map(m => ({ phase: m.phase, deadline: m.deadline })),
+                    nextDeadline: projectMilestones.find(m => !m.isOverdue())?.deadline || null
                 };
             })
         );
@@ -98,47 +178,29 @@ const submitProposal = async (req, res) => {
             return res.status(403).json({ message: 'Only project owner can submit proposal' });
         }
 
-        // Check if project has supervisor assigned
-        if (!project.supervisorId) {
-            return res.status(400).json({
-                message: 'Project must have a supervisor assigned before submission'
-            });
-        }
-
-        // Check current status
-        if (project.status !== 'draft') {
+        // The workflow's 'submit' transition decides where a proposal goes from here
+        const newStatus = await getTransitionTarget(project, 'submit');
+        if (!newStatus) {
             return res.status(400).json({
                 message: `Cannot submit proposal from status: ${project.status}`
             });
         }
 
-        // Update to pending_proposal, then auto-transition to supervisor_review
-        await projectsCollection.updateOne(
-            { _id: new ObjectId(projectId) },
-            {
-                $set: {
-                    status: 'supervisor_review',
-                    updatedAt: new Date()
-                }
-            }
-        );
+        const usersCollection = await getUsersCollection();
+        const student = await usersCollection.findOne({ uid: studentUid });
 
-        // Create milestone for proposal phase
-        const milestonesCollection = await getProjectMilestonesCollection();
-        const milestone = new ProjectMilestone({
-            projectId: projectId,
-            phase: 'proposal',
-            status: 'in_progress',
-            createdAt: new Date()
+        const result = await transitionProject(project, newStatus, {
+            uid: studentUid,
+            user: student,
+            audit: getAuditContext(req, student)
         });
-
-        await milestonesCollection.insertOne(milestone.toJSON());
+        if (!result.success) {
+            return sendTransitionError(res, result);
+        }
+        await emitProjectTransition(result, studentUid);
 
         // Send notification to supervisor
         try {
-            const usersCollection = await getUsersCollection();
-            const student = await usersCollection.findOne({ uid: studentUid });
-
             await createSupervisorRequestNotification(
                 project.supervisorId,
                 studentUid,
@@ -153,7 +215,7 @@ const submitProposal = async (req, res) => {
         res.json({
             success: true,
             message: 'Proposal submitted successfully',
-            newStatus: 'supervisor_review'
+            newStatus
         });
     } catch (error) {
         logger.error('Error submitting proposal:', { error: error.message, projectId: req.body.projectId, uid: req.user.uid });
@@ -196,68 +258,30 @@ const reviewProject = async (req, res) => {
             return res.status(404).json({ message: 'Project not found' });
         }
 
-        // Verify supervisor is assigned to this project
-        if (project.supervisorId !== supervisorUid && req.user.role !== 'admin') {
-            return res.status(403).json({ message: 'Not authorized to review this project' });
+        // 'reject' sends the proposal back too, so the student can revise and resubmit
+        const transitionName = action === 'approve' ? 'approve' : 'request_changes';
+        const newStatus = await getTransitionTarget(project, transitionName);
+        if (!newStatus) {
+            return res.status(400).json({ message: `Cannot ${action === 'approve' ? 'approve' : 'send back'} project in current status` });
         }
 
-        // Determine new status based on action
-        let newStatus;
-        switch (action) {
-            case 'approve':
-                if (project.status === 'supervisor_review') {
-                    newStatus = 'approved';
-                } else {
-                    return res.status(400).json({ message: 'Cannot approve project in current status' });
-                }
-                break;
-            case 'request_changes':
-                newStatus = 'changes_requested';
-                break;
-            case 'reject':
-                newStatus = 'changes_requested'; // Student can revise and resubmit
-                break;
-            default:
-                return res.status(400).json({ message: 'Invalid action' });
-        }
-
-        // Update project status
-        await projectsCollection.updateOne(
-            { _id: new ObjectId(projectId) },
-            {
-                $set: {
-                    status: newStatus,
-                    updatedAt: new Date()
-                }
-            }
-        );
+        // Roles and guards (assigned supervisor, required deliverables, feedback) come from the workflow
+        const usersCollection = await getUsersCollection();
+        const reviewer = await usersCollection.findOne({ uid: supervisorUid });
 
-        // Update milestone
-        const milestonesCollection = await getProjectMilestonesCollection();
-        await milestonesCollection.updateOne(
-            { projectId, phase: 'proposal' },
-            {
-                $set: {
-                    status: action === 'approve' ? 'completed' : 'rejected',
-                    reviewerId: supervisorUid,
-                    feedback: feedback || '',
-                    completedAt: new Date(),
-                    updatedAt: new Date()
-                }
-            }
-        );
+        const result = await transitionProject(project, newStatus, {
+            uid: supervisorUid,
+            user: reviewer,
+            feedback: feedback || '',
+            audit: getAuditContext(req, reviewer)
+        });
+        if (!result.success) {
+            return sendTransitionError(res, result);
+        }
+        await emitProjectTransition(result, supervisorUid);
 
         // Send notification to student
-        try {
-            await createProjectStatusUpdateNotification(
-                project.authorId,
-                project.title,
-                newStatus,
-                project._id
-            );
-        } catch (notifError) {
-            console.warn('Could not send student notification:', notifError.message);
-        }
+        await notifyStatusChange(project, newStatus);
 
         res.json({
             success: true,
@@ -357,7 +381,8 @@ const getProjectTimeline = async (req, res) => {
         // Get user details for comments and reviews
         const userIds = [
             ...comments.map(c => c.userId),
-            ...milestones.filter(m => m.reviewerId).map(m => m.reviewerId)
+            ...milestones.filter(m => m.reviewerId).map(m => m.reviewerId),
+            ...milestones.flatMap(m => (m.deliverables || []).map(d => d.uploadedBy))
         ];
 
         const uniqueUserIds = [...new Set(userIds)];
@@ -380,7 +405,14 @@ const getProjectTimeline = async (req, res) => {
             timeline: {
                 milestones: milestones.map(m => ({
                     ...m,
-                    reviewer: m.reviewerId ? userMap[m.reviewerId] : null
+                    reviewer: m.reviewerId ? userMap[m.reviewerId] : null,
+                    deliverables: (m.deliverables || []).map(d => ({
+                        ...d,
+                        uploader: userMap[d.uploadedBy] || null
+                    })),
+                    requiredDeliverables: getRequiredDeliverables(m.phase),
+                    missingDeliverables: getMissingDeliverables(m.phase, m.deliverables),
+                    overdue: new ProjectMilestone(m).isOverdue()
                 })),
                 comments: comments.map(c => ({
                     ...c,
@@ -399,14 +431,29 @@ const getProjectTimeline = async (req, res) => {
 };
 
 /**
- * Advance project to next phase (mid_defense, final_submission, etc.)
- * PATCH /api/workflow/:projectId/advance
+ * Submit a deliverable to the milestone currently open for the project
+ * POST /api/workflow/:projectId/deliverables
+ * multipart/form-data with a file, or JSON with a url for link types (dataset_link, other)
  */
-const advancePhase = async (req, res) => {
+const addDeliverable = async (req, res) => {
     try {
         const { projectId } = req.params;
-        const { newPhase } = req.body;
-        const supervisorUid = req.user.uid;
+        const uid = req.user.uid;
+
+        const { error, value } = deliverableSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                message: 'Invalid deliverable',
+                errors: error.details.map(d => d.message)
+            });
+        }
+
+        if (!req.file && !value.url) {
+            return res.status(400).json({ message: 'Upload a file or provide a URL' });
+        }
+        if (!req.file && !LINK_TYPES.includes(value.type)) {
+            return res.status(400).json({ message: `A ${value.type} deliverable must be uploaded as a file` });
+        }
 
         if (!ObjectId.isValid(projectId)) {
             return res.status(400).json({ message: 'Invalid project ID' });
@@ -419,43 +466,349 @@ const advancePhase = async (req, res) => {
             return res.status(404).json({ message: 'Project not found' });
         }
 
-        // Verify authorization
-        if (project.supervisorId !== supervisorUid && req.user.role !== 'admin') {
-            return res.status(403).json({ message: 'Not authorized' });
+        // Only team members submit deliverables
+        if (project.authorId !== uid && !(project.studentIds || []).includes(uid)) {
+            return res.status(403).json({ message: 'Only project team members can submit deliverables' });
         }
 
-        // Validate transition
-        const projectModel = new Project(project);
-        if (!projectModel.canTransitionTo(newPhase)) {
-            return res.status(400).json({
-                message: `Cannot transition from ${project.status} to ${newPhase}`,
-                validTransitions: projectModel.getValidTransitions()
+        // Uploads go to the milestone of the phase the project is in, while it is open
+        const phase = await getOpenPhase(project);
+        const milestone = phase ? await findMilestone(projectId, phase) : null;
+        if (!milestone || !new ProjectMilestone(milestone).isOpen()) {
+            return res.status(409).json({
+                message: `No milestone is open for deliverables while the project is ${project.status}`,
+                code: 'MILESTONE_NOT_OPEN'
+            });
+        }
+
+        const deliverable = {
+            _id: new ObjectId(),
+            type: value.type,
+            name: value.name || req.file?.originalname || value.url,
+            url: value.url || '', // Link deliverables
+            key: null, // Storage key of uploaded files
+            size: null,
+            mimeType: null,
+            checksum: null,
+            uploadedBy: uid,
+            uploadedAt: new Date()
+        };
+
+        if (req.file) {
+            deliverable.key = await saveFile(req.file.buffer, {
+                folder: `deliverables/${projectId}`,
+                filename: req.file.originalname,
+                contentType: req.file.mimetype
             });
+            deliverable.size = req.file.size;
+            deliverable.mimeType = req.file.mimetype;
+            deliverable.checksum = computeChecksum(req.file.buffer);
         }
 
-        // Update project status
-        await projectsCollection.updateOne(
-            { _id: new ObjectId(projectId) },
+        const milestonesCollection = await getProjectMilestonesCollection();
+        await milestonesCollection.updateOne(
+            { _id: milestone._id },
             {
-                $set: {
-                    status: newPhase,
-                    updatedAt: new Date()
-                }
+                $push: { deliverables: deliverable },
+                $set: { updatedAt: new Date() }
             }
         );
 
-        // Send notification to student
-        try {
-            await createProjectStatusUpdateNotification(
-                project.authorId,
-                project.title,
-                newPhase,
-                project._id
-            );
-        } catch (notifError) {
-            logger.warn('Could not send student notification for phase advancement:', { error: notifError.message, authorId: project.authorId, projectId: project._id });
+        logger.info(`Deliverable ${deliverable.type} added to ${phase} milestone of project ${projectId} by ${uid}`);
+
+        const deliverables = [...(milestone.deliverables || []), deliverable];
+        res.status(201).json({
+            success: true,
+            message: 'Deliverable submitted',
+            phase,
+            deliverable,
+            missingDeliverables: getMissingDeliverables(phase, deliverables)
+        });
+    } catch (error) {
+        if (error instanceof StorageNotConfiguredError) {
+            return res.status(503).json({ message: 'File uploads are unavailable: storage is not configured', code: 'STORAGE_NOT_CONFIGURED' });
+        }
+        logger.error('Error adding deliverable:', { error: error.message, projectId: req.params.projectId, uid: req.user.uid });
+        res.status(500).json({
+            message: 'Error submitting deliverable',
+            code: 'ADD_DELIVERABLE_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Remove a deliverable from the open milestone
+ * DELETE /api/workflow/:projectId/deliverables/:deliverableId
+ */
+const removeDeliverable = async (req, res) => {
+    try {
+        const { projectId, deliverableId } = req.params;
+        const uid = req.user.uid;
+
+        if (!ObjectId.isValid(projectId) || !ObjectId.isValid(deliverableId)) {
+            return res.status(400).json({ message: 'Invalid project or deliverable ID' });
+        }
+
+        const projectsCollection = await getProjectsCollection();
+        const project = await projectsCollection.findOne({ _id: new ObjectId(projectId) });
+
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found' });
+        }
+
+        if (project.authorId !== uid && !(project.studentIds || []).includes(uid)) {
+            return res.status(403).json({ message: 'Only project team members can remove deliverables' });
         }
 
+        const phase = await getOpenPhase(project);
+        const milestone = phase ? await findMilestone(projectId, phase) : null;
+        if (!milestone || !new ProjectMilestone(milestone).isOpen()) {
+            return res.status(409).json({
+                message: `No milestone is open for deliverables while the project is ${project.status}`,
+                code: 'MILESTONE_NOT_OPEN'
+            });
+        }
+
+        const milestonesCollection = await getProjectMilestonesCollection();
+        const result = await milestonesCollection.updateOne(
+            { _id: milestone._id, 'deliverables._id': new ObjectId(deliverableId) },
+            {
+                $pull: { deliverables: { _id: new ObjectId(deliverableId) } },
+                $set: { updatedAt: new Date() }
+            }
+        );
+
+        if (result.matchedCount === 0) {
+            return res.status(404).json({ message: 'Deliverable not found in the open milestone' });
+        }
+
+        res.json({ success: true, message: 'Deliverable removed' });
+    } catch (error) {
+        logger.error('Error removing deliverable:', { error: error.message, projectId: req.params.projectId, uid: req.user.uid });
+        res.status(500).json({
+            message: 'Error removing deliverable',
+            code: 'REMOVE_DELIVERABLE_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Download an uploaded deliverable (team members, the supervisor and admins)
+ * GET /api/workflow/:projectId/deliverables/:deliverableId/file
+ */
+const downloadDeliverable = async (req, res) => {
+    try {
+        const { projectId, deliverableId } = req.params;
+        const uid = req.user.uid;
+
+        if (!ObjectId.isValid(projectId) || !ObjectId.isValid(deliverableId)) {
+            return res.status(400).json({ message: 'Invalid project or deliverable ID' });
+        }
+
+        const projectsCollection = await getProjectsCollection();
+        const usersCollection = await getUsersCollection();
+        const [project, user] = await Promise.all([
+            projectsCollection.findOne({ _id: new ObjectId(projectId) }),
+            usersCollection.findOne({ uid })
+        ]);
+
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found' });
+        }
+
+        const canView = user?.isAdmin === true
+            || project.authorId === uid
+            || (project.studentIds || []).includes(uid)
+            || (Boolean(project.supervisorId) && project.supervisorId === uid);
+        if (!canView) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const milestonesCollection = await getProjectMilestonesCollection();
+        const milestone = await milestonesCollection.findOne(
+            { projectId, 'deliverables._id': new ObjectId(deliverableId) },
+            { projection: { 'deliverables.$': 1 } }
+        );
+        const deliverable = milestone?.deliverables?.[0];
+
+        if (!deliverable || !deliverable.key) {
+            return res.status(404).json({ message: 'Deliverable file not found' });
+        }
+
+        const stored = await statFile(deliverable.key);
+        const filename = (deliverable.name || 'deliverable').replace(/["\\\r\n]/g, '_');
+
+        await sendStoredFile(req, res, {
+            size: stored.size,
+            etag: buildEtag(deliverable.key),
+            lastModified: stored.lastModified,
+            contentType: deliverable.mimeType || stored.contentType || 'application/octet-stream',
+            disposition: `attachment; filename="${filename}"`,
+            cacheControl: 'private, no-cache',
+            open: async (range) => (await openFile(deliverable.key, range)).stream
+        });
+    } catch (error) {
+        if (error instanceof NotFoundError) {
+            return res.status(404).json({ message: 'Deliverable file not found in storage' });
+        }
+        logger.error('Error downloading deliverable:', { error: error.message, projectId: req.params.projectId, uid: req.user.uid });
+        res.status(500).json({
+            message: 'Error downloading deliverable',
+            code: 'DOWNLOAD_DELIVERABLE_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Get the status changes the current user can make on a project
+ * GET /api/workflow/:projectId/transitions
+ */
+const getProjectTransitions = async (req, res) => {
+    try {
+        const { projectId } = req.params;
+
+        if (!ObjectId.isValid(projectId)) {
+            return res.status(400).json({ message: 'Invalid project ID' });
+        }
+
+        const projectsCollection = await getProjectsCollection();
+        const usersCollection = await getUsersCollection();
+        const [project, user] = await Promise.all([
+            projectsCollection.findOne({ _id: new ObjectId(projectId) }),
+            usersCollection.findOne({ uid: req.user.uid })
+        ]);
+
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found' });
+        }
+
+        const workflow = await getWorkflow();
+        const status = getCurrentState(workflow, project);
+
+        res.json({
+            success: true,
+            status,
+            state: workflow.getState(status),
+            transitions: await getAvailableTransitions(project, { uid: req.user.uid, user })
+        });
+    } catch (error) {
+        logger.error('Error fetching project transitions:', { error: error.message, projectId: req.params.projectId, uid: req.user.uid });
+        res.status(500).json({
+            message: 'Error fetching project transitions',
+            code: 'FETCH_TRANSITIONS_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Move a project to another state of the workflow
+ * PATCH /api/workflow/:projectId/transition
+ * Whoever the workflow allows for that transition can use this (owner, member, supervisor or admin)
+ */
+const transitionStatus = async (req, res) => {
+    try {
+        const { projectId } = req.params;
+
+        const { error, value } = workflowTransitionSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                message: 'Invalid transition',
+                errors: error.details.map(d => d.message)
+            });
+        }
+
+        if (!ObjectId.isValid(projectId)) {
+            return res.status(400).json({ message: 'Invalid project ID' });
+        }
+
+        const projectsCollection = await getProjectsCollection();
+        const usersCollection = await getUsersCollection();
+        const [project, user] = await Promise.all([
+            projectsCollection.findOne({ _id: new ObjectId(projectId) }),
+            usersCollection.findOne({ uid: req.user.uid })
+        ]);
+
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found' });
+        }
+
+        const result = await transitionProject(project, value.to, {
+            uid: req.user.uid,
+            user,
+            feedback: value.feedback,
+            audit: getAuditContext(req, user)
+        });
+        if (!result.success) {
+            return sendTransitionError(res, result);
+        }
+        await emitProjectTransition(result, req.user.uid);
+
+        await notifyStatusChange(project, value.to);
+
+        res.json({
+            success: true,
+            message: `Project moved to ${value.to}`,
+            transition: result.transition.name,
+            newStatus: value.to,
+            project: new Project(result.project).toJSON()
+        });
+    } catch (error) {
+        logger.error('Error changing project status:', { error: error.message, projectId: req.params.projectId, uid: req.user.uid });
+        res.status(500).json({
+            message: 'Error changing project status',
+            code: 'TRANSITION_STATUS_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Advance project to next phase (mid_defense, final_submission, etc.)
+ * PATCH /api/workflow/:projectId/advance
+ */
+const advancePhase = async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        const { newPhase, feedback } = req.body;
+        const supervisorUid = req.user.uid;
+
+        if (!ObjectId.isValid(projectId)) {
+            return res.status(400).json({ message: 'Invalid project ID' });
+        }
+
+        if (!newPhase || typeof newPhase !== 'string') {
+            return res.status(400).json({ message: 'newPhase is required' });
+        }
+
+        const projectsCollection = await getProjectsCollection();
+        const project = await projectsCollection.findOne({ _id: new ObjectId(projectId) });
+
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found' });
+        }
+
+        // Transition, authorization and guards are all checked against the workflow definition
+        const usersCollection = await getUsersCollection();
+        const user = await usersCollection.findOne({ uid: supervisorUid });
+
+        const result = await transitionProject(project, newPhase, {
+            uid: supervisorUid,
+            user,
+            feedback: typeof feedback === 'string' ? feedback : '',
+            audit: getAuditContext(req, user)
+        });
+        if (!result.success) {
+            return sendTransitionError(res, result);
+        }
+        await emitProjectTransition(result, supervisorUid);
+
+        // Send notification to student
+        await notifyStatusChange(project, newPhase);
+
         res.json({
             success: true,
             message: `Project advanced to ${newPhase}`,
@@ -477,5 +830,10 @@ module.exports = {
     reviewProject,
     addComment,
     getProjectTimeline,
+    addDeliverable,
+    removeDeliverable,
+    downloadDeliverable,
+    getProjectTransitions,
+    transitionStatus,
     advancePhase,
 };
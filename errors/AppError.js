@@ -53,10 +53,21 @@ class ForbiddenError extends AppError {
     }
 }
 
+/**
+ * Storage not configured error - 503 Service Unavailable
+ * Used when a file upload arrives but no storage driver is configured
+ */
+class StorageNotConfiguredError extends AppError {
+    constructor(message = 'File storage is not configured') {
+        super(message, 503);
+    }
+}
+
 module.exports = {
     AppError,
     ValidationError,
     NotFoundError,
     UnauthorizedError,
-    ForbiddenError
+    ForbiddenError,
+    StorageNotConfiguredError
 };
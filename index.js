@@ -2,6 +2,8 @@ const express = require('express');
 const cors = require('cors');
 require('dotenv').config();
 const { connectDB } = require('./config/database');
+const { startJobs } = require('./jobs');
+const { getStorageDriverName, isStorageConfigured } = require('./utils/storage');
 const { verifyToken } = require('./middleware/auth');
 const logger = require('./config/logger');
 const requestLogger = require('./middleware/requestLogger');
@@ -97,8 +99,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-  exposedHeaders: ['Content-Range', 'X-Content-Range'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Last-Event-ID', 'Range', 'If-Range', 'If-None-Match', 'If-Modified-Since'],
+  exposedHeaders: ['Content-Range', 'X-Content-Range', 'Accept-Ranges', 'Content-Length', 'ETag', 'Last-Modified'],
   preflightContinue: false,
   optionsSuccessStatus: 204,
 };
@@ -167,6 +169,10 @@ const thesisRoutes = require('./routes/thesis');
 const workflowRoutes = require('./routes/workflow');
 const teamRoutes = require('./routes/teams');
 const supervisorRoutes = require('./routes/supervisors');
+const oaiRoutes = require('./routes/oai');
+const savedSearchRoutes = require('./routes/savedSearches');
+const defenseRoutes = require('./routes/defenses');
+const calendarRoutes = require('./routes/calendar');
 
 // Apply rate limiting to user routes, but exclude GET /profile from strict limiting
 // (it's a read-only operation that's called frequently)
@@ -195,6 +201,10 @@ app.use('/api/thesis', thesisRoutes);
 app.use('/api/workflow', workflowRoutes);
 app.use('/api/teams', teamRoutes);
 app.use('/api/supervisors', supervisorRoutes);
+app.use('/api/oai', oaiRoutes); // OAI-PMH harvesting for the thesis vault
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/defenses', defenseRoutes);
+app.use('/api/calendar', calendarRoutes); // Private iCalendar feeds
 
 
 // Health check endpoint
@@ -218,6 +228,17 @@ async function startServer() {
     // Connect to MongoDB
     await connectDB();
 
+    // Start scheduled jobs (saved-search alerts, milestone reminders, email digests and retries, notification
+    // retention, embargo lifts, webhook retries - see jobs/index.js)
+    startJobs();
+
+    // Uploads are rejected rather than silently dropped when storage is missing
+    if (isStorageConfigured()) {
+      logger.info(`🗄️  File storage: ${getStorageDriverName()}`);
+    } else {
+      logger.warn('⚠️  File storage is not configured (STORAGE_DRIVER) - file uploads will be rejected');
+    }
+
     // Start listening
     app.listen(port, () => {
       logger.info(`🚀 KnowledgeTrace server is running on port ${port}`);
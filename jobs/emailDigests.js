@@ -0,0 +1,83 @@
+// Email Digests Job
+// Emails users on 'daily' or 'weekly' frequency a digest of the notifications they haven't read
+
+const {
+    getUsersCollection,
+    getNotificationsCollection
+} = require('../config/database');
+const { sendDigestEmail } = require('../utils/emailDelivery');
+const { getNotificationPreferences } = require('../utils/notificationPreferences');
+const NotificationPreferences = require('../models/NotificationPreferences');
+const logger = require('../config/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PERIOD_DAYS = { daily: 1, weekly: 7 };
+
+// Users processed per run; the rest are picked up by the next run
+const BATCH_SIZE = 500;
+
+// Notifications listed in one digest
+const MAX_DIGEST_ITEMS = 50;
+
+/**
+ * Send every digest that is due
+ * A digest covers unread notifications since the previous one; users with nothing unread are skipped until the next period
+ * Types the user keeps in-app only are left out, and users in their quiet hours are picked up by a later run
+ * @param {Date} now - Run time
+ * @returns {Promise<Object>} { checked, sent }
+ */
+async function runEmailDigests(now = new Date()) {
+    const usersCollection = await getUsersCollection();
+    const notificationsCollection = await getNotificationsCollection();
+
+    const dueFilter = Object.entries(PERIOD_DAYS).map(([frequency, days]) => ({
+        emailFrequency: frequency,
+        $or: [
+            { emailDigestSentAt: { $exists: false } },
+            { emailDigestSentAt: { $lte: new Date(now.getTime() - days * DAY_MS) } }
+        ]
+    }));
+
+    const users = await usersCollection
+        .find({ $or: dueFilter, email: { $nin: [null, ''] } })
+        .sort({ emailDigestSentAt: 1 })
+        .limit(BATCH_SIZE)
+        .toArray();
+
+    let sent = 0;
+
+    for (const user of users) {
+        try {
+            const preferences = await getNotificationPreferences(user.uid);
+            if (preferences.getQuietHoursEnd(now)) continue;
+            const inAppOnly = NotificationPreferences.TYPES.filter(type => preferences.getChannel(type) !== 'email');
+
+            const since = user.emailDigestSentAt ||
+                new Date(now.getTime() - PERIOD_DAYS[user.emailFrequency] * DAY_MS);
+
+            const notifications = await notificationsCollection
+                .find({ userId: user.uid, read: false, type: { $nin: inAppOnly }, createdAt: { $gt: since, $lte: now } })
+                .sort({ createdAt: -1 })
+                .limit(MAX_DIGEST_ITEMS)
+                .toArray();
+
+            if (notifications.length > 0) {
+                // The delivery is recorded, so a failed send is retried by the retry job rather than here
+                await sendDigestEmail(user, notifications);
+                sent++;
+            }
+
+            await usersCollection.updateOne({ uid: user.uid }, { $set: { emailDigestSentAt: now } });
+        } catch (error) {
+            // Nothing was recorded, so the next run retries this digest
+            logger.error('Error sending email digest:', { error: error.message, uid: user.uid });
+        }
+    }
+
+    return { checked: users.length, sent };
+}
+
+module.exports = {
+    runEmailDigests,
+};
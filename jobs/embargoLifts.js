@@ -0,0 +1,74 @@
+// Embargo Lifts Job
+// Opens theses whose embargo has ended to the public and tells their authors
+
+const { getProjectsCollection } = require('../config/database');
+const { createEmbargoLiftedNotification } = require('../utils/notificationHelper');
+const { recordAudit } = require('../utils/auditLog');
+const logger = require('../config/logger');
+
+// Projects processed per run; the rest are picked up by the next run
+const BATCH_SIZE = 500;
+
+/**
+ * Lift embargoes whose end date has passed
+ * Reads already treat them as public (Project.getAccessLevel); this makes it permanent and notifies the team
+ * @param {Date} now - Run time
+ * @returns {Promise<Object>} { checked, lifted }
+ */
+async function runEmbargoLifts(now = new Date()) {
+    const projectsCollection = await getProjectsCollection();
+
+    const projects = await projectsCollection
+        .find({
+            accessLevel: { $in: ['university', 'supervisor'] },
+            embargoUntil: { $ne: null, $lte: now }
+        })
+        .sort({ embargoUntil: 1 })
+        .limit(BATCH_SIZE)
+        .toArray();
+
+    let lifted = 0;
+
+    for (const project of projects) {
+        try {
+            // Conditional on the embargo being unchanged, so an edit made meanwhile isn't overwritten
+            const result = await projectsCollection.updateOne(
+                { _id: project._id, accessLevel: project.accessLevel, embargoUntil: project.embargoUntil },
+                {
+                    $set: {
+                        accessLevel: 'public',
+                        embargoUntil: null,
+                        embargoReason: '',
+                        embargoLiftedAt: now,
+                        updatedAt: now
+                    }
+                }
+            );
+            if (result.modifiedCount === 0) continue;
+            lifted++;
+
+            await recordAudit({ actorId: 'system', actorRole: null }, {
+                action: 'project.embargo_lifted',
+                targetType: 'project',
+                targetId: project._id,
+                before: {
+                    accessLevel: project.accessLevel,
+                    embargoUntil: project.embargoUntil,
+                    embargoReason: project.embargoReason || ''
+                },
+                after: { accessLevel: 'public', embargoUntil: null, embargoReason: '' }
+            });
+
+            const recipients = [...new Set([project.authorId, ...(project.studentIds || [])].filter(Boolean))];
+            await Promise.all(recipients.map(recipientId => createEmbargoLiftedNotification(recipientId, project)));
+        } catch (error) {
+            logger.error('Error lifting thesis embargo:', { error: error.message, projectId: String(project._id) });
+        }
+    }
+
+    return { checked: projects.length, lifted };
+}
+
+module.exports = {
+    runEmbargoLifts,
+};
@@ -0,0 +1,85 @@
+// Background Jobs
+// Runs periodic jobs inside the API process (set JOBS_ENABLED=false on extra instances)
+
+const logger = require('../config/logger');
+const { runSavedSearchAlerts } = require('./savedSearchAlerts');
+const { runMilestoneReminders } = require('./milestoneReminders');
+const { runEmailDigests } = require('./emailDigests');
+const { runNotificationRetention } = require('./notificationRetention');
+const { runEmbargoLifts } = require('./embargoLifts');
+const { retryEmailDeliveries } = require('../utils/emailDelivery');
+const { retryWebhookDeliveries } = require('../utils/webhooks');
+
+const JOBS = [
+    {
+        name: 'saved-search-alerts',
+        intervalMinutes: parseInt(process.env.SAVED_SEARCH_ALERT_INTERVAL_MINUTES, 10) || 60,
+        run: runSavedSearchAlerts
+    },
+    {
+        name: 'milestone-reminders',
+        intervalMinutes: parseInt(process.env.MILESTONE_REMINDER_INTERVAL_MINUTES, 10) || 60,
+        run: runMilestoneReminders
+    },
+    {
+        name: 'email-digests',
+        intervalMinutes: parseInt(process.env.EMAIL_DIGEST_INTERVAL_MINUTES, 10) || 60,
+        run: runEmailDigests
+    },
+    {
+        name: 'email-retries',
+        intervalMinutes: parseInt(process.env.EMAIL_RETRY_INTERVAL_MINUTES, 10) || 5,
+        run: retryEmailDeliveries
+    },
+    {
+        name: 'notification-retention',
+        intervalMinutes: parseInt(process.env.NOTIFICATION_RETENTION_INTERVAL_MINUTES, 10) || 24 * 60,
+        run: runNotificationRetention
+    },
+    {
+        name: 'embargo-lifts',
+        intervalMinutes: parseInt(process.env.EMBARGO_LIFT_INTERVAL_MINUTES, 10) || 60,
+        run: runEmbargoLifts
+    },
+    {
+        name: 'webhook-retries',
+        intervalMinutes: parseInt(process.env.WEBHOOK_RETRY_INTERVAL_MINUTES, 10) || 1,
+        run: retryWebhookDeliveries
+    }
+];
+
+/**
+ * Schedule every job on its interval
+ * A job never overlaps itself: a tick is skipped while the previous run is still going
+ */
+function startJobs() {
+    if (process.env.JOBS_ENABLED === 'false') {
+        logger.info('⏸️  Background jobs disabled (JOBS_ENABLED=false)');
+        return;
+    }
+
+    JOBS.forEach(job => {
+        let running = false;
+
+        const tick = async () => {
+            if (running) return;
+            running = true;
+            try {
+                const result = await job.run();
+                logger.info(`Job ${job.name} finished`, result);
+            } catch (error) {
+                logger.error(`Job ${job.name} failed:`, { error: error.message });
+            } finally {
+                running = false;
+            }
+        };
+
+        setInterval(tick, job.intervalMinutes * 60 * 1000).unref();
+    });
+
+    logger.info(`⏰ Scheduled ${JOBS.length} background job(s)`);
+}
+
+module.exports = {
+    startJobs,
+};
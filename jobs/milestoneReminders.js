@@ -0,0 +1,113 @@
+// Milestone Reminders Job
+// Reminds students and supervisors of upcoming milestone deadlines and marks missed ones overdue
+
+const {
+    getProjectMilestonesCollection,
+    getProjectsCollection,
+    ObjectId
+} = require('../config/database');
+const { OPEN_STATUSES } = require('../utils/milestoneDeadlines');
+const { createMilestoneDeadlineNotification } = require('../utils/notificationHelper');
+const logger = require('../config/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days before a deadline that reminders go out (an overdue reminder always follows)
+const OFFSETS_DAYS = (process.env.MILESTONE_REMINDER_OFFSETS_DAYS || '7,1')
+    .split(',')
+    .map(days => parseInt(days, 10))
+    .filter(days => days > 0)
+    .sort((a, b) => b - a);
+
+// Milestones processed per run; the rest are picked up by the next run
+const BATCH_SIZE = 500;
+
+/**
+ * Reminder a milestone is due for, if any
+ * Only the most urgent reminder is sent; earlier ones that were missed are marked sent with it
+ * @param {Object} milestone - Milestone with deadline and remindersSent
+ * @param {Date} now - Run time
+ * @returns {Object|null} { daysLeft, keys } - daysLeft is 0 once the deadline has passed
+ */
+function getDueReminder(milestone, now) {
+    const sent = milestone.remindersSent || [];
+    const timeLeft = new Date(milestone.deadline).getTime() - now.getTime();
+    const offsetKeys = OFFSETS_DAYS.map(days => `${days}d`);
+
+    if (timeLeft <= 0) {
+        return sent.includes('overdue') ? null : { daysLeft: 0, keys: [...offsetKeys, 'overdue'] };
+    }
+
+    const reached = OFFSETS_DAYS.filter(days => timeLeft <= days * DAY_MS);
+    if (reached.length === 0 || reached.every(days => sent.includes(`${days}d`))) return null;
+
+    return {
+        daysLeft: Math.ceil(timeLeft / DAY_MS),
+        keys: reached.map(days => `${days}d`)
+    };
+}
+
+/**
+ * Send due deadline reminders and flag milestones whose deadline has passed
+ * @param {Date} now - Run time
+ * @returns {Promise<Object>} { checked, reminded, overdue }
+ */
+async function runMilestoneReminders(now = new Date()) {
+    const milestonesCollection = await getProjectMilestonesCollection();
+    const projectsCollection = await getProjectsCollection();
+
+    const horizon = new Date(now.getTime() + (OFFSETS_DAYS[0] || 0) * DAY_MS);
+    const milestones = await milestonesCollection
+        .find({
+            status: { $in: OPEN_STATUSES },
+            deadline: { $ne: null, $lte: horizon },
+            remindersSent: { $ne: 'overdue' }
+        })
+        .sort({ deadline: 1 })
+        .limit(BATCH_SIZE)
+        .toArray();
+
+    let reminded = 0;
+    let overdue = 0;
+
+    for (const milestone of milestones) {
+        const reminder = getDueReminder(milestone, now);
+        if (!reminder) continue;
+
+        try {
+            const project = ObjectId.isValid(milestone.projectId)
+                ? await projectsCollection.findOne({ _id: new ObjectId(milestone.projectId) })
+                : null;
+
+            if (project) {
+                const recipients = [...new Set([
+                    project.authorId,
+                    ...(project.studentIds || []),
+                    project.supervisorId
+                ].filter(Boolean))];
+
+                await Promise.all(recipients.map(recipientId =>
+                    createMilestoneDeadlineNotification(recipientId, project, milestone, reminder.daysLeft)
+                ));
+                reminded++;
+            }
+
+            const update = { $addToSet: { remindersSent: { $each: reminder.keys } } };
+            if (reminder.daysLeft === 0) {
+                update.$set = { overdue: true, updatedAt: now };
+                overdue++;
+            }
+            await milestonesCollection.updateOne({ _id: milestone._id }, update);
+        } catch (error) {
+            // Nothing was recorded, so the next run retries this reminder
+            logger.error('Error sending milestone reminder:', { error: error.message, milestoneId: String(milestone._id) });
+        }
+    }
+
+    return { checked: milestones.length, reminded, overdue };
+}
+
+module.exports = {
+    getDueReminder,
+    runMilestoneReminders,
+};
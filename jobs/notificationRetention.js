@@ -0,0 +1,73 @@
+// Notification Retention Job
+// Purges read notifications older than the retention period, optionally copying them to notifications_archive first
+
+const {
+    getNotificationsCollection,
+    getNotificationsArchiveCollection
+} = require('../config/database');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a read notification is kept after its last activity (0 keeps them forever)
+const RETENTION_DAYS = process.env.NOTIFICATION_RETENTION_DAYS !== undefined
+    ? parseInt(process.env.NOTIFICATION_RETENTION_DAYS, 10) || 0
+    : 90;
+
+// Copy purged notifications to notifications_archive instead of dropping them
+const ARCHIVE = process.env.NOTIFICATION_ARCHIVE === 'true';
+
+// Notifications purged per batch, and batches per run; the rest are picked up by the next run
+const BATCH_SIZE = 1000;
+const MAX_BATCHES = 20;
+
+/**
+ * Purge expired read notifications
+ * Unread notifications are never purged
+ * @param {Date} now - Run time
+ * @returns {Promise<Object>} { purged, archived }
+ */
+async function runNotificationRetention(now = new Date()) {
+    if (RETENTION_DAYS <= 0) return { purged: 0, archived: 0 };
+
+    const notificationsCollection = await getNotificationsCollection();
+    const archiveCollection = ARCHIVE ? await getNotificationsArchiveCollection() : null;
+
+    const cutoff = new Date(now.getTime() - RETENTION_DAYS * DAY_MS);
+    const expired = {
+        read: true,
+        $or: [
+            { lastActivityAt: { $lt: cutoff } },
+            { lastActivityAt: { $exists: false }, createdAt: { $lt: cutoff } } // Created before grouping existed
+        ]
+    };
+
+    let purged = 0;
+    let archived = 0;
+
+    for (let batch = 0; batch < MAX_BATCHES; batch++) {
+        const docs = await notificationsCollection.find(expired).limit(BATCH_SIZE).toArray();
+        if (docs.length === 0) break;
+
+        if (archiveCollection) {
+            // Keep the original _id so a batch retried after a failed delete isn't archived twice
+            const result = await archiveCollection.bulkWrite(
+                docs.map(doc => ({
+                    replaceOne: { filter: { _id: doc._id }, replacement: { ...doc, archivedAt: now }, upsert: true }
+                })),
+                { ordered: false }
+            );
+            archived += result.upsertedCount + result.modifiedCount;
+        }
+
+        const result = await notificationsCollection.deleteMany({ _id: { $in: docs.map(doc => doc._id) } });
+        purged += result.deletedCount;
+
+        if (docs.length < BATCH_SIZE) break;
+    }
+
+    return { purged, archived };
+}
+
+module.exports = {
+    runNotificationRetention,
+};
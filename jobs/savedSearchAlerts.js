@@ -0,0 +1,74 @@
+// Saved Search Alerts Job
+// Re-runs due saved searches and notifies owners about projects published since the last run
+
+const {
+    getSavedSearchesCollection,
+    getProjectsCollection
+} = require('../config/database');
+const { buildVaultSearch } = require('../utils/vaultSearch');
+const { createSavedSearchMatchNotification } = require('../utils/notificationHelper');
+const SavedSearch = require('../models/SavedSearch');
+const logger = require('../config/logger');
+
+// Saved searches processed per run; the rest stay due for the next run
+const BATCH_SIZE = 200;
+
+// New matches reported per saved search per run
+const MAX_MATCHES = 50;
+
+/**
+ * Check every due, unmuted saved search for newly published matches
+ * @param {Date} now - Run time (projects published up to this moment are considered)
+ * @returns {Promise<Object>} { checked, notified }
+ */
+async function runSavedSearchAlerts(now = new Date()) {
+    const savedSearchesCollection = await getSavedSearchesCollection();
+    const projectsCollection = await getProjectsCollection();
+
+    const dueSearches = await savedSearchesCollection
+        .find({ muted: false, nextRunAt: { $lte: now } })
+        .sort({ nextRunAt: 1 })
+        .limit(BATCH_SIZE)
+        .toArray();
+
+    let notified = 0;
+
+    for (const savedSearch of dueSearches) {
+        try {
+            const { filter } = await buildVaultSearch(savedSearch.filters || {});
+            const matches = await projectsCollection
+                .find(
+                    { ...filter, publishedAt: { $gt: savedSearch.lastRunAt, $lte: now } },
+                    { projection: { _id: 1, title: 1 } }
+                )
+                .sort({ publishedAt: 1 })
+                .limit(MAX_MATCHES)
+                .toArray();
+
+            if (matches.length > 0) {
+                await createSavedSearchMatchNotification(savedSearch.userId, savedSearch, matches);
+                notified++;
+            }
+
+            await savedSearchesCollection.updateOne(
+                { _id: savedSearch._id },
+                {
+                    $set: {
+                        lastRunAt: now,
+                        nextRunAt: SavedSearch.getNextRunAt(savedSearch.frequency, now),
+                        lastMatchCount: matches.length
+                    }
+                }
+            );
+        } catch (error) {
+            // Leave the search due so the next run retries it
+            logger.error('Error running saved search alert:', { error: error.message, savedSearchId: String(savedSearch._id) });
+        }
+    }
+
+    return { checked: dueSearches.length, notified };
+}
+
+module.exports = {
+    runSavedSearchAlerts,
+};
@@ -1,16 +1,25 @@
+const crypto = require('crypto');
 const logger = require('../config/logger');
 
 /**
  * Request logging middleware
  * Logs all incoming HTTP requests with method, URL, status, and response time
+ * Each request gets an ID (X-Request-Id, kept from the client or proxy when well-formed) for logs and the audit log
  */
 const requestLogger = (req, res, next) => {
     const start = Date.now();
+    const incomingId = req.get('x-request-id');
+    req.id = incomingId && /^[\w.-]{1,100}$/.test(incomingId) ? incomingId : crypto.randomUUID();
+    res.setHeader('X-Request-Id', req.id);
+
+    // Tokens in query strings (notification stream, unsubscribe links) stay out of the logs
+    const url = req.originalUrl.replace(/([?&]token=)[^&]*/g, '$1[redacted]');
 
     // Log request
-    logger.info(`${req.method} ${req.originalUrl}`, {
+    logger.info(`${req.method} ${url}`, {
         method: req.method,
-        url: req.originalUrl,
+        url,
+        requestId: req.id,
         ip: req.ip,
         userAgent: req.get('user-agent')
     });
@@ -20,11 +29,12 @@ const requestLogger = (req, res, next) => {
         const duration = Date.now() - start;
         const logLevel = res.statusCode >= 400 ? 'error' : 'info';
 
-        logger[logLevel](`${req.method} ${req.originalUrl} ${res.statusCode}`, {
+        logger[logLevel](`${req.method} ${url} ${res.statusCode}`, {
             method: req.method,
-            url: req.originalUrl,
+            url,
             statusCode: res.statusCode,
             duration: `${duration}ms`,
+            requestId: req.id,
             ip: req.ip
         });
     });
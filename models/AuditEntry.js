@@ -0,0 +1,86 @@
+// AuditEntry model for the append-only, hash-chained audit log
+const crypto = require('crypto');
+
+// prevHash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * JSON with object keys sorted, so the same entry always hashes the same way
+ */
+const canonicalJSON = (value) => {
+    if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+};
+
+class AuditEntry {
+    constructor(data = {}) {
+        this._id = data._id || data.id || null;
+        this.seq = data.seq; // Position in the chain (1, 2, 3, ...)
+        this.timestamp = data.timestamp || new Date();
+        this.actorId = data.actorId || 'system'; // UID of the user who acted
+        this.actorRole = data.actorRole || null; // 'student' | 'supervisor' | 'admin'
+        this.action = data.action; // e.g. 'project.status_change', 'supervisor_request.respond'
+        this.targetType = data.targetType; // e.g. 'project', 'supervisor_request', 'workflow_definition'
+        this.targetId = data.targetId ? String(data.targetId) : null;
+        this.before = data.before === undefined ? null : data.before; // Changed values before the action
+        this.after = data.after === undefined ? null : data.after; // Changed values after the action
+        this.metadata = data.metadata || {}; // Extra context (transition name, feedback, ...)
+        this.ip = data.ip || null;
+        this.requestId = data.requestId || null;
+        this.userAgent = data.userAgent || null;
+        this.prevHash = data.prevHash || GENESIS_HASH; // Hash of the previous entry
+        this.hash = data.hash || null; // Hash of this entry, including prevHash
+    }
+
+    /**
+     * Hash of the entry's content and the previous entry's hash
+     * @returns {string} Hex SHA-256 digest
+     */
+    computeHash() {
+        const content = {
+            seq: this.seq,
+            timestamp: new Date(this.timestamp).toISOString(),
+            actorId: this.actorId,
+            actorRole: this.actorRole,
+            action: this.action,
+            targetType: this.targetType,
+            targetId: this.targetId,
+            before: this.before,
+            after: this.after,
+            metadata: this.metadata,
+            ip: this.ip,
+            requestId: this.requestId,
+            userAgent: this.userAgent,
+            prevHash: this.prevHash
+        };
+        return crypto.createHash('sha256').update(canonicalJSON(content)).digest('hex');
+    }
+
+    toJSON() {
+        return {
+            _id: this._id,
+            seq: this.seq,
+            timestamp: this.timestamp,
+            actorId: this.actorId,
+            actorRole: this.actorRole,
+            action: this.action,
+            targetType: this.targetType,
+            targetId: this.targetId,
+            before: this.before,
+            after: this.after,
+            metadata: this.metadata,
+            ip: this.ip,
+            requestId: this.requestId,
+            userAgent: this.userAgent,
+            prevHash: this.prevHash,
+            hash: this.hash,
+        };
+    }
+}
+
+AuditEntry.GENESIS_HASH = GENESIS_HASH;
+
+module.exports = AuditEntry;
@@ -0,0 +1,28 @@
+// DeadlineTemplate model for default milestone deadlines per department and term
+class DeadlineTemplate {
+    constructor(data = {}) {
+        this._id = data._id || data.id || null;
+        this.department = data.department || ''; // Empty applies to every department
+        this.year = data.year; // Academic year (term) of the projects it applies to
+        this.phase = data.phase; // 'proposal' | 'mid_defense' | 'final_submission'
+        this.deadline = data.deadline; // Due date for the phase
+        this.createdBy = data.createdBy || ''; // UID of the admin who set it
+        this.createdAt = data.createdAt || new Date();
+        this.updatedAt = data.updatedAt || new Date();
+    }
+
+    toJSON() {
+        return {
+            _id: this._id,
+            department: this.department,
+            year: this.year,
+            phase: this.phase,
+            deadline: this.deadline,
+            createdBy: this.createdBy,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt,
+        };
+    }
+}
+
+module.exports = DeadlineTemplate;
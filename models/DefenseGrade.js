@@ -0,0 +1,77 @@
+// DefenseGrade model for the examiner committee's scores of one project's defense
+class DefenseGrade {
+    constructor(data = {}) {
+        this._id = data._id || data.id || null;
+        this.projectId = data.projectId; // Reference to Project
+        this.projectTitle = data.projectTitle || '';
+        this.department = data.department || '';
+        this.year = data.year; // Academic year (term) the grade sheet is exported for
+        this.phase = data.phase; // 'mid_defense' | 'final_submission'
+        this.sessionId = data.sessionId || null; // Defense session the project was booked into
+        this.slotId = data.slotId || null;
+        this.rubric = data.rubric || null; // Snapshot { name, version, criteria } scored against
+        this.scores = Array.isArray(data.scores) ? data.scores : []; // [{ examinerId, scores: [{ key, score }], total, comments, submittedAt, updatedAt }]
+        this.aggregate = data.aggregate || null; // { examinerCount, mean, min, max, spread, flagged }
+        this.status = data.status || 'open'; // 'open' | 'finalized'
+        this.finalizedBy = data.finalizedBy || null;
+        this.finalizedAt = data.finalizedAt || null;
+        this.createdAt = data.createdAt || new Date();
+        this.updatedAt = data.updatedAt || new Date();
+    }
+
+    /**
+     * Check if grades are locked
+     * @returns {boolean}
+     */
+    isFinalized() {
+        return this.status === 'finalized';
+    }
+
+    /**
+     * Committee members who have not submitted scores
+     * @param {string[]} examinerIds - UIDs of the committee
+     * @returns {string[]}
+     */
+    getMissingExaminers(examinerIds) {
+        return examinerIds.filter(uid => !this.scores.some(s => s.examinerId === uid));
+    }
+
+    /**
+     * What students see: the final mark once grades are finalized
+     * @returns {Object}
+     */
+    toStudentJSON() {
+        return {
+            _id: this._id,
+            projectId: this.projectId,
+            phase: this.phase,
+            status: this.status,
+            mean: this.isFinalized() ? this.aggregate?.mean ?? null : null,
+            comments: this.isFinalized() ? this.scores.map(s => s.comments).filter(Boolean) : [],
+            finalizedAt: this.finalizedAt,
+        };
+    }
+
+    toJSON() {
+        return {
+            _id: this._id,
+            projectId: this.projectId,
+            projectTitle: this.projectTitle,
+            department: this.department,
+            year: this.year,
+            phase: this.phase,
+            sessionId: this.sessionId,
+            slotId: this.slotId,
+            rubric: this.rubric,
+            scores: this.scores,
+            aggregate: this.aggregate,
+            status: this.status,
+            finalizedBy: this.finalizedBy,
+            finalizedAt: this.finalizedAt,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt,
+        };
+    }
+}
+
+module.exports = DefenseGrade;
@@ -0,0 +1,89 @@
+// DefenseSession model for scheduled defenses with an examiner committee
+class DefenseSession {
+    constructor(data = {}) {
+        this._id = data._id || data.id || null;
+        this.phase = data.phase; // 'mid_defense' | 'final_submission'
+        this.title = data.title || ''; // Optional label, e.g. "CSE mid defense - Room 301"
+        this.startsAt = data.startsAt ? new Date(data.startsAt) : null;
+        this.durationMinutes = data.durationMinutes || 120; // Length of the whole session
+        this.endsAt = this.startsAt ? new Date(this.startsAt.getTime() + this.durationMinutes * 60 * 1000) : null; // Stored for conflict queries
+        this.slotMinutes = data.slotMinutes || 20; // Length of each project's slot
+        this.room = data.room || '';
+        this.examinerIds = Array.isArray(data.examinerIds) ? data.examinerIds : []; // UIDs of the examiner committee (supervisors)
+        this.slots = Array.isArray(data.slots) ? data.slots : []; // [{ _id, projectId, projectTitle, participantIds, startsAt, endsAt, outcome, bookedBy, bookedAt }]
+        this.status = data.status || 'scheduled'; // 'scheduled' | 'cancelled'
+        this.createdBy = data.createdBy || ''; // UID of the supervisor or admin who created it
+        this.createdAt = data.createdAt || new Date();
+        this.updatedAt = data.updatedAt || new Date();
+    }
+
+    /**
+     * Find a booked slot
+     * @param {string} slotId - Slot ID
+     * @returns {Object|undefined}
+     */
+    getSlot(slotId) {
+        return this.slots.find(slot => String(slot._id) === String(slotId));
+    }
+
+    /**
+     * Check whether a slot lies within the session and is free
+     * @param {Date} startsAt - Slot start
+     * @param {Date} endsAt - Slot end
+     * @returns {string|null} Why the slot can't be booked, or null if it can
+     */
+    checkSlot(startsAt, endsAt) {
+        if (startsAt < this.startsAt || endsAt > this.endsAt) {
+            return 'Slot must fall within the session';
+        }
+        const taken = this.slots.find(slot => new Date(slot.startsAt) < endsAt && new Date(slot.endsAt) > startsAt);
+        return taken ? `Slot overlaps the defense of "${taken.projectTitle}"` : null;
+    }
+
+    /**
+     * Everyone involved in the session (examiners and the students of booked projects)
+     * @returns {string[]} UIDs
+     */
+    getParticipantIds() {
+        return [...new Set([
+            ...this.examinerIds,
+            ...this.slots.flatMap(slot => slot.participantIds || [])
+        ])];
+    }
+
+    /**
+     * Check whether a user may change the session (its creator or an examiner)
+     * @param {string} uid - Firebase UID
+     * @returns {boolean}
+     */
+    isManagedBy(uid) {
+        return this.createdBy === uid || this.examinerIds.includes(uid);
+    }
+
+    toJSON() {
+        return {
+            _id: this._id,
+            phase: this.phase,
+            title: this.title,
+            startsAt: this.startsAt,
+            endsAt: this.endsAt,
+            durationMinutes: this.durationMinutes,
+            slotMinutes: this.slotMinutes,
+            room: this.room,
+            examinerIds: this.examinerIds,
+            slots: this.slots,
+            status: this.status,
+            createdBy: this.createdBy,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt,
+        };
+    }
+}
+
+// Workflow phases that end with a defense
+DefenseSession.PHASES = ['mid_defense', 'final_submission'];
+
+// Results an examiner committee can record for a booked project
+DefenseSession.OUTCOMES = ['passed', 'passed_with_revisions', 'failed'];
+
+module.exports = DefenseSession;
@@ -0,0 +1,54 @@
+// EmailDelivery model - one outgoing email (a single notification or a digest) and its delivery state
+class EmailDelivery {
+    constructor(data = {}) {
+        this._id = data._id || null;
+        this.userId = data.userId || ''; // Firebase UID of the recipient
+        this.to = data.to || ''; // Recipient address at the time the email was queued
+        this.kind = data.kind || 'notification'; // 'notification' | 'digest'
+        this.notificationType = data.notificationType || null; // Notification type (single notifications only)
+        this.notificationIds = data.notificationIds || []; // Notifications the email covers
+        this.subject = data.subject || '';
+        this.html = data.html || '';
+        this.text = data.text || '';
+        this.headers = data.headers || {}; // Extra headers, e.g. List-Unsubscribe
+        this.status = data.status || 'pending'; // 'pending' | 'sent' | 'failed'
+        this.attempts = data.attempts || 0; // Send attempts so far
+        this.lastError = data.lastError || null; // Error of the most recent failed attempt
+        this.nextAttemptAt = data.nextAttemptAt !== undefined ? data.nextAttemptAt : new Date(); // null once sent or given up
+        this.messageId = data.messageId || null; // ID reported by the transport
+        this.sentAt = data.sentAt || null;
+        this.createdAt = data.createdAt || new Date();
+        this.updatedAt = data.updatedAt || new Date();
+    }
+
+    toJSON() {
+        return {
+            _id: this._id,
+            userId: this.userId,
+            to: this.to,
+            kind: this.kind,
+            notificationType: this.notificationType,
+            notificationIds: this.notificationIds,
+            subject: this.subject,
+            html: this.html,
+            text: this.text,
+            headers: this.headers,
+            status: this.status,
+            attempts: this.attempts,
+            lastError: this.lastError,
+            nextAttemptAt: this.nextAttemptAt,
+            messageId: this.messageId,
+            sentAt: this.sentAt,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt,
+        };
+    }
+}
+
+EmailDelivery.KINDS = ['notification', 'digest'];
+EmailDelivery.STATUSES = ['pending', 'sent', 'failed'];
+
+// How often a user is emailed: each notification as it happens, a daily or weekly digest, or never
+EmailDelivery.FREQUENCIES = ['instant', 'daily', 'weekly', 'off'];
+
+module.exports = EmailDelivery;
@@ -14,6 +14,25 @@ class Notification {
     this.message = data.message || ''; // Pre-formatted message
     this.read = data.read !== undefined ? data.read : false;
     this.createdAt = data.createdAt || new Date();
+
+    // Grouping - same-type notifications on the same target collapse into one ("Ayesha and 12 others liked...")
+    this.groupKey = data.groupKey || null; // '<type>:<target ID>' for groupable types
+    this.actors = data.actors || []; // Most recent actors first [{ userId, name, photoURL }]
+    this.actorCount = data.actorCount || 1; // Distinct actors, including ones no longer listed in actors
+    this.lastActivityAt = data.lastActivityAt || this.createdAt; // Last time an actor was added
+  }
+
+  /**
+   * Actor phrase for a grouped notification
+   * @param {Object[]} actors - Most recent first
+   * @param {number} actorCount - Total distinct actors
+   * @returns {string} 'Ayesha', 'Ayesha and Rahim' or 'Ayesha and 12 others'
+   */
+  static formatActors(actors, actorCount) {
+    const [first, second] = actors.map(a => a.name || 'Someone');
+    if (actorCount <= 1) return first || 'Someone';
+    if (actorCount === 2 && second) return `${first} and ${second}`;
+    return `${first || 'Someone'} and ${actorCount - 1} other${actorCount === 2 ? '' : 's'}`;
   }
 
   toJSON() {
@@ -31,6 +50,10 @@ class Notification {
       message: this.message,
       read: this.read,
       createdAt: this.createdAt,
+      groupKey: this.groupKey,
+      actors: this.actors,
+      actorCount: this.actorCount,
+      lastActivityAt: this.lastActivityAt,
     };
   }
 }
@@ -0,0 +1,104 @@
+// NotificationPreferences model - how a user wants each notification type delivered, what they muted and their quiet hours
+class NotificationPreferences {
+    constructor(data = {}) {
+        this._id = data._id || null;
+        this.userId = data.userId || ''; // Firebase UID
+        this.channels = data.channels || {}; // type -> 'email' | 'in_app' | 'off' (missing types use 'email')
+        this.mutedProjects = data.mutedProjects || []; // Project IDs (strings) whose notifications are dropped
+        this.mutedCollabPosts = data.mutedCollabPosts || []; // Collab post IDs (strings) whose notifications are dropped
+        this.quietHours = data.quietHours || null; // { start: 'HH:MM', end: 'HH:MM', timezone } - emails are held until it ends
+        this.createdAt = data.createdAt || new Date();
+        this.updatedAt = data.updatedAt || new Date();
+    }
+
+    /**
+     * Delivery channel for a notification type
+     * 'email' = in-app and email (instant or digest, per the user's email frequency), 'in_app' = in-app only, 'off' = not created
+     * @param {string} type - Notification type
+     * @returns {string}
+     */
+    getChannel(type) {
+        return NotificationPreferences.CHANNELS.includes(this.channels[type]) ? this.channels[type] : 'email';
+    }
+
+    /**
+     * Whether notifications about this target were muted
+     * @param {string} targetType - 'project' | 'collab_post'
+     * @param {string|ObjectId} targetId
+     * @returns {boolean}
+     */
+    isMuted(targetType, targetId) {
+        if (!targetId) return false;
+        const muted = targetType === 'collab_post' ? this.mutedCollabPosts : this.mutedProjects;
+        return muted.includes(String(targetId));
+    }
+
+    /**
+     * When the quiet hours around a moment end
+     * @param {Date} now
+     * @returns {Date|null} End of the current quiet period, or null outside quiet hours
+     */
+    getQuietHoursEnd(now = new Date()) {
+        if (!this.quietHours?.start || !this.quietHours?.end) return null;
+
+        const toMinutes = (hhmm) => {
+            const [h, m] = hhmm.split(':').map(Number);
+            return h * 60 + m;
+        };
+        const start = toMinutes(this.quietHours.start);
+        const end = toMinutes(this.quietHours.end);
+        if (start === end) return null;
+
+        const parts = new Intl.DateTimeFormat('en-GB', {
+            timeZone: this.quietHours.timezone || NotificationPreferences.DEFAULT_TIMEZONE,
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(now).reduce((acc, p) => ({ ...acc, [p.type]: Number(p.value) }), {});
+        const local = parts.hour * 60 + parts.minute;
+
+        // Windows may cross midnight (22:00-07:00)
+        const inside = start < end ? local >= start && local < end : local >= start || local < end;
+        if (!inside) return null;
+
+        const minutesLeft = (end - local + 1440) % 1440;
+        return new Date(now.getTime() + (minutesLeft * 60 - parts.second) * 1000);
+    }
+
+    toJSON() {
+        return {
+            _id: this._id,
+            userId: this.userId,
+            channels: this.channels,
+            mutedProjects: this.mutedProjects,
+            mutedCollabPosts: this.mutedCollabPosts,
+            quietHours: this.quietHours,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt,
+        };
+    }
+}
+
+NotificationPreferences.CHANNELS = ['email', 'in_app', 'off'];
+
+// Notification types users can set a channel for
+NotificationPreferences.TYPES = [
+    'like',
+    'comment',
+    'reply',
+    'collab_request',
+    'project_submission',
+    'project_status',
+    'supervisor_request',
+    'supervisor_response',
+    'team_invitation',
+    'saved_search_match',
+    'milestone_deadline',
+    'defense_schedule',
+    'embargo_lifted'
+];
+
+NotificationPreferences.DEFAULT_TIMEZONE = process.env.CALENDAR_TIMEZONE || 'Asia/Dhaka';
+
+module.exports = NotificationPreferences;
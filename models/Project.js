@@ -1,4 +1,8 @@
 // Project model/schema for MongoDB with workflow management
+
+// Words left out of department codes
+const HANDLE_STOP_WORDS = ['DEPARTMENT', 'DEPT', 'OF', 'AND', 'THE', 'IN', 'FOR'];
+
 class Project {
   constructor(data) {
     this._id = data._id || data.id || null;
@@ -20,14 +24,25 @@ class Project {
 
     // Module B: Workflow Management
     this.status = data.status || 'draft';
-    // Workflow states: draft | pending_proposal | supervisor_review | changes_requested | 
-    //                  approved | mid_defense | final_submission | completed | archived
+    // Workflow states come from the active WorkflowDefinition (default: draft | supervisor_review |
+    // changes_requested | approved | mid_defense | final_submission | completed | archived)
 
     this.year = data.year || new Date().getFullYear();
     this.department = data.department || '';
     this.githubLink = data.githubLink || '';
-    this.pdfUrl = data.pdfUrl || ''; // Cloudinary URL (Module A)
+    this.pdfKey = data.pdfKey || ''; // Storage key of the uploaded PDF ('<driver>:<object key>', see utils/storage)
     this.visibility = data.visibility || 'public'; // 'public' | 'private'
+    this.accessLevel = data.accessLevel || 'public'; // Who may read the PDF: 'public' | 'university' | 'supervisor' (metadata stays public)
+    this.embargoUntil = data.embargoUntil || null; // When the access level reverts to public (null = until changed)
+    this.embargoReason = data.embargoReason || ''; // e.g. industry partner confidentiality
+    this.license = data.license || null; // Reuse license of the thesis and its code (see utils/licenses), chosen by the author
+    this.licenseTerms = data.licenseTerms || ''; // Terms of a 'custom' license
+    this.licenseConsentAt = data.licenseConsentAt || null; // When the author agreed to publish under the license
+    this.licenseConsentBy = data.licenseConsentBy || null; // UID of the author who agreed
+    this.handle = data.handle || null; // Persistent identifier minted on completion, e.g. 'KT-CSE-2025-0042' (see utils/thesisHandles)
+    this.duplicateCheck = data.duplicateCheck || null; // Near-duplicate check on submission: { isDuplicate, highestMatch, threshold, matchedProjectIds, checkedAt } (not in toJSON - reviewers only)
+    this.publishedAt = data.publishedAt || null; // When the project last entered the public vault
+    this.deadlineOverrides = data.deadlineOverrides || {}; // Milestone phase -> deadline set by the supervisor
 
     this.createdAt = data.createdAt || new Date();
     this.updatedAt = data.updatedAt || new Date();
@@ -41,6 +56,71 @@ class Project {
     this.bookmarks = Array.isArray(data.bookmarks) ? data.bookmarks : [];
   }
 
+  /**
+   * Check if a project is listed in the public thesis vault
+   * (public visibility and an approved/finished workflow state)
+   * @param {Object} project - Project document or model
+   * @returns {boolean}
+   */
+  static isInVault(project) {
+    return Boolean(project)
+      && project.visibility === 'public'
+      && Project.VAULT_STATUSES.includes(project.status);
+  }
+
+  /**
+   * Fields to add to an update that may move a project into the vault
+   * Stamps publishedAt when the change makes a non-vault project public, so alerts can find new entries
+   * @param {Object} project - Project document before the change
+   * @param {Object} changes - Fields being $set
+   * @returns {Object} { publishedAt } or an empty object
+   */
+  static publishUpdate(project, changes) {
+    const entering = !Project.isInVault(project) && Project.isInVault({ ...project, ...changes });
+    return entering ? { publishedAt: new Date() } : {};
+  }
+
+  /**
+   * Access level in force for a project's PDF (an embargo past its end date no longer applies)
+   * @param {Object} project - Project document or model
+   * @param {Date} now
+   * @returns {string} One of Project.ACCESS_LEVELS
+   */
+  static getAccessLevel(project, now = new Date()) {
+    const level = project.accessLevel || 'public';
+    if (level === 'public') return level;
+    return project.embargoUntil && new Date(project.embargoUntil) <= now ? 'public' : level;
+  }
+
+  /**
+   * Department code and year a project's handle is numbered under
+   * The code is the department itself when it is one word ('CSE'), otherwise its initials
+   * ('Computer Science & Engineering' -> 'CSE')
+   * @param {Object} project - Project document or model
+   * @returns {Object} { department, year, key } - key is '<department>-<year>', one sequence per key
+   */
+  static getHandleScope(project) {
+    const words = (String(project.department || '').toUpperCase().match(/[A-Z0-9]+/g) || [])
+      .filter(word => !HANDLE_STOP_WORDS.includes(word));
+    const department = words.length === 0
+      ? 'GEN'
+      : (words.length === 1 ? words[0] : words.map(word => word[0]).join('')).slice(0, 10);
+    const year = parseInt(project.year, 10)
+      || new Date(project.publishedAt || project.createdAt || Date.now()).getFullYear();
+
+    return { department, year, key: `${department}-${year}` };
+  }
+
+  /**
+   * Handle for the n-th thesis of a scope
+   * @param {Object} scope - From getHandleScope
+   * @param {number} sequence - 1-based, never reused
+   * @returns {string} e.g. 'KT-CSE-2025-0042'
+   */
+  static formatHandle(scope, sequence) {
+    return `${Project.HANDLE_PREFIX}-${scope.key}-${String(sequence).padStart(4, '0')}`;
+  }
+
   /**
    * Check if project is in a specific workflow state
    * @param {string} state - Workflow state to check
@@ -52,29 +132,21 @@ class Project {
 
   /**
    * Get all valid workflow state transitions from current state
+   * @param {WorkflowDefinition} workflow - Active workflow definition
    * @returns {string[]} Array of valid next states
    */
-  getValidTransitions() {
-    const transitions = {
-      'draft': ['pending_proposal'],
-      'pending_proposal': ['supervisor_review'],
-      'supervisor_review': ['approved', 'changes_requested'],
-      'changes_requested': ['pending_proposal'],
-      'approved': ['mid_defense'],
-      'mid_defense': ['final_submission'],
-      'final_submission': ['completed'],
-      'completed': ['archived']
-    };
-    return transitions[this.status] || [];
+  getValidTransitions(workflow) {
+    return workflow.getTransitionsFrom(this.status).map(t => t.to);
   }
 
   /**
    * Check if transition to a new state is valid
    * @param {string} newState - Target state
+   * @param {WorkflowDefinition} workflow - Active workflow definition
    * @returns {boolean}
    */
-  canTransitionTo(newState) {
-    return this.getValidTransitions().includes(newState);
+  canTransitionTo(newState, workflow) {
+    return this.getValidTransitions(workflow).includes(newState);
   }
 
   toJSON() {
@@ -95,8 +167,18 @@ class Project {
       year: this.year,
       department: this.department,
       githubLink: this.githubLink,
-      pdfUrl: this.pdfUrl,
+      pdfKey: this.pdfKey,
       visibility: this.visibility,
+      accessLevel: this.accessLevel,
+      embargoUntil: this.embargoUntil,
+      embargoReason: this.embargoReason,
+      license: this.license,
+      licenseTerms: this.licenseTerms,
+      licenseConsentAt: this.licenseConsentAt,
+      licenseConsentBy: this.licenseConsentBy,
+      handle: this.handle,
+      publishedAt: this.publishedAt,
+      deadlineOverrides: this.deadlineOverrides,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
       likes: this.likes,
@@ -109,6 +191,21 @@ class Project {
   }
 }
 
+// Workflow states whose public projects appear in the thesis vault
+Project.VAULT_STATUSES = ['approved', 'completed', 'archived'];
+
+// Who may read a project's PDF: everyone, signed-in university accounts, or only its supervisor and team
+Project.ACCESS_LEVELS = ['public', 'university', 'supervisor'];
+
+// Workflow states in which a project gets its persistent handle
+Project.HANDLE_STATUSES = ['completed', 'archived'];
+
+// First part of every handle
+Project.HANDLE_PREFIX = (process.env.THESIS_HANDLE_PREFIX || 'KT').toUpperCase();
+
+// Shape of a handle ('<prefix>-<department>-<year>-<sequence>')
+Project.HANDLE_PATTERN = /^[A-Z0-9]+-[A-Z0-9]+-\d{4}-\d{4,}$/;
+
 module.exports = Project;
 
 
@@ -6,9 +6,13 @@ class ProjectMilestone {
         this.phase = data.phase; // 'proposal' | 'supervisor_review' | 'mid_defense' | 'final_submission'
         this.status = data.status || 'pending'; // 'pending' | 'in_progress' | 'completed' | 'rejected'
         this.deadline = data.deadline || null; // Optional deadline
+        this.deadlineSource = data.deadlineSource || null; // 'template' | 'override' (set by the supervisor)
+        this.overdue = data.overdue !== undefined ? data.overdue : false; // Set by the reminder job once the deadline passes
+        this.remindersSent = Array.isArray(data.remindersSent) ? data.remindersSent : []; // Reminder keys already sent ('7d', '1d', 'overdue')
         this.completedAt = data.completedAt || null;
         this.reviewerId = data.reviewerId || null; // Supervisor who reviewed
         this.feedback = data.feedback || ''; // Supervisor feedback
+        this.deliverables = Array.isArray(data.deliverables) ? data.deliverables : []; // Files and links submitted for this phase
         this.createdAt = data.createdAt || new Date();
         this.updatedAt = data.updatedAt || new Date();
     }
@@ -38,6 +42,23 @@ class ProjectMilestone {
         this.updatedAt = new Date();
     }
 
+    /**
+     * Check if deliverables can still be added to or removed from this milestone
+     * @returns {boolean}
+     */
+    isOpen() {
+        return this.status === 'pending' || this.status === 'in_progress' || this.status === 'rejected';
+    }
+
+    /**
+     * Check if the deadline has passed without the milestone being completed
+     * @param {Date} now - Reference time
+     * @returns {boolean}
+     */
+    isOverdue(now = new Date()) {
+        return Boolean(this.deadline) && this.status !== 'completed' && new Date(this.deadline) < now;
+    }
+
     toJSON() {
         return {
             _id: this._id,
@@ -45,9 +66,13 @@ class ProjectMilestone {
             phase: this.phase,
             status: this.status,
             deadline: this.deadline,
+            deadlineSource: this.deadlineSource,
+            overdue: this.overdue,
+            remindersSent: this.remindersSent,
             completedAt: this.completedAt,
             reviewerId: this.reviewerId,
             feedback: this.feedback,
+            deliverables: this.deliverables,
             createdAt: this.createdAt,
             updatedAt: this.updatedAt,
         };
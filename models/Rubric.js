@@ -0,0 +1,62 @@
+// Rubric model for defense grading criteria (one per defense phase, edited by admins)
+class Rubric {
+    constructor(data = {}) {
+        this._id = data._id || data.id || null;
+        this.phase = data.phase; // 'mid_defense' | 'final_submission'
+        this.name = data.name || '';
+        this.criteria = Array.isArray(data.criteria) ? data.criteria : []; // [{ key, label, description, weight, minScore, maxScore }]
+        this.version = data.version || 1; // Bumped on every edit; grades keep the version they were scored against
+        this.updatedBy = data.updatedBy || null; // UID of the admin who last edited it
+        this.createdAt = data.createdAt || new Date();
+        this.updatedAt = data.updatedAt || new Date();
+    }
+
+    /**
+     * Check the criteria are consistent
+     * @returns {string[]} Problems (empty when valid)
+     */
+    validate() {
+        const errors = [];
+        const keys = this.criteria.map(c => c.key);
+
+        keys.filter((key, i) => keys.indexOf(key) !== i)
+            .forEach(key => errors.push(`Criterion "${key}" is defined more than once`));
+
+        this.criteria
+            .filter(c => c.minScore >= c.maxScore)
+            .forEach(c => errors.push(`Criterion "${c.key}" must have a minimum score below its maximum`));
+
+        if (this.criteria.reduce((sum, c) => sum + c.weight, 0) <= 0) {
+            errors.push('Criteria weights must add up to more than zero');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Copy of the rubric stored with each grade, so later edits don't change existing scores
+     * @returns {Object}
+     */
+    toSnapshot() {
+        return {
+            name: this.name,
+            version: this.version,
+            criteria: this.criteria
+        };
+    }
+
+    toJSON() {
+        return {
+            _id: this._id,
+            phase: this.phase,
+            name: this.name,
+            criteria: this.criteria,
+            version: this.version,
+            updatedBy: this.updatedBy,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt,
+        };
+    }
+}
+
+module.exports = Rubric;
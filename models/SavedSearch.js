@@ -0,0 +1,53 @@
+// SavedSearch model for vault searches users follow for new matches
+class SavedSearch {
+    constructor(data = {}) {
+        this._id = data._id || data.id || null;
+        this.userId = data.userId || ''; // Firebase UID of the owner
+        this.name = data.name || '';
+        this.filters = data.filters || {}; // Vault search filters (query, year, department, tags, ...)
+        this.frequency = data.frequency || 'daily'; // 'instant' | 'daily' | 'weekly'
+        this.digest = data.digest !== undefined ? data.digest : false; // One summary notification instead of one per project
+        this.muted = data.muted !== undefined ? data.muted : false; // Muted searches are kept but not checked
+        this.lastRunAt = data.lastRunAt || new Date(); // Projects published after this are new matches
+        this.nextRunAt = data.nextRunAt || null;
+        this.lastMatchCount = data.lastMatchCount || 0;
+        this.createdAt = data.createdAt || new Date();
+        this.updatedAt = data.updatedAt || new Date();
+    }
+
+    /**
+     * When a search with the given frequency is next due
+     * @param {string} frequency - 'instant' | 'daily' | 'weekly'
+     * @param {Date} from - Time of the last run
+     * @returns {Date}
+     */
+    static getNextRunAt(frequency, from = new Date()) {
+        return new Date(from.getTime() + SavedSearch.FREQUENCY_MS[frequency]);
+    }
+
+    toJSON() {
+        return {
+            _id: this._id,
+            userId: this.userId,
+            name: this.name,
+            filters: this.filters,
+            frequency: this.frequency,
+            digest: this.digest,
+            muted: this.muted,
+            lastRunAt: this.lastRunAt,
+            nextRunAt: this.nextRunAt,
+            lastMatchCount: this.lastMatchCount,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt,
+        };
+    }
+}
+
+// Time between checks per frequency ('instant' searches are checked on every alert run)
+SavedSearch.FREQUENCY_MS = {
+    instant: 0,
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+module.exports = SavedSearch;
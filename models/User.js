@@ -28,8 +28,12 @@ class User {
     this.researchAreas = data.researchAreas || []; // Research interests for matching
     this.maxStudents = data.maxStudents || null; // Optional limit on supervised students
     this.officeHours = data.officeHours || ''; // Office hours for students
+    this.officeHourSlots = data.officeHourSlots || []; // Weekly office hours for calendar feeds [{ day: 'MO'..'SU', start: 'HH:MM', end: 'HH:MM', location }]
     this.supervisedProjects = data.supervisedProjects || []; // Array of project IDs
 
+    // Email notifications
+    this.emailFrequency = data.emailFrequency || 'instant'; // 'instant' | 'daily' | 'weekly' | 'off'
+
     this.createdAt = data.createdAt || new Date();
     this.updatedAt = data.updatedAt || new Date();
   }
@@ -84,7 +88,9 @@ class User {
       researchAreas: this.researchAreas,
       maxStudents: this.maxStudents,
       officeHours: this.officeHours,
+      officeHourSlots: this.officeHourSlots,
       supervisedProjects: this.supervisedProjects,
+      emailFrequency: this.emailFrequency,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
     };
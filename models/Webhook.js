@@ -0,0 +1,67 @@
+// Webhook model - an admin-registered endpoint that receives signed platform events
+class Webhook {
+    constructor(data = {}) {
+        this._id = data._id || null;
+        this.name = data.name || '';
+        this.url = data.url || ''; // HTTPS endpoint events are POSTed to
+        this.events = data.events || []; // Subscribed events ('*' = all)
+        this.secret = data.secret || ''; // HMAC-SHA256 signing secret (never returned after creation)
+        this.active = data.active !== undefined ? data.active : true;
+        this.consecutiveFailures = data.consecutiveFailures || 0; // Failed attempts since the last success
+        this.disabledAt = data.disabledAt || null; // Set when auto-disabled after repeated failures
+        this.disabledReason = data.disabledReason || null;
+        this.lastDeliveryAt = data.lastDeliveryAt || null;
+        this.createdBy = data.createdBy || ''; // UID of the admin who registered it
+        this.createdAt = data.createdAt || new Date();
+        this.updatedAt = data.updatedAt || new Date();
+    }
+
+    /**
+     * Whether the webhook receives an event
+     * @param {string} event
+     * @returns {boolean}
+     */
+    isSubscribed(event) {
+        return this.events.includes('*') || this.events.includes(event);
+    }
+
+    toJSON() {
+        return {
+            _id: this._id,
+            name: this.name,
+            url: this.url,
+            events: this.events,
+            secret: this.secret,
+            active: this.active,
+            consecutiveFailures: this.consecutiveFailures,
+            disabledAt: this.disabledAt,
+            disabledReason: this.disabledReason,
+            lastDeliveryAt: this.lastDeliveryAt,
+            createdBy: this.createdBy,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt,
+        };
+    }
+
+    /**
+     * API representation - the secret is only shown once, when created or rotated
+     */
+    toPublicJSON() {
+        const { secret, ...rest } = this.toJSON();
+        return { ...rest, secretHint: secret ? `…${secret.slice(-4)}` : null };
+    }
+}
+
+// Events a webhook can subscribe to
+Webhook.EVENTS = [
+    'project.submitted', // Project submitted for review (the workflow's 'submit' transition)
+    'project.status_changed', // Any workflow transition
+    'project.approved', // Proposal approved
+    'supervisor_request.created',
+    'supervisor_request.responded',
+    'defense.outcome_recorded',
+    'defense.grade_finalized',
+    'ping' // Sent by the test endpoint
+];
+
+module.exports = Webhook;
@@ -0,0 +1,46 @@
+// WebhookDelivery model - one event sent (or being retried) to one webhook
+class WebhookDelivery {
+    constructor(data = {}) {
+        this._id = data._id || null;
+        this.webhookId = data.webhookId || null;
+        this.eventId = data.eventId || ''; // Same for every delivery (and replay) of one event, so receivers can dedupe
+        this.event = data.event || '';
+        this.payload = data.payload || {}; // JSON body sent: { id, event, createdAt, data }
+        this.status = data.status || 'pending'; // 'pending' | 'succeeded' | 'failed'
+        this.attempts = data.attempts || 0;
+        this.nextAttemptAt = data.nextAttemptAt !== undefined ? data.nextAttemptAt : new Date(); // null once finished
+        this.lastError = data.lastError || null;
+        this.responseStatus = data.responseStatus || null; // HTTP status of the last attempt
+        this.responseBody = data.responseBody || null; // Start of the last response body
+        this.durationMs = data.durationMs || null; // Duration of the last attempt
+        this.deliveredAt = data.deliveredAt || null;
+        this.replayOf = data.replayOf || null; // Delivery this one replays
+        this.createdAt = data.createdAt || new Date();
+        this.updatedAt = data.updatedAt || new Date();
+    }
+
+    toJSON() {
+        return {
+            _id: this._id,
+            webhookId: this.webhookId,
+            eventId: this.eventId,
+            event: this.event,
+            payload: this.payload,
+            status: this.status,
+            attempts: this.attempts,
+            nextAttemptAt: this.nextAttemptAt,
+            lastError: this.lastError,
+            responseStatus: this.responseStatus,
+            responseBody: this.responseBody,
+            durationMs: this.durationMs,
+            deliveredAt: this.deliveredAt,
+            replayOf: this.replayOf,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt,
+        };
+    }
+}
+
+WebhookDelivery.STATUSES = ['pending', 'succeeded', 'failed'];
+
+module.exports = WebhookDelivery;
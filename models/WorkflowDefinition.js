@@ -0,0 +1,162 @@
+// WorkflowDefinition model for the project state machine (Module B)
+// One definition is active at a time; admins edit it through /api/admin/workflow
+class WorkflowDefinition {
+    constructor(data = {}) {
+        this._id = data._id || data.id || null;
+        this.key = data.key || 'project';
+        this.version = data.version || 1; // Bumped on every admin edit
+        this.initialState = data.initialState || 'draft'; // Status given to newly created projects
+        this.states = Array.isArray(data.states) ? data.states : []; // [{ name, label, category, phase, milestoneStatus }]
+        this.transitions = Array.isArray(data.transitions) ? data.transitions : []; // [{ name, label, from, to, roles, guards }]
+        this.updatedBy = data.updatedBy || null; // UID of the admin who last edited it
+        this.createdAt = data.createdAt || new Date();
+        this.updatedAt = data.updatedAt || new Date();
+    }
+
+    /**
+     * Get a state by name
+     * @param {string} name - State name (project status)
+     * @returns {Object|null}
+     */
+    getState(name) {
+        return this.states.find(s => s.name === name) || null;
+    }
+
+    /**
+     * Names of the states in the given categories
+     * @param {...string} categories - 'draft' | 'review' | 'active' | 'done'
+     * @returns {string[]}
+     */
+    getStatesByCategory(...categories) {
+        return this.states.filter(s => categories.includes(s.category)).map(s => s.name);
+    }
+
+    /**
+     * Transitions that leave a state
+     * @param {string} from - Current state
+     * @returns {Object[]}
+     */
+    getTransitionsFrom(from) {
+        return this.transitions.filter(t => t.from.includes(from));
+    }
+
+    /**
+     * Find the transition between two states
+     * @param {string} from - Current state
+     * @param {string} to - Target state
+     * @returns {Object|null}
+     */
+    findTransition(from, to) {
+        return this.transitions.find(t => t.from.includes(from) && t.to === to) || null;
+    }
+
+    /**
+     * Count projects per state (every defined state is present, unknown statuses are skipped)
+     * @param {Object[]} projects - Project documents
+     * @returns {Object} State name -> count
+     */
+    countByState(projects) {
+        const counts = this.states.reduce((acc, s) => ({ ...acc, [s.name]: 0 }), {});
+        projects.forEach(p => {
+            if (counts[p.status] !== undefined) counts[p.status]++;
+        });
+        return counts;
+    }
+
+    /**
+     * Check the definition is consistent (structure is validated by workflowDefinitionSchema)
+     * @returns {string[]} Problems found (empty when valid)
+     */
+    validate() {
+        const errors = [];
+        const names = this.states.map(s => s.name);
+
+        names
+            .filter((name, index) => names.indexOf(name) !== index)
+            .forEach(name => errors.push(`State "${name}" is defined more than once`));
+
+        if (!names.includes(this.initialState)) {
+            errors.push(`Initial state "${this.initialState}" is not defined`);
+        }
+
+        const transitionNames = new Set();
+        const edges = new Set(); // "from->to" pairs, each reachable by one transition only
+        this.transitions.forEach(transition => {
+            if (transitionNames.has(transition.name)) {
+                errors.push(`Transition "${transition.name}" is defined more than once`);
+            }
+            transitionNames.add(transition.name);
+
+            [...transition.from, transition.to]
+                .filter(state => !names.includes(state))
+                .forEach(state => errors.push(`Transition "${transition.name}" uses undefined state "${state}"`));
+
+            transition.from.forEach(from => {
+                const edge = `${from}->${transition.to}`;
+                if (edges.has(edge)) {
+                    errors.push(`More than one transition leads from "${from}" to "${transition.to}"`);
+                }
+                edges.add(edge);
+            });
+        });
+
+        return errors;
+    }
+
+    toJSON() {
+        return {
+            _id: this._id,
+            key: this.key,
+            version: this.version,
+            initialState: this.initialState,
+            states: this.states,
+            transitions: this.transitions,
+            updatedBy: this.updatedBy,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt,
+        };
+    }
+}
+
+// Roles a transition can be granted to, relative to the project
+WorkflowDefinition.ROLES = ['owner', 'member', 'supervisor', 'admin'];
+
+// Named guard conditions a transition can require (implemented in utils/workflowEngine.js)
+WorkflowDefinition.GUARDS = ['hasSupervisor', 'hasPdf', 'hasLicense', 'feedbackProvided', 'requiredDeliverables', 'defenseOutcome'];
+
+// State categories used for listings and statistics
+WorkflowDefinition.CATEGORIES = ['draft', 'review', 'active', 'done'];
+
+// Statuses written before the state machine existed and the states they migrate to
+WorkflowDefinition.LEGACY_STATUSES = {
+    pending: 'supervisor_review',
+    pending_proposal: 'supervisor_review',
+    rejected: 'changes_requested'
+};
+
+// Definition used until an admin saves one
+WorkflowDefinition.DEFAULT = {
+    key: 'project',
+    initialState: 'draft',
+    states: [
+        { name: 'draft', label: 'Draft', category: 'draft', phase: null },
+        { name: 'supervisor_review', label: 'Supervisor Review', category: 'review', phase: 'proposal' },
+        { name: 'changes_requested', label: 'Changes Requested', category: 'draft', phase: 'proposal', milestoneStatus: 'rejected' },
+        { name: 'approved', label: 'Approved', category: 'active', phase: null },
+        { name: 'mid_defense', label: 'Mid Defense', category: 'review', phase: 'mid_defense' },
+        { name: 'final_submission', label: 'Final Submission', category: 'review', phase: 'final_submission' },
+        { name: 'completed', label: 'Completed', category: 'done', phase: null },
+        { name: 'archived', label: 'Archived', category: 'done', phase: null }
+    ],
+    transitions: [
+        { name: 'submit', label: 'Submit proposal', from: ['draft', 'changes_requested'], to: 'supervisor_review', roles: ['owner', 'member'], guards: ['hasSupervisor'] },
+        { name: 'approve', label: 'Approve proposal', from: ['supervisor_review'], to: 'approved', roles: ['supervisor', 'admin'], guards: ['requiredDeliverables'] },
+        { name: 'request_changes', label: 'Request changes', from: ['supervisor_review'], to: 'changes_requested', roles: ['supervisor', 'admin'], guards: ['feedbackProvided'] },
+        { name: 'start_mid_defense', label: 'Start mid defense', from: ['approved'], to: 'mid_defense', roles: ['supervisor', 'admin'], guards: [] },
+        { name: 'start_final_submission', label: 'Start final submission', from: ['mid_defense'], to: 'final_submission', roles: ['supervisor', 'admin'], guards: ['requiredDeliverables', 'defenseOutcome', 'hasLicense'] },
+        { name: 'complete', label: 'Complete project', from: ['final_submission'], to: 'completed', roles: ['supervisor', 'admin'], guards: ['requiredDeliverables', 'defenseOutcome'] },
+        { name: 'archive', label: 'Archive project', from: ['completed'], to: 'archived', roles: ['admin'], guards: [] }
+    ]
+};
+
+module.exports = WorkflowDefinition;
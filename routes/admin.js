@@ -3,9 +3,30 @@ const express = require('express');
 const router = express.Router();
 const { verifyToken, requireAdmin } = require('../middleware/auth');
 const adminController = require('../controllers/adminController');
+const deadlineController = require('../controllers/deadlineController');
+const gradeController = require('../controllers/gradeController');
+const auditController = require('../controllers/auditController');
+const webhookController = require('../controllers/webhookController');
 
 // Admin routes
 router.get('/projects', verifyToken, requireAdmin, adminController.getAllProjects);
 router.get('/projects/pending', verifyToken, requireAdmin, adminController.getPendingProjects);
+router.get('/workflow', verifyToken, requireAdmin, adminController.getWorkflowDefinition);
+router.put('/workflow', verifyToken, requireAdmin, adminController.updateWorkflowDefinition);
+router.get('/deadline-templates', verifyToken, requireAdmin, deadlineController.getDeadlineTemplates);
+router.post('/deadline-templates', verifyToken, requireAdmin, deadlineController.saveDeadlineTemplate);
+router.delete('/deadline-templates/:id', verifyToken, requireAdmin, deadlineController.deleteDeadlineTemplate);
+router.get('/rubrics', verifyToken, requireAdmin, gradeController.getRubrics);
+router.put('/rubrics/:phase', verifyToken, requireAdmin, gradeController.saveRubric);
+router.get('/grades/export', verifyToken, requireAdmin, gradeController.exportGradeSheet);
+router.get('/audit', verifyToken, requireAdmin, auditController.getAuditLog);
+router.get('/audit/verify', verifyToken, requireAdmin, auditController.verifyAuditLog);
+router.get('/webhooks', verifyToken, requireAdmin, webhookController.getWebhooks);
+router.post('/webhooks', verifyToken, requireAdmin, webhookController.createWebhook);
+router.put('/webhooks/:id', verifyToken, requireAdmin, webhookController.updateWebhook);
+router.delete('/webhooks/:id', verifyToken, requireAdmin, webhookController.deleteWebhook);
+router.post('/webhooks/:id/ping', verifyToken, requireAdmin, webhookController.pingWebhook);
+router.get('/webhooks/:id/deliveries', verifyToken, requireAdmin, webhookController.getWebhookDeliveries);
+router.post('/webhooks/:id/deliveries/:deliveryId/replay', verifyToken, requireAdmin, webhookController.replayWebhookDelivery);
 
 module.exports = router;
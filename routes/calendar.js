@@ -0,0 +1,15 @@
+// Calendar Feed Routes
+const express = require('express');
+const router = express.Router();
+const { verifyToken } = require('../middleware/auth');
+const calendarController = require('../controllers/calendarController');
+
+// Authenticated routes - users manage their own feed URL
+router.get('/token', verifyToken, calendarController.getCalendarTokenStatus);
+router.post('/token', verifyToken, calendarController.createCalendarToken);
+router.delete('/token', verifyToken, calendarController.deleteCalendarToken);
+
+// Public route - calendar apps fetch the feed with the token in the URL
+router.get('/feed/:file', calendarController.getCalendarFeed);
+
+module.exports = router;
@@ -0,0 +1,90 @@
+// Defense Scheduling Routes (Module B)
+const express = require('express');
+const router = express.Router();
+const { verifyToken, checkRole } = require('../middleware/auth');
+const defenseController = require('../controllers/defenseController');
+const gradeController = require('../controllers/gradeController');
+
+// All authenticated users: Sessions they can see (students only their own bookings)
+router.get(
+    '/',
+    verifyToken,
+    defenseController.getDefenseSessions
+);
+
+router.get(
+    '/:id',
+    verifyToken,
+    defenseController.getDefenseSession
+);
+
+// Supervisor/Admin: Create a session with its examiner committee
+router.post(
+    '/',
+    verifyToken,
+    checkRole(['supervisor', 'admin']),
+    defenseController.createDefenseSession
+);
+
+// Session creator, examiners or admin: Change or cancel a session
+router.patch(
+    '/:id',
+    verifyToken,
+    checkRole(['supervisor', 'admin']),
+    defenseController.updateDefenseSession
+);
+
+router.delete(
+    '/:id',
+    verifyToken,
+    checkRole(['supervisor', 'admin']),
+    defenseController.cancelDefenseSession
+);
+
+// Session examiners, project supervisor or admin: Book or cancel a project's slot
+router.post(
+    '/:id/slots',
+    verifyToken,
+    checkRole(['supervisor', 'admin']),
+    defenseController.bookDefenseSlot
+);
+
+router.delete(
+    '/:id/slots/:slotId',
+    verifyToken,
+    checkRole(['supervisor', 'admin']),
+    defenseController.cancelDefenseSlot
+);
+
+// Examiner committee or admin: Record the defense outcome
+router.put(
+    '/:id/slots/:slotId/outcome',
+    verifyToken,
+    checkRole(['supervisor', 'admin']),
+    defenseController.recordDefenseOutcome
+);
+
+// Committee, project supervisor, admin and the booked students: Grade of a booked project
+router.get(
+    '/:id/slots/:slotId/grade',
+    verifyToken,
+    gradeController.getDefenseGrade
+);
+
+// Examiner committee: Submit rubric scores and comments
+router.put(
+    '/:id/slots/:slotId/scores',
+    verifyToken,
+    checkRole(['supervisor']),
+    gradeController.submitDefenseScores
+);
+
+// Examiner committee or admin: Lock the grade
+router.post(
+    '/:id/slots/:slotId/grade/finalize',
+    verifyToken,
+    checkRole(['supervisor', 'admin']),
+    gradeController.finalizeDefenseGrade
+);
+
+module.exports = router;
@@ -1,9 +1,17 @@
 // Notification routes
 const express = require('express');
 const router = express.Router();
-const { getNotificationsCollection, ObjectId } = require('../config/database');
+const { getNotificationsCollection, getUsersCollection, ObjectId } = require('../config/database');
 const { verifyToken } = require('../middleware/auth');
 const Notification = require('../models/Notification');
+const { verifyUnsubscribeToken } = require('../utils/unsubscribeTokens');
+const { signStreamToken, verifyStreamToken } = require('../utils/streamTokens');
+const { validate } = require('../middleware/validate');
+const { notificationPreferencesSchema, notificationMuteSchema } = require('../validators/notificationValidator');
+const { getNotificationPreferences, updateNotificationPreferences, setMuted } = require('../utils/notificationPreferences');
+const NotificationPreferences = require('../models/NotificationPreferences');
+const { escapeHtml } = require('../utils/emailTemplates');
+const { tryOpenStream, openNotificationStream, refreshUnreadCount, MAX_STREAMS_PER_USER } = require('../utils/notificationStream');
 
 // Get notifications (paginated)
 router.get('/', verifyToken, async (req, res) => {
@@ -13,10 +21,10 @@ router.get('/', verifyToken, async (req, res) => {
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
-    // Get notifications for user, sorted by most recent first
+    // Get notifications for user, most recent activity first (grouped notifications move up as actors join)
     const notifications = await notificationsCollection
       .find({ userId: req.user.uid })
-      .sort({ createdAt: -1 })
+      .sort({ lastActivityAt: -1, createdAt: -1 })
       .skip(skip)
       .limit(limit)
       .toArray();
@@ -57,6 +65,138 @@ router.get('/unread-count', verifyToken, async (req, res) => {
   }
 });
 
+// Token for opening the stream with a browser EventSource, which cannot send an Authorization header:
+// new EventSource(`/api/notifications/stream?token=${token}`). It expires quickly, so fetch a new one before
+// reopening a stream that failed (EventSource keeps the URL, and with it the old token, on its own reconnects)
+router.post('/stream-token', verifyToken, (req, res) => {
+  const { token, expiresAt } = signStreamToken(req.user);
+  res.json({ token, expiresAt });
+});
+
+// Accept a stream token from ?token= in place of the Authorization header
+const verifyStreamAuth = (req, res, next) => {
+  if (req.query.token === undefined) return verifyToken(req, res, next);
+
+  const user = verifyStreamToken(req.query.token);
+  if (!user) {
+    return res.status(401).json({ message: 'Invalid or expired stream token', code: 'INVALID_STREAM_TOKEN' });
+  }
+  req.user = user;
+  next();
+};
+
+// Live notifications and unread-count changes (Server-Sent Events)
+// Authenticate with the Authorization header (fetch-based clients) or ?token= from POST /stream-token (EventSource)
+// Events: 'notification' (id = notification ID, replayed after Last-Event-ID), 'notification-update' (a grouped
+// notification gained actors), 'unread-count', 'reset'
+router.get('/stream', verifyStreamAuth, async (req, res) => {
+  try {
+    const reservation = tryOpenStream(req.user.uid);
+    if (!reservation) {
+      return res.status(429).json({
+        message: `At most ${MAX_STREAMS_PER_USER} notification streams can be open at once`,
+        code: 'STREAM_LIMIT_REACHED'
+      });
+    }
+
+    await openNotificationStream(req, res, reservation);
+  } catch (error) {
+    console.error('Error opening notification stream:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ message: 'Error opening notification stream' });
+    }
+    res.end();
+  }
+});
+
+// Get notification preferences (channel per type, muted projects/collab posts, quiet hours)
+router.get('/preferences', verifyToken, async (req, res) => {
+  try {
+    const preferences = await getNotificationPreferences(req.user.uid);
+
+    res.json({
+      preferences: {
+        ...preferences.toJSON(),
+        // Effective channel for every type, including ones never set
+        channels: Object.fromEntries(NotificationPreferences.TYPES.map(type => [type, preferences.getChannel(type)]))
+      },
+      types: NotificationPreferences.TYPES,
+      channels: NotificationPreferences.CHANNELS,
+    });
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    res.status(500).json({ message: 'Error fetching notification preferences' });
+  }
+});
+
+// Update notification preferences
+router.put('/preferences', verifyToken, validate(notificationPreferencesSchema), async (req, res) => {
+  try {
+    const preferences = await updateNotificationPreferences(req.user.uid, req.body);
+    res.json({ message: 'Notification preferences updated', preferences: preferences.toJSON() });
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({ message: 'Error updating notification preferences' });
+  }
+});
+
+// Mute a project or collab post
+router.post('/mutes', verifyToken, validate(notificationMuteSchema), async (req, res) => {
+  try {
+    const preferences = await setMuted(req.user.uid, req.body.targetType, req.body.targetId, true);
+    res.json({ message: 'Notifications muted', preferences: preferences.toJSON() });
+  } catch (error) {
+    console.error('Error muting notifications:', error);
+    res.status(500).json({ message: 'Error muting notifications' });
+  }
+});
+
+// Unmute a project or collab post
+router.delete('/mutes/:targetType/:targetId', verifyToken, validate(notificationMuteSchema, 'params'), async (req, res) => {
+  try {
+    const preferences = await setMuted(req.user.uid, req.params.targetType, req.params.targetId, false);
+    res.json({ message: 'Notifications unmuted', preferences: preferences.toJSON() });
+  } catch (error) {
+    console.error('Error unmuting notifications:', error);
+    res.status(500).json({ message: 'Error unmuting notifications' });
+  }
+});
+
+// Email unsubscribe page (public, signed token from the email footer)
+// Shows a confirmation button rather than unsubscribing, so link scanners that open URLs can't unsubscribe anyone
+router.get('/unsubscribe', (req, res) => {
+  const payload = verifyUnsubscribeToken(req.query.token);
+  if (!payload) {
+    return res.status(400).type('html').send(unsubscribePage('This unsubscribe link is invalid.'));
+  }
+
+  res.type('html').send(unsubscribePage(
+    'Stop receiving KnowledgeTrace notification emails? You will still see notifications in the app.',
+    `<form method="POST" action="?token=${escapeHtml(encodeURIComponent(req.query.token))}"><button type="submit">Unsubscribe</button></form>`
+  ));
+});
+
+// Unsubscribe from notification emails (confirmation form and RFC 8058 one-click POST from mail clients)
+router.post('/unsubscribe', async (req, res) => {
+  try {
+    const payload = verifyUnsubscribeToken(req.query.token || req.body?.token);
+    if (!payload) {
+      return res.status(400).type('html').send(unsubscribePage('This unsubscribe link is invalid.'));
+    }
+
+    const usersCollection = await getUsersCollection();
+    await usersCollection.updateOne(
+      { uid: payload.uid },
+      { $set: { emailFrequency: 'off', updatedAt: new Date() } }
+    );
+
+    res.type('html').send(unsubscribePage('You have been unsubscribed from KnowledgeTrace notification emails. You can turn them back on in your profile settings.'));
+  } catch (error) {
+    console.error('Error unsubscribing from emails:', error);
+    res.status(500).type('html').send(unsubscribePage('Something went wrong. Please try again later.'));
+  }
+});
+
 // Mark all notifications as read - MUST come before /:id/read to avoid route conflict
 router.put('/read-all', verifyToken, async (req, res) => {
   try {
@@ -66,6 +206,7 @@ router.put('/read-all', verifyToken, async (req, res) => {
       { userId: req.user.uid, read: false },
       { $set: { read: true } }
     );
+    refreshUnreadCount(req.user.uid);
 
     res.json({ message: 'All notifications marked as read' });
   } catch (error) {
@@ -100,6 +241,7 @@ router.put('/:id/read', verifyToken, async (req, res) => {
       { _id: notification._id },
       { $set: { read: true } }
     );
+    refreshUnreadCount(req.user.uid);
 
     res.json({ message: 'Notification marked as read' });
   } catch (error) {
@@ -108,5 +250,18 @@ router.put('/:id/read', verifyToken, async (req, res) => {
   }
 });
 
+// Minimal page for the unsubscribe flow (opened from an email, not the app)
+function unsubscribePage(message, formHtml = '') {
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>KnowledgeTrace email preferences</title></head>
+<body style="font-family:Arial,Helvetica,sans-serif;max-width:480px;margin:48px auto;color:#1f2933;">
+  <h2>KnowledgeTrace</h2>
+  <p>${escapeHtml(message)}</p>
+  ${formHtml}
+</body>
+</html>`;
+}
+
 module.exports = router;
 
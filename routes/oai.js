@@ -0,0 +1,10 @@
+// OAI-PMH Routes
+const express = require('express');
+const router = express.Router();
+const oaiController = require('../controllers/oaiController');
+
+// Public harvesting endpoint - verbs may be sent as query string (GET) or form body (POST)
+router.get('/', oaiController.handleOaiRequest);
+router.post('/', oaiController.handleOaiRequest);
+
+module.exports = router;
@@ -3,6 +3,7 @@ const express = require('express');
 const router = express.Router();
 const { verifyToken, optionalAuth } = require('../middleware/auth');
 const projectController = require('../controllers/projectController');
+const revisionController = require('../controllers/revisionController');
 const { validate } = require('../middleware/validate');
 const { preprocessFormData } = require('../middleware/preprocessFormData');
 const { createProjectSchema, updateProjectStatusSchema, projectQuerySchema, commentContentSchema } = require('../validators/projectValidator');
@@ -27,7 +28,7 @@ router.get('/', optionalAuth, validate(projectQuerySchema, 'query'), projectCont
 router.get('/user/:userId', verifyToken, projectController.getUserProjects);
 router.get('/:id', optionalAuth, projectController.getProjectById);
 router.post('/', verifyToken, upload.single('pdf'), preprocessFormData, validate(createProjectSchema), projectController.createProject);
-router.put('/:id', verifyToken, projectController.updateProject);
+router.put('/:id', verifyToken, upload.single('pdf'), projectController.updateProject);
 router.patch('/:id/status', verifyToken, validate(updateProjectStatusSchema), projectController.updateProjectStatus);
 router.delete('/:id', verifyToken, projectController.deleteProject);
 
@@ -46,8 +47,13 @@ router.post('/:id/comments/:commentId/replies', verifyToken, validate(commentCon
 router.put('/:id/comments/:commentId/replies/:replyId', verifyToken, validate(commentContentSchema), projectController.editReply);
 router.delete('/:id/comments/:commentId/replies/:replyId', verifyToken, projectController.deleteReply);
 
-// PDF Proxy route - serves PDFs with proper headers for inline viewing
-// Cloudinary raw resources force download, so we proxy them to allow viewing
-router.get('/:id/pdf/view', projectController.viewPdf);
+// Revision history routes (diff must come before /:revision)
+router.get('/:id/revisions', verifyToken, revisionController.getProjectRevisions);
+router.get('/:id/revisions/diff', verifyToken, revisionController.diffProjectRevisions);
+router.get('/:id/revisions/:revision', verifyToken, revisionController.getProjectRevision);
+router.post('/:id/revisions/:revision/restore', verifyToken, revisionController.restoreProjectRevision);
+
+// PDF route - streams PDFs from storage for inline viewing (Range and conditional requests supported)
+router.get('/:id/pdf/view', optionalAuth, projectController.viewPdf);
 
 module.exports = router;
@@ -0,0 +1,15 @@
+// Saved Search Routes (Module A)
+const express = require('express');
+const router = express.Router();
+const { verifyToken } = require('../middleware/auth');
+const savedSearchController = require('../controllers/savedSearchController');
+
+// Authenticated routes - users manage their own saved searches
+router.get('/', verifyToken, savedSearchController.getSavedSearches);
+router.post('/', verifyToken, savedSearchController.createSavedSearch);
+router.get('/:id', verifyToken, savedSearchController.getSavedSearchById);
+router.put('/:id', verifyToken, savedSearchController.updateSavedSearch);
+router.delete('/:id', verifyToken, savedSearchController.deleteSavedSearch);
+router.get('/:id/results', verifyToken, savedSearchController.getSavedSearchResults);
+
+module.exports = router;
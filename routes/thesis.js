@@ -1,12 +1,16 @@
 // Thesis Vault Routes (Module A)
 const express = require('express');
 const router = express.Router();
-const { verifyToken, checkRole } = require('../middleware/auth');
+const { verifyToken, optionalAuth, checkRole } = require('../middleware/auth');
 const thesisController = require('../controllers/thesisController');
 
-// Public routes - browse and search thesis archive
-router.get('/search', thesisController.searchTheses);
-router.get('/:id', thesisController.getThesisById);
+// Public routes - browse and search thesis archive (signed-in callers may see embargoed PDFs)
+router.get('/search', optionalAuth, thesisController.searchTheses);
+router.get('/export', optionalAuth, thesisController.exportCitations);
+router.get('/handle/:handle', optionalAuth, thesisController.getThesisByHandle);
+router.get('/:id', optionalAuth, thesisController.getThesisById);
+router.get('/:id/cite', optionalAuth, thesisController.getThesisCitation);
+router.get('/:id/related', optionalAuth, thesisController.getRelatedTheses);
 
 // Student routes - check for duplicates before submission
 router.post(
@@ -16,6 +20,12 @@ router.post(
     thesisController.checkDuplicateThesis
 );
 
+// Author, supervisor or admin - PDF embargo and access level
+router.put('/:id/embargo', verifyToken, thesisController.updateThesisEmbargo);
+
+// Authors - reuse license (consent is recorded; required before final submission)
+router.put('/:id/license', verifyToken, thesisController.updateThesisLicense);
+
 // Admin routes - repository statistics
 router.get(
     '/admin/stats',
@@ -3,6 +3,23 @@ const express = require('express');
 const router = express.Router();
 const { verifyToken, checkRole } = require('../middleware/auth');
 const workflowController = require('../controllers/workflowController');
+const deadlineController = require('../controllers/deadlineController');
+const { ValidationError } = require('../errors/AppError');
+const { MAX_FILE_SIZE_MB, ALLOWED_MIME_TYPES } = require('../utils/milestoneDeliverables');
+const multer = require('multer');
+
+// Configure multer for deliverable uploads (memory storage)
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_SIZE_MB * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        if (ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new ValidationError('Deliverables must be PDF, slides, documents, CSV or archives'), false);
+        }
+    },
+});
 
 // Supervisor/Admin: Get pending approvals
 router.get(
@@ -42,6 +59,55 @@ router.get(
     workflowController.getProjectTimeline
 );
 
+// Team members: Submit or remove deliverables for the open milestone
+router.post(
+    '/:projectId/deliverables',
+    verifyToken,
+    upload.single('file'),
+    workflowController.addDeliverable
+);
+
+router.delete(
+    '/:projectId/deliverables/:deliverableId',
+    verifyToken,
+    workflowController.removeDeliverable
+);
+
+// Team members, supervisor and admins: Download an uploaded deliverable
+router.get(
+    '/:projectId/deliverables/:deliverableId/file',
+    verifyToken,
+    workflowController.downloadDeliverable
+);
+
+// All authenticated users: Status changes they can make on a project
+router.get(
+    '/:projectId/transitions',
+    verifyToken,
+    workflowController.getProjectTransitions
+);
+
+// Roles allowed by the workflow definition: Move project to another state
+router.patch(
+    '/:projectId/transition',
+    verifyToken,
+    workflowController.transitionStatus
+);
+
+// Team, supervisor and admin: Phase deadlines of a project
+router.get(
+    '/:projectId/deadlines',
+    verifyToken,
+    deadlineController.getProjectDeadlines
+);
+
+// Assigned supervisor/Admin: Override or reset a phase deadline
+router.put(
+    '/:projectId/deadlines/:phase',
+    verifyToken,
+    deadlineController.setProjectDeadline
+);
+
 // Supervisor/Admin: Advance project to next phase
 router.patch(
     '/:projectId/advance',
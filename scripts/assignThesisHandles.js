@@ -0,0 +1,111 @@
+/**
+ * Assign Persistent Thesis Handles
+ *
+ * Projects get a handle such as KT-CSE-2025-0042 when they reach a finished
+ * state (Project.HANDLE_STATUSES). This script gives one to every finished
+ * project that has none yet - projects finished before handles existed, or
+ * whose handle could not be minted at the time. Projects are numbered in the
+ * order they were published, continuing each department/year sequence, and
+ * every handle is registered in thesis_handles so it is never reused.
+ *
+ * Usage: node scripts/assignThesisHandles.js [--dry-run]
+ */
+
+require('dotenv').config();
+const { MongoClient } = require('mongodb');
+const Project = require('../models/Project');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/knowledgetrace';
+const DRY_RUN = process.argv.includes('--dry-run');
+
+async function assignThesisHandles() {
+    const client = new MongoClient(MONGODB_URI);
+
+    try {
+        console.log('🔌 Connecting to MongoDB...');
+        await client.connect();
+        console.log('✅ Connected to MongoDB');
+        if (DRY_RUN) console.log('🧪 Dry run - nothing will be written');
+
+        const db = client.db();
+        const projectsCollection = db.collection('projects');
+        const handlesCollection = db.collection('thesis_handles');
+        const sequencesCollection = db.collection('thesis_handle_sequences');
+
+        if (!DRY_RUN) {
+            await projectsCollection.createIndex({ handle: 1 }, { unique: true, sparse: true });
+            await handlesCollection.createIndex({ handle: 1 }, { unique: true });
+            await handlesCollection.createIndex({ projectId: 1 }, { unique: true });
+        }
+
+        const projects = await projectsCollection
+            .find(
+                { status: { $in: Project.HANDLE_STATUSES }, handle: null },
+                { projection: { _id: 1, title: 1, department: 1, year: 1, publishedAt: 1, createdAt: 1 } }
+            )
+            .sort({ publishedAt: 1, createdAt: 1, _id: 1 })
+            .toArray();
+        console.log(`\n📊 ${projects.length} finished projects without a handle`);
+
+        // Dry runs count on from the stored sequences without reserving numbers
+        const dryRunSequences = {};
+        let assigned = 0;
+
+        for (const project of projects) {
+            const scope = Project.getHandleScope(project);
+
+            let sequence;
+            if (DRY_RUN) {
+                if (dryRunSequences[scope.key] === undefined) {
+                    const stored = await sequencesCollection.findOne({ _id: scope.key });
+                    dryRunSequences[scope.key] = stored?.seq || 0;
+                }
+                sequence = ++dryRunSequences[scope.key];
+            } else {
+                const counter = await sequencesCollection.findOneAndUpdate(
+                    { _id: scope.key },
+                    { $inc: { seq: 1 } },
+                    { upsert: true, returnDocument: 'after' }
+                );
+                sequence = counter.seq;
+            }
+
+            const handle = Project.formatHandle(scope, sequence);
+
+            if (!DRY_RUN) {
+                const result = await projectsCollection.updateOne({ _id: project._id, handle: null }, { $set: { handle } });
+                if (result.matchedCount === 0) {
+                    console.log(`   ⚠️  "${project.title}" got a handle meanwhile - ${handle} skipped`);
+                    continue;
+                }
+
+                await handlesCollection.insertOne({
+                    handle,
+                    projectId: project._id,
+                    title: project.title || '',
+                    department: project.department || '',
+                    year: scope.year,
+                    mintedAt: new Date(),
+                    deletedAt: null
+                });
+            }
+
+            console.log(`   🏷️  ${handle}  "${project.title}"`);
+            assigned++;
+        }
+
+        console.log(`\n\n📊 Summary:`);
+        console.log(`   ✅ Handles assigned: ${assigned}`);
+        if (DRY_RUN) console.log('   🧪 Dry run - run again without --dry-run to apply');
+
+    } catch (error) {
+        console.error('❌ Error:', error);
+        process.exit(1);
+    } finally {
+        await client.close();
+        console.log('\n🔌 Database connection closed');
+    }
+}
+
+// Run the script
+assignThesisHandles();
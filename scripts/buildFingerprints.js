@@ -0,0 +1,74 @@
+/**
+ * Build Duplicate-Detection Fingerprints
+ *
+ * This script computes the MinHash/LSH fingerprint of every project abstract
+ * and stores it in the project_fingerprints collection. Run it once after
+ * deploying fingerprint-based duplicate detection, and again whenever the
+ * DUPLICATE_* shingle/permutation/band settings change.
+ *
+ * Usage: node scripts/buildFingerprints.js
+ */
+
+require('dotenv').config();
+const { MongoClient } = require('mongodb');
+const { buildFingerprint } = require('../utils/duplicateDetection');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/knowledgetrace';
+
+async function buildFingerprints() {
+    const client = new MongoClient(MONGODB_URI);
+
+    try {
+        console.log('🔌 Connecting to MongoDB...');
+        await client.connect();
+        console.log('✅ Connected to MongoDB');
+
+        const db = client.db();
+        const projectsCollection = db.collection('projects');
+        const fingerprintsCollection = db.collection('project_fingerprints');
+
+        await fingerprintsCollection.createIndex({ projectId: 1 }, { unique: true });
+        await fingerprintsCollection.createIndex({ bandKeys: 1 });
+
+        const projects = await projectsCollection
+            .find({ abstract: { $exists: true, $ne: '' } }, { projection: { _id: 1, title: 1, abstract: 1 } })
+            .toArray();
+
+        console.log(`\n📊 Found ${projects.length} projects with an abstract`);
+
+        let indexed = 0;
+        let skipped = 0;
+
+        for (const project of projects) {
+            const fingerprint = buildFingerprint(project.abstract);
+
+            if (fingerprint.bandKeys.length === 0) {
+                console.log(`   ⚠️  Skipped "${project.title}" (abstract too short to fingerprint)`);
+                skipped++;
+                continue;
+            }
+
+            await fingerprintsCollection.updateOne(
+                { projectId: project._id },
+                { $set: { ...fingerprint, updatedAt: new Date() } },
+                { upsert: true }
+            );
+            indexed++;
+        }
+
+        console.log(`\n\n📊 Summary:`);
+        console.log(`   ✅ Indexed: ${indexed} projects`);
+        console.log(`   ⚠️  Skipped: ${skipped} projects`);
+        console.log(`   📝 Total Processed: ${projects.length} projects`);
+
+    } catch (error) {
+        console.error('❌ Error:', error);
+        process.exit(1);
+    } finally {
+        await client.close();
+        console.log('\n🔌 Database connection closed');
+    }
+}
+
+// Run the script
+buildFingerprints();
@@ -0,0 +1,148 @@
+/**
+ * Migrate Stored File URLs to Storage Keys
+ *
+ * Projects used to store the Cloudinary URL of their PDF in `pdfUrl`, and
+ * uploaded milestone deliverables their URL in `url`. Files are now referred
+ * to by storage keys ('<driver>:<object key>', see utils/storage). This script
+ * converts Cloudinary URLs to keys in projects (`pdfKey`, keeping the old
+ * value in `legacyPdfUrl`), in project revision snapshots and in uploaded
+ * deliverables. Placeholder URLs saved while Cloudinary was not configured
+ * point at no file, so they are cleared. URLs of unknown stores are reported
+ * and left as they are.
+ *
+ * Usage: node scripts/migratePdfStorageKeys.js [--dry-run]
+ */
+
+require('dotenv').config();
+const { MongoClient } = require('mongodb');
+const { storageKeyFromUrl } = require('../utils/storage');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/knowledgetrace';
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const isPlaceholder = (url) => /placeholder/i.test(url);
+
+/**
+ * Storage key for a stored URL: the key, '' for empty/placeholder URLs, null when unknown
+ */
+function convertUrl(url) {
+    if (!url || isPlaceholder(url)) return '';
+    return storageKeyFromUrl(url);
+}
+
+async function migratePdfStorageKeys() {
+    const client = new MongoClient(MONGODB_URI);
+
+    try {
+        console.log('🔌 Connecting to MongoDB...');
+        await client.connect();
+        console.log('✅ Connected to MongoDB');
+        if (DRY_RUN) console.log('🧪 Dry run - nothing will be written');
+
+        const db = client.db();
+        const projectsCollection = db.collection('projects');
+        const revisionsCollection = db.collection('project_revisions');
+        const milestonesCollection = db.collection('project_milestones');
+
+        // Projects
+        const projects = await projectsCollection
+            .find({ pdfUrl: { $exists: true } }, { projection: { _id: 1, title: 1, pdfUrl: 1 } })
+            .toArray();
+        console.log(`\n📊 ${projects.length} projects with a pdfUrl`);
+
+        let migrated = 0;
+        let cleared = 0;
+        let unknown = 0;
+
+        for (const project of projects) {
+            const pdfKey = convertUrl(project.pdfUrl);
+            if (pdfKey === null) {
+                console.log(`   ⚠️  "${project.title}": unknown storage URL left as is (${project.pdfUrl})`);
+                unknown++;
+                continue;
+            }
+
+            if (!DRY_RUN) {
+                await projectsCollection.updateOne(
+                    { _id: project._id },
+                    {
+                        $set: { pdfKey, ...(project.pdfUrl ? { legacyPdfUrl: project.pdfUrl } : {}) },
+                        $unset: { pdfUrl: '' }
+                    }
+                );
+            }
+
+            if (pdfKey) {
+                migrated++;
+            } else if (project.pdfUrl) {
+                console.log(`   🧹 "${project.title}": placeholder PDF cleared - the PDF must be uploaded again`);
+                cleared++;
+            }
+        }
+
+        // Revision snapshots, so restoring an old revision restores its PDF
+        const revisions = await revisionsCollection
+            .find({ 'snapshot.pdfUrl': { $exists: true } }, { projection: { _id: 1, snapshot: 1, changedFields: 1 } })
+            .toArray();
+        console.log(`\n📊 ${revisions.length} project revisions with a pdfUrl`);
+
+        let revisionsMigrated = 0;
+        for (const revision of revisions) {
+            const pdfKey = convertUrl(revision.snapshot.pdfUrl);
+            if (pdfKey === null) continue;
+
+            if (!DRY_RUN) {
+                await revisionsCollection.updateOne(
+                    { _id: revision._id },
+                    {
+                        $set: {
+                            'snapshot.pdfKey': pdfKey,
+                            changedFields: (revision.changedFields || []).map(f => (f === 'pdfUrl' ? 'pdfKey' : f))
+                        },
+                        $unset: { 'snapshot.pdfUrl': '' }
+                    }
+                );
+            }
+            revisionsMigrated++;
+        }
+
+        // Uploaded deliverables (link deliverables keep their url)
+        const milestones = await milestonesCollection
+            .find({ 'deliverables.url': /res\.cloudinary\.com/ }, { projection: { _id: 1, deliverables: 1 } })
+            .toArray();
+
+        let deliverablesMigrated = 0;
+        for (const milestone of milestones) {
+            let changed = false;
+            const deliverables = milestone.deliverables.map(deliverable => {
+                const key = deliverable.checksum ? storageKeyFromUrl(deliverable.url) : null;
+                if (!key) return deliverable;
+                changed = true;
+                deliverablesMigrated++;
+                return { ...deliverable, key, url: '' };
+            });
+
+            if (changed && !DRY_RUN) {
+                await milestonesCollection.updateOne({ _id: milestone._id }, { $set: { deliverables } });
+            }
+        }
+
+        console.log(`\n\n📊 Summary:`);
+        console.log(`   ✅ Project PDFs migrated: ${migrated}`);
+        console.log(`   🧹 Placeholder PDFs cleared: ${cleared}`);
+        console.log(`   ⚠️  Unknown URLs left as is: ${unknown}`);
+        console.log(`   📜 Revisions migrated: ${revisionsMigrated}`);
+        console.log(`   📎 Deliverables migrated: ${deliverablesMigrated}`);
+        if (DRY_RUN) console.log('   🧪 Dry run - run again without --dry-run to apply');
+
+    } catch (error) {
+        console.error('❌ Error:', error);
+        process.exit(1);
+    } finally {
+        await client.close();
+        console.log('\n🔌 Database connection closed');
+    }
+}
+
+// Run the script
+migratePdfStorageKeys();
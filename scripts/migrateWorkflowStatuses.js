@@ -0,0 +1,108 @@
+/**
+ * Migrate Legacy Project Statuses
+ *
+ * Projects created before the configurable workflow use the statuses
+ * 'pending', 'pending_proposal' and 'rejected', which are not states of the
+ * workflow definition. This script moves them to their workflow states
+ * (see WorkflowDefinition.LEGACY_STATUSES), keeps the old value in
+ * `legacyStatus`, opens the milestone of the phase each migrated project is
+ * now in, and stores the default workflow definition if none exists yet.
+ *
+ * Usage: node scripts/migrateWorkflowStatuses.js [--dry-run]
+ */
+
+require('dotenv').config();
+const { MongoClient } = require('mongodb');
+const WorkflowDefinition = require('../models/WorkflowDefinition');
+const ProjectMilestone = require('../models/ProjectMilestone');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/knowledgetrace';
+const DRY_RUN = process.argv.includes('--dry-run');
+
+async function migrateWorkflowStatuses() {
+    const client = new MongoClient(MONGODB_URI);
+
+    try {
+        console.log('🔌 Connecting to MongoDB...');
+        await client.connect();
+        console.log('✅ Connected to MongoDB');
+        if (DRY_RUN) console.log('🧪 Dry run - nothing will be written');
+
+        const db = client.db();
+        const projectsCollection = db.collection('projects');
+        const milestonesCollection = db.collection('project_milestones');
+        const workflowDefinitionsCollection = db.collection('workflow_definitions');
+
+        // Store the default definition so admins start from what is already running
+        const stored = await workflowDefinitionsCollection.findOne({ key: 'project' });
+        if (!stored && !DRY_RUN) {
+            const definitionData = new WorkflowDefinition(WorkflowDefinition.DEFAULT).toJSON();
+            delete definitionData._id;
+            await workflowDefinitionsCollection.insertOne(definitionData);
+            console.log('\n📝 Stored the default workflow definition');
+        }
+        const workflow = new WorkflowDefinition(stored || WorkflowDefinition.DEFAULT);
+
+        let migrated = 0;
+        let milestonesOpened = 0;
+
+        for (const [legacyStatus, state] of Object.entries(WorkflowDefinition.LEGACY_STATUSES)) {
+            // An admin may have kept a legacy name as a real state
+            if (workflow.getState(legacyStatus)) {
+                console.log(`\n⏭️  "${legacyStatus}" is a state of the workflow - left as is`);
+                continue;
+            }
+
+            const projects = await projectsCollection
+                .find({ status: legacyStatus }, { projection: { _id: 1, title: 1 } })
+                .toArray();
+
+            console.log(`\n📊 ${projects.length} projects with status "${legacyStatus}" -> "${state}"`);
+            if (projects.length === 0) continue;
+
+            if (!DRY_RUN) {
+                await projectsCollection.updateMany(
+                    { status: legacyStatus },
+                    { $set: { status: state, legacyStatus } }
+                );
+            }
+            migrated += projects.length;
+
+            // Projects now in a milestone phase need that milestone to take deliverables
+            const phaseState = workflow.getState(state);
+            if (!phaseState?.phase) continue;
+
+            for (const project of projects) {
+                const existing = await milestonesCollection.findOne({ projectId: String(project._id), phase: phaseState.phase });
+                if (existing) continue;
+
+                if (!DRY_RUN) {
+                    const milestoneData = new ProjectMilestone({
+                        projectId: String(project._id),
+                        phase: phaseState.phase,
+                        status: phaseState.milestoneStatus || 'in_progress'
+                    }).toJSON();
+                    delete milestoneData._id;
+                    await milestonesCollection.insertOne(milestoneData);
+                }
+                console.log(`   📌 Opened ${phaseState.phase} milestone for "${project.title}"`);
+                milestonesOpened++;
+            }
+        }
+
+        console.log(`\n\n📊 Summary:`);
+        console.log(`   ✅ Projects migrated: ${migrated}`);
+        console.log(`   📌 Milestones opened: ${milestonesOpened}`);
+        if (DRY_RUN) console.log('   🧪 Dry run - run again without --dry-run to apply');
+
+    } catch (error) {
+        console.error('❌ Error:', error);
+        process.exit(1);
+    } finally {
+        await client.close();
+        console.log('\n🔌 Database connection closed');
+    }
+}
+
+// Run the script
+migrateWorkflowStatuses();
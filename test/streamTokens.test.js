@@ -0,0 +1,34 @@
+// Notification stream tokens (POST /api/notifications/stream-token, GET /api/notifications/stream?token=)
+// Run with: npm test
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.NOTIFICATION_STREAM_SECRET = 'test-secret';
+
+const { STREAM_TOKEN_SECONDS, signStreamToken, verifyStreamToken } = require('../utils/streamTokens');
+
+const user = { uid: 'student-uid', email: 'student@ugrad.iiuc.ac.bd', name: 'Student' };
+
+test('a fresh token identifies its user', () => {
+    const { token, expiresAt } = signStreamToken(user);
+    assert.deepStrictEqual(verifyStreamToken(token), user);
+    assert.ok(expiresAt > new Date());
+});
+
+test('tampered tokens are rejected', () => {
+    const { token } = signStreamToken(user);
+    const [payload, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), uid: 'admin-uid' })).toString('base64url');
+
+    assert.strictEqual(verifyStreamToken(`${forged}.${signature}`), null);
+    assert.strictEqual(verifyStreamToken(`${payload}.${signature}x`), null);
+    assert.strictEqual(verifyStreamToken(`${token}.extra`), null);
+    assert.strictEqual(verifyStreamToken(undefined), null);
+});
+
+test('tokens expire', (t) => {
+    const { token } = signStreamToken(user);
+    t.mock.method(Date, 'now', () => new Date().getTime() + (STREAM_TOKEN_SECONDS + 1) * 1000);
+    assert.strictEqual(verifyStreamToken(token), null);
+});
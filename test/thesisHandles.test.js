@@ -0,0 +1,89 @@
+// Persistent handle resolution (GET /api/thesis/handle/:handle)
+// Run with: npm test
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+// config/database only builds its connection string at load time; nothing here connects
+process.env.DB_USERNAME = process.env.DB_USERNAME || 'test';
+process.env.DB_PASSWORD = process.env.DB_PASSWORD || 'test';
+
+// Stand-ins for the database lookups, installed before the controller takes its references
+const thesisHandles = require('../utils/thesisHandles');
+const projectAccess = require('../utils/projectAccess');
+
+let resolved = null;
+let viewers = {};
+thesisHandles.resolveHandle = async () => resolved;
+projectAccess.getViewer = async (uid) => (uid ? viewers[uid] || { uid, isAdmin: false, university: false } : null);
+
+const { getThesisByHandle } = require('../controllers/thesisController');
+
+const HANDLE = 'KT-CSE-2025-0042';
+
+function privateCompletedProject() {
+    return {
+        _id: 'p1',
+        title: 'Private thesis',
+        abstract: 'Not for the public',
+        author: 'Student',
+        authorId: 'author-uid',
+        studentIds: [],
+        supervisorId: 'supervisor-uid',
+        visibility: 'private',
+        status: 'completed',
+        handle: HANDLE
+    };
+}
+
+async function resolve(uid = null) {
+    const req = { params: { handle: HANDLE }, user: uid ? { uid } : undefined };
+    const res = {
+        statusCode: 200,
+        body: null,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+    await getThesisByHandle(req, res);
+    return res;
+}
+
+beforeEach(() => {
+    resolved = { record: { handle: HANDLE, deletedAt: null }, project: privateCompletedProject() };
+    viewers = { 'admin-uid': { uid: 'admin-uid', isAdmin: true, university: false } };
+});
+
+test('private completed project is hidden from anonymous callers', async () => {
+    const res = await resolve();
+    assert.strictEqual(res.statusCode, 404);
+    assert.strictEqual(res.body.code, 'HANDLE_NOT_FOUND');
+    assert.strictEqual(res.body.project, undefined);
+});
+
+test('private completed project is hidden from signed-in non-members', async () => {
+    const res = await resolve('stranger-uid');
+    assert.strictEqual(res.statusCode, 404);
+    assert.strictEqual(res.body.code, 'HANDLE_NOT_FOUND');
+});
+
+test('private completed project resolves for its author, supervisor and admins', async () => {
+    for (const uid of ['author-uid', 'supervisor-uid', 'admin-uid']) {
+        const res = await resolve(uid);
+        assert.strictEqual(res.statusCode, 200, uid);
+        assert.strictEqual(res.body.project.title, 'Private thesis');
+    }
+});
+
+test('public completed project resolves for anyone', async () => {
+    resolved.project.visibility = 'public';
+    const res = await resolve();
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.handle, HANDLE);
+});
+
+test('tombstones of never-public theses do not reveal the title', async () => {
+    resolved = { record: { handle: HANDLE, title: 'Private thesis', public: false, deletedAt: new Date() }, project: null };
+    const res = await resolve();
+    assert.strictEqual(res.statusCode, 410);
+    assert.strictEqual(res.body.title, undefined);
+});
@@ -0,0 +1,128 @@
+// Audit Log Utility
+// Appends hash-chained audit entries for state-changing operations and verifies the chain
+
+const { getAuditLogCollection } = require('../config/database');
+const AuditEntry = require('../models/AuditEntry');
+const logger = require('../config/logger');
+
+// Attempts to append when another entry takes the same position first
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Entries read at a time while verifying the chain
+const VERIFY_BATCH_SIZE = 1000;
+
+// Stored values must hash the same after a round trip through MongoDB (dates become ISO strings)
+const toPlain = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Who is acting and from where, taken from the request
+ * @param {Object} req - Express request (after verifyToken)
+ * @param {Object|null} user - User document of the actor, when already loaded
+ * @returns {Object} { actorId, actorRole, ip, requestId, userAgent }
+ */
+function getAuditContext(req, user = null) {
+    const isAdmin = user?.isAdmin === true || user?.role === 'admin' || req.user?.isAdmin === true;
+    return {
+        actorId: req.user?.uid || 'system',
+        actorRole: isAdmin ? 'admin' : (user?.role || req.user?.role || null),
+        ip: req.ip || null,
+        requestId: req.id || null,
+        userAgent: req.get ? req.get('user-agent') || null : null
+    };
+}
+
+/**
+ * Append an entry to the audit log
+ * Never throws - a failed write is logged so the audited operation still completes
+ * @param {Object} context - From getAuditContext
+ * @param {Object} change
+ * @param {string} change.action - e.g. 'project.status_change'
+ * @param {string} change.targetType - e.g. 'project'
+ * @param {string|ObjectId} change.targetId
+ * @param {Object} change.before - Changed values before the action
+ * @param {Object} change.after - Changed values after the action
+ * @param {Object} change.metadata - Extra context
+ * @returns {Promise<Object>} { success, entry }
+ */
+async function recordAudit(context, { action, targetType, targetId = null, before = null, after = null, metadata = {} }) {
+    try {
+        const auditLogCollection = await getAuditLogCollection();
+
+        for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt++) {
+            const [last] = await auditLogCollection.find({}).sort({ seq: -1 }).limit(1).toArray();
+
+            const entry = new AuditEntry({
+                ...context,
+                action,
+                targetType,
+                targetId,
+                before: toPlain(before),
+                after: toPlain(after),
+                metadata: toPlain(metadata),
+                seq: last ? last.seq + 1 : 1,
+                prevHash: last ? last.hash : AuditEntry.GENESIS_HASH
+            });
+            entry.hash = entry.computeHash();
+
+            const entryData = entry.toJSON();
+            delete entryData._id;
+
+            try {
+                await auditLogCollection.insertOne(entryData);
+                return { success: true, entry: entryData };
+            } catch (insertError) {
+                // Another entry was appended at this position first (unique seq) - link to it instead
+                if (insertError.code !== 11000) throw insertError;
+            }
+        }
+
+        throw new Error('Could not append audit entry after concurrent writes');
+    } catch (error) {
+        logger.error('Error writing audit entry:', { error: error.message, action, targetType, targetId: targetId ? String(targetId) : null });
+        return { success: false, error };
+    }
+}
+
+/**
+ * Recompute every hash and check each entry links to the one before it
+ * @returns {Promise<Object>} { valid, checked, brokenAt, reason } - brokenAt is the seq of the first bad entry
+ */
+async function verifyAuditChain() {
+    const auditLogCollection = await getAuditLogCollection();
+    let prevHash = AuditEntry.GENESIS_HASH;
+    let expectedSeq = 1;
+    let checked = 0;
+
+    for (;;) {
+        const batch = await auditLogCollection
+            .find({ seq: { $gte: expectedSeq } })
+            .sort({ seq: 1 })
+            .limit(VERIFY_BATCH_SIZE)
+            .toArray();
+        if (batch.length === 0) break;
+
+        for (const doc of batch) {
+            const entry = new AuditEntry(doc);
+            let reason = null;
+            if (entry.seq !== expectedSeq) reason = `Entry ${expectedSeq} is missing`;
+            else if (entry.prevHash !== prevHash) reason = 'Entry does not link to the previous entry';
+            else if (entry.computeHash() !== entry.hash) reason = 'Entry content does not match its hash';
+
+            if (reason) {
+                return { valid: false, checked, brokenAt: expectedSeq, reason };
+            }
+
+            prevHash = entry.hash;
+            expectedSeq++;
+            checked++;
+        }
+    }
+
+    return { valid: true, checked, brokenAt: null, reason: null };
+}
+
+module.exports = {
+    getAuditContext,
+    recordAudit,
+    verifyAuditChain,
+};
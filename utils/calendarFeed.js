@@ -0,0 +1,168 @@
+// Calendar Feed Utility
+// Issues private calendar feed tokens and collects a user's milestone deadlines, defenses and office hours as events
+
+const crypto = require('crypto');
+const {
+    getUsersCollection,
+    getProjectsCollection,
+    getProjectMilestonesCollection,
+    getDefenseSessionsCollection
+} = require('../config/database');
+const { OPEN_STATUSES } = require('./milestoneDeadlines');
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:5173';
+
+// Past defenses kept in the feed
+const DEFENSE_HISTORY_DAYS = 90;
+
+// Only a hash of the token is stored, so a leaked database does not expose feeds
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const phaseLabel = (phase) => phase.replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase());
+
+/**
+ * Issue a new feed token for a user, replacing (and so revoking) any previous one
+ * @param {string} uid - Firebase UID
+ * @returns {Promise<string>} The token - shown once, only its hash is kept
+ */
+async function issueCalendarToken(uid) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const usersCollection = await getUsersCollection();
+    await usersCollection.updateOne(
+        { uid },
+        { $set: { calendarToken: { hash: hashToken(token), createdAt: new Date() } } }
+    );
+    return token;
+}
+
+/**
+ * Revoke a user's feed token
+ * @param {string} uid - Firebase UID
+ * @returns {Promise<boolean>} Whether a token was active
+ */
+async function revokeCalendarToken(uid) {
+    const usersCollection = await getUsersCollection();
+    const result = await usersCollection.updateOne(
+        { uid, calendarToken: { $exists: true } },
+        { $unset: { calendarToken: '' } }
+    );
+    return result.modifiedCount > 0;
+}
+
+/**
+ * Find the user a feed token belongs to
+ * @param {string} token
+ * @returns {Promise<Object|null>} User document
+ */
+async function findUserByCalendarToken(token) {
+    if (!/^[0-9a-f]{64}$/.test(token)) return null;
+    const usersCollection = await getUsersCollection();
+    return usersCollection.findOne({ 'calendarToken.hash': hashToken(token) });
+}
+
+/**
+ * Events for a user's feed
+ * @param {Object} user - User document
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object[]>} Events as accepted by buildEvent (utils/icalendar)
+ */
+async function getCalendarEvents(user, now = new Date()) {
+    const { uid } = user;
+    const projectsCollection = await getProjectsCollection();
+    const projects = await projectsCollection
+        .find({ $or: [{ authorId: uid }, { studentIds: uid }, { supervisorId: uid }] })
+        .project({ title: 1, authorId: 1, studentIds: 1, supervisorId: 1 })
+        .toArray();
+    const projectMap = new Map(projects.map(p => [String(p._id), p]));
+
+    // Milestone deadlines of every project the user works on or supervises
+    const milestonesCollection = await getProjectMilestonesCollection();
+    const milestones = await milestonesCollection
+        .find({ projectId: { $in: [...projectMap.keys()] }, status: { $in: OPEN_STATUSES }, deadline: { $ne: null } })
+        .toArray();
+
+    const events = milestones.map(m => ({
+        uid: `milestone-${m._id}`,
+        summary: `${phaseLabel(m.phase)} deadline: ${projectMap.get(m.projectId).title}`,
+        description: `Deadline for the ${m.phase.replace(/_/g, ' ')} milestone.`,
+        url: `${CLIENT_URL}/project/${m.projectId}`,
+        date: m.deadline,
+        alarm: '-P1D',
+        updatedAt: m.updatedAt
+    }));
+
+    // Defense sessions the user examines, and slots of their own or supervised projects
+    const supervisedIds = projects.filter(p => p.supervisorId === uid).map(p => String(p._id));
+    const defenseSessionsCollection = await getDefenseSessionsCollection();
+    const sessions = await defenseSessionsCollection
+        .find({
+            status: 'scheduled',
+            endsAt: { $gte: new Date(now.getTime() - DEFENSE_HISTORY_DAYS * 24 * 60 * 60 * 1000) },
+            $or: [
+                { examinerIds: uid },
+                { 'slots.participantIds': uid },
+                { 'slots.projectId': { $in: supervisedIds } }
+            ]
+        })
+        .toArray();
+
+    sessions.forEach(session => {
+        if (session.examinerIds.includes(uid)) {
+            events.push({
+                uid: `defense-session-${session._id}`,
+                summary: session.title || `${phaseLabel(session.phase)} defense (examiner)`,
+                description: session.slots
+                    .map(slot => `${new Date(slot.startsAt).toISOString().slice(11, 16)} UTC - ${slot.projectTitle}`)
+                    .join('\n'),
+                location: session.room,
+                url: `${CLIENT_URL}/defenses/${session._id}`,
+                start: session.startsAt,
+                end: session.endsAt,
+                updatedAt: session.updatedAt
+            });
+            return;
+        }
+
+        session.slots
+            .filter(slot => (slot.participantIds || []).includes(uid) || supervisedIds.includes(slot.projectId))
+            .forEach(slot => events.push({
+                uid: `defense-slot-${slot._id}`,
+                summary: `${phaseLabel(session.phase)} defense: ${slot.projectTitle}`,
+                location: session.room,
+                url: `${CLIENT_URL}/defenses/${session._id}`,
+                start: slot.startsAt,
+                end: slot.endsAt,
+                alarm: '-PT1H',
+                updatedAt: session.updatedAt
+            }));
+    });
+
+    // Weekly office hours - the user's own, or those of their supervisors
+    const supervisorIds = [...new Set(projects.map(p => p.supervisorId).filter(id => id && id !== uid))];
+    const usersCollection = await getUsersCollection();
+    const supervisors = supervisorIds.length > 0
+        ? await usersCollection
+            .find({ uid: { $in: supervisorIds } })
+            .project({ uid: 1, name: 1, displayName: 1, officeHourSlots: 1, updatedAt: 1 })
+            .toArray()
+        : [];
+
+    [user, ...supervisors].forEach(owner => {
+        (owner.officeHourSlots || []).forEach(slot => events.push({
+            uid: `office-hours-${owner.uid}-${slot.day}-${slot.start.replace(':', '')}`,
+            summary: owner.uid === uid ? 'Office hours' : `Office hours: ${owner.name || owner.displayName}`,
+            location: slot.location,
+            weekly: slot,
+            updatedAt: owner.updatedAt
+        }));
+    });
+
+    return events;
+}
+
+module.exports = {
+    issueCalendarToken,
+    revokeCalendarToken,
+    findUserByCalendarToken,
+    getCalendarEvents,
+};
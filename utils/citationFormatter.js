@@ -0,0 +1,247 @@
+// Utility functions for rendering vault entries as citations (BibTeX, RIS, CSL-JSON, APA, IEEE)
+
+const { describeLicense } = require('./licenses');
+
+const INSTITUTION_NAME = process.env.INSTITUTION_NAME || 'International Islamic University Chittagong';
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:5173';
+
+// Supported export formats with their media types and file extensions
+const CITATION_FORMATS = {
+    bibtex: { mediaType: 'application/x-bibtex', extension: 'bib' },
+    ris: { mediaType: 'application/x-research-info-systems', extension: 'ris' },
+    csl: { mediaType: 'application/vnd.citationstyles.csl+json', extension: 'json' },
+    apa: { mediaType: 'text/plain', extension: 'txt' },
+    ieee: { mediaType: 'text/plain', extension: 'txt' }
+};
+
+/**
+ * Split a full name into given and family parts (last word is the family name)
+ * @param {string} name - Full name, e.g. "Md. Rishat Hossain"
+ * @returns {{given: string, family: string}}
+ */
+function splitName(name) {
+    const parts = String(name || '').trim().split(/\s+/).filter(Boolean);
+    if (parts.length === 0) return { given: '', family: '' };
+    if (parts.length === 1) return { given: '', family: parts[0] };
+    return { given: parts.slice(0, -1).join(' '), family: parts[parts.length - 1] };
+}
+
+/**
+ * Abbreviate given names to initials ("Md. Rishat" -> "M. R.")
+ */
+function initials(given) {
+    return given
+        .split(/[\s-]+/)
+        .filter(Boolean)
+        .map(part => `${part.charAt(0).toUpperCase()}.`)
+        .join(' ');
+}
+
+/**
+ * Normalize a project into the fields every citation format needs
+ * @param {Object} project - Project document
+ * @param {string[]} authorNames - Resolved author names (students), in order
+ * @returns {Object} Citation data
+ */
+function buildCitationData(project, authorNames = []) {
+    const authors = authorNames.length > 0
+        ? authorNames
+        : String(project.author || '').split(/\s*(?:,|;|\band\b)\s*/).filter(Boolean);
+
+    const finished = ['completed', 'archived'].includes(project.status);
+
+    return {
+        id: project._id ? project._id.toString() : '',
+        title: project.title || 'Untitled',
+        authors: authors.length > 0 ? authors : ['Anonymous'],
+        supervisor: project.supervisor || '',
+        year: project.year || new Date(project.createdAt || Date.now()).getFullYear(),
+        publisher: (project.department || project.supervisorDepartment)
+            ? `Department of ${project.department || project.supervisorDepartment}, ${INSTITUTION_NAME}`
+            : INSTITUTION_NAME,
+        abstract: project.abstract || '',
+        keywords: Array.isArray(project.tags) ? project.tags : [],
+        githubLink: project.githubLink || '',
+        url: project._id ? `${CLIENT_URL}/project/${project._id}` : '',
+        license: describeLicense(project),
+        handle: project.handle || '',
+        isThesis: finished
+    };
+}
+
+/**
+ * License as a single line: short name plus deed URL (or the custom terms)
+ */
+function licenseStatement(license) {
+    if (license.url) return `${license.shortName} (${license.url})`;
+    return license.terms ? `${license.shortName}: ${license.terms.replace(/\s+/g, ' ')}` : license.shortName;
+}
+
+/**
+ * Build a stable BibTeX citation key: family name + year + first title word
+ */
+function citationKey(data) {
+    const family = splitName(data.authors[0]).family.toLowerCase();
+    const firstWord = (data.title.match(/[A-Za-z0-9]+/) || ['entry'])[0].toLowerCase();
+    return `${family.replace(/[^a-z0-9]/g, '') || 'anon'}${data.year}${firstWord}`;
+}
+
+function escapeBibTeX(value) {
+    return String(value).replace(/([&%$#_{}])/g, '\\$1').replace(/~/g, '\\textasciitilde{}');
+}
+
+/**
+ * Render a BibTeX entry (@mastersthesis for finished theses, @misc otherwise)
+ */
+function toBibTeX(data) {
+    const fields = [
+        ['author', data.authors.map(name => {
+            const { given, family } = splitName(name);
+            return given ? `${family}, ${given}` : family;
+        }).join(' and ')],
+        ['title', `{${escapeBibTeX(data.title)}}`, true],
+        ['year', data.year]
+    ];
+
+    if (data.isThesis) {
+        fields.push(['school', data.publisher], ['type', "Bachelor's thesis"]);
+    } else {
+        fields.push(['howpublished', `Student project, ${data.publisher}`]);
+    }
+    const notes = [
+        data.supervisor && `Supervised by ${data.supervisor}`,
+        data.githubLink && `Source code: ${data.githubLink}`,
+        data.handle && `Handle: ${data.handle}`
+    ].filter(Boolean);
+    if (notes.length > 0) fields.push(['note', notes.join('. ')]);
+    if (data.keywords.length > 0) fields.push(['keywords', data.keywords.join(', ')]);
+    if (data.url) fields.push(['url', data.url, true]);
+    if (data.license) fields.push(['copyright', licenseStatement(data.license)]);
+
+    const body = fields
+        .map(([name, value, raw]) => `  ${name} = {${raw ? value : escapeBibTeX(value)}}`)
+        .join(',\n');
+
+    return `@${data.isThesis ? 'mastersthesis' : 'misc'}{${citationKey(data)},\n${body}\n}`;
+}
+
+/**
+ * Render an RIS record (THES for finished theses, GEN otherwise)
+ */
+function toRIS(data) {
+    const lines = [`TY  - ${data.isThesis ? 'THES' : 'GEN'}`];
+    data.authors.forEach(name => {
+        const { given, family } = splitName(name);
+        lines.push(`AU  - ${given ? `${family}, ${given}` : family}`);
+    });
+    lines.push(`TI  - ${data.title}`);
+    lines.push(`PY  - ${data.year}`);
+    lines.push(`PB  - ${data.publisher}`);
+    if (data.isThesis) lines.push(`M3  - Bachelor's thesis`);
+    if (data.supervisor) lines.push(`A3  - ${data.supervisor}`);
+    if (data.handle) lines.push(`AN  - ${data.handle}`);
+    if (data.abstract) lines.push(`AB  - ${data.abstract.replace(/\s+/g, ' ').trim()}`);
+    data.keywords.forEach(keyword => lines.push(`KW  - ${keyword}`));
+    if (data.url) lines.push(`UR  - ${data.url}`);
+    if (data.githubLink) lines.push(`UR  - ${data.githubLink}`);
+    if (data.license) lines.push(`N1  - License: ${licenseStatement(data.license)}`);
+    lines.push('ER  - ');
+    return lines.join('\r\n');
+}
+
+/**
+ * Render a CSL-JSON item
+ */
+function toCSL(data) {
+    const item = {
+        id: data.id,
+        type: data.isThesis ? 'thesis' : 'manuscript',
+        title: data.title,
+        author: data.authors.map(splitName),
+        issued: { 'date-parts': [[Number(data.year)]] },
+        publisher: data.publisher,
+        abstract: data.abstract || undefined,
+        keyword: data.keywords.length > 0 ? data.keywords.join(', ') : undefined,
+        URL: data.url || undefined,
+        note: data.githubLink ? `Source code: ${data.githubLink}` : undefined,
+        license: data.license ? licenseStatement(data.license) : undefined,
+        archive_location: data.handle || undefined
+    };
+    if (data.isThesis) item.genre = "Bachelor's thesis";
+    if (data.supervisor) item.contributor = [splitName(data.supervisor)];
+    return item;
+}
+
+/**
+ * Render an APA 7 reference string
+ */
+function toAPA(data) {
+    const names = data.authors.map(name => {
+        const { given, family } = splitName(name);
+        return given ? `${family}, ${initials(given)}` : family;
+    });
+    const authorList = names.length > 1
+        ? `${names.slice(0, -1).join(', ')}, & ${names[names.length - 1]}`
+        : names[0];
+    const kind = data.isThesis ? "Bachelor's thesis" : 'Student project';
+    const title = data.handle ? `${data.title} (${data.handle})` : data.title;
+    return `${authorList} (${data.year}). ${title} [${kind}, ${data.publisher}].${data.url ? ` ${data.url}` : ''}`;
+}
+
+/**
+ * Render an IEEE reference string
+ */
+function toIEEE(data) {
+    const names = data.authors.map(name => {
+        const { given, family } = splitName(name);
+        return given ? `${initials(given)} ${family}` : family;
+    });
+    const authorList = names.length > 2
+        ? `${names.slice(0, -1).join(', ')}, and ${names[names.length - 1]}`
+        : names.join(' and ');
+    const kind = data.isThesis ? 'B.Sc. thesis' : 'Student project';
+    return `${authorList}, "${data.title}," ${kind}, ${data.publisher}, ${data.handle ? `${data.handle}, ` : ''}${data.year}.${data.url ? ` [Online]. Available: ${data.url}` : ''}`;
+}
+
+/**
+ * Render one citation in the requested format
+ * @param {Object} data - Result of buildCitationData()
+ * @param {string} format - One of CITATION_FORMATS
+ * @returns {string|Object} Rendered citation (object for CSL-JSON)
+ */
+function formatCitation(data, format) {
+    switch (format) {
+        case 'bibtex': return toBibTeX(data);
+        case 'ris': return toRIS(data);
+        case 'csl': return toCSL(data);
+        case 'apa': return toAPA(data);
+        case 'ieee': return toIEEE(data);
+        default: throw new Error(`Unsupported citation format: ${format}`);
+    }
+}
+
+/**
+ * Render several citations as a single export document
+ * @param {Object[]} items - Results of buildCitationData()
+ * @param {string} format - One of CITATION_FORMATS
+ * @returns {string} Export file content
+ */
+function formatCitationList(items, format) {
+    if (format === 'csl') {
+        return JSON.stringify(items.map(toCSL), null, 2);
+    }
+    if (format === 'ieee') {
+        return items.map((data, index) => `[${index + 1}] ${toIEEE(data)}`).join('\n');
+    }
+    if (format === 'ris') {
+        return items.map(toRIS).join('\r\n\r\n');
+    }
+    return items.map(data => formatCitation(data, format)).join(format === 'bibtex' ? '\n\n' : '\n');
+}
+
+module.exports = {
+    CITATION_FORMATS,
+    buildCitationData,
+    formatCitation,
+    formatCitationList,
+};
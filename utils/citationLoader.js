@@ -0,0 +1,38 @@
+// Citation Loader Utility
+// Resolves student names for projects and builds the data used by citations and harvest feeds
+
+const { getUsersCollection } = require('../config/database');
+const { buildCitationData } = require('./citationFormatter');
+
+/**
+ * Build citation data for projects, resolving each team's student names
+ * @param {Object[]} projects - Project documents
+ * @returns {Promise<Object[]>} Citation data per project, in the same order
+ */
+async function loadCitations(projects) {
+    const studentIds = [...new Set(projects.flatMap(p => p.studentIds || [p.authorId]).filter(Boolean))];
+
+    const usersCollection = await getUsersCollection();
+    const students = studentIds.length > 0
+        ? await usersCollection
+            .find({ uid: { $in: studentIds } })
+            .project({ uid: 1, name: 1, displayName: 1 })
+            .toArray()
+        : [];
+
+    const nameMap = students.reduce((acc, student) => {
+        acc[student.uid] = student.name || student.displayName;
+        return acc;
+    }, {});
+
+    return projects.map(project => {
+        const names = (project.studentIds || [project.authorId])
+            .map(uid => nameMap[uid])
+            .filter(Boolean);
+        return buildCitationData(project, names);
+    });
+}
+
+module.exports = {
+    loadCitations,
+};
@@ -0,0 +1,28 @@
+// Utility functions for CSV exports (grade sheets, audit log)
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break
+ * Fields starting with a formula character are prefixed so spreadsheets show them as text
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=+\-@]/.test(text) && isNaN(Number(text))) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document
+ * @param {string[]} headers - Column headers
+ * @param {Array[]} rows - Row values in header order
+ * @returns {string}
+ */
+function toCsv(headers, rows) {
+    return [headers, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    toCsv,
+};
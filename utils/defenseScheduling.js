@@ -0,0 +1,115 @@
+// Defense Scheduling Utility
+// Finds double-bookings of examiners and students across defense sessions and looks up project bookings
+
+const { getDefenseSessionsCollection, getUsersCollection } = require('../config/database');
+
+// Time ranges overlap when each starts before the other ends
+const overlapping = (startsAt, endsAt) => ({ startsAt: { $lt: endsAt }, endsAt: { $gt: startsAt } });
+
+/**
+ * Find other sessions in which any of the examiners already sits at the same time
+ * @param {string[]} examinerIds - UIDs of the committee
+ * @param {Date} startsAt - Session start
+ * @param {Date} endsAt - Session end
+ * @param {ObjectId|null} excludeSessionId - Session being changed
+ * @returns {Promise<Object[]>} [{ type: 'examiner', uid, sessionId, startsAt, endsAt, room }]
+ */
+async function findExaminerConflicts(examinerIds, startsAt, endsAt, excludeSessionId = null) {
+    const defenseSessionsCollection = await getDefenseSessionsCollection();
+    const sessions = await defenseSessionsCollection
+        .find({
+            status: 'scheduled',
+            examinerIds: { $in: examinerIds },
+            ...overlapping(startsAt, endsAt),
+            ...(excludeSessionId ? { _id: { $ne: excludeSessionId } } : {})
+        })
+        .project({ examinerIds: 1, startsAt: 1, endsAt: 1, room: 1 })
+        .toArray();
+
+    return sessions.flatMap(session => session.examinerIds
+        .filter(uid => examinerIds.includes(uid))
+        .map(uid => ({
+            type: 'examiner',
+            uid,
+            sessionId: session._id,
+            startsAt: session.startsAt,
+            endsAt: session.endsAt,
+            room: session.room
+        })));
+}
+
+/**
+ * Find defense slots in which any of the students is already booked at the same time
+ * @param {string[]} participantIds - UIDs of the project's students
+ * @param {Date} startsAt - Slot start
+ * @param {Date} endsAt - Slot end
+ * @param {string|null} excludeSlotId - Slot being moved
+ * @returns {Promise<Object[]>} [{ type: 'student', uid, sessionId, slotId, projectTitle, startsAt, endsAt, room }]
+ */
+async function findStudentConflicts(participantIds, startsAt, endsAt, excludeSlotId = null) {
+    const defenseSessionsCollection = await getDefenseSessionsCollection();
+    const sessions = await defenseSessionsCollection
+        .find({
+            status: 'scheduled',
+            slots: { $elemMatch: { participantIds: { $in: participantIds }, ...overlapping(startsAt, endsAt) } }
+        })
+        .project({ slots: 1, room: 1 })
+        .toArray();
+
+    return sessions.flatMap(session => session.slots
+        .filter(slot => String(slot._id) !== String(excludeSlotId)
+            && new Date(slot.startsAt) < endsAt
+            && new Date(slot.endsAt) > startsAt)
+        .flatMap(slot => (slot.participantIds || [])
+            .filter(uid => participantIds.includes(uid))
+            .map(uid => ({
+                type: 'student',
+                uid,
+                sessionId: session._id,
+                slotId: slot._id,
+                projectTitle: slot.projectTitle,
+                startsAt: slot.startsAt,
+                endsAt: slot.endsAt,
+                room: session.room
+            }))));
+}
+
+/**
+ * Examiner UIDs that are not supervisors
+ * @param {string[]} examinerIds - UIDs of the committee
+ * @returns {Promise<string[]>}
+ */
+async function findInvalidExaminers(examinerIds) {
+    const usersCollection = await getUsersCollection();
+    const supervisors = await usersCollection
+        .find({ uid: { $in: examinerIds }, role: 'supervisor' })
+        .project({ uid: 1 })
+        .toArray();
+    const supervisorIds = supervisors.map(u => u.uid);
+    return examinerIds.filter(uid => !supervisorIds.includes(uid));
+}
+
+/**
+ * Find a project's booking for a defense phase in a scheduled session
+ * @param {string|ObjectId} projectId - Project ID
+ * @param {string} phase - 'mid_defense' | 'final_submission'
+ * @returns {Promise<Object|null>} { session, slot }
+ */
+async function findDefenseBooking(projectId, phase) {
+    const defenseSessionsCollection = await getDefenseSessionsCollection();
+    const [session] = await defenseSessionsCollection
+        .find({ status: 'scheduled', phase, 'slots.projectId': String(projectId) })
+        .sort({ startsAt: -1 })
+        .limit(1)
+        .toArray();
+    if (!session) return null;
+
+    return { session, slot: session.slots.find(slot => slot.projectId === String(projectId)) };
+}
+
+module.exports = {
+    findExaminerConflicts,
+    findStudentConflicts,
+    findInvalidExaminers,
+    findDefenseBooking,
+};
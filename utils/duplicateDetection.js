@@ -1,77 +1,266 @@
-// Utility functions for duplicate detection using Jaccard similarity
+// Utility functions for near-duplicate detection using shingle fingerprints (MinHash) and LSH banding
+const { stripHtml } = require('./htmlStrip');
+
+// Words per shingle
+const SHINGLE_SIZE = parseInt(process.env.DUPLICATE_SHINGLE_SIZE, 10) || 3;
+
+// MinHash signature length; must equal bands * rows
+const MINHASH_PERMUTATIONS = parseInt(process.env.DUPLICATE_MINHASH_PERMUTATIONS, 10) || 128;
+
+// LSH bands; more bands (fewer rows per band) find lower-similarity candidates
+const LSH_BANDS = parseInt(process.env.DUPLICATE_LSH_BANDS, 10) || 64;
+
+// Similarity percentage at which a project is flagged as a duplicate
+const DUPLICATE_THRESHOLD = parseInt(process.env.DUPLICATE_THRESHOLD, 10) || 40;
+
+// Similarity percentage at which a project is reported as a similar match
+const REPORT_THRESHOLD = parseInt(process.env.DUPLICATE_REPORT_THRESHOLD, 10) || 20;
+
+if (MINHASH_PERMUTATIONS % LSH_BANDS !== 0) {
+    throw new Error('DUPLICATE_MINHASH_PERMUTATIONS must be a multiple of DUPLICATE_LSH_BANDS');
+}
+
+const LSH_ROWS = MINHASH_PERMUTATIONS / LSH_BANDS;
+
+// Common English words that carry no topical meaning
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was', 'one',
+    'our', 'out', 'has', 'have', 'his', 'how', 'its', 'may', 'new', 'now', 'who', 'did', 'this', 'that',
+    'with', 'from', 'they', 'will', 'would', 'there', 'their', 'what', 'which', 'when', 'where', 'while',
+    'been', 'were', 'into', 'than', 'then', 'them', 'these', 'those', 'such', 'also', 'each', 'both',
+    'more', 'most', 'other', 'some', 'only', 'over', 'very', 'through', 'between', 'using', 'based',
+    'within', 'upon', 'about', 'under', 'well', 'able', 'thus', 'hence', 'paper', 'project', 'thesis',
+    'propose', 'proposed', 'present', 'presents', 'study', 'work'
+]);
 
 /**
- * Calculate Jaccard similarity between two text abstracts
- * @param {string} abstract1 - First abstract text
- * @param {string} abstract2 - Second abstract text
- * @returns {number} Similarity percentage (0-100)
+ * Reduce a word to a rough stem so simple inflections still match
+ * @param {string} word - Lowercase word
+ * @returns {string} Stemmed word
  */
-function calculateSimilarity(abstract1, abstract2) {
-    if (!abstract1 || !abstract2) return 0;
-
-    // Convert to lowercase and tokenize by whitespace and punctuation
-    const tokenize = (text) => {
-        return text
-            .toLowerCase()
-            .replace(/[^\w\s]/g, ' ') // Replace punctuation with spaces
-            .split(/\s+/)
-            .filter(token => token.length > 2); // Filter out very short tokens
-    };
-
-    const tokens1 = new Set(tokenize(abstract1));
-    const tokens2 = new Set(tokenize(abstract2));
+function stem(word) {
+    if (word.length <= 4) return word;
+    return word
+        .replace(/(ational|ization|ation)$/, 'ate')
+        .replace(/(ies)$/, 'y')
+        .replace(/(ing|ed|es|ly|ment|ness)$/, '')
+        .replace(/s$/, '');
+}
 
-    // Calculate Jaccard index: |intersection| / |union|
-    const intersection = new Set([...tokens1].filter(x => tokens2.has(x)));
-    const union = new Set([...tokens1, ...tokens2]);
+/**
+ * Split text into its original words
+ * @param {string} text - Plain text or HTML
+ * @returns {string[]} Words
+ */
+function splitWords(text) {
+    if (!text) return [];
+    return stripHtml(text).split(/\s+/).filter(Boolean);
+}
 
-    if (union.size === 0) return 0;
+/**
+ * Split text into normalized content terms
+ * @param {string} text - Plain text or HTML
+ * @returns {Array<{term: string, index: number}>} Content terms with their position in splitWords()
+ */
+function tokenize(text) {
+    return splitWords(text)
+        .map((word, index) => ({
+            term: stem(word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '')),
+            index
+        }))
+        .filter(token => token.term.length > 2 && !STOP_WORDS.has(token.term));
+}
 
-    return (intersection.size / union.size) * 100; // Return percentage
+/**
+ * Build word shingles (overlapping n-grams) from tokens
+ * @param {Array<{term: string}>} tokens - Tokens from tokenize()
+ * @param {number} size - Terms per shingle
+ * @returns {string[]} Shingle per start position (same order as tokens)
+ */
+function buildShingles(tokens, size = SHINGLE_SIZE) {
+    const shingles = [];
+    for (let i = 0; i + size <= tokens.length; i++) {
+        shingles.push(tokens.slice(i, i + size).map(t => t.term).join(' '));
+    }
+    return shingles;
 }
 
 /**
- * Check if a project abstract is a potential duplicate
- * @param {string} newAbstract - Abstract to check
- * @param {Array} existingProjects - Array of existing projects with abstracts
- * @param {number} threshold - Similarity threshold percentage (default 60%)
- * @returns {Object} { isDuplicate: boolean, matches: Array, highestMatch: number }
+ * 32-bit FNV-1a string hash
  */
-function checkDuplicate(newAbstract, existingProjects, threshold = 60) {
-    if (!newAbstract || !existingProjects || existingProjects.length === 0) {
-        return { isDuplicate: false, matches: [], highestMatch: 0 };
+function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
     }
+    return hash >>> 0;
+}
 
-    const matches = [];
-    let highestMatch = 0;
+/**
+ * Murmur3 finalizer used to derive independent hash functions from one hash
+ */
+function mix32(value) {
+    let h = value;
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
 
-    for (const project of existingProjects) {
-        if (!project.abstract) continue;
+// Fixed seeds so stored signatures stay comparable across restarts
+const HASH_SEEDS = (() => {
+    const seeds = [];
+    let state = 0x9e3779b9;
+    for (let i = 0; i < MINHASH_PERMUTATIONS; i++) {
+        state = mix32(state + 0x6d2b79f5);
+        seeds.push(state);
+    }
+    return seeds;
+})();
 
-        const similarity = calculateSimilarity(newAbstract, project.abstract);
+/**
+ * Compute the MinHash signature of a set of shingles
+ * @param {Iterable<string>} shingles - Shingles
+ * @returns {number[]} Signature, or an empty array if there are no shingles
+ */
+function computeMinHash(shingles) {
+    const hashes = [...new Set(shingles)].map(hashString);
+    if (hashes.length === 0) return [];
 
-        if (similarity >= threshold) {
-            matches.push({
-                projectId: project._id,
-                title: project.title,
-                similarity: Math.round(similarity),
-                year: project.year
-            });
+    const signature = new Array(MINHASH_PERMUTATIONS).fill(0xffffffff);
+    for (const hash of hashes) {
+        for (let i = 0; i < MINHASH_PERMUTATIONS; i++) {
+            const value = mix32(hash ^ HASH_SEEDS[i]);
+            if (value < signature[i]) signature[i] = value;
         }
+    }
+    return signature;
+}
 
-        if (similarity > highestMatch) {
-            highestMatch = similarity;
-        }
+/**
+ * Split a signature into LSH band keys; projects sharing any key are candidates
+ * @param {number[]} signature - MinHash signature
+ * @returns {string[]} One key per band
+ */
+function getBandKeys(signature) {
+    if (!signature || signature.length !== MINHASH_PERMUTATIONS) return [];
+
+    const keys = [];
+    for (let band = 0; band < LSH_BANDS; band++) {
+        const rows = signature.slice(band * LSH_ROWS, (band + 1) * LSH_ROWS);
+        keys.push(`${band}:${rows.join('.')}`);
     }
+    return keys;
+}
+
+/**
+ * Build the stored fingerprint for a text
+ * @param {string} text - Abstract (plain text or HTML)
+ * @returns {Object} { signature, bandKeys, shingleCount, permutations }
+ */
+function buildFingerprint(text) {
+    const shingles = buildShingles(tokenize(text));
+    const signature = computeMinHash(shingles);
 
     return {
-        isDuplicate: matches.length > 0,
-        matches: matches.sort((a, b) => b.similarity - a.similarity), // Sort by similarity desc
-        highestMatch: Math.round(highestMatch)
+        signature,
+        bandKeys: getBandKeys(signature),
+        shingleCount: new Set(shingles).size,
+        permutations: MINHASH_PERMUTATIONS
     };
 }
 
+/**
+ * Estimate Jaccard similarity from two MinHash signatures
+ * @returns {number} Similarity percentage (0-100)
+ */
+function estimateSimilarity(signature1, signature2) {
+    if (!signature1?.length || signature1.length !== signature2?.length) return 0;
+
+    let equal = 0;
+    for (let i = 0; i < signature1.length; i++) {
+        if (signature1[i] === signature2[i]) equal++;
+    }
+    return (equal / signature1.length) * 100;
+}
+
+/**
+ * Calculate exact shingle Jaccard similarity between two texts
+ * @param {string} text1 - First text
+ * @param {string} text2 - Second text
+ * @returns {number} Similarity percentage (0-100)
+ */
+function calculateSimilarity(text1, text2) {
+    const shingles1 = new Set(buildShingles(tokenize(text1)));
+    const shingles2 = new Set(buildShingles(tokenize(text2)));
+
+    const union = new Set([...shingles1, ...shingles2]);
+    if (union.size === 0) return 0;
+
+    const intersection = [...shingles1].filter(s => shingles2.has(s));
+    return (intersection.length / union.size) * 100;
+}
+
+/**
+ * Find the passages two texts have in common
+ * Consecutive shared shingles are merged into one passage
+ * @param {string} text - Text being checked
+ * @param {string} existingText - Text of the existing project
+ * @param {number} maxPassages - Maximum passages to return (default 3)
+ * @returns {Array<{text: string, matchedText: string, words: number}>} Longest passages first, in original wording
+ */
+function findMatchingPassages(text, existingText, maxPassages = 3) {
+    const words = splitWords(text);
+    const existingWords = splitWords(existingText);
+    const tokens = tokenize(text);
+    const existingTokens = tokenize(existingText);
+    const shingles = buildShingles(tokens);
+    const existingShingles = buildShingles(existingTokens);
+
+    const existingPositions = new Map();
+    existingShingles.forEach((shingle, index) => {
+        if (!existingPositions.has(shingle)) existingPositions.set(shingle, index);
+    });
+
+    const passages = [];
+    let runStart = -1;
+    for (let i = 0; i <= shingles.length; i++) {
+        const shared = i < shingles.length && existingPositions.has(shingles[i]);
+        if (shared && runStart === -1) {
+            runStart = i;
+        } else if (!shared && runStart !== -1) {
+            const end = i - 1 + SHINGLE_SIZE;
+            const matchedStart = existingPositions.get(shingles[runStart]);
+            const matchedEnd = Math.min(matchedStart + (end - runStart), existingTokens.length);
+            const passageWords = words.slice(tokens[runStart].index, tokens[end - 1].index + 1);
+            passages.push({
+                text: passageWords.join(' '),
+                matchedText: existingWords
+                    .slice(existingTokens[matchedStart].index, existingTokens[matchedEnd - 1].index + 1)
+                    .join(' '),
+                words: passageWords.length
+            });
+            runStart = -1;
+        }
+    }
+
+    return passages
+        .sort((a, b) => b.words - a.words)
+        .slice(0, maxPassages);
+}
+
 module.exports = {
+    DUPLICATE_THRESHOLD,
+    REPORT_THRESHOLD,
+    tokenize,
+    buildShingles,
+    computeMinHash,
+    getBandKeys,
+    buildFingerprint,
+    estimateSimilarity,
     calculateSimilarity,
-    checkDuplicate,
+    findMatchingPassages,
 };
@@ -0,0 +1,231 @@
+// Email Delivery Utility
+// Queues notification and digest emails, records their delivery state and retries failed sends
+
+const { getEmailDeliveriesCollection, getUsersCollection } = require('../config/database');
+const EmailDelivery = require('../models/EmailDelivery');
+const { sendMail } = require('./mailTransport');
+const { renderNotificationEmail, renderDigestEmail } = require('./emailTemplates');
+const { signUnsubscribeToken } = require('./unsubscribeTokens');
+const logger = require('../config/logger');
+
+// Notification types emailed as they happen to users on 'instant' (every other type only appears in digests)
+const INSTANT_TYPES = (process.env.EMAIL_INSTANT_TYPES ||
+    'supervisor_request,supervisor_response,project_submission,project_status,team_invitation,defense_schedule,milestone_deadline')
+    .split(',')
+    .map(type => type.trim())
+    .filter(Boolean);
+
+// Send attempts before a delivery is given up on
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 5;
+
+// Public URL of the unsubscribe endpoint
+const UNSUBSCRIBE_BASE_URL = process.env.EMAIL_UNSUBSCRIBE_BASE_URL ||
+    `http://localhost:${process.env.PORT || 3000}/api/notifications/unsubscribe`;
+
+// Minutes a claimed delivery is held so another instance doesn't send it too
+const CLAIM_MINUTES = 10;
+
+// Deliveries retried per run
+const RETRY_BATCH_SIZE = 100;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Minutes to wait before the next attempt (5, 10, 20, 40 ...)
+ * @param {number} attempts - Attempts made so far
+ * @returns {number}
+ */
+const getRetryDelayMinutes = (attempts) => 5 * Math.pow(2, Math.max(attempts - 1, 0));
+
+/**
+ * How often the user wants email (users who never chose get 'instant')
+ * @param {Object} user - User document
+ * @returns {string} One of EmailDelivery.FREQUENCIES
+ */
+const getEmailFrequency = (user) =>
+    EmailDelivery.FREQUENCIES.includes(user?.emailFrequency) ? user.emailFrequency : 'instant';
+
+function buildUnsubscribe(uid) {
+    const url = `${UNSUBSCRIBE_BASE_URL}?token=${encodeURIComponent(signUnsubscribeToken(uid))}`;
+    return {
+        url,
+        headers: {
+            'List-Unsubscribe': `<${url}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' // RFC 8058 one-click unsubscribe
+        }
+    };
+}
+
+/**
+ * Send a queued delivery once, recording the outcome
+ * The delivery is claimed first so two instances never send the same email
+ * @param {ObjectId} deliveryId
+ * @param {Date} now
+ * @returns {Promise<Object>} { success, status, skipped }
+ */
+async function attemptDelivery(deliveryId, now = new Date()) {
+    const emailDeliveriesCollection = await getEmailDeliveriesCollection();
+
+    const claimed = await emailDeliveriesCollection.findOneAndUpdate(
+        { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+        { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_MINUTES * MINUTE_MS), updatedAt: now } },
+        { returnDocument: 'after' }
+    );
+    if (!claimed) return { success: true, skipped: true };
+
+    const delivery = new EmailDelivery(claimed);
+    const attempts = delivery.attempts + 1;
+
+    try {
+        const { messageId } = await sendMail({
+            to: delivery.to,
+            subject: delivery.subject,
+            html: delivery.html,
+            text: delivery.text,
+            headers: delivery.headers
+        });
+
+        await emailDeliveriesCollection.updateOne(
+            { _id: delivery._id },
+            {
+                $set: {
+                    status: 'sent',
+                    attempts,
+                    messageId,
+                    sentAt: new Date(),
+                    nextAttemptAt: null,
+                    lastError: null,
+                    updatedAt: new Date()
+                }
+            }
+        );
+        return { success: true, status: 'sent' };
+    } catch (error) {
+        const givenUp = attempts >= MAX_ATTEMPTS;
+        await emailDeliveriesCollection.updateOne(
+            { _id: delivery._id },
+            {
+                $set: {
+                    status: givenUp ? 'failed' : 'pending',
+                    attempts,
+                    lastError: error.message,
+                    nextAttemptAt: givenUp ? null : new Date(Date.now() + getRetryDelayMinutes(attempts) * MINUTE_MS),
+                    updatedAt: new Date()
+                }
+            }
+        );
+
+        logger.warn('Email delivery failed:', { deliveryId: String(delivery._id), attempts, givenUp, error: error.message });
+        return { success: false, status: givenUp ? 'failed' : 'pending' };
+    }
+}
+
+async function queueDelivery(data) {
+    const emailDeliveriesCollection = await getEmailDeliveriesCollection();
+    const deliveryData = new EmailDelivery(data).toJSON();
+    delete deliveryData._id;
+
+    const result = await emailDeliveriesCollection.insertOne(deliveryData);
+    return result.insertedId;
+}
+
+/**
+ * Email a notification right away when the recipient wants instant email for its type
+ * Never throws - failed and held sends stay queued for retryEmailDeliveries
+ * @param {Object} notification - Inserted notification document (with _id)
+ * @param {Object} options
+ * @param {Date} options.holdUntil - Don't send before this (end of the recipient's quiet hours)
+ * @returns {Promise<Object>} { success, queued, error }
+ */
+async function queueNotificationEmail(notification, { holdUntil = null } = {}) {
+    try {
+        if (!INSTANT_TYPES.includes(notification.type)) return { success: true, queued: false };
+
+        const usersCollection = await getUsersCollection();
+        const user = await usersCollection.findOne({ uid: notification.userId });
+        if (!user?.email || getEmailFrequency(user) !== 'instant') return { success: true, queued: false };
+
+        const unsubscribe = buildUnsubscribe(user.uid);
+        const email = renderNotificationEmail(notification, {
+            recipientName: user.name || user.displayName,
+            unsubscribeUrl: unsubscribe.url
+        });
+
+        const deliveryId = await queueDelivery({
+            userId: user.uid,
+            to: user.email,
+            kind: 'notification',
+            notificationType: notification.type,
+            notificationIds: [notification._id],
+            ...email,
+            headers: unsubscribe.headers,
+            nextAttemptAt: holdUntil || new Date()
+        });
+
+        if (!holdUntil) await attemptDelivery(deliveryId);
+        return { success: true, queued: true };
+    } catch (error) {
+        logger.error('Error queueing notification email:', { error: error.message, type: notification.type, userId: notification.userId });
+        return { success: false, error };
+    }
+}
+
+/**
+ * Email a digest of unread notifications
+ * @param {Object} user - User document (with email)
+ * @param {Object[]} notifications - Unread notifications, newest first
+ * @returns {Promise<Object>} { success, status }
+ */
+async function sendDigestEmail(user, notifications) {
+    const unsubscribe = buildUnsubscribe(user.uid);
+    const email = renderDigestEmail(notifications, {
+        recipientName: user.name || user.displayName,
+        frequency: getEmailFrequency(user),
+        unsubscribeUrl: unsubscribe.url
+    });
+
+    const deliveryId = await queueDelivery({
+        userId: user.uid,
+        to: user.email,
+        kind: 'digest',
+        notificationIds: notifications.map(n => n._id),
+        ...email,
+        headers: unsubscribe.headers
+    });
+
+    return attemptDelivery(deliveryId);
+}
+
+/**
+ * Retry deliveries whose next attempt is due
+ * @param {Date} now - Run time
+ * @returns {Promise<Object>} { checked, sent, failed }
+ */
+async function retryEmailDeliveries(now = new Date()) {
+    const emailDeliveriesCollection = await getEmailDeliveriesCollection();
+    const due = await emailDeliveriesCollection
+        .find({ status: 'pending', nextAttemptAt: { $lte: now } })
+        .sort({ nextAttemptAt: 1 })
+        .limit(RETRY_BATCH_SIZE)
+        .project({ _id: 1 })
+        .toArray();
+
+    let sent = 0;
+    let failed = 0;
+    for (const { _id } of due) {
+        const result = await attemptDelivery(_id, now);
+        if (result.status === 'sent') sent++;
+        else if (result.status === 'failed') failed++;
+    }
+
+    return { checked: due.length, sent, failed };
+}
+
+module.exports = {
+    INSTANT_TYPES,
+    getEmailFrequency,
+    getRetryDelayMinutes,
+    queueNotificationEmail,
+    sendDigestEmail,
+    retryEmailDeliveries,
+};
@@ -0,0 +1,154 @@
+// Utility functions for rendering notification emails (HTML and plain text)
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:5173';
+
+// Per notification type: subject line and call-to-action label
+// Types whose message is a bare verb phrase ('liked your project') get the actor's name in front
+const TEMPLATES = {
+    supervisor_request: { subject: () => 'New supervision request', action: 'Review request' },
+    supervisor_response: { subject: () => 'Your supervision request was answered', action: 'View details' },
+    project_submission: { subject: n => `New project submission: ${n.projectTitle}`, action: 'Review submission' },
+    project_status: { subject: n => `Project update: ${n.projectTitle}`, action: 'View project' },
+    team_invitation: { subject: () => 'You were invited to join a project team', action: 'View invitation' },
+    defense_schedule: { subject: () => 'Defense schedule update', action: 'View schedule' },
+    milestone_deadline: { subject: n => `Deadline reminder: ${n.projectTitle}`, action: 'View project' },
+    embargo_lifted: { subject: n => `"${n.projectTitle}" is now openly available`, action: 'View thesis' },
+    saved_search_match: { subject: () => 'New projects match your saved search', action: 'View matches' },
+    collab_request: { subject: () => 'Someone is interested in your collaboration post', action: 'View post' },
+    comment: { subject: n => `New comment on "${n.projectTitle}"`, action: 'View comment', actorPrefix: true },
+    reply: { subject: n => `New reply on "${n.projectTitle}"`, action: 'View reply', actorPrefix: true },
+    like: { subject: n => `"${n.projectTitle}" was liked`, action: 'View project', actorPrefix: true }
+};
+
+const DEFAULT_TEMPLATE = { subject: () => 'New notification', action: 'Open KnowledgeTrace' };
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const getTemplate = (type) => TEMPLATES[type] || DEFAULT_TEMPLATE;
+
+const linkFor = (notification) => `${CLIENT_URL}${notification.relatedLink || '/notifications'}`;
+
+/**
+ * Full sentence for a notification (prefixes the actor where the stored message omits it)
+ * @param {Object} notification
+ * @returns {string}
+ */
+function describeNotification(notification) {
+    const template = getTemplate(notification.type);
+    if (template.actorPrefix && notification.relatedUserName) {
+        return `${notification.relatedUserName} ${notification.message}`;
+    }
+    return notification.message;
+}
+
+function renderLayout({ recipientName, bodyHtml, unsubscribeUrl }) {
+    return `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f4f5f7;font-family:Arial,Helvetica,sans-serif;color:#1f2933;">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:600px;margin:0 auto;background:#ffffff;border-radius:8px;">
+    <tr><td style="padding:24px 32px;border-bottom:1px solid #e4e7eb;font-size:18px;font-weight:bold;">KnowledgeTrace</td></tr>
+    <tr><td style="padding:24px 32px;font-size:15px;line-height:1.5;">
+      <p>Hi ${escapeHtml(recipientName || 'there')},</p>
+      ${bodyHtml}
+    </td></tr>
+    <tr><td style="padding:16px 32px;border-top:1px solid #e4e7eb;font-size:12px;color:#7b8794;">
+      You are receiving this because email notifications are enabled for your account.
+      <a href="${escapeHtml(unsubscribeUrl)}" style="color:#7b8794;">Unsubscribe</a>
+    </td></tr>
+  </table>
+</body>
+</html>`;
+}
+
+const renderButton = (url, label) =>
+    `<p><a href="${escapeHtml(url)}" style="display:inline-block;padding:10px 18px;background:#2563eb;color:#ffffff;text-decoration:none;border-radius:6px;">${escapeHtml(label)}</a></p>`;
+
+/**
+ * Email for a single notification
+ * @param {Object} notification - Notification document
+ * @param {Object} options
+ * @param {string} options.recipientName
+ * @param {string} options.unsubscribeUrl
+ * @returns {Object} { subject, html, text }
+ */
+function renderNotificationEmail(notification, { recipientName, unsubscribeUrl }) {
+    const template = getTemplate(notification.type);
+    const sentence = describeNotification(notification);
+    const url = linkFor(notification);
+
+    const html = renderLayout({
+        recipientName,
+        unsubscribeUrl,
+        bodyHtml: `<p>${escapeHtml(sentence)}</p>\n      ${renderButton(url, template.action)}`
+    });
+
+    const text = [
+        `Hi ${recipientName || 'there'},`,
+        '',
+        sentence,
+        '',
+        `${template.action}: ${url}`,
+        '',
+        '--',
+        `Unsubscribe: ${unsubscribeUrl}`
+    ].join('\n');
+
+    return { subject: template.subject(notification), html, text };
+}
+
+/**
+ * Digest of several unread notifications, newest first
+ * @param {Object[]} notifications - Notification documents
+ * @param {Object} options
+ * @param {string} options.recipientName
+ * @param {string} options.frequency - 'daily' | 'weekly'
+ * @param {string} options.unsubscribeUrl
+ * @returns {Object} { subject, html, text }
+ */
+function renderDigestEmail(notifications, { recipientName, frequency, unsubscribeUrl }) {
+    const period = frequency === 'weekly' ? 'this week' : 'today';
+    const count = notifications.length;
+    const intro = `You have ${count} unread notification${count === 1 ? '' : 's'} from ${period}.`;
+    const inboxUrl = `${CLIENT_URL}/notifications`;
+
+    const items = notifications.map(n => ({ sentence: describeNotification(n), url: linkFor(n) }));
+
+    const html = renderLayout({
+        recipientName,
+        unsubscribeUrl,
+        bodyHtml: `<p>${escapeHtml(intro)}</p>
+      <ul style="padding-left:20px;">
+        ${items.map(item => `<li style="margin-bottom:8px;"><a href="${escapeHtml(item.url)}" style="color:#1f2933;">${escapeHtml(item.sentence)}</a></li>`).join('\n        ')}
+      </ul>
+      ${renderButton(inboxUrl, 'Open notifications')}`
+    });
+
+    const text = [
+        `Hi ${recipientName || 'there'},`,
+        '',
+        intro,
+        '',
+        ...items.map(item => `- ${item.sentence}\n  ${item.url}`),
+        '',
+        `Open notifications: ${inboxUrl}`,
+        '',
+        '--',
+        `Unsubscribe: ${unsubscribeUrl}`
+    ].join('\n');
+
+    const subject = `Your ${frequency} KnowledgeTrace digest: ${count} unread notification${count === 1 ? '' : 's'}`;
+
+    return { subject, html, text };
+}
+
+module.exports = {
+    escapeHtml,
+    describeNotification,
+    renderNotificationEmail,
+    renderDigestEmail,
+};
@@ -0,0 +1,115 @@
+// Utility functions for serving stored files over HTTP with conditional and byte-range requests
+
+const crypto = require('crypto');
+
+/**
+ * Strong ETag for content identified by the given parts
+ * Storage keys are never reused for other bytes, so a key (plus whatever else shapes the output) identifies the content
+ * @param {...string} parts
+ * @returns {string}
+ */
+const buildEtag = (...parts) => `"${crypto.createHash('sha1').update(parts.join('|')).digest('base64url')}"`;
+
+/**
+ * Whether a Range header still applies: an If-Range validator must match the current representation
+ * @param {Object} req - Express request
+ * @param {string} etag
+ * @param {Date|null} lastModified
+ * @returns {boolean}
+ */
+function rangeApplies(req, etag, lastModified) {
+    const ifRange = req.get('If-Range');
+    if (!ifRange) return true;
+
+    if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+        return ifRange === etag;
+    }
+
+    const date = Date.parse(ifRange);
+    return Boolean(lastModified) && !Number.isNaN(date)
+        && Math.floor(lastModified.getTime() / 1000) * 1000 === date;
+}
+
+/**
+ * Byte range to serve for a request
+ * Malformed headers and multi-range requests are answered with the whole file
+ * @param {Object} req - Express request
+ * @param {number|null} size - File size (ranges need it)
+ * @param {string} etag
+ * @param {Date|null} lastModified
+ * @returns {Object|null|number} { start, end }, null for the whole file, or -1 when unsatisfiable
+ */
+function getRequestedRange(req, size, etag, lastModified) {
+    if (!req.get('Range') || size === null || !rangeApplies(req, etag, lastModified)) return null;
+
+    const ranges = req.range(size, { combine: true });
+    if (ranges === -1) return -1;
+    if (!Array.isArray(ranges) || ranges.type !== 'bytes' || ranges.length !== 1) return null;
+
+    return { start: ranges[0].start, end: ranges[0].end };
+}
+
+/**
+ * Send a stored file, answering conditional requests with 304 and Range requests with 206
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} file
+ * @param {number|null} file.size - Size in bytes (null disables ranges)
+ * @param {string} file.etag - See buildEtag
+ * @param {Date|null} file.lastModified
+ * @param {string} file.contentType
+ * @param {string} file.disposition - Content-Disposition value
+ * @param {string} file.cacheControl - Cache-Control value
+ * @param {Function} file.open - (range) => Promise<Readable> for the range ({ start, end }) or the whole file (null)
+ * @returns {Promise<void>}
+ */
+async function sendStoredFile(req, res, { size, etag, lastModified, contentType, disposition, cacheControl, open }) {
+    res.set({
+        'Accept-Ranges': 'bytes',
+        'ETag': etag,
+        'Cache-Control': cacheControl,
+        ...(lastModified ? { 'Last-Modified': lastModified.toUTCString() } : {})
+    });
+
+    // If-None-Match / If-Modified-Since still match what the client has
+    if (req.fresh) {
+        res.status(304).end();
+        return;
+    }
+
+    const range = getRequestedRange(req, size, etag, lastModified);
+    if (range === -1) {
+        res.set('Content-Range', `bytes */${size}`);
+        res.status(416).end();
+        return;
+    }
+
+    // Opened before the status is set so a storage error can still be answered normally
+    const stream = req.method === 'HEAD' ? null : await open(range);
+
+    res.set({ 'Content-Type': contentType, 'Content-Disposition': disposition });
+    if (range) {
+        res.status(206);
+        res.set({
+            'Content-Range': `bytes ${range.start}-${range.end}/${size}`,
+            'Content-Length': String(range.end - range.start + 1)
+        });
+    } else if (size !== null) {
+        res.set('Content-Length', String(size));
+    }
+
+    if (!stream) {
+        res.end();
+        return;
+    }
+
+    stream.on('error', (error) => res.destroy(error));
+    res.on('close', () => stream.destroy()); // Stop reading from storage when the client goes away
+    stream.pipe(res);
+}
+
+module.exports = {
+    buildEtag,
+    getRequestedRange,
+    sendStoredFile,
+};
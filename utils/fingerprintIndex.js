@@ -0,0 +1,163 @@
+// Fingerprint Index Utility
+// Stores a MinHash fingerprint per project and finds near-duplicates through LSH band lookups
+
+const {
+    getProjectFingerprintsCollection,
+    getProjectsCollection,
+    ObjectId
+} = require('../config/database');
+const {
+    DUPLICATE_THRESHOLD,
+    REPORT_THRESHOLD,
+    buildFingerprint,
+    estimateSimilarity,
+    findMatchingPassages
+} = require('./duplicateDetection');
+const { isProjectMember } = require('./projectAccess');
+const Project = require('../models/Project');
+const logger = require('../config/logger');
+
+const toObjectId = (id) => (id instanceof ObjectId ? id : new ObjectId(String(id)));
+
+/**
+ * Compute and store the fingerprint of a project's abstract
+ * @param {string|ObjectId} projectId - Project ID
+ * @param {string} abstract - Project abstract
+ * @returns {Promise<Object>} Success status
+ */
+async function indexProjectFingerprint(projectId, abstract) {
+    try {
+        const fingerprintsCollection = await getProjectFingerprintsCollection();
+        const fingerprint = buildFingerprint(abstract);
+
+        await fingerprintsCollection.updateOne(
+            { projectId: toObjectId(projectId) },
+            { $set: { ...fingerprint, updatedAt: new Date() } },
+            { upsert: true }
+        );
+
+        return { success: true };
+    } catch (error) {
+        logger.error('Error indexing project fingerprint:', { error: error.message, projectId: String(projectId) });
+        return { success: false, error };
+    }
+}
+
+/**
+ * Remove the fingerprint of a deleted project
+ * @param {string|ObjectId} projectId - Project ID
+ * @returns {Promise<Object>} Success status
+ */
+async function removeProjectFingerprint(projectId) {
+    try {
+        const fingerprintsCollection = await getProjectFingerprintsCollection();
+        await fingerprintsCollection.deleteOne({ projectId: toObjectId(projectId) });
+        return { success: true };
+    } catch (error) {
+        logger.error('Error removing project fingerprint:', { error: error.message, projectId: String(projectId) });
+        return { success: false, error };
+    }
+}
+
+/**
+ * Check an abstract against all fingerprinted projects
+ * @param {string} abstract - Abstract to check
+ * @param {Object} options
+ * @param {number} options.threshold - Similarity percentage that counts as a duplicate
+ * @param {number} options.reportThreshold - Minimum similarity percentage to list a match
+ * @param {string|ObjectId} options.excludeProjectId - Project to leave out (the one being checked)
+ * @param {Object|null} options.viewer - Caller (see projectAccess.getViewer); matches they may not read
+ * (outside the vault and not their own) only carry the similarity
+ * @returns {Promise<Object>} { isDuplicate, matches, matchIds, highestMatch, threshold } - matchIds lists every
+ * matched project, for storing with the checked project
+ */
+async function findDuplicates(abstract, {
+    threshold = DUPLICATE_THRESHOLD,
+    reportThreshold = Math.min(REPORT_THRESHOLD, threshold),
+    excludeProjectId = null,
+    viewer = null
+} = {}) {
+    const fingerprint = buildFingerprint(abstract);
+    if (fingerprint.bandKeys.length === 0) {
+        return { isDuplicate: false, matches: [], matchIds: [], highestMatch: 0, threshold };
+    }
+
+    const fingerprintsCollection = await getProjectFingerprintsCollection();
+    const candidateFilter = {
+        bandKeys: { $in: fingerprint.bandKeys },
+        permutations: fingerprint.permutations
+    };
+    if (excludeProjectId) {
+        candidateFilter.projectId = { $ne: toObjectId(excludeProjectId) };
+    }
+
+    const candidates = await fingerprintsCollection
+        .find(candidateFilter, { projection: { projectId: 1, signature: 1 } })
+        .toArray();
+
+    const scored = candidates
+        .map(c => ({ projectId: c.projectId, similarity: estimateSimilarity(fingerprint.signature, c.signature) }))
+        .filter(c => c.similarity >= reportThreshold);
+
+    if (scored.length === 0) {
+        return { isDuplicate: false, matches: [], matchIds: [], highestMatch: 0, threshold };
+    }
+
+    const projectsCollection = await getProjectsCollection();
+    const projects = await projectsCollection
+        .find(
+            { _id: { $in: scored.map(c => c.projectId) } },
+            {
+                projection: {
+                    _id: 1, title: 1, abstract: 1, year: 1,
+                    visibility: 1, status: 1, authorId: 1, studentIds: 1, supervisorId: 1
+                }
+            }
+        )
+        .toArray();
+
+    const projectMap = projects.reduce((acc, project) => {
+        acc[project._id.toString()] = project;
+        return acc;
+    }, {});
+
+    const found = scored
+        .filter(c => projectMap[c.projectId.toString()])
+        .sort((a, b) => b.similarity - a.similarity);
+
+    const matches = found.map(c => {
+        const project = projectMap[c.projectId.toString()];
+        const readable = Project.isInVault(project)
+            || viewer?.isAdmin === true
+            || isProjectMember(project, viewer?.uid);
+
+        // Drafts and rejected work of other teams stay anonymous
+        if (!readable) {
+            return { restricted: true, similarity: Math.round(c.similarity) };
+        }
+
+        return {
+            projectId: project._id,
+            title: project.title,
+            year: project.year,
+            similarity: Math.round(c.similarity),
+            passages: findMatchingPassages(abstract, project.abstract)
+        };
+    });
+
+    const highestMatch = matches.length > 0 ? matches[0].similarity : 0;
+
+    return {
+        isDuplicate: highestMatch >= threshold,
+        matches,
+        matchIds: found.map(c => c.projectId),
+        highestMatch,
+        threshold
+    };
+}
+
+module.exports = {
+    indexProjectFingerprint,
+    removeProjectFingerprint,
+    findDuplicates,
+};
@@ -0,0 +1,125 @@
+// Full-Text Index Utility
+// Stores the extracted text of thesis PDFs page by page so the vault search can reach the body
+
+const { getProjectFullTextCollection, ObjectId } = require('../config/database');
+const { extractPdfPages, buildSnippet } = require('./pdfText');
+const { readFile } = require('./storage');
+const logger = require('../config/logger');
+
+// Maximum number of matching pages returned per project
+const MAX_MATCHES_PER_PROJECT = 3;
+
+// Upper bound on page hits pulled from the text index for one query
+const MAX_PAGE_HITS = 500;
+
+const toObjectId = (id) => (id instanceof ObjectId ? id : new ObjectId(String(id)));
+
+/**
+ * Extract the text of a project's PDF and (re)build its full-text pages
+ * Replaces any pages indexed for a previous upload
+ * @param {string|ObjectId} projectId - Project ID
+ * @param {Buffer} buffer - PDF file buffer
+ * @returns {Promise<Object>} { success, pageCount }
+ */
+async function indexProjectPdf(projectId, buffer) {
+    try {
+        const pages = await extractPdfPages(buffer);
+        const fullTextCollection = await getProjectFullTextCollection();
+        const projectObjectId = toObjectId(projectId);
+
+        await fullTextCollection.deleteMany({ projectId: projectObjectId });
+
+        if (pages.length > 0) {
+            const now = new Date();
+            await fullTextCollection.insertMany(pages.map(p => ({
+                projectId: projectObjectId,
+                page: p.page,
+                text: p.text,
+                createdAt: now
+            })));
+        }
+
+        logger.info(`Indexed ${pages.length} PDF pages for project ${projectId}`);
+        return { success: true, pageCount: pages.length };
+    } catch (error) {
+        logger.error('Error indexing project PDF:', { error: error.message, projectId: String(projectId) });
+        return { success: false, error };
+    }
+}
+
+/**
+ * Read a project's stored PDF and (re)build its full-text pages
+ * Used when the PDF changes without a fresh upload (e.g. restoring a revision)
+ * @param {string|ObjectId} projectId - Project ID
+ * @param {string} pdfKey - Storage key of the PDF; an empty key clears the index
+ * @returns {Promise<Object>} { success, pageCount }
+ */
+async function indexStoredProjectPdf(projectId, pdfKey) {
+    if (!pdfKey) return removeProjectFullText(projectId);
+
+    try {
+        return indexProjectPdf(projectId, await readFile(pdfKey));
+    } catch (error) {
+        logger.error('Error reading project PDF for indexing:', { error: error.message, projectId: String(projectId) });
+        return { success: false, error };
+    }
+}
+
+/**
+ * Remove all indexed PDF pages of a project
+ * @param {string|ObjectId} projectId - Project ID
+ * @returns {Promise<Object>} Success status
+ */
+async function removeProjectFullText(projectId) {
+    try {
+        const fullTextCollection = await getProjectFullTextCollection();
+        await fullTextCollection.deleteMany({ projectId: toObjectId(projectId) });
+        return { success: true };
+    } catch (error) {
+        logger.error('Error removing project full text:', { error: error.message, projectId: String(projectId) });
+        return { success: false, error };
+    }
+}
+
+/**
+ * Search the indexed PDF pages
+ * @param {string} query - Search query
+ * @returns {Promise<Map<string, Array<{page: number, snippet: string, score: number}>>>}
+ *          Matching pages keyed by project ID, best pages first
+ */
+async function searchFullText(query) {
+    const hits = new Map();
+    if (!query) return hits;
+
+    const fullTextCollection = await getProjectFullTextCollection();
+    const pages = await fullTextCollection
+        .find(
+            { $text: { $search: query } },
+            { projection: { projectId: 1, page: 1, text: 1, score: { $meta: 'textScore' } } }
+        )
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(MAX_PAGE_HITS)
+        .toArray();
+
+    for (const page of pages) {
+        const key = page.projectId.toString();
+        const matches = hits.get(key) || [];
+        if (matches.length >= MAX_MATCHES_PER_PROJECT) continue;
+
+        matches.push({
+            page: page.page,
+            snippet: buildSnippet(page.text, query) || page.text.substring(0, 160),
+            score: page.score
+        });
+        hits.set(key, matches);
+    }
+
+    return hits;
+}
+
+module.exports = {
+    indexProjectPdf,
+    indexStoredProjectPdf,
+    removeProjectFullText,
+    searchFullText,
+};
@@ -0,0 +1,102 @@
+// Utility functions for rubric-based defense grading (examiner totals and committee aggregate)
+
+// Points (out of 100) between the highest and lowest examiner total above which a grade is flagged
+const SPREAD_THRESHOLD = parseInt(process.env.GRADE_SPREAD_THRESHOLD, 10) || 15;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Check an examiner's criterion scores against the rubric
+ * @param {Object[]} criteria - Rubric criteria [{ key, label, weight, minScore, maxScore }]
+ * @param {Object[]} scores - Submitted scores [{ key, score }]
+ * @returns {string[]} Problems (empty when every criterion is scored within its range)
+ */
+function validateScores(criteria, scores) {
+    const errors = [];
+    const byKey = new Map(scores.map(s => [s.key, s.score]));
+
+    criteria.forEach(criterion => {
+        const score = byKey.get(criterion.key);
+        if (score === undefined) {
+            errors.push(`Missing score for "${criterion.label}"`);
+        } else if (score < criterion.minScore || score > criterion.maxScore) {
+            errors.push(`Score for "${criterion.label}" must be between ${criterion.minScore} and ${criterion.maxScore}`);
+        }
+    });
+
+    scores
+        .filter(s => !criteria.some(c => c.key === s.key))
+        .forEach(s => errors.push(`Unknown criterion "${s.key}"`));
+
+    return errors;
+}
+
+/**
+ * Weighted total of one examiner's scores, out of 100
+ * Each criterion is scaled to 0-1 within its score range before weighting
+ * @param {Object[]} criteria - Rubric criteria
+ * @param {Object[]} scores - Validated scores [{ key, score }]
+ * @returns {number}
+ */
+function computeExaminerTotal(criteria, scores) {
+    const byKey = new Map(scores.map(s => [s.key, s.score]));
+    const totalWeight = criteria.reduce((sum, c) => sum + c.weight, 0);
+    if (totalWeight === 0) return 0;
+
+    const weighted = criteria.reduce((sum, c) => {
+        const range = c.maxScore - c.minScore;
+        const scaled = range > 0 ? (byKey.get(c.key) - c.minScore) / range : 0;
+        return sum + c.weight * scaled;
+    }, 0);
+
+    return round2((weighted / totalWeight) * 100);
+}
+
+/**
+ * Aggregate the committee's totals
+ * @param {Object[]} examinerScores - [{ examinerId, total }]
+ * @returns {Object} { examinerCount, mean, min, max, spread, flagged } - mean is null without scores
+ */
+function aggregateScores(examinerScores) {
+    const totals = examinerScores.map(s => s.total);
+    if (totals.length === 0) {
+        return { examinerCount: 0, mean: null, min: null, max: null, spread: null, flagged: false };
+    }
+
+    const min = Math.min(...totals);
+    const max = Math.max(...totals);
+    const spread = round2(max - min);
+
+    return {
+        examinerCount: totals.length,
+        mean: round2(totals.reduce((sum, t) => sum + t, 0) / totals.length),
+        min,
+        max,
+        spread,
+        flagged: spread > SPREAD_THRESHOLD
+    };
+}
+
+/**
+ * Mean score per criterion across the committee
+ * @param {Object[]} criteria - Rubric criteria
+ * @param {Object[]} examinerScores - [{ scores: [{ key, score }] }]
+ * @returns {Object} Criterion key -> mean score (null without scores)
+ */
+function averageByCriterion(criteria, examinerScores) {
+    return criteria.reduce((acc, c) => {
+        const values = examinerScores
+            .map(s => (s.scores || []).find(score => score.key === c.key)?.score)
+            .filter(score => typeof score === 'number');
+        acc[c.key] = values.length ? round2(values.reduce((sum, v) => sum + v, 0) / values.length) : null;
+        return acc;
+    }, {});
+}
+
+module.exports = {
+    SPREAD_THRESHOLD,
+    validateScores,
+    computeExaminerTotal,
+    aggregateScores,
+    averageByCriterion,
+};
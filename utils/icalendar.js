@@ -0,0 +1,226 @@
+// Utility functions for building iCalendar (RFC 5545) feeds
+
+// Time zone of office hours and all-day deadlines
+const CALENDAR_TIMEZONE = process.env.CALENDAR_TIMEZONE || 'Asia/Dhaka';
+
+const PRODUCT_ID = '-//KnowledgeTrace//Calendar Feed//EN';
+const UID_DOMAIN = 'knowledgetrace';
+
+// Fixed start of weekly recurrences, so DTSTART (and with it the event) does not change between fetches
+const RECURRENCE_ANCHOR = Date.UTC(2024, 0, 1); // A Monday
+
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma and line breaks)
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeText(text) {
+    return String(text || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets, continuing on lines that start with a space
+ * @param {string} line
+ * @returns {string}
+ */
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let size = 0;
+
+    for (const char of line) {
+        const charSize = Buffer.byteLength(char);
+        const limit = parts.length === 0 ? 75 : 74;
+        if (size + charSize > limit) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += charSize;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * UTC date-time value, e.g. 20250501T090000Z
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDateTime(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Calendar date of an instant in the feed's time zone, e.g. 20250501
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDate(date) {
+    const parts = new Intl.DateTimeFormat('en-CA', { timeZone: CALENDAR_TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit' })
+        .formatToParts(new Date(date))
+        .reduce((acc, p) => ({ ...acc, [p.type]: p.value }), {});
+    return `${parts.year}${parts.month}${parts.day}`;
+}
+
+/**
+ * Day after a DATE value
+ * @param {string} value - e.g. 20250501
+ * @returns {string}
+ */
+function nextDate(value) {
+    const date = new Date(Date.UTC(+value.slice(0, 4), +value.slice(4, 6) - 1, +value.slice(6, 8) + 1));
+    return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+}
+
+/**
+ * First local date-time of a weekly recurrence, e.g. 20240103T140000
+ * @param {string} day - 'MO' | 'TU' | ... | 'SU'
+ * @param {string} time - 'HH:MM'
+ * @returns {string}
+ */
+function weeklyStart(day, time) {
+    const date = new Date(RECURRENCE_ANCHOR + WEEKDAYS.indexOf(day) * 24 * 60 * 60 * 1000);
+    const [hours, minutes] = time.split(':');
+    return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T${pad(hours)}${pad(minutes)}00`;
+}
+
+/**
+ * Offset of the feed's time zone, e.g. +0600
+ * @returns {string}
+ */
+function getUtcOffset() {
+    const name = new Intl.DateTimeFormat('en-US', { timeZone: CALENDAR_TIMEZONE, timeZoneName: 'longOffset' })
+        .formatToParts(new Date())
+        .find(p => p.type === 'timeZoneName').value; // 'GMT+06:00', or 'GMT' for UTC
+    const match = name.match(/([+-])(\d{2}):(\d{2})/);
+    return match ? `${match[1]}${match[2]}${match[3]}` : '+0000';
+}
+
+/**
+ * Revision number of an event, increasing whenever its source document changes
+ * @param {Date} updatedAt
+ * @returns {number}
+ */
+function toSequence(updatedAt) {
+    return updatedAt ? Math.max(0, Math.floor((new Date(updatedAt).getTime() - RECURRENCE_ANCHOR) / 1000)) : 0;
+}
+
+/**
+ * Build a VEVENT
+ * @param {Object} event
+ * @param {string} event.uid - Stable identifier; the same UID replaces the event in subscribed calendars
+ * @param {string} event.summary
+ * @param {string} event.description
+ * @param {string} event.location
+ * @param {string} event.url
+ * @param {Date} event.start - Timed event start (UTC)
+ * @param {Date} event.end - Timed event end (UTC)
+ * @param {Date} event.date - All-day event on this date instead of start/end
+ * @param {Object} event.weekly - Weekly recurrence instead of start/end { day, start: 'HH:MM', end: 'HH:MM' }
+ * @param {Date} event.updatedAt - Last change of the source document
+ * @param {string} event.alarm - Trigger of a reminder alarm (e.g. '-P1D')
+ * @returns {string[]} Content lines
+ */
+function buildEvent(event) {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${event.uid}@${UID_DOMAIN}`,
+        `DTSTAMP:${formatDateTime(new Date())}`,
+        `SEQUENCE:${toSequence(event.updatedAt)}`
+    ];
+    if (event.updatedAt) lines.push(`LAST-MODIFIED:${formatDateTime(event.updatedAt)}`);
+
+    if (event.weekly) {
+        lines.push(`DTSTART;TZID=${CALENDAR_TIMEZONE}:${weeklyStart(event.weekly.day, event.weekly.start)}`);
+        lines.push(`DTEND;TZID=${CALENDAR_TIMEZONE}:${weeklyStart(event.weekly.day, event.weekly.end)}`);
+        lines.push(`RRULE:FREQ=WEEKLY;BYDAY=${event.weekly.day}`);
+    } else if (event.date) {
+        const date = formatDate(event.date);
+        lines.push(`DTSTART;VALUE=DATE:${date}`);
+        lines.push(`DTEND;VALUE=DATE:${nextDate(date)}`);
+        lines.push('TRANSP:TRANSPARENT');
+    } else {
+        lines.push(`DTSTART:${formatDateTime(event.start)}`);
+        lines.push(`DTEND:${formatDateTime(event.end)}`);
+    }
+
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+
+    if (event.alarm) {
+        lines.push(
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            `DESCRIPTION:${escapeText(event.summary)}`,
+            `TRIGGER:${event.alarm}`,
+            'END:VALARM'
+        );
+    }
+
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+/**
+ * Build a VCALENDAR document
+ * @param {string} name - Calendar name shown by calendar apps
+ * @param {Object[]} events - Events as accepted by buildEvent
+ * @returns {string}
+ */
+function buildCalendar(name, events) {
+    const offset = getUtcOffset();
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        `X-WR-TIMEZONE:${CALENDAR_TIMEZONE}`,
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H'
+    ];
+
+    // Weekly events are in local time; the zone is described by its current offset
+    if (events.some(e => e.weekly)) {
+        lines.push(
+            'BEGIN:VTIMEZONE',
+            `TZID:${CALENDAR_TIMEZONE}`,
+            'BEGIN:STANDARD',
+            'DTSTART:19700101T000000',
+            `TZOFFSETFROM:${offset}`,
+            `TZOFFSETTO:${offset}`,
+            'END:STANDARD',
+            'END:VTIMEZONE'
+        );
+    }
+
+    events.forEach(event => lines.push(...buildEvent(event)));
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    CALENDAR_TIMEZONE,
+    WEEKDAYS,
+    escapeText,
+    foldLine,
+    formatDateTime,
+    formatDate,
+    buildEvent,
+    buildCalendar,
+};
@@ -0,0 +1,39 @@
+// Utility functions for the reuse licenses a project can be archived under
+
+// License identifiers (SPDX where one exists) with their display name and deed URL
+const LICENSES = {
+    'CC-BY-4.0': { name: 'Creative Commons Attribution 4.0 International', shortName: 'CC BY 4.0', url: 'https://creativecommons.org/licenses/by/4.0/' },
+    'CC-BY-SA-4.0': { name: 'Creative Commons Attribution-ShareAlike 4.0 International', shortName: 'CC BY-SA 4.0', url: 'https://creativecommons.org/licenses/by-sa/4.0/' },
+    'CC-BY-ND-4.0': { name: 'Creative Commons Attribution-NoDerivatives 4.0 International', shortName: 'CC BY-ND 4.0', url: 'https://creativecommons.org/licenses/by-nd/4.0/' },
+    'CC-BY-NC-4.0': { name: 'Creative Commons Attribution-NonCommercial 4.0 International', shortName: 'CC BY-NC 4.0', url: 'https://creativecommons.org/licenses/by-nc/4.0/' },
+    'CC-BY-NC-SA-4.0': { name: 'Creative Commons Attribution-NonCommercial-ShareAlike 4.0 International', shortName: 'CC BY-NC-SA 4.0', url: 'https://creativecommons.org/licenses/by-nc-sa/4.0/' },
+    'CC-BY-NC-ND-4.0': { name: 'Creative Commons Attribution-NonCommercial-NoDerivatives 4.0 International', shortName: 'CC BY-NC-ND 4.0', url: 'https://creativecommons.org/licenses/by-nc-nd/4.0/' },
+    'CC0-1.0': { name: 'Creative Commons Zero 1.0 Universal (public domain dedication)', shortName: 'CC0 1.0', url: 'https://creativecommons.org/publicdomain/zero/1.0/' },
+    'all-rights-reserved': { name: 'All rights reserved', shortName: 'All rights reserved', url: null },
+    'custom': { name: 'Custom license', shortName: 'Custom license', url: null }
+};
+
+const LICENSE_IDS = Object.keys(LICENSES);
+
+/**
+ * License of a project as shown publicly and in exports
+ * @param {Object} project - Project document or model
+ * @returns {Object|null} { id, name, shortName, url, terms, consentedAt } or null when none was chosen
+ */
+function describeLicense(project) {
+    const license = LICENSES[project.license];
+    if (!license) return null;
+
+    return {
+        id: project.license,
+        ...license,
+        terms: project.license === 'custom' ? project.licenseTerms || '' : '',
+        consentedAt: project.licenseConsentAt || null
+    };
+}
+
+module.exports = {
+    LICENSES,
+    LICENSE_IDS,
+    describeLicense,
+};
@@ -0,0 +1,85 @@
+// Utility functions for sending email through a pluggable transport
+// MAIL_TRANSPORT selects it: 'smtp' (production), 'file' (writes each message to MAIL_FILE_DIR, for local runs and tests)
+// or 'console' (logs each message). Defaults to 'smtp' when SMTP_HOST is set, otherwise 'console'.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../config/logger');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'KnowledgeTrace <no-reply@knowledgetrace.app>';
+
+const TRANSPORTS = {
+    smtp: () => {
+        const nodemailer = require('nodemailer');
+        const transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT, 10) || 587,
+            secure: process.env.SMTP_SECURE === 'true', // true for port 465, STARTTLS otherwise
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+
+        return {
+            name: 'smtp',
+            send: async (message) => {
+                const info = await transporter.sendMail(message);
+                return { messageId: info.messageId };
+            }
+        };
+    },
+
+    file: () => {
+        const dir = path.resolve(process.env.MAIL_FILE_DIR || 'logs/mail');
+
+        return {
+            name: 'file',
+            send: async (message) => {
+                const messageId = `<${crypto.randomUUID()}@knowledgetrace.local>`;
+                await fs.promises.mkdir(dir, { recursive: true });
+                const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`);
+                await fs.promises.writeFile(file, JSON.stringify({ messageId, date: new Date(), ...message }, null, 2));
+                return { messageId };
+            }
+        };
+    },
+
+    console: () => ({
+        name: 'console',
+        send: async (message) => {
+            const messageId = `<${crypto.randomUUID()}@knowledgetrace.local>`;
+            logger.info(`📧 Email to ${message.to}: ${message.subject}`, { messageId, text: message.text });
+            return { messageId };
+        }
+    })
+};
+
+let transport = null;
+
+/**
+ * The configured transport (created on first use)
+ * @returns {Object} { name, send(message) => Promise<{ messageId }> }
+ */
+function getMailTransport() {
+    if (!transport) {
+        const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+        if (!TRANSPORTS[name]) {
+            throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected ${Object.keys(TRANSPORTS).join(', ')})`);
+        }
+        transport = TRANSPORTS[name]();
+    }
+    return transport;
+}
+
+/**
+ * Send one email
+ * @param {Object} message - { to, subject, html, text, headers }
+ * @returns {Promise<Object>} { messageId } - rejects when the transport fails
+ */
+async function sendMail({ to, subject, html, text, headers = {} }) {
+    return getMailTransport().send({ from: MAIL_FROM, to, subject, html, text, headers });
+}
+
+module.exports = {
+    getMailTransport,
+    sendMail,
+};
@@ -0,0 +1,126 @@
+// Milestone Deadlines Utility
+// Resolves milestone deadlines from department/term templates and supervisor overrides
+
+const {
+    getDeadlineTemplatesCollection,
+    getProjectMilestonesCollection,
+    getProjectsCollection,
+    ObjectId
+} = require('../config/database');
+const logger = require('../config/logger');
+
+// Milestone statuses that still have a deadline to meet
+const OPEN_STATUSES = ['pending', 'in_progress', 'rejected'];
+
+/**
+ * Find the template deadline for a project's phase
+ * A template for the project's own department wins over one for every department
+ * @param {Object} project - Project document (department, year)
+ * @param {string} phase - Milestone phase
+ * @returns {Promise<Date|null>}
+ */
+async function findTemplateDeadline(project, phase) {
+    const deadlineTemplatesCollection = await getDeadlineTemplatesCollection();
+    const templates = await deadlineTemplatesCollection
+        .find({ year: project.year, phase, department: { $in: [project.department || '', ''] } })
+        .toArray();
+
+    const template = templates.find(t => t.department && t.department === project.department)
+        || templates.find(t => !t.department);
+    return template ? template.deadline : null;
+}
+
+/**
+ * Effective deadline of a project's phase (supervisor override, else template)
+ * @param {Object} project - Project document
+ * @param {string} phase - Milestone phase
+ * @returns {Promise<Object>} { deadline, deadlineSource } - both null when no deadline applies
+ */
+async function resolveDeadline(project, phase) {
+    const override = project.deadlineOverrides?.[phase];
+    if (override) {
+        return { deadline: new Date(override), deadlineSource: 'override' };
+    }
+
+    const deadline = await findTemplateDeadline(project, phase);
+    return deadline
+        ? { deadline, deadlineSource: 'template' }
+        : { deadline: null, deadlineSource: null };
+}
+
+// A new deadline restarts reminders; the reminder job marks the milestone overdue again if needed
+const deadlineUpdate = ({ deadline, deadlineSource }) => ({
+    deadline,
+    deadlineSource,
+    overdue: false,
+    remindersSent: [],
+    updatedAt: new Date()
+});
+
+/**
+ * Re-resolve the deadline of a project's open milestone for a phase
+ * @param {Object} project - Project document (with its current deadlineOverrides)
+ * @param {string} phase - Milestone phase
+ * @returns {Promise<Object>} { success, deadline, deadlineSource }
+ */
+async function applyProjectDeadline(project, phase) {
+    try {
+        const resolved = await resolveDeadline(project, phase);
+        const milestonesCollection = await getProjectMilestonesCollection();
+        await milestonesCollection.updateMany(
+            { projectId: String(project._id), phase, status: { $in: OPEN_STATUSES } },
+            { $set: deadlineUpdate(resolved) }
+        );
+        return { success: true, ...resolved };
+    } catch (error) {
+        logger.error('Error applying project deadline:', { error: error.message, projectId: String(project._id), phase });
+        return { success: false, error };
+    }
+}
+
+/**
+ * Re-resolve open milestones a template applies to, after it was saved or deleted
+ * Milestones with a supervisor override keep their deadline
+ * @param {Object} template - Deadline template (department, year, phase)
+ * @returns {Promise<Object>} { success, updated }
+ */
+async function applyTemplateDeadlines(template) {
+    try {
+        const milestonesCollection = await getProjectMilestonesCollection();
+        const projectsCollection = await getProjectsCollection();
+
+        const projectIds = await milestonesCollection.distinct('projectId', {
+            phase: template.phase,
+            status: { $in: OPEN_STATUSES }
+        });
+
+        const projects = await projectsCollection
+            .find(
+                {
+                    _id: { $in: projectIds.filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id)) },
+                    year: template.year,
+                    ...(template.department ? { department: template.department } : {}),
+                    [`deadlineOverrides.${template.phase}`]: null
+                },
+                { projection: { _id: 1, department: 1, year: 1, deadlineOverrides: 1 } }
+            )
+            .toArray();
+
+        for (const project of projects) {
+            await applyProjectDeadline(project, template.phase);
+        }
+
+        return { success: true, updated: projects.length };
+    } catch (error) {
+        logger.error('Error applying template deadlines:', { error: error.message, phase: template.phase, year: template.year });
+        return { success: false, error };
+    }
+}
+
+module.exports = {
+    OPEN_STATUSES,
+    findTemplateDeadline,
+    resolveDeadline,
+    applyProjectDeadline,
+    applyTemplateDeadlines,
+};
@@ -0,0 +1,72 @@
+// Utility functions for milestone deliverables (files and links submitted per workflow phase)
+const crypto = require('crypto');
+
+// Workflow phases that have a milestone students submit deliverables to
+const MILESTONE_PHASES = ['proposal', 'mid_defense', 'final_submission'];
+
+// Deliverable types; link types are submitted as a URL instead of an upload
+const DELIVERABLE_TYPES = ['proposal_pdf', 'report', 'slides', 'source_archive', 'dataset_link', 'other'];
+const LINK_TYPES = ['dataset_link', 'other'];
+
+const MAX_FILE_SIZE_MB = parseInt(process.env.DELIVERABLE_MAX_SIZE_MB, 10) || 50;
+
+// Upload types accepted for deliverables
+const ALLOWED_MIME_TYPES = [
+    'application/pdf',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/zip',
+    'application/x-zip-compressed',
+    'application/gzip',
+    'application/x-gzip',
+    'application/x-tar',
+    'application/x-7z-compressed',
+    'text/csv'
+];
+
+/**
+ * Read the deliverable types required before a phase can be closed
+ * e.g. DELIVERABLES_REQUIRED_MID_DEFENSE=slides,report
+ * @param {string} phase - Milestone phase
+ * @returns {string[]} Required deliverable types (empty when nothing is required)
+ */
+function getRequiredDeliverables(phase) {
+    const setting = process.env[`DELIVERABLES_REQUIRED_${String(phase).toUpperCase()}`] || '';
+    return setting
+        .split(',')
+        .map(type => type.trim())
+        .filter(type => DELIVERABLE_TYPES.includes(type));
+}
+
+/**
+ * Required deliverable types a milestone does not have yet
+ * @param {string} phase - Milestone phase
+ * @param {Object[]} deliverables - Deliverables submitted to the milestone
+ * @returns {string[]}
+ */
+function getMissingDeliverables(phase, deliverables = []) {
+    const submitted = new Set(deliverables.map(d => d.type));
+    return getRequiredDeliverables(phase).filter(type => !submitted.has(type));
+}
+
+/**
+ * SHA-256 checksum of an uploaded file
+ * @param {Buffer} buffer - File contents
+ * @returns {string} Hex digest
+ */
+function computeChecksum(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+module.exports = {
+    MILESTONE_PHASES,
+    DELIVERABLE_TYPES,
+    LINK_TYPES,
+    MAX_FILE_SIZE_MB,
+    ALLOWED_MIME_TYPES,
+    getRequiredDeliverables,
+    getMissingDeliverables,
+    computeChecksum,
+};
@@ -3,8 +3,73 @@
 
 const { getNotificationsCollection, getUsersCollection } = require('../config/database');
 const Notification = require('../models/Notification');
+const { publishNotification } = require('./notificationStream');
+const { queueNotificationEmail } = require('./emailDelivery');
+const { getNotificationPreferences } = require('./notificationPreferences');
 const logger = require('../config/logger');
 
+// Types whose notifications on the same target collapse into one while unread
+const GROUP_TYPES = (process.env.NOTIFICATION_GROUP_TYPES || 'like,comment,reply')
+    .split(',')
+    .map(type => type.trim())
+    .filter(Boolean);
+
+// Hours after a group's first notification during which new actors join it
+const GROUP_WINDOW_HOURS = parseInt(process.env.NOTIFICATION_GROUP_WINDOW_HOURS, 10) || 24;
+
+// Actors listed on a grouped notification (actorCount keeps the full total)
+const GROUP_ACTOR_LIMIT = 20;
+
+/**
+ * Group key for a notification, or null when its type isn't grouped
+ * Replies group per comment, everything else per project
+ */
+function getGroupKey(type, projectId, commentId) {
+    if (!GROUP_TYPES.includes(type)) return null;
+    const targetId = type === 'reply' ? commentId : projectId;
+    return targetId ? `${type}:${targetId}` : null;
+}
+
+/**
+ * Add an actor to the recipient's open (unread, recent) group for this target
+ * @returns {Promise<Object|null>} { doc, added } - null when there is no open group; added is false when the actor was already in it
+ */
+async function addToGroup(notificationsCollection, { userId, groupKey, actor, now }) {
+    const openGroup = {
+        userId,
+        groupKey,
+        read: false,
+        createdAt: { $gte: new Date(now.getTime() - GROUP_WINDOW_HOURS * 60 * 60 * 1000) }
+    };
+
+    const grouped = await notificationsCollection.findOneAndUpdate(
+        { ...openGroup, 'actors.userId': { $ne: actor.userId } },
+        {
+            $push: { actors: { $each: [actor], $position: 0, $slice: GROUP_ACTOR_LIMIT } },
+            $inc: { actorCount: 1 },
+            $set: {
+                relatedUserId: actor.userId,
+                relatedUserPhotoURL: actor.photoURL,
+                lastActivityAt: now
+            }
+        },
+        { returnDocument: 'after', sort: { createdAt: -1 } }
+    );
+
+    if (grouped) {
+        // The name shown in front of the message becomes the actor phrase ("Ayesha and 12 others")
+        grouped.relatedUserName = Notification.formatActors(grouped.actors, grouped.actorCount);
+        await notificationsCollection.updateOne(
+            { _id: grouped._id },
+            { $set: { relatedUserName: grouped.relatedUserName } }
+        );
+        return { doc: grouped, added: true };
+    }
+
+    const existing = await notificationsCollection.findOne(openGroup, { sort: { createdAt: -1 } });
+    return existing ? { doc: existing, added: false } : null;
+}
+
 /**
  * Create a notification for a user
  * @param {Object} params - Notification parameters
@@ -38,6 +103,15 @@ async function createNotification({
             return { success: true, skipped: true };
         }
 
+        // Respect the recipient's preferences: type switched off, or project / collab post muted
+        // (collab_request notifications carry the post ID in projectId)
+        const preferences = await getNotificationPreferences(recipientId);
+        const channel = preferences.getChannel(type);
+        const targetType = type === 'collab_request' ? 'collab_post' : 'project';
+        if (channel === 'off' || preferences.isMuted(targetType, projectId)) {
+            return { success: true, skipped: true };
+        }
+
         const notificationsCollection = await getNotificationsCollection();
         const usersCollection = await getUsersCollection();
 
@@ -53,6 +127,21 @@ async function createNotification({
             }
         }
 
+        const now = new Date();
+        const groupKey = senderId && senderId !== 'system' ? getGroupKey(type, projectId, commentId) : null;
+        if (groupKey) {
+            const group = await addToGroup(notificationsCollection, {
+                userId: recipientId,
+                groupKey,
+                actor: { userId: senderId, name: finalSenderName, photoURL: finalSenderPhoto },
+                now
+            });
+            if (group) {
+                if (group.added) publishNotification(group.doc);
+                return { success: true, grouped: true, skipped: !group.added };
+            }
+        }
+
         const notification = new Notification({
             userId: recipientId,
             type: type,
@@ -65,10 +154,26 @@ async function createNotification({
             message: message,
             relatedLink: relatedLink,
             read: false,
-            createdAt: new Date()
+            createdAt: now,
+            groupKey,
+            actors: groupKey ? [{ userId: senderId, name: finalSenderName, photoURL: finalSenderPhoto }] : [],
+            actorCount: 1,
+            lastActivityAt: now
         });
 
-        await notificationsCollection.insertOne(notification.toJSON());
+        const notificationData = notification.toJSON();
+        delete notificationData._id;
+        const result = await notificationsCollection.insertOne(notificationData);
+
+        // Push to the recipient's open streams on this instance right away
+        publishNotification({ ...notificationData, _id: result.insertedId });
+
+        // Email in the background so the caller doesn't wait on the mail server (held until quiet hours end)
+        if (channel === 'email') {
+            queueNotificationEmail({ ...notificationData, _id: result.insertedId }, {
+                holdUntil: preferences.getQuietHoursEnd()
+            });
+        }
 
         logger.info(`Notification created for user ${recipientId}: ${type}`);
         return { success: true };
@@ -143,7 +248,7 @@ async function createProjectSubmissionNotification(studentId, studentName, proje
         senderId: 'system',
         senderName: 'System',
         type: 'project_status',
-        message: `Your project "${projectTitle}" has been submitted and is pending admin approval.`,
+        message: `Your project "${projectTitle}" has been submitted and is pending review.`,
         relatedLink: `/my-work`,
         projectId: projectId,
         projectTitle: projectTitle
@@ -153,10 +258,15 @@ async function createProjectSubmissionNotification(studentId, studentName, proje
 /**
  * Create a notification for project status update (to Student)
  */
-async function createProjectStatusUpdateNotification(studentId, projectTitle, status, projectId) {
-    const message = status === 'approved'
-        ? `Your project "${projectTitle}" has been approved!`
-        : `Your project "${projectTitle}" was not approved. Please check the feedback.`;
+async function createProjectStatusUpdateNotification(studentId, projectTitle, status, projectId, statusLabel = status) {
+    let message;
+    if (status === 'approved') {
+        message = `Your project "${projectTitle}" has been approved!`;
+    } else if (status === 'changes_requested' || status === 'rejected') {
+        message = `Your project "${projectTitle}" was not approved. Please check the feedback.`;
+    } else {
+        message = `Your project "${projectTitle}" moved to ${statusLabel}.`;
+    }
 
     return createNotification({
         recipientId: studentId,
@@ -219,6 +329,108 @@ async function createTeamInvitationNotification(invitedId, inviterId, inviterNam
     });
 }
 
+/**
+ * Create notifications for new projects matching a saved search (to the search owner)
+ * Sends one notification per project, or a single summary when digest is set or there are many matches
+ */
+async function createSavedSearchMatchNotification(userId, savedSearch, projects) {
+    const summarize = savedSearch.digest || projects.length > 3;
+
+    if (summarize) {
+        const [first] = projects;
+        return createNotification({
+            recipientId: userId,
+            senderId: 'system',
+            senderName: 'System',
+            type: 'saved_search_match',
+            message: projects.length === 1
+                ? `New project matching your saved search "${savedSearch.name}": "${first.title}"`
+                : `${projects.length} new projects match your saved search "${savedSearch.name}"`,
+            relatedLink: projects.length === 1 ? `/project/${first._id}` : `/saved-searches/${savedSearch._id}`,
+            projectId: projects.length === 1 ? first._id : null,
+            projectTitle: projects.length === 1 ? first.title : savedSearch.name
+        });
+    }
+
+    const results = await Promise.all(projects.map(project => createNotification({
+        recipientId: userId,
+        senderId: 'system',
+        senderName: 'System',
+        type: 'saved_search_match',
+        message: `New project matching your saved search "${savedSearch.name}": "${project.title}"`,
+        relatedLink: `/project/${project._id}`,
+        projectId: project._id,
+        projectTitle: project.title
+    })));
+
+    return { success: results.every(result => result.success) };
+}
+
+/**
+ * Create a milestone deadline reminder (to a student or supervisor)
+ * @param {string} recipientId - UID of the recipient
+ * @param {Object} project - Project document
+ * @param {Object} milestone - Milestone with its deadline
+ * @param {number} daysLeft - Days before the deadline (0 once it has passed)
+ */
+async function createMilestoneDeadlineNotification(recipientId, project, milestone, daysLeft) {
+    const phase = milestone.phase.replace(/_/g, ' ');
+    const due = new Date(milestone.deadline).toDateString();
+    const message = daysLeft === 0
+        ? `The ${phase} deadline for "${project.title}" has passed (${due}).`
+        : `The ${phase} deadline for "${project.title}" is in ${daysLeft} ${daysLeft === 1 ? 'day' : 'days'} (${due}).`;
+
+    return createNotification({
+        recipientId,
+        senderId: 'system',
+        senderName: 'System',
+        type: 'milestone_deadline',
+        message,
+        relatedLink: `/project/${project._id}`,
+        projectId: project._id,
+        projectTitle: project.title
+    });
+}
+
+/**
+ * Create notification about a defense session change (scheduled, booked, moved, cancelled, outcome)
+ * @param {string} recipientId - UID of examiner or student
+ * @param {string} senderId - UID of user who made the change
+ * @param {Object} session - Defense session document
+ * @param {string} message - What changed
+ * @param {Object|null} project - Booked project the change concerns
+ * @returns {Promise<Object>} Success status
+ */
+async function createDefenseNotification(recipientId, senderId, session, message, project = null) {
+    return createNotification({
+        recipientId,
+        senderId,
+        type: 'defense_schedule',
+        message,
+        relatedLink: `/defenses/${session._id}`,
+        projectId: project ? project._id : null,
+        projectTitle: project ? project.title : ''
+    });
+}
+
+/**
+ * Create notification that a thesis embargo ended and its PDF is now public (to an author)
+ * @param {string} recipientId - UID of the author or team member
+ * @param {Object} project - Project document
+ */
+async function createEmbargoLiftedNotification(recipientId, project) {
+    return createNotification({
+        recipientId,
+        senderId: 'system',
+        senderName: 'System',
+        type: 'embargo_lifted',
+        message: `The embargo on "${project.title}" has ended - its PDF is now publicly available in the thesis vault.`,
+        relatedLink: `/project/${project._id}`,
+        projectId: project._id,
+        projectTitle: project.title
+    });
+}
+
 module.exports = {
     createNotification,
     notifyAdmins,
@@ -227,5 +439,9 @@ module.exports = {
     createProjectStatusUpdateNotification,
     createSupervisorRequestNotification,
     createSupervisorResponseNotification,
-    createTeamInvitationNotification
+    createTeamInvitationNotification,
+    createSavedSearchMatchNotification,
+    createMilestoneDeadlineNotification,
+    createDefenseNotification,
+    createEmbargoLiftedNotification
 };
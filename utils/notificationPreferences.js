@@ -0,0 +1,74 @@
+// Notification Preferences Utility
+// Loads and updates per-user notification preferences (channels per type, muted targets, quiet hours)
+
+const { getNotificationPreferencesCollection } = require('../config/database');
+const NotificationPreferences = require('../models/NotificationPreferences');
+
+/**
+ * A user's preferences (defaults when they never saved any)
+ * @param {string} userId - Firebase UID
+ * @returns {Promise<NotificationPreferences>}
+ */
+async function getNotificationPreferences(userId) {
+    const notificationPreferencesCollection = await getNotificationPreferencesCollection();
+    const doc = await notificationPreferencesCollection.findOne({ userId });
+    return new NotificationPreferences(doc || { userId });
+}
+
+/**
+ * Save preference changes
+ * Channels are merged per type; muted lists and quiet hours are replaced when given
+ * @param {string} userId - Firebase UID
+ * @param {Object} changes - { channels, mutedProjects, mutedCollabPosts, quietHours }
+ * @returns {Promise<NotificationPreferences>} Updated preferences
+ */
+async function updateNotificationPreferences(userId, changes) {
+    const notificationPreferencesCollection = await getNotificationPreferencesCollection();
+    const now = new Date();
+
+    const $set = { updatedAt: now };
+    Object.entries(changes.channels || {}).forEach(([type, channel]) => {
+        $set[`channels.${type}`] = channel;
+    });
+    ['mutedProjects', 'mutedCollabPosts', 'quietHours'].forEach(field => {
+        if (changes[field] !== undefined) $set[field] = changes[field];
+    });
+
+    const doc = await notificationPreferencesCollection.findOneAndUpdate(
+        { userId },
+        { $set, $setOnInsert: { userId, createdAt: now } },
+        { upsert: true, returnDocument: 'after' }
+    );
+    return new NotificationPreferences(doc);
+}
+
+/**
+ * Mute or unmute notifications about a project or collab post
+ * @param {string} userId - Firebase UID
+ * @param {string} targetType - 'project' | 'collab_post'
+ * @param {string} targetId
+ * @param {boolean} muted
+ * @returns {Promise<NotificationPreferences>} Updated preferences
+ */
+async function setMuted(userId, targetType, targetId, muted) {
+    const notificationPreferencesCollection = await getNotificationPreferencesCollection();
+    const field = targetType === 'collab_post' ? 'mutedCollabPosts' : 'mutedProjects';
+    const now = new Date();
+
+    const doc = await notificationPreferencesCollection.findOneAndUpdate(
+        { userId },
+        {
+            ...(muted ? { $addToSet: { [field]: String(targetId) } } : { $pull: { [field]: String(targetId) } }),
+            $set: { updatedAt: now },
+            $setOnInsert: { userId, createdAt: now }
+        },
+        { upsert: true, returnDocument: 'after' }
+    );
+    return new NotificationPreferences(doc);
+}
+
+module.exports = {
+    getNotificationPreferences,
+    updateNotificationPreferences,
+    setMuted,
+};
@@ -0,0 +1,330 @@
+// Notification Stream Utility
+// Pushes new notifications and unread counts to connected clients over Server-Sent Events.
+// Writes from any server instance reach local clients through a MongoDB change stream,
+// or by polling when change streams are unavailable (standalone MongoDB, NOTIFICATION_STREAM_MODE=polling)
+
+const { getNotificationsCollection, ObjectId } = require('../config/database');
+const Notification = require('../models/Notification');
+const logger = require('../config/logger');
+
+// Seconds between heartbeat comments (keeps proxies from closing idle connections)
+const HEARTBEAT_SECONDS = parseInt(process.env.NOTIFICATION_STREAM_HEARTBEAT_SECONDS, 10) || 25;
+
+// Open streams allowed per user (one per tab or device)
+const MAX_STREAMS_PER_USER = parseInt(process.env.NOTIFICATION_STREAM_MAX_PER_USER, 10) || 5;
+
+// Seconds between database checks in polling mode
+const POLL_SECONDS = parseInt(process.env.NOTIFICATION_STREAM_POLL_SECONDS, 10) || 5;
+
+// Milliseconds a client waits before reconnecting
+const RETRY_MS = 5000;
+
+// Most notifications replayed after a reconnect
+const REPLAY_LIMIT = 100;
+
+// Notification versions remembered per stream so a notification seen twice (local publish + change stream) is sent once
+const RECENT_ID_LIMIT = 200;
+
+// Milliseconds unread-count refreshes are batched for (read-all updates many documents at once)
+const COUNT_DEBOUNCE_MS = 250;
+
+// userId -> Set of open streams on this instance
+const streams = new Map();
+
+// userId -> number of streams reserved but not yet open (they count against the per-user limit)
+const reservedStreams = new Map();
+
+// userIds with an unread-count refresh scheduled
+const pendingCounts = new Set();
+
+// Active source of cross-instance changes: { mode, stop }
+let watcher = null;
+
+/**
+ * Write one SSE event
+ * @param {Object} stream - Open stream
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ * @param {string} id - Event ID (only notifications carry one, so Last-Event-ID always names a notification)
+ */
+function writeEvent(stream, event, data, id = null) {
+    let chunk = '';
+    if (id) chunk += `id: ${id}\n`;
+    chunk += `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    stream.res.write(chunk);
+}
+
+/**
+ * Send a notification once per version
+ * A new notification is a 'notification' event; a grouped one that gained actors is re-sent as 'notification-update'
+ */
+function sendNotification(stream, doc) {
+    const id = String(doc._id);
+    const version = new Date(doc.lastActivityAt || doc.createdAt).getTime();
+    const sentVersion = stream.sent.get(id);
+    if (sentVersion !== undefined && sentVersion >= version) return;
+
+    stream.sent.delete(id);
+    stream.sent.set(id, version);
+    if (stream.sent.size > RECENT_ID_LIMIT) {
+        stream.sent.delete(stream.sent.keys().next().value);
+    }
+
+    const data = new Notification(doc).toJSON();
+    if (sentVersion === undefined && version === new Date(doc.createdAt).getTime()) {
+        writeEvent(stream, 'notification', data, id);
+    } else {
+        writeEvent(stream, 'notification-update', data);
+    }
+}
+
+function sendUnreadCount(userId, count) {
+    const userStreams = streams.get(userId);
+    if (!userStreams) return;
+
+    userStreams.forEach(stream => {
+        if (stream.unreadCount === count) return;
+        stream.unreadCount = count;
+        writeEvent(stream, 'unread-count', { count });
+    });
+}
+
+/**
+ * Recount a user's unread notifications and push the count to their open streams
+ * Calls within COUNT_DEBOUNCE_MS are batched into one count
+ * @param {string} userId - Firebase UID
+ */
+function refreshUnreadCount(userId) {
+    if (!streams.has(userId) || pendingCounts.has(userId)) return;
+    pendingCounts.add(userId);
+
+    setTimeout(async () => {
+        pendingCounts.delete(userId);
+        try {
+            const notificationsCollection = await getNotificationsCollection();
+            const count = await notificationsCollection.countDocuments({ userId, read: false });
+            sendUnreadCount(userId, count);
+        } catch (error) {
+            logger.error('Error refreshing unread notification count:', { error: error.message, userId });
+        }
+    }, COUNT_DEBOUNCE_MS).unref();
+}
+
+/**
+ * Deliver a just-inserted notification to the recipient's streams on this instance
+ * Other instances pick it up from the change stream or their next poll
+ * @param {Object} doc - Notification document including _id
+ */
+function publishNotification(doc) {
+    const userStreams = streams.get(doc.userId);
+    if (!userStreams) return;
+
+    userStreams.forEach(stream => sendNotification(stream, doc));
+    refreshUnreadCount(doc.userId);
+}
+
+function handleChange(change) {
+    const doc = change.fullDocument;
+    if (!doc || !streams.has(doc.userId)) return;
+
+    // Inserts, and updates that added an actor to a group
+    if (change.operationType === 'insert' || change.updateDescription?.updatedFields?.actorCount !== undefined) {
+        streams.get(doc.userId).forEach(stream => sendNotification(stream, doc));
+    }
+    refreshUnreadCount(doc.userId);
+}
+
+function startPolling(notificationsCollection) {
+    // Look back past the previous poll so inserts from other instances in the same second aren't missed
+    let since = Math.floor(Date.now() / 1000) - POLL_SECONDS;
+    let polling = false;
+
+    const tick = async () => {
+        if (polling || streams.size === 0) return;
+        polling = true;
+
+        const now = Math.floor(Date.now() / 1000);
+        const userIds = [...streams.keys()];
+        try {
+            const [docs, counts] = await Promise.all([
+                notificationsCollection
+                    .find({
+                        userId: { $in: userIds },
+                        $or: [
+                            { _id: { $gte: ObjectId.createFromTime(since) } },
+                            { lastActivityAt: { $gte: new Date(since * 1000) } }
+                        ]
+                    })
+                    .sort({ _id: 1 })
+                    .limit(REPLAY_LIMIT * userIds.length)
+                    .toArray(),
+                notificationsCollection.aggregate([
+                    { $match: { userId: { $in: userIds }, read: false } },
+                    { $group: { _id: '$userId', count: { $sum: 1 } } }
+                ]).toArray()
+            ]);
+
+            docs.forEach(doc => streams.get(doc.userId)?.forEach(stream => sendNotification(stream, doc)));
+
+            const countByUser = new Map(counts.map(c => [c._id, c.count]));
+            userIds.forEach(userId => sendUnreadCount(userId, countByUser.get(userId) || 0));
+
+            since = now - POLL_SECONDS;
+        } catch (error) {
+            logger.error('Error polling notifications:', { error: error.message });
+        } finally {
+            polling = false;
+        }
+    };
+
+    const timer = setInterval(tick, POLL_SECONDS * 1000);
+    timer.unref();
+
+    watcher = { mode: 'polling', stop: () => clearInterval(timer) };
+    logger.info(`📨 Notification stream polling every ${POLL_SECONDS}s`);
+}
+
+/**
+ * Start listening for notification writes from every instance (once per process)
+ */
+async function ensureWatcher() {
+    if (watcher) return;
+    watcher = { mode: 'starting', stop: () => {} };
+
+    try {
+        const notificationsCollection = await getNotificationsCollection();
+
+        if (process.env.NOTIFICATION_STREAM_MODE === 'polling') {
+            startPolling(notificationsCollection);
+            return;
+        }
+
+        const changeStream = notificationsCollection.watch(
+            [{ $match: { operationType: { $in: ['insert', 'update', 'replace'] } } }],
+            { fullDocument: 'updateLookup' }
+        );
+
+        changeStream.on('change', handleChange);
+        changeStream.on('error', (error) => {
+            // Change streams need a replica set - fall back to polling
+            logger.warn('Notification change stream unavailable, falling back to polling:', { error: error.message });
+            changeStream.close().catch(() => {});
+            startPolling(notificationsCollection);
+        });
+
+        watcher = { mode: 'change_stream', stop: () => changeStream.close() };
+        logger.info('📨 Notification stream watching for changes');
+    } catch (error) {
+        watcher = null;
+        throw error;
+    }
+}
+
+/**
+ * Reserve one of the user's stream slots, if any is free
+ * The check and the reservation happen together, so concurrent requests can't both take the last slot
+ * @param {string} userId - Firebase UID
+ * @returns {Object|null} Reservation for openNotificationStream ({ userId, release }), or null at the limit
+ */
+function tryOpenStream(userId) {
+    const reserved = reservedStreams.get(userId) || 0;
+    if ((streams.get(userId)?.size || 0) + reserved >= MAX_STREAMS_PER_USER) return null;
+    reservedStreams.set(userId, reserved + 1);
+
+    let released = false;
+    const release = () => {
+        if (released) return;
+        released = true;
+        const remaining = reservedStreams.get(userId) - 1;
+        if (remaining > 0) reservedStreams.set(userId, remaining);
+        else reservedStreams.delete(userId);
+    };
+
+    return { userId, release };
+}
+
+/**
+ * Turn the response into an SSE stream for the authenticated user
+ * Sends missed notifications after Last-Event-ID, then the unread count, then live events until the client disconnects
+ * The reservation is released whether or not the stream opens; an open stream holds its slot until it closes
+ * @param {Object} req - Express request (after verifyToken)
+ * @param {Object} res - Express response
+ * @param {Object} reservation - From tryOpenStream
+ */
+async function openNotificationStream(req, res, reservation) {
+    const userId = req.user.uid;
+
+    try {
+        await ensureWatcher();
+
+        // The client may have gone away while the watcher started
+        if (req.socket.destroyed) return;
+
+        req.socket.setTimeout(0);
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Disable nginx response buffering
+        });
+        res.write(`retry: ${RETRY_MS}\n\n`);
+    } finally {
+        reservation.release();
+    }
+
+    // Registered in the same tick the reservation is released, so the slot is never free in between
+    const stream = { res, sent: new Map(), unreadCount: null };
+    if (!streams.has(userId)) streams.set(userId, new Set());
+    streams.get(userId).add(stream);
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_SECONDS * 1000);
+
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        const userStreams = streams.get(userId);
+        if (!userStreams) return;
+        userStreams.delete(stream);
+        if (userStreams.size === 0) streams.delete(userId);
+    });
+
+    const notificationsCollection = await getNotificationsCollection();
+
+    // EventSource sends Last-Event-ID on reconnect; polyfills without custom headers can use ?lastEventId=
+    const lastEventId = req.get('last-event-id') || req.query.lastEventId;
+    if (lastEventId && ObjectId.isValid(lastEventId)) {
+        const lastId = new ObjectId(lastEventId);
+        // New notifications, and groups that gained actors since the last event
+        const missed = await notificationsCollection
+            .find({
+                userId,
+                $or: [
+                    { _id: { $gt: lastId } },
+                    { lastActivityAt: { $gt: lastId.getTimestamp() } }
+                ]
+            })
+            .sort({ _id: -1 })
+            .limit(REPLAY_LIMIT + 1)
+            .toArray();
+
+        if (missed.length > REPLAY_LIMIT) {
+            // Too far behind to replay - the client should reload its list
+            writeEvent(stream, 'reset', { reason: 'replay_limit' });
+            missed.length = REPLAY_LIMIT;
+        }
+        missed.reverse().forEach(doc => sendNotification(stream, doc));
+    }
+
+    const count = await notificationsCollection.countDocuments({ userId, read: false });
+    if (stream.unreadCount !== count) {
+        stream.unreadCount = count;
+        writeEvent(stream, 'unread-count', { count });
+    }
+}
+
+module.exports = {
+    MAX_STREAMS_PER_USER,
+    tryOpenStream,
+    openNotificationStream,
+    publishNotification,
+    refreshUnreadCount,
+};
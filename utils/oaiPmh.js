@@ -0,0 +1,238 @@
+// Utility functions for the OAI-PMH 2.0 provider (XML rendering, datestamps, sets, resumption tokens)
+const { stripHtml } = require('./htmlStrip');
+const Project = require('../models/Project');
+const { describeLicense } = require('./licenses');
+
+const REPOSITORY_ID = process.env.OAI_REPOSITORY_ID || 'knowledgetrace.iiuc.ac.bd';
+const REPOSITORY_NAME = process.env.OAI_REPOSITORY_NAME || 'KnowledgeTrace Thesis Vault';
+const ADMIN_EMAIL = process.env.OAI_ADMIN_EMAIL || 'support@knowledgetrace.com';
+
+// Records returned per List* response before a resumption token is issued
+const PAGE_SIZE = parseInt(process.env.OAI_PAGE_SIZE, 10) || 100;
+
+// How long a resumption token stays valid
+const TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+const OAI_DC = {
+    metadataPrefix: 'oai_dc',
+    schema: 'http://www.openarchives.org/OAI/2.0/oai_dc.xsd',
+    metadataNamespace: 'http://www.openarchives.org/OAI/2.0/oai_dc/'
+};
+
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;')
+        // Control characters other than tab and newlines are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * Format a date as an OAI-PMH datestamp (seconds granularity, UTC)
+ */
+function toDatestamp(date) {
+    return new Date(date).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Parse a from/until argument
+ * @param {string} value - YYYY-MM-DD or YYYY-MM-DDThh:mm:ssZ
+ * @param {boolean} endOfRange - Treat a day-granularity value as the end of that day (for until)
+ * @returns {{date: Date, granularity: string}|null} null if the value is not a valid datestamp
+ */
+function parseDatestamp(value, endOfRange = false) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        const date = new Date(`${value}T00:00:00Z`);
+        if (isNaN(date.getTime()) || !date.toISOString().startsWith(value)) return null;
+        if (endOfRange) date.setUTCHours(23, 59, 59, 999);
+        return { date, granularity: 'day' };
+    }
+    if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/.test(value)) {
+        const date = new Date(value);
+        if (isNaN(date.getTime()) || toDatestamp(date) !== value) return null;
+        if (endOfRange) date.setUTCMilliseconds(999);
+        return { date, granularity: 'seconds' };
+    }
+    return null;
+}
+
+/**
+ * Turn a department name into a setSpec-safe slug ("Computer Science & Engineering" -> "computer-science-engineering")
+ */
+function slugify(value) {
+    return String(value || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Set specs a project belongs to: department:<slug> and year:<yyyy>
+ * @param {Object} project - Project document
+ * @returns {string[]}
+ */
+function getSetSpecs(project) {
+    const specs = [];
+    const department = slugify(project.department);
+    if (department) specs.push(`department:${department}`);
+    if (project.year) specs.push(`year:${project.year}`);
+    return specs;
+}
+
+function toIdentifier(projectId) {
+    return `oai:${REPOSITORY_ID}:${projectId}`;
+}
+
+/**
+ * Extract the project ID from an OAI identifier
+ * @returns {string|null} null if the identifier is not from this repository
+ */
+function fromIdentifier(identifier) {
+    const prefix = `oai:${REPOSITORY_ID}:`;
+    if (typeof identifier !== 'string' || !identifier.startsWith(prefix)) return null;
+    return identifier.substring(prefix.length);
+}
+
+/**
+ * Encode the state of a List* request as an opaque resumption token
+ * @param {Object} state - { verb, metadataPrefix, from, until, set, offset }
+ * @returns {string}
+ */
+function encodeResumptionToken(state) {
+    return Buffer.from(JSON.stringify({ ...state, expiresAt: Date.now() + TOKEN_TTL_MS })).toString('base64url');
+}
+
+/**
+ * Decode a resumption token
+ * @returns {Object|null} null if the token is malformed or expired
+ */
+function decodeResumptionToken(token) {
+    try {
+        const state = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+        if (!state || typeof state.offset !== 'number' || state.expiresAt < Date.now()) return null;
+        return state;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Render a record header
+ * @param {Object} params - { identifier, datestamp, setSpecs, deleted }
+ */
+function renderHeader({ identifier, datestamp, setSpecs = [], deleted = false }) {
+    return [
+        `<header${deleted ? ' status="deleted"' : ''}>`,
+        `<identifier>${escapeXml(identifier)}</identifier>`,
+        `<datestamp>${toDatestamp(datestamp)}</datestamp>`,
+        ...setSpecs.map(spec => `<setSpec>${escapeXml(spec)}</setSpec>`),
+        '</header>'
+    ].join('');
+}
+
+/**
+ * OpenAIRE access rights of a project's full text, plus the embargo end date while one applies
+ * @param {Object} project - Project document
+ * @returns {string[]} dc:rights values
+ */
+function getAccessRights(project) {
+    const level = Project.getAccessLevel(project);
+    if (level === 'public') return ['info:eu-repo/semantics/openAccess'];
+    if (!project.embargoUntil) return ['info:eu-repo/semantics/restrictedAccess'];
+    return [
+        'info:eu-repo/semantics/embargoedAccess',
+        `info:eu-repo/date/embargoEnd/${new Date(project.embargoUntil).toISOString().slice(0, 10)}`
+    ];
+}
+
+/**
+ * Render the oai_dc (simple Dublin Core) metadata of a project
+ * @param {Object} data - Citation data (see utils/citationFormatter buildCitationData)
+ * @param {Object} project - Project document
+ */
+function renderDublinCore(data, project) {
+    const subjects = [...new Set([...(project.tags || []), ...(project.techStack || [])])];
+    const license = describeLicense(project);
+    const elements = [
+        ['title', data.title],
+        ...data.authors.map(name => ['creator', name]),
+        ...(data.supervisor ? [['contributor', data.supervisor]] : []),
+        ...subjects.map(subject => ['subject', subject]),
+        ...(data.abstract ? [['description', stripHtml(data.abstract)]] : []),
+        ['publisher', data.publisher],
+        ['date', String(data.year)],
+        ['type', 'Text'],
+        ['type', data.isThesis ? 'info:eu-repo/semantics/bachelorThesis' : 'info:eu-repo/semantics/other'],
+        ...(project.pdfKey ? [['format', 'application/pdf']] : []),
+        ...(data.url ? [['identifier', data.url]] : []),
+        ...(data.handle ? [['identifier', data.handle]] : []),
+        ...(data.githubLink ? [['relation', data.githubLink]] : []),
+        ...(project.pdfKey ? getAccessRights(project).map(rights => ['rights', rights]) : []),
+        ...(license ? [['rights', license.url || license.terms || license.name]] : []),
+        ['language', 'en']
+    ];
+
+    return [
+        '<oai_dc:dc xmlns:oai_dc="http://www.openarchives.org/OAI/2.0/oai_dc/"',
+        ' xmlns:dc="http://purl.org/dc/elements/1.1/"',
+        ' xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+        ' xsi:schemaLocation="http://www.openarchives.org/OAI/2.0/oai_dc/ http://www.openarchives.org/OAI/2.0/oai_dc.xsd">',
+        ...elements.map(([name, value]) => `<dc:${name}>${escapeXml(value)}</dc:${name}>`),
+        '</oai_dc:dc>'
+    ].join('');
+}
+
+/**
+ * Wrap a verb response in the OAI-PMH envelope
+ * @param {Object} params
+ * @param {string} params.baseURL - Base URL of the endpoint
+ * @param {Object|null} params.requestArgs - Request arguments echoed in <request>; null for badVerb/badArgument
+ * @param {string} params.body - Verb element (or error elements)
+ */
+function renderEnvelope({ baseURL, requestArgs, body }) {
+    const attributes = requestArgs
+        ? Object.entries(requestArgs)
+            .filter(([, value]) => value !== undefined)
+            .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+            .join('')
+        : '';
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<OAI-PMH xmlns="http://www.openarchives.org/OAI/2.0/"',
+        ' xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+        ' xsi:schemaLocation="http://www.openarchives.org/OAI/2.0/ http://www.openarchives.org/OAI/2.0/OAI-PMH.xsd">',
+        `<responseDate>${toDatestamp(new Date())}</responseDate>`,
+        `<request${attributes}>${escapeXml(baseURL)}</request>`,
+        body,
+        '</OAI-PMH>'
+    ].join('\n');
+}
+
+function renderError(code, message) {
+    return `<error code="${code}">${escapeXml(message)}</error>`;
+}
+
+module.exports = {
+    REPOSITORY_ID,
+    REPOSITORY_NAME,
+    ADMIN_EMAIL,
+    PAGE_SIZE,
+    OAI_DC,
+    escapeXml,
+    toDatestamp,
+    parseDatestamp,
+    slugify,
+    getSetSpecs,
+    toIdentifier,
+    fromIdentifier,
+    encodeResumptionToken,
+    decodeResumptionToken,
+    renderHeader,
+    renderDublinCore,
+    renderEnvelope,
+    renderError,
+};
@@ -0,0 +1,51 @@
+// OAI Record Tracking Utility
+// Keeps tombstones for projects that leave the public vault so harvesters see them as deleted
+
+const { getOaiDeletedRecordsCollection } = require('../config/database');
+const { getSetSpecs, toIdentifier } = require('./oaiPmh');
+const Project = require('../models/Project');
+const logger = require('../config/logger');
+
+/**
+ * Record a vault transition for OAI-PMH
+ * Call after any change to a project's status or visibility, and after deletion
+ * @param {Object} before - Project document before the change
+ * @param {Object|null} after - Project document after the change (null if deleted)
+ * @returns {Promise<Object>} Success status
+ */
+async function syncOaiRecord(before, after) {
+    try {
+        const wasPublic = Project.isInVault(before);
+        const isPublic = Project.isInVault(after);
+        if (wasPublic === isPublic) return { success: true };
+
+        const deletedRecordsCollection = await getOaiDeletedRecordsCollection();
+
+        if (isPublic) {
+            // Back in the vault: the live record replaces the tombstone
+            await deletedRecordsCollection.deleteOne({ projectId: after._id });
+        } else {
+            await deletedRecordsCollection.updateOne(
+                { projectId: before._id },
+                {
+                    $set: {
+                        identifier: toIdentifier(before._id),
+                        sets: getSetSpecs(before),
+                        datestamp: new Date(),
+                        reason: after ? 'withdrawn' : 'deleted'
+                    }
+                },
+                { upsert: true }
+            );
+        }
+
+        return { success: true };
+    } catch (error) {
+        logger.error('Error syncing OAI record:', { error: error.message, projectId: String(before?._id) });
+        return { success: false, error };
+    }
+}
+
+module.exports = {
+    syncOaiRecord,
+};
@@ -0,0 +1,93 @@
+// Utility functions for extracting searchable text from thesis PDFs
+const pdfParse = require('pdf-parse');
+
+/**
+ * Render a single PDF page into plain text, preserving line breaks
+ * @param {Object} pageData - pdf.js page proxy passed by pdf-parse
+ * @returns {Promise<string>} Page text
+ */
+async function renderPageText(pageData) {
+    const textContent = await pageData.getTextContent({
+        normalizeWhitespace: true,
+        disableCombineTextItems: false
+    });
+
+    let lastY = null;
+    let text = '';
+    for (const item of textContent.items) {
+        const y = item.transform[5];
+        if (lastY !== null && lastY !== y) {
+            text += '\n';
+        } else if (lastY !== null) {
+            text += ' ';
+        }
+        text += item.str;
+        lastY = y;
+    }
+    return text;
+}
+
+/**
+ * Extract the text of every page in a PDF
+ * @param {Buffer} buffer - PDF file buffer
+ * @returns {Promise<Array<{page: number, text: string}>>} One entry per non-empty page (1-based page numbers)
+ */
+async function extractPdfPages(buffer) {
+    if (!buffer || buffer.length === 0) return [];
+
+    const pages = [];
+    await pdfParse(buffer, {
+        pagerender: async (pageData) => {
+            const text = await renderPageText(pageData);
+            pages.push({ page: pageData.pageNumber, text });
+            return text;
+        }
+    });
+
+    return pages
+        .map(p => ({ page: p.page, text: p.text.replace(/[ \t]+/g, ' ').trim() }))
+        .filter(p => p.text.length > 0)
+        .sort((a, b) => a.page - b.page);
+}
+
+/**
+ * Build a short snippet around the first occurrence of any search term
+ * @param {string} text - Page text
+ * @param {string} query - Search query as typed by the user
+ * @param {number} radius - Characters to keep on each side of the match (default 80)
+ * @returns {string|null} Snippet with the match, or null if no term occurs in the text
+ */
+function buildSnippet(text, query, radius = 80) {
+    if (!text || !query) return null;
+
+    const terms = query
+        .toLowerCase()
+        .replace(/["()]/g, ' ')
+        .split(/\s+/)
+        .filter(term => term.length > 2 && !term.startsWith('-'));
+
+    const haystack = text.toLowerCase();
+    let matchIndex = -1;
+    let matchLength = 0;
+
+    for (const term of terms) {
+        const index = haystack.indexOf(term);
+        if (index !== -1 && (matchIndex === -1 || index < matchIndex)) {
+            matchIndex = index;
+            matchLength = term.length;
+        }
+    }
+
+    if (matchIndex === -1) return null;
+
+    const start = Math.max(0, matchIndex - radius);
+    const end = Math.min(text.length, matchIndex + matchLength + radius);
+    const snippet = text.substring(start, end).replace(/\s+/g, ' ').trim();
+
+    return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
+
+module.exports = {
+    extractPdfPages,
+    buildSnippet,
+};
@@ -0,0 +1,90 @@
+// Utility functions for stamping pre-publication PDFs with the name of who is viewing them
+
+const { PDFDocument, StandardFonts, rgb, degrees } = require('pdf-lib');
+
+// Watermark drafts viewed before publication (off unless enabled)
+const WATERMARK_DRAFTS = process.env.PDF_DRAFT_WATERMARK === 'true';
+
+// Watermarked PDFs kept in memory, so the range requests of one viewer don't re-stamp the file each time
+const CACHE_SIZE = parseInt(process.env.PDF_WATERMARK_CACHE_SIZE, 10) || 10;
+
+const cache = new Map(); // ETag -> Promise<Buffer>, oldest first
+
+// The standard PDF fonts only cover Latin-1
+const toLatin1 = (text) => text.replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+/**
+ * Watermark text for a viewer
+ * @param {Object} viewer - { name, email }
+ * @returns {string}
+ */
+const getWatermarkText = (viewer) => `DRAFT - ${viewer.name || viewer.email || 'Unknown viewer'}`;
+
+/**
+ * Stamp every page with a diagonal watermark and a footer line
+ * @param {Buffer} buffer - PDF file
+ * @param {string} text - Watermark text
+ * @returns {Promise<Buffer>}
+ */
+async function watermarkPdf(buffer, text) {
+    const pdf = await PDFDocument.load(buffer, { ignoreEncryption: true });
+    const font = await pdf.embedFont(StandardFonts.HelveticaBold);
+    const label = toLatin1(text);
+    const footer = toLatin1(`${text} - not for distribution`);
+
+    for (const page of pdf.getPages()) {
+        const { width, height } = page.getSize();
+        const angle = Math.atan2(height, width);
+        // Span about 70% of the page diagonal
+        const size = Math.min(
+            (0.7 * Math.hypot(width, height)) / font.widthOfTextAtSize(label, 1),
+            72
+        );
+        const textWidth = font.widthOfTextAtSize(label, size);
+
+        page.drawText(label, {
+            x: (width - Math.cos(angle) * textWidth) / 2,
+            y: (height - Math.sin(angle) * textWidth) / 2,
+            size,
+            font,
+            color: rgb(0.6, 0.6, 0.6),
+            opacity: 0.2,
+            rotate: degrees((angle * 180) / Math.PI)
+        });
+        page.drawText(footer, { x: 24, y: 12, size: 8, font, color: rgb(0.4, 0.4, 0.4), opacity: 0.8 });
+    }
+
+    return Buffer.from(await pdf.save());
+}
+
+/**
+ * Watermarked copy of a PDF, cached by ETag
+ * @param {string} etag - Identifies the source file and watermark text
+ * @param {Function} load - () => Promise<Buffer> reading the source PDF
+ * @param {string} text - Watermark text
+ * @returns {Promise<Buffer>}
+ */
+function getWatermarkedPdf(etag, load, text) {
+    if (cache.has(etag)) {
+        const cached = cache.get(etag);
+        cache.delete(etag);
+        cache.set(etag, cached);
+        return cached;
+    }
+
+    const pending = load().then(buffer => watermarkPdf(buffer, text));
+    pending.catch(() => cache.delete(etag));
+
+    cache.set(etag, pending);
+    if (cache.size > CACHE_SIZE) {
+        cache.delete(cache.keys().next().value);
+    }
+    return pending;
+}
+
+module.exports = {
+    WATERMARK_DRAFTS,
+    getWatermarkText,
+    watermarkPdf,
+    getWatermarkedPdf,
+};
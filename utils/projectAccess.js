@@ -0,0 +1,126 @@
+// Project Access Utility
+// Decides who may read a project's PDF from its visibility, workflow status and embargo
+
+const { getUsersCollection, getDefenseSessionsCollection } = require('../config/database');
+const Project = require('../models/Project');
+const { isUniversityEmail } = require('./emailValidator');
+const { WATERMARK_DRAFTS } = require('./pdfWatermark');
+
+/**
+ * Load who is asking
+ * @param {string|null} uid - Firebase UID (null when anonymous)
+ * @returns {Promise<Object|null>} { uid, isAdmin, university, name, email } or null when anonymous
+ */
+async function getViewer(uid) {
+    if (!uid) return null;
+
+    const usersCollection = await getUsersCollection();
+    const user = await usersCollection.findOne({ uid });
+
+    return {
+        uid,
+        isAdmin: user?.isAdmin === true,
+        university: isUniversityEmail(user?.email),
+        name: user?.name || user?.displayName || '',
+        email: user?.email || ''
+    };
+}
+
+/**
+ * Whether a viewer is on the project (team member or supervisor)
+ */
+const isProjectMember = (project, uid) => Boolean(uid) && (
+    project.authorId === uid
+    || (project.studentIds || []).includes(uid)
+    || (Boolean(project.supervisorId) && project.supervisorId === uid)
+);
+
+/**
+ * Whether a viewer may read a vault project's PDF under its access level
+ * @param {Object} project - Project document
+ * @param {Object|null} viewer - From getViewer
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function canReadPdf(project, viewer, now = new Date()) {
+    const level = Project.getAccessLevel(project, now);
+    if (level === 'public') return true;
+    if (!viewer) return false;
+    if (viewer.isAdmin || isProjectMember(project, viewer.uid)) return true;
+    return level === 'university' && viewer.university;
+}
+
+/**
+ * MongoDB condition matching the projects whose PDF a viewer may read (see canReadPdf)
+ * @param {Object|null} viewer - From getViewer
+ * @param {Date} now
+ * @returns {Object} Filter ({} when everything is readable)
+ */
+function getReadablePdfFilter(viewer, now = new Date()) {
+    if (viewer?.isAdmin) return {};
+
+    const readable = [
+        { accessLevel: { $in: [null, 'public'] } },
+        { embargoUntil: { $lte: now } }
+    ];
+    if (viewer) {
+        if (viewer.university) readable.push({ accessLevel: 'university' });
+        readable.push({ authorId: viewer.uid }, { studentIds: viewer.uid }, { supervisorId: viewer.uid });
+    }
+    return { $or: readable };
+}
+
+/**
+ * Whether a user examines the project in a defense session
+ */
+async function isDefenseExaminer(project, uid) {
+    const defenseSessionsCollection = await getDefenseSessionsCollection();
+    const session = await defenseSessionsCollection.findOne(
+        { 'slots.projectId': String(project._id), examinerIds: uid },
+        { projection: { _id: 1 } }
+    );
+    return Boolean(session);
+}
+
+/**
+ * Check whether the caller may read a project's PDF
+ * Vault PDFs (public and approved or later) follow the project's access level while it is embargoed;
+ * anything else is only for admins, the team, the supervisor and defense examiners,
+ * watermarked when PDF_DRAFT_WATERMARK is on
+ * @param {Object} project - Project document
+ * @param {string|null} uid - Firebase UID of the caller (null when anonymous)
+ * @returns {Promise<Object>} { allowed, reason, watermark, viewer } - reason is 'auth_required', 'embargoed' or 'forbidden'
+ */
+async function getPdfAccess(project, uid) {
+    if (Project.isInVault(project) && Project.getAccessLevel(project) === 'public') {
+        return { allowed: true, watermark: false, viewer: null };
+    }
+
+    if (!uid) {
+        return { allowed: false, reason: 'auth_required' };
+    }
+
+    const viewer = await getViewer(uid);
+
+    if (Project.isInVault(project)) {
+        return canReadPdf(project, viewer)
+            ? { allowed: true, watermark: false, viewer }
+            : { allowed: false, reason: 'embargoed' };
+    }
+
+    const allowed = viewer.isAdmin
+        || isProjectMember(project, uid)
+        || await isDefenseExaminer(project, uid);
+
+    return allowed
+        ? { allowed: true, watermark: WATERMARK_DRAFTS, viewer }
+        : { allowed: false, reason: 'forbidden' };
+}
+
+module.exports = {
+    getViewer,
+    isProjectMember,
+    canReadPdf,
+    getReadablePdfFilter,
+    getPdfAccess,
+};
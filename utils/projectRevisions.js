@@ -0,0 +1,162 @@
+// Project Revisions Utility
+// Keeps an immutable, numbered snapshot of a project's content after every change
+
+const { getProjectRevisionsCollection, ObjectId } = require('../config/database');
+const logger = require('../config/logger');
+
+// Versioned fields and how they are compared in diffs
+const REVISION_FIELDS = {
+    title: 'value',
+    abstract: 'text',
+    description: 'text',
+    tags: 'list',
+    techStack: 'list',
+    year: 'value',
+    department: 'value',
+    githubLink: 'value',
+    supervisor: 'value',
+    supervisorId: 'value',
+    visibility: 'value',
+    pdfKey: 'value'
+};
+
+const toObjectId = (id) => (id instanceof ObjectId ? id : new ObjectId(String(id)));
+
+/**
+ * Copy the versioned fields of a project
+ * @param {Object} project - Project document
+ * @returns {Object} Snapshot
+ */
+function takeSnapshot(project) {
+    return Object.keys(REVISION_FIELDS).reduce((snapshot, field) => {
+        if (project[field] !== undefined) snapshot[field] = project[field];
+        return snapshot;
+    }, {});
+}
+
+function getChangedFields(before, after) {
+    return Object.keys(REVISION_FIELDS)
+        .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null));
+}
+
+/**
+ * Record a revision after a project change
+ * Projects created before versioning get their previous state stored as revision 1 first
+ * @param {Object|null} before - Project document before the change (null on creation)
+ * @param {Object} after - Project document after the change
+ * @param {Object} meta
+ * @param {string} meta.authorId - Firebase UID of whoever made the change
+ * @param {string} meta.authorName - Display name of the author
+ * @param {string} meta.changeType - 'create' | 'update' | 'pdf' | 'restore'
+ * @param {number} meta.restoredFrom - Revision number restored (restore only)
+ * @returns {Promise<Object>} { success, revision } - revision is null when nothing versioned changed
+ */
+async function recordRevision(before, after, { authorId, authorName = '', changeType = 'update', restoredFrom = null }) {
+    try {
+        const revisionsCollection = await getProjectRevisionsCollection();
+        const projectId = toObjectId(after._id);
+        const snapshot = takeSnapshot(after);
+        const changedFields = before ? getChangedFields(takeSnapshot(before), snapshot) : Object.keys(snapshot);
+
+        if (before && changedFields.length === 0) {
+            return { success: true, revision: null };
+        }
+
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const [latest] = await revisionsCollection
+                .find({ projectId }, { projection: { revision: 1 } })
+                .sort({ revision: -1 })
+                .limit(1)
+                .toArray();
+
+            const documents = [];
+            if (!latest && before) {
+                documents.push({
+                    projectId,
+                    revision: 1,
+                    changeType: 'initial',
+                    authorId: before.authorId || '',
+                    authorName: before.author || '',
+                    changedFields: Object.keys(takeSnapshot(before)),
+                    snapshot: takeSnapshot(before),
+                    createdAt: before.updatedAt || before.createdAt || new Date()
+                });
+            }
+
+            const revision = (latest ? latest.revision : documents.length) + 1;
+            documents.push({
+                projectId,
+                revision,
+                changeType,
+                authorId,
+                authorName,
+                changedFields,
+                snapshot,
+                restoredFrom,
+                createdAt: new Date()
+            });
+
+            try {
+                await revisionsCollection.insertMany(documents);
+                return { success: true, revision };
+            } catch (insertError) {
+                // Another change took this revision number; read the latest again and retry
+                if (insertError.code !== 11000) throw insertError;
+            }
+        }
+
+        throw new Error('Could not allocate a revision number');
+    } catch (error) {
+        logger.error('Error recording project revision:', { error: error.message, projectId: String(after?._id) });
+        return { success: false, error };
+    }
+}
+
+/**
+ * List a project's revisions, newest first (without snapshots)
+ * @param {string|ObjectId} projectId - Project ID
+ * @returns {Promise<Object[]>}
+ */
+async function listRevisions(projectId) {
+    const revisionsCollection = await getProjectRevisionsCollection();
+    return revisionsCollection
+        .find({ projectId: toObjectId(projectId) }, { projection: { snapshot: 0 } })
+        .sort({ revision: -1 })
+        .toArray();
+}
+
+/**
+ * Get one revision with its snapshot
+ * @param {string|ObjectId} projectId - Project ID
+ * @param {number} revision - Revision number
+ * @returns {Promise<Object|null>}
+ */
+async function getRevision(projectId, revision) {
+    const revisionsCollection = await getProjectRevisionsCollection();
+    return revisionsCollection.findOne({ projectId: toObjectId(projectId), revision });
+}
+
+/**
+ * Remove the revision history of a deleted project
+ * @param {string|ObjectId} projectId - Project ID
+ * @returns {Promise<Object>} Success status
+ */
+async function removeProjectRevisions(projectId) {
+    try {
+        const revisionsCollection = await getProjectRevisionsCollection();
+        await revisionsCollection.deleteMany({ projectId: toObjectId(projectId) });
+        return { success: true };
+    } catch (error) {
+        logger.error('Error removing project revisions:', { error: error.message, projectId: String(projectId) });
+        return { success: false, error };
+    }
+}
+
+module.exports = {
+    REVISION_FIELDS,
+    takeSnapshot,
+    recordRevision,
+    listRevisions,
+    getRevision,
+    removeProjectRevisions,
+};
@@ -0,0 +1,89 @@
+// Related Projects Utility
+// Computes "related work" for vault projects and caches the results until a vault project changes
+
+const {
+    getProjectsCollection,
+    getProjectRelatedCollection
+} = require('../config/database');
+const { scoreRelatedProjects } = require('./relatedScoring');
+const Project = require('../models/Project');
+const logger = require('../config/logger');
+
+// Related projects kept per cache entry (the most any request can ask for)
+const CACHE_SIZE = 20;
+
+/**
+ * Get the related projects of a project, from the cache when available
+ * @param {Object} project - Project document
+ * @param {number} limit - Maximum number of related projects
+ * @returns {Promise<Array<Object>>} { projectId, title, year, department, supervisor, score, reasons }
+ */
+async function getRelatedProjects(project, limit = 5) {
+    const relatedCollection = await getProjectRelatedCollection();
+    const cached = await relatedCollection.findOne({ projectId: project._id });
+    if (cached) return cached.related.slice(0, limit);
+
+    const projectsCollection = await getProjectsCollection();
+    const corpus = await projectsCollection
+        .find(
+            { visibility: 'public', status: { $in: Project.VAULT_STATUSES } },
+            {
+                projection: {
+                    _id: 1, title: 1, abstract: 1, tags: 1, techStack: 1,
+                    supervisor: 1, supervisorId: 1, year: 1, department: 1
+                }
+            }
+        )
+        .toArray();
+
+    const related = scoreRelatedProjects(project, corpus)
+        .slice(0, CACHE_SIZE)
+        .map(({ project: candidate, score, reasons }) => ({
+            projectId: candidate._id,
+            title: candidate.title,
+            year: candidate.year,
+            department: candidate.department,
+            supervisor: candidate.supervisor || '',
+            score,
+            reasons
+        }));
+
+    await relatedCollection.updateOne(
+        { projectId: project._id },
+        { $set: { related, computedAt: new Date() } },
+        { upsert: true }
+    );
+
+    return related.slice(0, limit);
+}
+
+/**
+ * Drop cached related projects after a project change
+ * Any change to a vault project can reorder every list, so the whole cache is cleared;
+ * changes to projects outside the vault leave it untouched
+ * @param {Object} before - Project document before the change
+ * @param {Object|null} after - Project document after the change (null if deleted)
+ * @returns {Promise<Object>} Success status
+ */
+async function invalidateRelatedProjects(before, after) {
+    try {
+        const relatedCollection = await getProjectRelatedCollection();
+
+        if (!Project.isInVault(before) && !Project.isInVault(after)) {
+            // The project's own list may still be cached if it was viewed while private
+            await relatedCollection.deleteOne({ projectId: (before || after)._id });
+            return { success: true };
+        }
+
+        await relatedCollection.deleteMany({});
+        return { success: true };
+    } catch (error) {
+        logger.error('Error invalidating related projects cache:', { error: error.message, projectId: String((before || after)?._id) });
+        return { success: false, error };
+    }
+}
+
+module.exports = {
+    getRelatedProjects,
+    invalidateRelatedProjects,
+};
@@ -0,0 +1,156 @@
+// Utility functions for scoring related projects (TF-IDF text similarity plus shared tags, tech stack and supervisor)
+const { tokenize } = require('./duplicateDetection');
+
+// Weight of each signal in the combined score (sums to 1)
+const WEIGHTS = {
+    text: 0.5,
+    tags: 0.2,
+    techStack: 0.15,
+    supervisor: 0.15
+};
+
+// Combined score (0-100) below which a project is not considered related
+const MIN_SCORE = parseInt(process.env.RELATED_MIN_SCORE, 10) || 10;
+
+// Text similarity (0-100) at which "similar topic" is given as a reason
+const TEXT_REASON_THRESHOLD = 15;
+
+/**
+ * Terms of a project's title and abstract; title terms count twice
+ * @param {Object} project - Project document
+ * @returns {string[]}
+ */
+function projectTerms(project) {
+    const titleTerms = tokenize(project.title || '').map(t => t.term);
+    const abstractTerms = tokenize(project.abstract || '').map(t => t.term);
+    return [...titleTerms, ...titleTerms, ...abstractTerms];
+}
+
+/**
+ * Build TF-IDF vectors for a corpus of projects
+ * @param {Object[]} projects - Project documents
+ * @returns {Map<string, Map<string, number>>} Unit-length vector per project ID
+ */
+function buildTfIdfVectors(projects) {
+    const termCounts = projects.map(project => {
+        const counts = new Map();
+        projectTerms(project).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+        return counts;
+    });
+
+    const documentFrequency = new Map();
+    termCounts.forEach(counts => {
+        counts.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+    });
+
+    const vectors = new Map();
+    projects.forEach((project, index) => {
+        const vector = new Map();
+        let norm = 0;
+        termCounts[index].forEach((count, term) => {
+            // Smoothed IDF so terms found in every project still count a little
+            const idf = Math.log((projects.length + 1) / (documentFrequency.get(term) + 1)) + 1;
+            const weight = (1 + Math.log(count)) * idf;
+            vector.set(term, weight);
+            norm += weight * weight;
+        });
+        norm = Math.sqrt(norm);
+        if (norm > 0) vector.forEach((weight, term) => vector.set(term, weight / norm));
+        vectors.set(project._id.toString(), vector);
+    });
+
+    return vectors;
+}
+
+/**
+ * Cosine similarity of two unit-length vectors
+ */
+function cosineSimilarity(vector1, vector2) {
+    const [smaller, larger] = vector1.size <= vector2.size ? [vector1, vector2] : [vector2, vector1];
+    let dot = 0;
+    smaller.forEach((weight, term) => {
+        const other = larger.get(term);
+        if (other) dot += weight * other;
+    });
+    return dot;
+}
+
+/**
+ * Case-insensitive intersection of two string lists (keeps the first list's spelling)
+ */
+function sharedValues(list1 = [], list2 = []) {
+    const lookup = new Set(list2.map(value => String(value).trim().toLowerCase()));
+    return [...new Set(list1.filter(value => lookup.has(String(value).trim().toLowerCase())))];
+}
+
+/**
+ * Overlap of two lists relative to the smaller one (0-1)
+ */
+function overlapRatio(shared, list1 = [], list2 = []) {
+    const smaller = Math.min(list1.length, list2.length);
+    return smaller > 0 ? Math.min(shared.length / smaller, 1) : 0;
+}
+
+function plural(count, singular, pluralForm = `${singular}s`) {
+    return `${count} ${count === 1 ? singular : pluralForm}`;
+}
+
+/**
+ * Score every other project in the corpus against one project
+ * @param {Object} project - Project to find related work for
+ * @param {Object[]} corpus - Candidate projects (may include the project itself)
+ * @returns {Array<Object>} { project, score, reasons } sorted by score, highest first
+ */
+function scoreRelatedProjects(project, corpus) {
+    const projectId = project._id.toString();
+    const documents = corpus.some(p => p._id.toString() === projectId) ? corpus : [...corpus, project];
+    const vectors = buildTfIdfVectors(documents);
+    const vector = vectors.get(projectId);
+
+    return corpus
+        .filter(candidate => candidate._id.toString() !== projectId)
+        .map(candidate => {
+            const reasons = [];
+
+            const textSimilarity = cosineSimilarity(vector, vectors.get(candidate._id.toString()));
+            if (textSimilarity * 100 >= TEXT_REASON_THRESHOLD) {
+                reasons.push({ type: 'text', label: `similar topic (${Math.round(textSimilarity * 100)}% text match)` });
+            }
+
+            const tags = sharedValues(project.tags, candidate.tags);
+            if (tags.length > 0) {
+                reasons.push({ type: 'tags', label: `shares ${plural(tags.length, 'tag')}`, values: tags });
+            }
+
+            const techStack = sharedValues(project.techStack, candidate.techStack);
+            if (techStack.length > 0) {
+                reasons.push({ type: 'techStack', label: `shares ${plural(techStack.length, 'technology', 'technologies')}`, values: techStack });
+            }
+
+            const sameSupervisor = Boolean(
+                (project.supervisorId && project.supervisorId === candidate.supervisorId)
+                || (!project.supervisorId && project.supervisor
+                    && String(project.supervisor).toLowerCase() === String(candidate.supervisor || '').toLowerCase())
+            );
+            if (sameSupervisor) {
+                reasons.push({ type: 'supervisor', label: `same supervisor (${candidate.supervisor || project.supervisor})` });
+            }
+
+            const score = 100 * (
+                WEIGHTS.text * textSimilarity
+                + WEIGHTS.tags * overlapRatio(tags, project.tags, candidate.tags)
+                + WEIGHTS.techStack * overlapRatio(techStack, project.techStack, candidate.techStack)
+                + WEIGHTS.supervisor * (sameSupervisor ? 1 : 0)
+            );
+
+            return { project: candidate, score: Math.round(score * 10) / 10, reasons };
+        })
+        .filter(result => result.score >= MIN_SCORE)
+        .sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+    buildTfIdfVectors,
+    cosineSimilarity,
+    scoreRelatedProjects,
+};
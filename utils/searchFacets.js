@@ -0,0 +1,162 @@
+// Utility functions for faceted vault search (facet filters, aggregation stages and bucket formatting)
+
+// Maximum buckets returned for open-ended facets (tags, techStack, supervisor, department)
+const FACET_LIMIT = parseInt(process.env.SEARCH_FACET_LIMIT, 10) || 20;
+
+// Width in years of each year range bucket
+const YEAR_RANGE_SIZE = parseInt(process.env.SEARCH_YEAR_RANGE_SIZE, 10) || 5;
+
+// Facets whose values are counted by plain grouping
+const VALUE_FACETS = ['department', 'tags', 'techStack', 'supervisor', 'status', 'license'];
+
+// Array fields that need unwinding before grouping
+const ARRAY_FACETS = ['tags', 'techStack'];
+
+function escapeRegex(value) {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build one filter clause per facet from the selected values
+ * Values within a facet are OR'ed; facets are AND'ed by combineFilters()
+ * @param {Object} selections - Validated search parameters
+ * @returns {Object} Clause per facet name (only facets with a selection)
+ */
+function buildFacetFilters({ year, yearFrom, yearTo, department, tags, techStack, supervisor, status, license }) {
+    const facetFilters = {};
+
+    const yearConditions = [];
+    if (year && year.length > 0) yearConditions.push({ year: { $in: year } });
+    if (yearFrom || yearTo) {
+        const range = {};
+        if (yearFrom) range.$gte = yearFrom;
+        if (yearTo) range.$lte = yearTo;
+        yearConditions.push({ year: range });
+    }
+    if (yearConditions.length > 0) {
+        facetFilters.year = yearConditions.length === 1 ? yearConditions[0] : { $or: yearConditions };
+    }
+
+    if (department && department.length > 0) facetFilters.department = { department: { $in: department } };
+    if (tags && tags.length > 0) facetFilters.tags = { tags: { $in: tags } };
+    if (techStack && techStack.length > 0) facetFilters.techStack = { techStack: { $in: techStack } };
+    if (status && status.length > 0) facetFilters.status = { status: { $in: status } };
+    if (license && license.length > 0) facetFilters.license = { license: { $in: license } };
+
+    // Supervisor names are matched loosely (case-insensitive substring), as the search always has
+    if (supervisor && supervisor.length > 0) {
+        facetFilters.supervisor = { supervisor: { $in: supervisor.map(name => new RegExp(escapeRegex(name), 'i')) } };
+    }
+
+    return facetFilters;
+}
+
+/**
+ * AND a base filter with facet clauses
+ * @param {Object} baseFilter - Filter every result must match
+ * @param {Object[]} clauses - Facet clauses
+ * @returns {Object} MongoDB filter
+ */
+function combineFilters(baseFilter, clauses) {
+    return clauses.length > 0 ? { ...baseFilter, $and: clauses } : baseFilter;
+}
+
+/**
+ * Build the $facet stage that counts every facet
+ * Each facet is counted with all selections except its own, so other values stay selectable (multi-select)
+ * @param {Object} facetFilters - Result of buildFacetFilters()
+ * @returns {Object} $facet stage
+ */
+function buildFacetStage(facetFilters) {
+    const excluding = (facet) => {
+        const clauses = Object.entries(facetFilters)
+            .filter(([name]) => name !== facet)
+            .map(([, clause]) => clause);
+        return { $match: clauses.length > 0 ? { $and: clauses } : {} };
+    };
+
+    const stage = {
+        year: [
+            excluding('year'),
+            { $group: { _id: '$year', count: { $sum: 1 } } },
+            { $sort: { _id: -1 } }
+        ],
+        yearRanges: [
+            excluding('year'),
+            { $match: { year: { $type: 'number' } } },
+            {
+                $group: {
+                    _id: { $multiply: [{ $floor: { $divide: ['$year', YEAR_RANGE_SIZE] } }, YEAR_RANGE_SIZE] },
+                    count: { $sum: 1 }
+                }
+            },
+            { $sort: { _id: -1 } }
+        ]
+    };
+
+    VALUE_FACETS.forEach(facet => {
+        stage[facet] = [
+            excluding(facet),
+            ...(ARRAY_FACETS.includes(facet) ? [{ $unwind: `$${facet}` }] : []),
+            { $match: { [facet]: { $nin: [null, ''] } } },
+            { $group: { _id: `$${facet}`, count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: FACET_LIMIT }
+        ];
+    });
+
+    return stage;
+}
+
+/**
+ * Turn raw $facet output into buckets, marking selected values
+ * Selected values with no results are still listed (count 0) so they can be deselected
+ * @param {Object} result - First document of the $facet aggregation
+ * @param {Object} selections - Validated search parameters
+ * @returns {Object} { year, yearRanges, department, tags, techStack, supervisor, status, license }
+ */
+function formatFacets(result, selections) {
+    const exact = (value, selectedValue) => value === selectedValue;
+    const loose = (value, selectedValue) => String(value).toLowerCase().includes(String(selectedValue).toLowerCase());
+
+    const toBuckets = (rows, selected = [], matches = exact) => {
+        const buckets = rows
+            .filter(row => row._id !== null && row._id !== undefined && row._id !== '')
+            .map(row => ({
+                value: row._id,
+                count: row.count,
+                selected: selected.some(selectedValue => matches(row._id, selectedValue))
+            }));
+        selected
+            .filter(selectedValue => !buckets.some(bucket => matches(bucket.value, selectedValue)))
+            .forEach(value => buckets.push({ value, count: 0, selected: true }));
+        return buckets;
+    };
+
+    const facets = {
+        year: toBuckets(result.year, selections.year || []),
+        yearRanges: result.yearRanges.map(row => {
+            const from = row._id;
+            const to = row._id + YEAR_RANGE_SIZE - 1;
+            return {
+                from,
+                to,
+                count: row.count,
+                selected: selections.yearFrom === from && selections.yearTo === to
+            };
+        })
+    };
+
+    VALUE_FACETS.forEach(facet => {
+        facets[facet] = toBuckets(result[facet], selections[facet] || [], facet === 'supervisor' ? loose : exact);
+    });
+
+    return facets;
+}
+
+module.exports = {
+    buildFacetFilters,
+    combineFilters,
+    buildFacetStage,
+    formatFacets,
+};
@@ -0,0 +1,167 @@
+// Cloudinary storage driver
+// Object keys are Cloudinary delivery paths: '<resource type>/<type>/v<version>/<public id>'
+
+const { Readable } = require('stream');
+const cloudinary = require('cloudinary').v2;
+const streamifier = require('streamifier');
+const { NotFoundError } = require('../../errors/AppError');
+
+// Folder uploads are placed in
+const FOLDER = process.env.CLOUDINARY_FOLDER || 'knowledgetrace';
+
+let configured = false;
+
+const configure = () => {
+    if (configured) return;
+    cloudinary.config({
+        cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+        api_key: process.env.CLOUDINARY_API_KEY,
+        api_secret: process.env.CLOUDINARY_API_SECRET,
+    });
+    configured = true;
+};
+
+const isConfigured = () => Boolean(
+    process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET
+);
+
+/**
+ * Split an object key into what the Cloudinary API needs
+ * @param {string} objectKey
+ * @returns {Object|null} { resourceType, type, publicId }
+ */
+function parseObjectKey(objectKey) {
+    const match = /^(image|raw|video)\/([a-z_]+)\/(?:v\d+\/)?(.+)$/.exec(objectKey || '');
+    return match ? { resourceType: match[1], type: match[2], publicId: match[3] } : null;
+}
+
+/**
+ * Object key of a Cloudinary delivery URL (used to migrate stored URLs)
+ * @param {string} url - e.g. https://res.cloudinary.com/<cloud>/raw/upload/v123/knowledgetrace/projects/file
+ * @returns {string|null}
+ */
+function objectKeyFromUrl(url) {
+    const match = /^https?:\/\/res\.cloudinary\.com\/[^/]+\/((?:image|raw|video)\/[a-z_]+\/.+)$/.exec(url || '');
+    return match ? match[1].split('?')[0] : null;
+}
+
+const deliveryUrl = (objectKey) => `https://res.cloudinary.com/${process.env.CLOUDINARY_CLOUD_NAME}/${objectKey}`;
+
+/**
+ * Upload a file
+ * @param {string} objectKey - Suggested key ('<folder>/<name>'); Cloudinary assigns the final one
+ * @param {Buffer} buffer
+ * @returns {Promise<string>} Stored object key
+ */
+function put(objectKey, buffer) {
+    configure();
+    return new Promise((resolve, reject) => {
+        const uploadStream = cloudinary.uploader.upload_stream(
+            {
+                resource_type: 'raw', // PDFs must be 'raw' - 'auto' detects them as images which fails
+                public_id: `${FOLDER}/${objectKey}`,
+                access_mode: 'public',
+                type: 'upload',
+            },
+            (error, result) => {
+                if (error) return reject(error);
+                resolve(`${result.resource_type}/${result.type}/v${result.version}/${result.public_id}`);
+            }
+        );
+
+        streamifier.createReadStream(buffer).pipe(uploadStream);
+    });
+}
+
+async function request(objectKey, options) {
+    const response = await fetch(deliveryUrl(objectKey), options);
+    if (response.status === 404) {
+        throw new NotFoundError('Stored file not found');
+    }
+    if (!response.ok) {
+        throw new Error(`Cloudinary responded with HTTP ${response.status}`);
+    }
+    return response;
+}
+
+const parseSize = (value) => {
+    const size = parseInt(value, 10);
+    return Number.isNaN(size) ? null : size;
+};
+
+/**
+ * Keep only bytes start..end (inclusive) of a stream
+ */
+async function* sliceBytes(source, start, end) {
+    let offset = 0;
+    for await (const chunk of source) {
+        const chunkEnd = offset + chunk.length;
+        if (chunkEnd > start) {
+            yield chunk.subarray(Math.max(start - offset, 0), Math.min(end + 1 - offset, chunk.length));
+        }
+        offset = chunkEnd;
+        if (offset > end) break;
+    }
+}
+
+/**
+ * Size, modification time and content type of a stored file
+ * @param {string} objectKey
+ * @returns {Promise<Object>} { size, lastModified, contentType }
+ */
+async function stat(objectKey) {
+    const response = await request(objectKey, { method: 'HEAD' });
+    const lastModified = response.headers.get('last-modified');
+    return {
+        size: parseSize(response.headers.get('content-length')),
+        lastModified: lastModified ? new Date(lastModified) : null,
+        contentType: response.headers.get('content-type') || null
+    };
+}
+
+/**
+ * Open a stored file, or a byte range of it
+ * @param {string} objectKey
+ * @param {Object} range - { start, end } (inclusive); the whole file when omitted
+ * @returns {Promise<Object>} { stream, size, contentType } - size of the whole file
+ */
+async function get(objectKey, range) {
+    const response = await request(objectKey, range ? { headers: { Range: `bytes=${range.start}-${range.end}` } } : {});
+    const contentType = response.headers.get('content-type') || null;
+    const stream = Readable.fromWeb(response.body);
+
+    if (response.status === 206) {
+        const total = /\/(\d+)$/.exec(response.headers.get('content-range') || '');
+        return { stream, size: total ? parseInt(total[1], 10) : null, contentType };
+    }
+
+    // The CDN answered a range request with the whole file
+    const size = parseSize(response.headers.get('content-length'));
+    return {
+        stream: range ? Readable.from(sliceBytes(stream, range.start, range.end)) : stream,
+        size,
+        contentType
+    };
+}
+
+/**
+ * Delete a stored file
+ * @param {string} objectKey
+ */
+async function remove(objectKey) {
+    const parsed = parseObjectKey(objectKey);
+    if (!parsed) return;
+
+    configure();
+    await cloudinary.uploader.destroy(parsed.publicId, { resource_type: parsed.resourceType, type: parsed.type });
+}
+
+module.exports = {
+    name: 'cloudinary',
+    isConfigured,
+    put,
+    stat,
+    get,
+    remove,
+    objectKeyFromUrl,
+};
@@ -0,0 +1,173 @@
+// File Storage Utility
+// Stores uploaded files through the driver selected by STORAGE_DRIVER (cloudinary | local | s3)
+// and refers to them by storage keys of the form '<driver>:<object key>'
+
+const crypto = require('crypto');
+const path = require('path');
+const { StorageNotConfiguredError, NotFoundError } = require('../../errors/AppError');
+const cloudinaryDriver = require('./cloudinaryDriver');
+const localDriver = require('./localDriver');
+const s3Driver = require('./s3Driver');
+const logger = require('../../config/logger');
+
+// Every driver can read its own keys, so files stay reachable after STORAGE_DRIVER changes
+const DRIVERS = {
+    cloudinary: cloudinaryDriver,
+    local: localDriver,
+    s3: s3Driver
+};
+
+/**
+ * Name of the driver new uploads go to
+ * Deployments that predate STORAGE_DRIVER keep using Cloudinary when it is configured
+ * @returns {string|null}
+ */
+function getStorageDriverName() {
+    const configured = (process.env.STORAGE_DRIVER || '').trim().toLowerCase();
+    if (configured) return configured;
+    return cloudinaryDriver.isConfigured() ? 'cloudinary' : null;
+}
+
+/**
+ * Driver new uploads go to, or null when storage isn't (correctly) configured
+ * @returns {Object|null}
+ */
+function getActiveDriver() {
+    const driver = DRIVERS[getStorageDriverName()];
+    return driver && driver.isConfigured() ? driver : null;
+}
+
+const isStorageConfigured = () => Boolean(getActiveDriver());
+
+/**
+ * Split a storage key into its driver and object key
+ * @param {string} key - '<driver>:<object key>'
+ * @returns {Object|null} { driver, objectKey }
+ */
+function parseStorageKey(key) {
+    const separator = typeof key === 'string' ? key.indexOf(':') : -1;
+    if (separator <= 0) return null;
+
+    const driver = DRIVERS[key.slice(0, separator)];
+    const objectKey = key.slice(separator + 1);
+    return driver && objectKey ? { driver, objectKey } : null;
+}
+
+/**
+ * Object key for a new upload: '<folder>/<timestamp>_<random>_<sanitized filename>'
+ * @param {string} folder
+ * @param {string} filename - Original filename
+ * @returns {string}
+ */
+function buildObjectKey(folder, filename) {
+    const safeName = path.basename(filename || 'file')
+        .replace(/[^a-zA-Z0-9._-]/g, '_')
+        .slice(-100);
+    return `${folder}/${Date.now()}_${crypto.randomBytes(4).toString('hex')}_${safeName}`;
+}
+
+/**
+ * Store an uploaded file
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options
+ * @param {string} options.folder - e.g. 'projects' or 'deliverables/<projectId>'
+ * @param {string} options.filename - Original filename
+ * @param {string} options.contentType - MIME type
+ * @returns {Promise<string>} Storage key
+ * @throws {StorageNotConfiguredError} When no storage driver is configured
+ */
+async function saveFile(buffer, { folder, filename, contentType }) {
+    const driver = getActiveDriver();
+    if (!driver) {
+        throw new StorageNotConfiguredError(getStorageDriverName()
+            ? `Storage driver "${getStorageDriverName()}" is unknown or missing its settings`
+            : 'File storage is not configured - set STORAGE_DRIVER');
+    }
+
+    const objectKey = await driver.put(buildObjectKey(folder, filename), buffer, { contentType });
+    logger.info(`Stored ${filename} with the ${driver.name} driver`, { objectKey });
+    return `${driver.name}:${objectKey}`;
+}
+
+const resolveKey = (key) => {
+    const parsed = parseStorageKey(key);
+    if (!parsed) {
+        throw new NotFoundError('Stored file not found');
+    }
+    return parsed;
+};
+
+/**
+ * Size, modification time and content type of a stored file
+ * @param {string} key - Storage key
+ * @returns {Promise<Object>} { size, lastModified, contentType } - lastModified may be null
+ * @throws {NotFoundError} When the key is invalid or the file is gone
+ */
+async function statFile(key) {
+    const { driver, objectKey } = resolveKey(key);
+    return driver.stat(objectKey);
+}
+
+/**
+ * Open a stored file, or a byte range of it, for streaming
+ * @param {string} key - Storage key
+ * @param {Object} range - { start, end } (inclusive); the whole file when omitted
+ * @returns {Promise<Object>} { stream, size, contentType } - size of the whole file
+ * @throws {NotFoundError} When the key is invalid or the file is gone
+ */
+async function openFile(key, range) {
+    const { driver, objectKey } = resolveKey(key);
+    return driver.get(objectKey, range);
+}
+
+/**
+ * Read a stored file into memory
+ * @param {string} key - Storage key
+ * @returns {Promise<Buffer>}
+ */
+async function readFile(key) {
+    const { stream } = await openFile(key);
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Delete a stored file
+ * @param {string} key - Storage key
+ * @returns {Promise<Object>} Success status
+ */
+async function deleteFile(key) {
+    try {
+        const parsed = parseStorageKey(key);
+        if (parsed) await parsed.driver.remove(parsed.objectKey);
+        return { success: true };
+    } catch (error) {
+        logger.error('Error deleting stored file:', { error: error.message, key });
+        return { success: false, error };
+    }
+}
+
+/**
+ * Storage key of a file URL saved before storage keys existed
+ * @param {string} url - Stored URL
+ * @returns {string|null} Storage key, or null when the URL isn't in a known store
+ */
+function storageKeyFromUrl(url) {
+    const objectKey = cloudinaryDriver.objectKeyFromUrl(url);
+    return objectKey ? `cloudinary:${objectKey}` : null;
+}
+
+module.exports = {
+    getStorageDriverName,
+    isStorageConfigured,
+    parseStorageKey,
+    saveFile,
+    statFile,
+    openFile,
+    readFile,
+    deleteFile,
+    storageKeyFromUrl,
+};
@@ -0,0 +1,103 @@
+// Local filesystem storage driver
+// Object keys are paths relative to STORAGE_LOCAL_DIR
+
+const fs = require('fs');
+const path = require('path');
+const { NotFoundError } = require('../../errors/AppError');
+
+// Directory files are stored in
+const ROOT = path.resolve(process.env.STORAGE_LOCAL_DIR || 'storage');
+
+// Content types served for stored files, by extension
+const CONTENT_TYPES = {
+    '.pdf': 'application/pdf',
+    '.ppt': 'application/vnd.ms-powerpoint',
+    '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    '.doc': 'application/msword',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.csv': 'text/csv',
+    '.zip': 'application/zip'
+};
+
+const isConfigured = () => true;
+
+/**
+ * Absolute path of an object key, refusing keys that escape the storage directory
+ * @param {string} objectKey
+ * @returns {string}
+ */
+function resolvePath(objectKey) {
+    const filePath = path.resolve(ROOT, objectKey);
+    if (!filePath.startsWith(ROOT + path.sep)) {
+        throw new Error(`Invalid storage key: ${objectKey}`);
+    }
+    return filePath;
+}
+
+/**
+ * Write a file (never overwrites an existing one)
+ * @param {string} objectKey
+ * @param {Buffer} buffer
+ * @returns {Promise<string>} Stored object key
+ */
+async function put(objectKey, buffer) {
+    const filePath = resolvePath(objectKey);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+    return objectKey;
+}
+
+/**
+ * Size, modification time and content type of a stored file
+ * @param {string} objectKey
+ * @returns {Promise<Object>} { size, lastModified, contentType }
+ */
+async function stat(objectKey) {
+    const filePath = resolvePath(objectKey);
+
+    let stats;
+    try {
+        stats = await fs.promises.stat(filePath);
+    } catch (error) {
+        if (error.code === 'ENOENT') throw new NotFoundError('Stored file not found');
+        throw error;
+    }
+
+    return {
+        size: stats.size,
+        lastModified: stats.mtime,
+        contentType: CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream'
+    };
+}
+
+/**
+ * Open a stored file, or a byte range of it
+ * @param {string} objectKey
+ * @param {Object} range - { start, end } (inclusive); the whole file when omitted
+ * @returns {Promise<Object>} { stream, size, contentType } - size of the whole file
+ */
+async function get(objectKey, range) {
+    const { size, contentType } = await stat(objectKey);
+    return {
+        stream: fs.createReadStream(resolvePath(objectKey), range ? { start: range.start, end: range.end } : {}),
+        size,
+        contentType
+    };
+}
+
+/**
+ * Delete a stored file
+ * @param {string} objectKey
+ */
+async function remove(objectKey) {
+    await fs.promises.rm(resolvePath(objectKey), { force: true });
+}
+
+module.exports = {
+    name: 'local',
+    isConfigured,
+    put,
+    stat,
+    get,
+    remove,
+};
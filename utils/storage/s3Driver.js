@@ -0,0 +1,125 @@
+// S3-compatible storage driver (AWS S3, MinIO, Ceph, Cloudflare R2 ...)
+// Object keys are keys in S3_BUCKET
+
+const {
+    S3Client,
+    PutObjectCommand,
+    HeadObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { NotFoundError } = require('../../errors/AppError');
+
+const BUCKET = process.env.S3_BUCKET;
+
+let client = null;
+
+const isConfigured = () => Boolean(BUCKET);
+
+/**
+ * S3 client, created on first use
+ * A custom S3_ENDPOINT (e.g. MinIO) uses path-style URLs unless S3_FORCE_PATH_STYLE=false
+ */
+function getClient() {
+    if (!client) {
+        const endpoint = process.env.S3_ENDPOINT || undefined;
+        client = new S3Client({
+            region: process.env.S3_REGION || 'us-east-1',
+            endpoint,
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+                ? process.env.S3_FORCE_PATH_STYLE === 'true'
+                : Boolean(endpoint),
+            // Without explicit keys the SDK falls back to its default chain (env, instance role ...)
+            credentials: process.env.S3_ACCESS_KEY_ID
+                ? {
+                    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+                }
+                : undefined
+        });
+    }
+    return client;
+}
+
+/**
+ * Upload a file
+ * @param {string} objectKey
+ * @param {Buffer} buffer
+ * @param {Object} options
+ * @param {string} options.contentType
+ * @returns {Promise<string>} Stored object key
+ */
+async function put(objectKey, buffer, { contentType } = {}) {
+    await getClient().send(new PutObjectCommand({
+        Bucket: BUCKET,
+        Key: objectKey,
+        Body: buffer,
+        ContentType: contentType || 'application/octet-stream'
+    }));
+    return objectKey;
+}
+
+const isNotFound = (error) => error.name === 'NoSuchKey' || error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404;
+
+/**
+ * Size, modification time and content type of a stored file
+ * @param {string} objectKey
+ * @returns {Promise<Object>} { size, lastModified, contentType }
+ */
+async function stat(objectKey) {
+    try {
+        const response = await getClient().send(new HeadObjectCommand({ Bucket: BUCKET, Key: objectKey }));
+        return {
+            size: response.ContentLength ?? null,
+            lastModified: response.LastModified || null,
+            contentType: response.ContentType || null
+        };
+    } catch (error) {
+        if (isNotFound(error)) throw new NotFoundError('Stored file not found');
+        throw error;
+    }
+}
+
+/**
+ * Open a stored file, or a byte range of it
+ * @param {string} objectKey
+ * @param {Object} range - { start, end } (inclusive); the whole file when omitted
+ * @returns {Promise<Object>} { stream, size, contentType } - size of the whole file
+ */
+async function get(objectKey, range) {
+    try {
+        const response = await getClient().send(new GetObjectCommand({
+            Bucket: BUCKET,
+            Key: objectKey,
+            Range: range ? `bytes=${range.start}-${range.end}` : undefined
+        }));
+
+        // Content-Range is 'bytes <start>-<end>/<size>' for partial responses
+        const total = /\/(\d+)$/.exec(response.ContentRange || '');
+        return {
+            stream: response.Body,
+            size: total ? parseInt(total[1], 10) : (response.ContentLength ?? null),
+            contentType: response.ContentType || null
+        };
+    } catch (error) {
+        if (isNotFound(error)) throw new NotFoundError('Stored file not found');
+        throw error;
+    }
+}
+
+/**
+ * Delete a stored file
+ * @param {string} objectKey
+ */
+async function remove(objectKey) {
+    await getClient().send(new DeleteObjectCommand({ Bucket: BUCKET, Key: objectKey }));
+}
+
+module.exports = {
+    name: 's3',
+    isConfigured,
+    put,
+    stat,
+    get,
+    remove,
+};
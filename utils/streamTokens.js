@@ -0,0 +1,67 @@
+// Utility functions for short-lived notification stream tokens
+// A browser EventSource cannot send an Authorization header, so clients exchange their Firebase token for one of
+// these and pass it as ?token= when opening GET /api/notifications/stream.
+// A token is "<base64url payload>.<base64url HMAC-SHA256>" and expires after NOTIFICATION_STREAM_TOKEN_SECONDS
+
+const crypto = require('crypto');
+const logger = require('../config/logger');
+
+// Seconds a stream token can be used for (it only has to last until the stream opens)
+const STREAM_TOKEN_SECONDS = parseInt(process.env.NOTIFICATION_STREAM_TOKEN_SECONDS, 10) || 60;
+
+let secret = process.env.NOTIFICATION_STREAM_SECRET;
+if (!secret) {
+    // Tokens signed with a per-process secret only work on the instance that issued them
+    secret = crypto.randomBytes(32).toString('hex');
+    logger.warn('NOTIFICATION_STREAM_SECRET is not set - stream tokens only work on the instance that issued them');
+}
+
+const sign = (payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+/**
+ * Create a stream token
+ * @param {Object} user - req.user after verifyToken ({ uid, email, name })
+ * @returns {Object} { token, expiresAt }
+ */
+function signStreamToken(user) {
+    const exp = Math.floor(Date.now() / 1000) + STREAM_TOKEN_SECONDS;
+    const payload = Buffer.from(JSON.stringify({
+        uid: user.uid,
+        email: user.email || null,
+        name: user.name || '',
+        scope: 'notification_stream',
+        exp
+    })).toString('base64url');
+
+    return { token: `${payload}.${sign(payload)}`, expiresAt: new Date(exp * 1000) };
+}
+
+/**
+ * Check a token's signature and expiry and read it
+ * @param {string} token
+ * @returns {Object|null} { uid, email, name } - null when malformed, tampered with or expired
+ */
+function verifyStreamToken(token) {
+    if (typeof token !== 'string') return null;
+    const [payload, signature, extra] = token.split('.');
+    if (!payload || !signature || extra !== undefined) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+    try {
+        const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (data.scope !== 'notification_stream' || typeof data.uid !== 'string' || !data.uid) return null;
+        if (!(data.exp > Date.now() / 1000)) return null;
+        return { uid: data.uid, email: data.email, name: data.name };
+    } catch {
+        return null;
+    }
+}
+
+module.exports = {
+    STREAM_TOKEN_SECONDS,
+    signStreamToken,
+    verifyStreamToken,
+};
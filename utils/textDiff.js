@@ -0,0 +1,101 @@
+// Utility functions for comparing project revisions (word-level text diffs and list diffs)
+const { stripHtml } = require('./htmlStrip');
+
+// Above this many word pairs the texts are reported as a single replacement instead of diffed
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Word-level diff of two texts (longest common subsequence)
+ * Consecutive words with the same operation are merged into one segment
+ * @param {string} before - Old text (plain text or HTML)
+ * @param {string} after - New text (plain text or HTML)
+ * @returns {Array<{op: string, text: string}>} Segments with op 'equal' | 'insert' | 'delete'
+ */
+function diffWords(before, after) {
+    const oldWords = stripHtml(before || '').split(/\s+/).filter(Boolean);
+    const newWords = stripHtml(after || '').split(/\s+/).filter(Boolean);
+
+    const segments = [];
+    const push = (op, word) => {
+        const last = segments[segments.length - 1];
+        if (last && last.op === op) last.text += ` ${word}`;
+        else segments.push({ op, text: word });
+    };
+
+    if (oldWords.length * newWords.length > MAX_DIFF_CELLS) {
+        if (oldWords.length > 0) segments.push({ op: 'delete', text: oldWords.join(' ') });
+        if (newWords.length > 0) segments.push({ op: 'insert', text: newWords.join(' ') });
+        return segments;
+    }
+
+    // lcs[i][j] = length of the LCS of oldWords[i..] and newWords[j..]
+    const width = newWords.length + 1;
+    const lcs = new Uint32Array((oldWords.length + 1) * width);
+    for (let i = oldWords.length - 1; i >= 0; i--) {
+        for (let j = newWords.length - 1; j >= 0; j--) {
+            lcs[i * width + j] = oldWords[i] === newWords[j]
+                ? lcs[(i + 1) * width + j + 1] + 1
+                : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+        }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < oldWords.length && j < newWords.length) {
+        if (oldWords[i] === newWords[j]) {
+            push('equal', oldWords[i]);
+            i++;
+            j++;
+        } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+            push('delete', oldWords[i++]);
+        } else {
+            push('insert', newWords[j++]);
+        }
+    }
+    while (i < oldWords.length) push('delete', oldWords[i++]);
+    while (j < newWords.length) push('insert', newWords[j++]);
+
+    return segments;
+}
+
+/**
+ * Compare two lists as sets
+ * @returns {{added: string[], removed: string[]}}
+ */
+function diffLists(before = [], after = []) {
+    return {
+        added: after.filter(value => !before.includes(value)),
+        removed: before.filter(value => !after.includes(value))
+    };
+}
+
+function isSameValue(before, after) {
+    return JSON.stringify(before ?? null) === JSON.stringify(after ?? null);
+}
+
+/**
+ * Field-by-field diff of two revision snapshots
+ * @param {Object} before - Older snapshot
+ * @param {Object} after - Newer snapshot
+ * @param {Object} fieldTypes - Field name -> 'text' | 'list' | 'value'
+ * @returns {Array<Object>} One entry per changed field
+ */
+function diffSnapshots(before, after, fieldTypes) {
+    return Object.entries(fieldTypes)
+        .filter(([field]) => !isSameValue(before[field], after[field]))
+        .map(([field, type]) => {
+            if (type === 'text') {
+                return { field, type, before: before[field] ?? '', after: after[field] ?? '', segments: diffWords(before[field], after[field]) };
+            }
+            if (type === 'list') {
+                return { field, type, ...diffLists(before[field], after[field]) };
+            }
+            return { field, type, before: before[field] ?? null, after: after[field] ?? null };
+        });
+}
+
+module.exports = {
+    diffWords,
+    diffLists,
+    diffSnapshots,
+};
@@ -0,0 +1,103 @@
+// Thesis Handle Utility
+// Mints persistent identifiers (e.g. KT-CSE-2025-0042) for finished theses and keeps them
+// as tombstones once a project is deleted, so a handle never points at another thesis
+
+const {
+    getProjectsCollection,
+    getThesisHandlesCollection,
+    getThesisHandleSequencesCollection
+} = require('../config/database');
+const Project = require('../models/Project');
+const logger = require('../config/logger');
+
+/**
+ * Give a project its handle, unless it already has one
+ * Call after a project reaches one of Project.HANDLE_STATUSES
+ * @param {Object} project - Project document
+ * @returns {Promise<Object>} { success, handle }
+ */
+async function assignProjectHandle(project) {
+    try {
+        if (project.handle) return { success: true, handle: project.handle };
+
+        const scope = Project.getHandleScope(project);
+        const sequencesCollection = await getThesisHandleSequencesCollection();
+        const sequence = await sequencesCollection.findOneAndUpdate(
+            { _id: scope.key },
+            { $inc: { seq: 1 } },
+            { upsert: true, returnDocument: 'after' }
+        );
+        const handle = Project.formatHandle(scope, sequence.seq);
+
+        // A handle minted concurrently wins; the number reserved here is skipped, never reused
+        const projectsCollection = await getProjectsCollection();
+        const result = await projectsCollection.updateOne(
+            { _id: project._id, handle: null },
+            { $set: { handle } }
+        );
+        if (result.matchedCount === 0) {
+            const current = await projectsCollection.findOne({ _id: project._id }, { projection: { handle: 1 } });
+            return { success: true, handle: current?.handle || null };
+        }
+
+        const handlesCollection = await getThesisHandlesCollection();
+        await handlesCollection.insertOne({
+            handle,
+            projectId: project._id,
+            title: project.title || '',
+            department: project.department || '',
+            year: scope.year,
+            mintedAt: new Date(),
+            deletedAt: null
+        });
+
+        logger.info(`Handle ${handle} minted for project ${project._id}`);
+        return { success: true, handle };
+    } catch (error) {
+        logger.error('Error minting thesis handle:', { error: error.message, projectId: String(project._id) });
+        return { success: false, error };
+    }
+}
+
+/**
+ * Keep a deleted project's handle as a tombstone
+ * @param {Object} project - Project document as it was before deletion
+ * @returns {Promise<Object>} Success status
+ */
+async function tombstoneProjectHandle(project) {
+    try {
+        if (!project.handle) return { success: true };
+
+        const handlesCollection = await getThesisHandlesCollection();
+        await handlesCollection.updateOne(
+            { handle: project.handle },
+            { $set: { title: project.title || '', public: Project.isInVault(project), deletedAt: new Date() } }
+        );
+        return { success: true };
+    } catch (error) {
+        logger.error('Error recording handle tombstone:', { error: error.message, handle: project.handle });
+        return { success: false, error };
+    }
+}
+
+/**
+ * Look up a handle
+ * @param {string} handle - Case-insensitive
+ * @returns {Promise<Object|null>} { record, project } - project is null for deleted theses; null for unknown handles
+ */
+async function resolveHandle(handle) {
+    const handlesCollection = await getThesisHandlesCollection();
+    const record = await handlesCollection.findOne({ handle: String(handle).toUpperCase() });
+    if (!record) return null;
+    if (record.deletedAt) return { record, project: null };
+
+    const projectsCollection = await getProjectsCollection();
+    const project = await projectsCollection.findOne({ _id: record.projectId });
+    return { record, project };
+}
+
+module.exports = {
+    assignProjectHandle,
+    tombstoneProjectHandle,
+    resolveHandle,
+};
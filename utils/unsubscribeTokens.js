@@ -0,0 +1,52 @@
+// Utility functions for signed email unsubscribe tokens
+// A token is "<base64url payload>.<base64url HMAC-SHA256>" - it never expires so links in old emails keep working
+
+const crypto = require('crypto');
+const logger = require('../config/logger');
+
+let secret = process.env.EMAIL_UNSUBSCRIBE_SECRET;
+if (!secret) {
+    // Links signed with a per-process secret stop working after a restart
+    secret = crypto.randomBytes(32).toString('hex');
+    logger.warn('EMAIL_UNSUBSCRIBE_SECRET is not set - unsubscribe links will break on restart');
+}
+
+const sign = (payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+/**
+ * Create an unsubscribe token
+ * @param {string} uid - Firebase UID of the recipient
+ * @param {string} scope - What the link unsubscribes from ('all' = every email)
+ * @returns {string}
+ */
+function signUnsubscribeToken(uid, scope = 'all') {
+    const payload = Buffer.from(JSON.stringify({ uid, scope, iat: Math.floor(Date.now() / 1000) })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Check a token's signature and read it
+ * @param {string} token
+ * @returns {Object|null} { uid, scope, iat } - null when malformed or tampered with
+ */
+function verifyUnsubscribeToken(token) {
+    if (typeof token !== 'string') return null;
+    const [payload, signature, extra] = token.split('.');
+    if (!payload || !signature || extra !== undefined) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+    try {
+        const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        return typeof data.uid === 'string' && data.uid ? data : null;
+    } catch {
+        return null;
+    }
+}
+
+module.exports = {
+    signUnsubscribeToken,
+    verifyUnsubscribeToken,
+};
@@ -0,0 +1,51 @@
+// Vault Search Utility
+// Builds the thesis vault search filter shared by vault search, citation export and saved-search alerts
+
+const { ObjectId } = require('../config/database');
+const { searchFullText } = require('./fullTextIndex');
+const { buildFacetFilters, combineFilters } = require('./searchFacets');
+const { getReadablePdfFilter } = require('./projectAccess');
+const Project = require('../models/Project');
+
+/**
+ * Build the vault search filter shared by search and export
+ * @param {Object} params - Validated search parameters (query plus facet selections)
+ * @param {Object|null} viewer - Caller (see projectAccess.getViewer); PDF text only matches PDFs they may read
+ * @returns {Promise<Object>} { filter, baseFilter, facetFilters, fullTextHits }
+ * baseFilter holds the vault and text conditions, facetFilters one clause per selected facet,
+ * and fullTextHits maps project IDs to matching PDF pages
+ */
+async function buildVaultSearch(params, viewer = null) {
+    const { query } = params;
+    const baseFilter = {
+        // Show public and finished/approved theses in vault
+        visibility: 'public',
+        status: { $in: Project.VAULT_STATUSES }
+    };
+
+    // Text search on title, abstract, tags and the extracted PDF body
+    let fullTextHits = new Map();
+    if (query) {
+        fullTextHits = await searchFullText(query);
+        const pdfMatchIds = [...fullTextHits.keys()].map(id => new ObjectId(id));
+
+        if (pdfMatchIds.length > 0) {
+            baseFilter.$or = [
+                { $text: { $search: query } },
+                // Embargoed PDF text must not reveal which theses mention the query
+                { _id: { $in: pdfMatchIds }, ...getReadablePdfFilter(viewer) }
+            ];
+        } else {
+            baseFilter.$text = { $search: query };
+        }
+    }
+
+    const facetFilters = buildFacetFilters(params);
+    const filter = combineFilters(baseFilter, Object.values(facetFilters));
+
+    return { filter, baseFilter, facetFilters, fullTextHits };
+}
+
+module.exports = {
+    buildVaultSearch,
+};
@@ -0,0 +1,339 @@
+// Webhook Utility
+// Emits platform events to registered webhooks as HMAC-SHA256 signed POSTs, retries failures with
+// exponential backoff and disables webhooks that keep failing
+
+const crypto = require('crypto');
+const { getWebhooksCollection, getWebhookDeliveriesCollection } = require('../config/database');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { notifyAdmins } = require('./notificationHelper');
+const logger = require('../config/logger');
+
+// Attempts per delivery before it is marked failed
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+
+// Consecutive failed attempts (across deliveries) after which a webhook is disabled
+const DISABLE_AFTER_FAILURES = parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES, 10) || 20;
+
+// Milliseconds to wait for the endpoint to respond
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+
+// Minutes a claimed delivery is held so another instance doesn't send it too
+const CLAIM_MINUTES = 5;
+
+// Deliveries retried per run
+const RETRY_BATCH_SIZE = 100;
+
+// Characters of the response body kept in the delivery log
+const RESPONSE_BODY_LIMIT = 1000;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Minutes to wait before the next attempt (1, 2, 4 ... capped at 6 hours)
+ * @param {number} attempts - Attempts made so far
+ * @returns {number}
+ */
+const getRetryDelayMinutes = (attempts) => Math.min(Math.pow(2, Math.max(attempts - 1, 0)), 360);
+
+/**
+ * Signature sent in X-KnowledgeTrace-Signature
+ * Receivers recompute HMAC-SHA256(secret, "<timestamp>.<raw body>") and compare, rejecting stale timestamps
+ * @param {string} secret
+ * @param {number} timestamp - Unix seconds (X-KnowledgeTrace-Timestamp)
+ * @param {string} body - Raw request body
+ * @returns {string} 'sha256=<hex>'
+ */
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * New signing secret
+ * @returns {string}
+ */
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Fields of a project included in event payloads
+ * @param {Object} project - Project document
+ * @returns {Object}
+ */
+function summarizeProject(project) {
+    return {
+        id: String(project._id),
+        title: project.title,
+        status: project.status,
+        department: project.department || null,
+        year: project.year || null,
+        authorId: project.authorId || null,
+        supervisorId: project.supervisorId || null,
+        handle: project.handle || null
+    };
+}
+
+/**
+ * Mark a webhook's attempt outcome and disable it after too many consecutive failures
+ */
+async function recordWebhookResult(webhooksCollection, webhook, succeeded, error) {
+    const now = new Date();
+
+    if (succeeded) {
+        await webhooksCollection.updateOne(
+            { _id: webhook._id },
+            { $set: { consecutiveFailures: 0, lastDeliveryAt: now } }
+        );
+        return;
+    }
+
+    const updated = await webhooksCollection.findOneAndUpdate(
+        { _id: webhook._id },
+        { $inc: { consecutiveFailures: 1 }, $set: { lastDeliveryAt: now } },
+        { returnDocument: 'after' }
+    );
+    if (!updated || !updated.active || updated.consecutiveFailures < DISABLE_AFTER_FAILURES) return;
+
+    const reason = `Disabled after ${updated.consecutiveFailures} consecutive failed deliveries (last error: ${error})`;
+    const disabled = await webhooksCollection.updateOne(
+        { _id: webhook._id, active: true },
+        { $set: { active: false, disabledAt: now, disabledReason: reason, updatedAt: now } }
+    );
+
+    if (disabled.modifiedCount > 0) {
+        logger.warn(`Webhook ${webhook._id} disabled after repeated failures`, { url: webhook.url });
+        await notifyAdmins({
+            senderId: 'system',
+            senderName: 'System',
+            type: 'webhook_disabled',
+            message: `Webhook "${webhook.name}" was disabled after ${updated.consecutiveFailures} consecutive failed deliveries.`,
+            relatedLink: '/admin/webhooks'
+        });
+    }
+}
+
+/**
+ * Send a delivery once and record the outcome
+ * The delivery is claimed first so two instances never send it at the same time
+ * @param {ObjectId} deliveryId
+ * @param {Date} now
+ * @returns {Promise<Object>} { success, status, skipped }
+ */
+async function attemptWebhookDelivery(deliveryId, now = new Date()) {
+    const webhookDeliveriesCollection = await getWebhookDeliveriesCollection();
+    const webhooksCollection = await getWebhooksCollection();
+
+    const claimed = await webhookDeliveriesCollection.findOneAndUpdate(
+        { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+        { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_MINUTES * MINUTE_MS), updatedAt: now } },
+        { returnDocument: 'after' }
+    );
+    if (!claimed) return { success: true, skipped: true };
+
+    const delivery = new WebhookDelivery(claimed);
+    const webhookDoc = await webhooksCollection.findOne({ _id: delivery.webhookId });
+
+    if (!webhookDoc || !webhookDoc.active) {
+        await webhookDeliveriesCollection.updateOne(
+            { _id: delivery._id },
+            {
+                $set: {
+                    status: 'failed',
+                    nextAttemptAt: null,
+                    lastError: webhookDoc ? 'Webhook is disabled' : 'Webhook was deleted',
+                    updatedAt: new Date()
+                }
+            }
+        );
+        return { success: false, status: 'failed' };
+    }
+
+    const webhook = new Webhook(webhookDoc);
+    const attempts = delivery.attempts + 1;
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+
+    let responseStatus = null;
+    let responseBody = null;
+    let errorMessage = null;
+
+    try {
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'KnowledgeTrace-Webhooks/1.0',
+                'X-KnowledgeTrace-Event': delivery.event,
+                'X-KnowledgeTrace-Delivery': String(delivery._id),
+                'X-KnowledgeTrace-Event-Id': delivery.eventId,
+                'X-KnowledgeTrace-Timestamp': String(timestamp),
+                'X-KnowledgeTrace-Signature': signPayload(webhook.secret, timestamp, body)
+            },
+            body,
+            redirect: 'manual', // A redirect counts as a failure rather than re-sending the body elsewhere
+            signal: AbortSignal.timeout(TIMEOUT_MS)
+        });
+
+        responseStatus = response.status;
+        responseBody = (await response.text().catch(() => '')).slice(0, RESPONSE_BODY_LIMIT);
+        if (!response.ok) errorMessage = `Endpoint responded with HTTP ${response.status}`;
+    } catch (error) {
+        errorMessage = error.name === 'TimeoutError' ? `No response within ${TIMEOUT_MS}ms` : error.message;
+    }
+
+    const succeeded = errorMessage === null;
+    const givenUp = !succeeded && attempts >= MAX_ATTEMPTS;
+    const status = succeeded ? 'succeeded' : (givenUp ? 'failed' : 'pending');
+
+    await webhookDeliveriesCollection.updateOne(
+        { _id: delivery._id },
+        {
+            $set: {
+                status,
+                attempts,
+                responseStatus,
+                responseBody,
+                durationMs: Date.now() - startedAt,
+                lastError: errorMessage,
+                deliveredAt: succeeded ? new Date() : null,
+                nextAttemptAt: status === 'pending'
+                    ? new Date(Date.now() + getRetryDelayMinutes(attempts) * MINUTE_MS)
+                    : null,
+                updatedAt: new Date()
+            }
+        }
+    );
+
+    await recordWebhookResult(webhooksCollection, webhook, succeeded, errorMessage);
+
+    if (!succeeded) {
+        logger.warn('Webhook delivery failed:', { deliveryId: String(delivery._id), event: delivery.event, attempts, givenUp, error: errorMessage });
+    }
+    return { success: succeeded, status };
+}
+
+async function queueWebhookDelivery(data) {
+    const webhookDeliveriesCollection = await getWebhookDeliveriesCollection();
+    const deliveryData = new WebhookDelivery(data).toJSON();
+    delete deliveryData._id;
+
+    const result = await webhookDeliveriesCollection.insertOne(deliveryData);
+    return result.insertedId;
+}
+
+/**
+ * Send an event to every active webhook subscribed to it
+ * Never throws - deliveries are attempted in the background and failures retried by retryWebhookDeliveries
+ * @param {string} event - One of Webhook.EVENTS
+ * @param {Object} data - Event data
+ * @param {Object} options
+ * @param {ObjectId} options.webhookId - Only this webhook (used by ping)
+ * @returns {Promise<Object>} { success, eventId, deliveries, error }
+ */
+async function emitWebhookEvent(event, data, { webhookId = null } = {}) {
+    try {
+        const webhooksCollection = await getWebhooksCollection();
+        const filter = webhookId
+            ? { _id: webhookId }
+            : { active: true, events: { $in: [event, '*'] } };
+        const webhooks = (await webhooksCollection.find(filter).toArray()).map(w => new Webhook(w));
+        if (webhooks.length === 0) return { success: true, eventId: null, deliveries: [] };
+
+        const eventId = crypto.randomUUID();
+        const payload = { id: eventId, event, createdAt: new Date().toISOString(), data };
+
+        const deliveryIds = await Promise.all(webhooks.map(webhook => queueWebhookDelivery({
+            webhookId: webhook._id,
+            eventId,
+            event,
+            payload
+        })));
+
+        deliveryIds.forEach(deliveryId => {
+            attemptWebhookDelivery(deliveryId).catch(error =>
+                logger.error('Error delivering webhook:', { error: error.message, deliveryId: String(deliveryId) }));
+        });
+
+        return { success: true, eventId, deliveries: deliveryIds };
+    } catch (error) {
+        logger.error('Error emitting webhook event:', { error: error.message, event });
+        return { success: false, error };
+    }
+}
+
+/**
+ * Events for a workflow transition: project.status_changed, plus project.approved when it lands on 'approved'
+ * @param {Object} result - Successful transitionProject result
+ * @param {string} actorId - UID of who made the change
+ */
+async function emitProjectTransition(result, actorId) {
+    const data = {
+        project: summarizeProject(result.project),
+        from: result.from,
+        to: result.to,
+        transition: result.transition.name,
+        actorId
+    };
+
+    await emitWebhookEvent('project.status_changed', data);
+    if (result.transition.name === 'submit') {
+        await emitWebhookEvent('project.submitted', data);
+    }
+    if (result.to === 'approved') {
+        await emitWebhookEvent('project.approved', data);
+    }
+}
+
+/**
+ * Send a logged delivery again (same event ID and payload, fresh attempts)
+ * @param {Object} delivery - Delivery document
+ * @returns {Promise<ObjectId>} ID of the new delivery
+ */
+async function replayWebhookDelivery(delivery) {
+    const deliveryId = await queueWebhookDelivery({
+        webhookId: delivery.webhookId,
+        eventId: delivery.eventId,
+        event: delivery.event,
+        payload: delivery.payload,
+        replayOf: delivery._id
+    });
+
+    await attemptWebhookDelivery(deliveryId);
+    return deliveryId;
+}
+
+/**
+ * Retry deliveries whose next attempt is due
+ * @param {Date} now - Run time
+ * @returns {Promise<Object>} { checked, succeeded, failed }
+ */
+async function retryWebhookDeliveries(now = new Date()) {
+    const webhookDeliveriesCollection = await getWebhookDeliveriesCollection();
+    const due = await webhookDeliveriesCollection
+        .find({ status: 'pending', nextAttemptAt: { $lte: now } })
+        .sort({ nextAttemptAt: 1 })
+        .limit(RETRY_BATCH_SIZE)
+        .project({ _id: 1 })
+        .toArray();
+
+    let succeeded = 0;
+    let failed = 0;
+    for (const { _id } of due) {
+        const result = await attemptWebhookDelivery(_id, now);
+        if (result.status === 'succeeded') succeeded++;
+        else if (result.status === 'failed') failed++;
+    }
+
+    return { checked: due.length, succeeded, failed };
+}
+
+module.exports = {
+    signPayload,
+    generateWebhookSecret,
+    summarizeProject,
+    getRetryDelayMinutes,
+    emitWebhookEvent,
+    emitProjectTransition,
+    replayWebhookDelivery,
+    retryWebhookDeliveries,
+};
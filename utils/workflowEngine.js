@@ -0,0 +1,408 @@
+// Workflow Engine Utility
+// Loads the project state machine definition and performs every project status change through it
+
+const {
+    getWorkflowDefinitionsCollection,
+    getProjectsCollection,
+    getProjectMilestonesCollection
+} = require('../config/database');
+const WorkflowDefinition = require('../models/WorkflowDefinition');
+const Project = require('../models/Project');
+const ProjectMilestone = require('../models/ProjectMilestone');
+const { getRequiredDeliverables, getMissingDeliverables } = require('./milestoneDeliverables');
+const { syncOaiRecord } = require('./oaiRecords');
+const { invalidateRelatedProjects } = require('./relatedProjects');
+const { resolveDeadline } = require('./milestoneDeadlines');
+const { findDefenseBooking } = require('./defenseScheduling');
+const { recordAudit } = require('./auditLog');
+const { assignProjectHandle } = require('./thesisHandles');
+const { createProjectSubmissionNotification } = require('./notificationHelper');
+const DefenseSession = require('../models/DefenseSession');
+const logger = require('../config/logger');
+
+// Seconds the active definition is kept in memory before it is read again
+const CACHE_SECONDS = parseInt(process.env.WORKFLOW_CACHE_SECONDS, 10) || 60;
+
+let cachedWorkflow = null;
+let cachedAt = 0;
+
+/**
+ * Get the active workflow definition (the built-in default until an admin saves one)
+ * @returns {Promise<WorkflowDefinition>}
+ */
+async function getWorkflow() {
+    if (cachedWorkflow && Date.now() - cachedAt < CACHE_SECONDS * 1000) {
+        return cachedWorkflow;
+    }
+
+    const workflowDefinitionsCollection = await getWorkflowDefinitionsCollection();
+    const stored = await workflowDefinitionsCollection.findOne({ key: 'project' });
+
+    cachedWorkflow = new WorkflowDefinition(stored || WorkflowDefinition.DEFAULT);
+    cachedAt = Date.now();
+    return cachedWorkflow;
+}
+
+/**
+ * Store a new version of the workflow definition
+ * @param {Object} data - Validated definition (initialState, states, transitions)
+ * @param {string} updatedBy - UID of the admin
+ * @returns {Promise<WorkflowDefinition>} The saved definition
+ */
+async function saveWorkflow(data, updatedBy) {
+    const current = await getWorkflow();
+    const now = new Date();
+    const definition = new WorkflowDefinition({
+        ...data,
+        key: 'project',
+        version: current.version + 1,
+        updatedBy,
+        createdAt: current.createdAt,
+        updatedAt: now
+    });
+
+    const definitionData = definition.toJSON();
+    delete definitionData._id;
+
+    const workflowDefinitionsCollection = await getWorkflowDefinitionsCollection();
+    await workflowDefinitionsCollection.replaceOne({ key: 'project' }, definitionData, { upsert: true });
+
+    cachedWorkflow = null;
+    return definition;
+}
+
+/**
+ * Resolve a status to a workflow state, reading statuses written before the state machine as their new state
+ * @param {WorkflowDefinition} workflow
+ * @param {string} status - Project status
+ * @returns {string}
+ */
+function resolveState(workflow, status) {
+    if (workflow.getState(status)) return status;
+    return WorkflowDefinition.LEGACY_STATUSES[status] || status;
+}
+
+/**
+ * Workflow state a project is in
+ * @param {WorkflowDefinition} workflow
+ * @param {Object} project - Project document
+ * @returns {string}
+ */
+function getCurrentState(workflow, project) {
+    return resolveState(workflow, project.status);
+}
+
+/**
+ * Target state of a named transition from the project's current state
+ * @param {Object} project - Project document
+ * @param {string} name - Transition name (e.g. 'submit', 'approve')
+ * @returns {Promise<string|null>} Target state, or null if the transition does not leave the current state
+ */
+async function getTransitionTarget(project, name) {
+    const workflow = await getWorkflow();
+    const from = getCurrentState(workflow, project);
+    const transition = workflow.getTransitionsFrom(from).find(t => t.name === name);
+    return transition ? transition.to : null;
+}
+
+/**
+ * Roles the user holds on a project ('owner' | 'member' | 'supervisor' | 'admin')
+ * @param {Object} project - Project document
+ * @param {string} uid - Firebase UID
+ * @param {Object|null} user - User document (for the admin flag)
+ * @returns {string[]}
+ */
+function getProjectRoles(project, uid, user) {
+    const roles = [];
+    if (project.authorId === uid) roles.push('owner');
+    if ((project.studentIds || []).includes(uid)) roles.push('member');
+    if (project.supervisorId && project.supervisorId === uid) roles.push('supervisor');
+    if (user?.isAdmin === true || user?.role === 'admin') roles.push('admin');
+    return roles;
+}
+
+/**
+ * Find the latest milestone of a phase for a project
+ * @param {string|ObjectId} projectId - Project ID
+ * @param {string} phase - Milestone phase
+ * @returns {Promise<Object|null>} Milestone document
+ */
+async function findMilestone(projectId, phase) {
+    const milestonesCollection = await getProjectMilestonesCollection();
+    const [milestone] = await milestonesCollection
+        .find({ projectId: String(projectId), phase })
+        .sort({ createdAt: -1 })
+        .limit(1)
+        .toArray();
+    return milestone || null;
+}
+
+// Guard conditions - each resolves to null when satisfied, or { message, code?, ...details }
+const GUARDS = {
+    hasSupervisor: async (project) => (project.supervisorId
+        ? null
+        : { message: 'Project must have a supervisor assigned before submission' }),
+
+    hasPdf: async (project) => (project.pdfKey
+        ? null
+        : { message: 'Project must have a PDF uploaded' }),
+
+    // The author must have chosen a reuse license and agreed to it
+    hasLicense: async (project) => (project.license && project.licenseConsentAt
+        ? null
+        : { message: 'The author must choose a license for the thesis before final submission', code: 'LICENSE_REQUIRED' }),
+
+    feedbackProvided: async (project, { feedback }) => (feedback && feedback.trim()
+        ? null
+        : { message: 'Feedback is required for this action' }),
+
+    // Leaving a milestone phase requires the deliverables configured for it
+    requiredDeliverables: async (project, { fromState, toState }) => {
+        const phase = fromState?.phase;
+        if (!phase || phase === toState?.phase || getRequiredDeliverables(phase).length === 0) return null;
+
+        const milestone = await findMilestone(project._id, phase);
+        const missing = getMissingDeliverables(phase, milestone?.deliverables);
+        return missing.length === 0 ? null : {
+            message: `Required ${phase} deliverables have not been submitted`,
+            code: 'DELIVERABLES_MISSING',
+            missing
+        };
+    },
+
+    // Leaving a defense phase requires the committee's recorded outcome
+    defenseOutcome: async (project, { fromState, toState }) => {
+        const phase = fromState?.phase;
+        if (!DefenseSession.PHASES.includes(phase) || phase === toState?.phase) return null;
+
+        const booking = await findDefenseBooking(project._id, phase);
+        if (!booking) {
+            return { message: `Project has no ${phase.replace(/_/g, ' ')} defense scheduled`, code: 'DEFENSE_NOT_SCHEDULED' };
+        }
+        return booking.slot.outcome ? null : {
+            message: 'The defense outcome has not been recorded yet',
+            code: 'DEFENSE_OUTCOME_MISSING',
+            sessionId: booking.session._id
+        };
+    }
+};
+
+/**
+ * Check whether a user may move a project to a state
+ * @param {Object} project - Project document
+ * @param {string} to - Target state
+ * @param {Object} context
+ * @param {string} context.uid - Firebase UID of the user
+ * @param {Object|null} context.user - User document
+ * @param {string} context.feedback - Feedback sent with the change
+ * @param {WorkflowDefinition} context.workflow - Definition to check against (defaults to the active one)
+ * @param {string[]} context.ignoreGuards - Guards to skip
+ * @returns {Promise<Object>} { allowed, transition, from } or { allowed: false, status, code, message, details }
+ */
+async function checkTransition(project, to, { uid, user = null, feedback = '', workflow = null, ignoreGuards = [] }) {
+    workflow = workflow || await getWorkflow();
+    const from = getCurrentState(workflow, project);
+    const transition = workflow.findTransition(from, to);
+
+    if (!transition) {
+        return {
+            allowed: false,
+            status: 400,
+            code: 'INVALID_TRANSITION',
+            message: `Cannot transition from ${from} to ${to}`,
+            details: { validTransitions: workflow.getTransitionsFrom(from).map(t => t.to) }
+        };
+    }
+
+    const roles = getProjectRoles(project, uid, user);
+    if (!transition.roles.some(role => roles.includes(role))) {
+        return {
+            allowed: false,
+            status: 403,
+            code: 'TRANSITION_FORBIDDEN',
+            message: `Not authorized to ${(transition.label || transition.name).toLowerCase()}`,
+            details: { requiredRoles: transition.roles }
+        };
+    }
+
+    const fromState = workflow.getState(from);
+    const toState = workflow.getState(to);
+    for (const guard of (transition.guards || []).filter(g => !ignoreGuards.includes(g))) {
+        const failure = await GUARDS[guard](project, { feedback, fromState, toState });
+        if (failure) {
+            const { message, code = 'TRANSITION_GUARD_FAILED', ...details } = failure;
+            return { allowed: false, status: 400, code, message, details: { guard, ...details } };
+        }
+    }
+
+    return { allowed: true, transition, from };
+}
+
+/**
+ * Keep milestones in step with the phase a project is in
+ * Leaving a phase completes its milestone; entering one opens (or reopens) it with the phase deadline
+ */
+async function syncMilestones(project, fromState, toState, { uid, feedback }) {
+    const projectId = project._id;
+    const milestonesCollection = await getProjectMilestonesCollection();
+    const fromPhase = fromState?.phase || null;
+    const toPhase = toState?.phase || null;
+    const now = new Date();
+    const review = feedback ? { reviewerId: uid, feedback } : { reviewerId: uid };
+
+    if (fromPhase && fromPhase !== toPhase) {
+        const milestone = await findMilestone(projectId, fromPhase);
+        if (milestone && milestone.status !== 'completed') {
+            await milestonesCollection.updateOne(
+                { _id: milestone._id },
+                { $set: { status: 'completed', ...review, completedAt: now, updatedAt: now } }
+            );
+        }
+    }
+
+    if (!toPhase) return;
+
+    const status = toState.milestoneStatus || 'in_progress';
+    const milestone = await findMilestone(projectId, toPhase);
+    if (!milestone || milestone.status === 'completed') {
+        const milestoneData = new ProjectMilestone({
+            projectId: String(projectId),
+            phase: toPhase,
+            status,
+            ...(status === 'rejected' ? review : {}),
+            ...await resolveDeadline(project, toPhase),
+            createdAt: now
+        }).toJSON();
+        delete milestoneData._id;
+        await milestonesCollection.insertOne(milestoneData);
+    } else if (milestone.status !== status) {
+        await milestonesCollection.updateOne(
+            { _id: milestone._id },
+            { $set: { status, ...(status === 'rejected' ? review : {}), updatedAt: now } }
+        );
+    }
+}
+
+/**
+ * Move a project to a new state through the workflow definition
+ * Checks the transition, roles and guards, then updates the status and everything that follows it
+ * @param {Object} project - Project document
+ * @param {string} to - Target state
+ * @param {Object} context - { uid, user, feedback } as for checkTransition
+ * @param {Object} context.audit - Request context for the audit log (utils/auditLog getAuditContext)
+ * @returns {Promise<Object>} { success: true, project, transition, from, to } or { success: false, status, code, message, details }
+ */
+async function transitionProject(project, to, { uid, user = null, feedback = '', audit = null }) {
+    const workflow = await getWorkflow();
+    const check = await checkTransition(project, to, { uid, user, feedback, workflow });
+    if (!check.allowed) {
+        const { allowed, ...failure } = check;
+        return { success: false, ...failure };
+    }
+
+    const projectsCollection = await getProjectsCollection();
+    const result = await projectsCollection.updateOne(
+        { _id: project._id, status: project.status },
+        {
+            $set: {
+                status: to,
+                updatedAt: new Date(),
+                ...Project.publishUpdate(project, { status: to })
+            }
+        }
+    );
+
+    // Someone else changed the status since the project was read
+    if (result.matchedCount === 0) {
+        return {
+            success: false,
+            status: 409,
+            code: 'STATUS_CHANGED',
+            message: 'The project status changed in the meantime. Reload and try again.'
+        };
+    }
+
+    const updatedProject = await projectsCollection.findOne({ _id: project._id });
+
+    // Finished theses get their persistent handle (scripts/assignThesisHandles.js fills in any that failed)
+    if (Project.HANDLE_STATUSES.includes(to) && !updatedProject.handle) {
+        const { handle } = await assignProjectHandle(updatedProject);
+        if (handle) updatedProject.handle = handle;
+    }
+
+    await syncOaiRecord(project, updatedProject);
+    await invalidateRelatedProjects(project, updatedProject);
+
+    try {
+        await syncMilestones(updatedProject, workflow.getState(check.from), workflow.getState(to), { uid, feedback });
+    } catch (milestoneError) {
+        logger.warn('Could not update milestones after transition:', { error: milestoneError.message, projectId: String(project._id) });
+    }
+
+    await recordAudit(audit || { actorId: uid, actorRole: user?.role || null }, {
+        action: 'project.status_change',
+        targetType: 'project',
+        targetId: project._id,
+        before: { status: project.status },
+        after: { status: to },
+        metadata: { transition: check.transition.name, feedback: feedback || undefined }
+    });
+
+    // Projects are created as drafts; the 'submit' transition is what hands them in for review
+    if (check.transition.name === 'submit') {
+        try {
+            await createProjectSubmissionNotification(
+                uid,
+                user?.name || user?.displayName || updatedProject.author || 'A student',
+                updatedProject.title,
+                updatedProject._id
+            );
+        } catch (notifError) {
+            logger.warn('Could not send submission notification:', { error: notifError.message, projectId: String(project._id) });
+        }
+    }
+
+    logger.info(`Project ${project._id} moved from ${check.from} to ${to} (${check.transition.name}) by ${uid}`);
+
+    return { success: true, project: updatedProject, transition: check.transition, from: check.from, to };
+}
+
+/**
+ * Transitions the user could trigger from the project's current state
+ * @returns {Promise<Object[]>} [{ name, label, to, allowed, blockedBy, requiresFeedback }] - blockedBy explains a failed guard
+ */
+async function getAvailableTransitions(project, { uid, user = null }) {
+    const workflow = await getWorkflow();
+    const roles = getProjectRoles(project, uid, user);
+    const from = getCurrentState(workflow, project);
+
+    const available = workflow.getTransitionsFrom(from)
+        .filter(transition => transition.roles.some(role => roles.includes(role)));
+
+    return Promise.all(available.map(async (transition) => {
+        // Feedback is given with the action itself, so it never blocks the listing
+        const check = await checkTransition(project, transition.to, { uid, user, workflow, ignoreGuards: ['feedbackProvided'] });
+        return {
+            name: transition.name,
+            label: transition.label || transition.name,
+            to: transition.to,
+            allowed: check.allowed,
+            blockedBy: check.allowed ? null : check.message,
+            requiresFeedback: (transition.guards || []).includes('feedbackProvided')
+        };
+    }));
+}
+
+module.exports = {
+    GUARDS,
+    getWorkflow,
+    saveWorkflow,
+    resolveState,
+    getCurrentState,
+    getTransitionTarget,
+    getProjectRoles,
+    findMilestone,
+    checkTransition,
+    transitionProject,
+    getAvailableTransitions,
+};
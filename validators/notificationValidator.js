@@ -0,0 +1,55 @@
+// Notification Preference Validators
+const Joi = require('joi');
+const NotificationPreferences = require('../models/NotificationPreferences');
+
+const timeOfDay = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .messages({ 'string.pattern.base': '{{#label}} must be a time in HH:MM (24-hour) format' });
+
+const timezone = Joi.string().custom((value, helpers) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return value;
+    } catch {
+        return helpers.error('any.invalid');
+    }
+}).messages({ 'any.invalid': '{{#label}} must be an IANA time zone such as Asia/Dhaka' });
+
+const targetIds = Joi.array().items(Joi.string().trim().max(100)).max(500).unique();
+
+const notificationPreferencesSchema = Joi.object({
+    channels: Joi.object()
+        .pattern(
+            Joi.string().valid(...NotificationPreferences.TYPES),
+            Joi.string().valid(...NotificationPreferences.CHANNELS)
+        )
+        .messages({
+            'object.unknown': 'Unknown notification type {{#label}}',
+            'any.only': 'Channel must be one of: email, in_app, off',
+        }),
+    mutedProjects: targetIds,
+    mutedCollabPosts: targetIds,
+    quietHours: Joi.object({
+        start: timeOfDay.required(),
+        end: timeOfDay.required(),
+        timezone: timezone.default(NotificationPreferences.DEFAULT_TIMEZONE),
+    }).allow(null),
+}).min(1).messages({
+    'object.min': 'At least one preference must be provided',
+});
+
+const notificationMuteSchema = Joi.object({
+    targetType: Joi.string().valid('project', 'collab_post').required()
+        .messages({
+            'any.only': 'Target type must be project or collab_post',
+            'any.required': 'Target type is required',
+        }),
+    targetId: Joi.string().trim().max(100).required()
+        .messages({
+            'any.required': 'Target ID is required',
+        }),
+});
+
+module.exports = {
+    notificationPreferencesSchema,
+    notificationMuteSchema,
+};
@@ -142,25 +142,23 @@ const createProjectSchema = Joi.object({
             'string.pattern.base': 'Must be a valid GitHub repository URL',
             'string.max': 'GitHub link must not exceed 500 characters',
         }),
-
-    pdfUrl: Joi.string()
-        .uri()
-        .max(500)
-        .allow('')
-        .optional(),
 });
 
 /**
- * Validation schema for updating project status
+ * Validation schema for updating project status (any workflow state; legacy 'pending'/'rejected' are mapped)
  */
 const updateProjectStatusSchema = Joi.object({
     status: Joi.string()
-        .valid('pending', 'approved', 'rejected')
+        .max(50)
         .required()
         .messages({
-            'any.only': 'Status must be one of: pending, approved, rejected',
             'any.required': 'Status is required',
         }),
+    feedback: Joi.string()
+        .trim()
+        .max(2000)
+        .allow('')
+        .optional(),
 });
 
 /**
@@ -172,7 +170,7 @@ const projectQuerySchema = Joi.object({
     year: Joi.number().integer().min(2000).max(new Date().getFullYear() + 1).optional(),
     supervisor: Joi.string().trim().max(100).optional(),
     keywords: Joi.string().trim().max(200).optional(),
-    status: Joi.string().valid('pending', 'approved', 'rejected').optional(),
+    status: Joi.string().trim().max(50).optional(),
     sort: Joi.string().valid('date', 'title', 'views', 'downloads').optional(),
     limit: Joi.number().integer().min(1).max(100).default(20).optional(),
     page: Joi.number().integer().min(1).default(1).optional(),
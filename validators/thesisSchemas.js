@@ -1,5 +1,11 @@
 // Joi validation schemas for thesis management modules
 const Joi = require('joi');
+const { DELIVERABLE_TYPES, MILESTONE_PHASES } = require('../utils/milestoneDeliverables');
+const WorkflowDefinition = require('../models/WorkflowDefinition');
+const DefenseSession = require('../models/DefenseSession');
+const Webhook = require('../models/Webhook');
+const Project = require('../models/Project');
+const { LICENSE_IDS } = require('../utils/licenses');
 
 // ObjectId validation pattern
 const objectIdPattern = /^[0-9a-fA-F]{24}$/;
@@ -67,6 +73,12 @@ const projectUpdateSchema = Joi.object({
     visibility: Joi.string().valid('public', 'private'),
 }).min(1);
 
+// Revision diff schema - both default to the latest change when omitted
+const revisionDiffQuerySchema = Joi.object({
+    from: Joi.number().integer().min(1),
+    to: Joi.number().integer().min(1),
+});
+
 // Workflow schemas (Module B)
 const workflowReviewSchema = Joi.object({
     action: Joi.string().valid('approve', 'request_changes', 'reject').required(),
@@ -86,6 +98,193 @@ const workflowReviewSchema = Joi.object({
     )
 });
 
+// Generic status change - any transition the workflow definition allows
+const workflowTransitionSchema = Joi.object({
+    to: Joi.string().max(50).required(),
+    feedback: Joi.string().trim().max(2000).allow('').default(''),
+});
+
+// Workflow definition edited by admins (consistency is checked by WorkflowDefinition#validate)
+const workflowStateName = Joi.string().pattern(/^[a-z][a-z0-9_]*$/).max(50);
+const workflowDefinitionSchema = Joi.object({
+    initialState: workflowStateName.required(),
+    states: Joi.array().items(Joi.object({
+        name: workflowStateName.required(),
+        label: Joi.string().trim().min(1).max(100).required(),
+        category: Joi.string().valid(...WorkflowDefinition.CATEGORIES).required(),
+        phase: Joi.string().valid(...MILESTONE_PHASES).allow(null).default(null),
+        milestoneStatus: Joi.string().valid('in_progress', 'rejected'),
+    })).min(1).max(30).required(),
+    transitions: Joi.array().items(Joi.object({
+        name: workflowStateName.required(),
+        label: Joi.string().trim().min(1).max(100).required(),
+        from: Joi.array().items(workflowStateName).min(1).required(),
+        to: workflowStateName.required(),
+        roles: Joi.array().items(Joi.string().valid(...WorkflowDefinition.ROLES)).min(1).unique().required(),
+        guards: Joi.array().items(Joi.string().valid(...WorkflowDefinition.GUARDS)).unique().default([]),
+    })).max(100).required(),
+});
+
+// Default deadline for a phase, per department (empty = every department) and academic year
+const deadlineTemplateSchema = Joi.object({
+    department: Joi.string().trim().max(100).allow('').default(''),
+    year: Joi.number().integer().min(2000).max(2100).required(),
+    phase: Joi.string().valid(...MILESTONE_PHASES).required(),
+    deadline: Joi.date().iso().required(),
+});
+
+// Supervisor override of a project's phase deadline (null returns to the template)
+const projectDeadlineSchema = Joi.object({
+    deadline: Joi.date().iso().allow(null).required(),
+});
+
+// Defense session with its examiner committee (supervisor UIDs)
+const defenseSessionFields = {
+    phase: Joi.string().valid(...DefenseSession.PHASES),
+    title: Joi.string().trim().max(200).allow(''),
+    startsAt: Joi.date().iso(),
+    durationMinutes: Joi.number().integer().min(15).max(720),
+    slotMinutes: Joi.number().integer().min(5).max(240),
+    room: Joi.string().trim().min(1).max(100),
+    examinerIds: Joi.array().items(Joi.string().trim().min(1)).min(1).max(10).unique(),
+};
+
+const defenseSessionSchema = Joi.object({
+    ...defenseSessionFields,
+    phase: defenseSessionFields.phase.required(),
+    startsAt: defenseSessionFields.startsAt.required(),
+    room: defenseSessionFields.room.required(),
+    examinerIds: defenseSessionFields.examinerIds.required(),
+});
+
+const defenseSessionUpdateSchema = Joi.object({
+    ...defenseSessionFields,
+    phase: Joi.forbidden(),
+}).min(1);
+
+// Booking a project into a defense session (slot length comes from the session)
+const defenseBookingSchema = Joi.object({
+    projectId: Joi.string().pattern(objectIdPattern).required(),
+    startsAt: Joi.date().iso().required(),
+});
+
+// Outcome recorded by the examiner committee
+const defenseOutcomeSchema = Joi.object({
+    result: Joi.string().valid(...DefenseSession.OUTCOMES).required(),
+    notes: Joi.string().trim().max(2000).allow('').default(''),
+});
+
+// Grading rubric for a defense phase (consistency is checked by Rubric#validate)
+const rubricSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(200).required(),
+    criteria: Joi.array().items(Joi.object({
+        key: Joi.string().pattern(/^[a-z][a-z0-9_]*$/).max(50).required(),
+        label: Joi.string().trim().min(1).max(200).required(),
+        description: Joi.string().trim().max(1000).allow('').default(''),
+        weight: Joi.number().min(0).max(100).required(),
+        minScore: Joi.number().min(0).default(0),
+        maxScore: Joi.number().max(1000).required(),
+    })).min(1).max(30).required(),
+});
+
+// Scores an examiner gives a project against the phase rubric
+const defenseScoresSchema = Joi.object({
+    scores: Joi.array().items(Joi.object({
+        key: Joi.string().required(),
+        score: Joi.number().required(),
+    })).min(1).max(30).unique('key').required(),
+    comments: Joi.string().trim().max(5000).allow('').default(''),
+});
+
+// Locking a grade; a flagged spread between examiners has to be acknowledged
+const gradeFinalizeSchema = Joi.object({
+    acknowledgeSpread: Joi.boolean().default(false),
+});
+
+// Weekly office hours of a supervisor (local time of CALENDAR_TIMEZONE)
+const timeOfDay = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).messages({ 'string.pattern.base': 'Times must be HH:MM' });
+const officeHourSlotsSchema = Joi.array().items(Joi.object({
+    day: Joi.string().valid('MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU').required(),
+    start: timeOfDay.required(),
+    end: timeOfDay.required(),
+    location: Joi.string().trim().max(200).allow('').default(''),
+}).custom((slot, helpers) => (slot.start < slot.end ? slot : helpers.message('Office hours must end after they start')))).max(20);
+
+// Admin audit log filters
+const auditQuerySchema = Joi.object({
+    actorId: Joi.string().trim().max(128),
+    actorRole: Joi.string().valid('student', 'supervisor', 'admin'),
+    action: Joi.string().trim().max(100),
+    targetType: Joi.string().trim().max(100),
+    targetId: Joi.string().trim().max(128),
+    requestId: Joi.string().trim().max(100),
+    from: Joi.date().iso(),
+    to: Joi.date().iso(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(200).default(50),
+    format: Joi.string().valid('json', 'csv').default('json'),
+});
+
+// Outbound webhook registration (secret is generated when omitted)
+const webhookEvents = Joi.array().items(Joi.string().valid('*', ...Webhook.EVENTS)).min(1).unique();
+const webhookSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    url: Joi.string().uri({ scheme: process.env.NODE_ENV === 'production' ? ['https'] : ['http', 'https'] }).max(2000).required(),
+    events: webhookEvents.required(),
+    secret: Joi.string().min(16).max(200),
+});
+
+const webhookUpdateSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    url: Joi.string().uri({ scheme: process.env.NODE_ENV === 'production' ? ['https'] : ['http', 'https'] }).max(2000),
+    events: webhookEvents,
+    active: Joi.boolean(),
+    rotateSecret: Joi.boolean(),
+}).min(1);
+
+const webhookDeliveryQuerySchema = Joi.object({
+    status: Joi.string().valid('pending', 'succeeded', 'failed'),
+    event: Joi.string().valid(...Webhook.EVENTS),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+// PDF embargo of a thesis - a restricted access level needs a reason; 'public' lifts the embargo
+const thesisEmbargoSchema = Joi.object({
+    accessLevel: Joi.string().valid(...Project.ACCESS_LEVELS).required(),
+    embargoUntil: Joi.when('accessLevel', {
+        is: 'public',
+        then: Joi.forbidden(),
+        otherwise: Joi.date().iso().greater('now').allow(null).default(null),
+    }),
+    reason: Joi.when('accessLevel', {
+        is: 'public',
+        then: Joi.forbidden(),
+        otherwise: Joi.string().trim().min(3).max(500).required(),
+    }),
+});
+
+// Reuse license of a thesis - chosen by the author, who must consent to publishing under it
+const thesisLicenseSchema = Joi.object({
+    license: Joi.string().valid(...LICENSE_IDS).required(),
+    terms: Joi.when('license', {
+        is: 'custom',
+        then: Joi.string().trim().min(10).max(5000).required(),
+        otherwise: Joi.forbidden(),
+    }),
+    consent: Joi.boolean().valid(true).required().messages({
+        'any.only': 'You must agree to publish the thesis under this license',
+        'any.required': 'You must agree to publish the thesis under this license',
+    }),
+});
+
+// Milestone deliverable - uploaded as a file, or a URL for link types (dataset_link, other)
+const deliverableSchema = Joi.object({
+    type: Joi.string().valid(...DELIVERABLE_TYPES).required(),
+    name: Joi.string().trim().max(200).allow(''),
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).max(2000),
+});
+
 const projectCommentSchema = Joi.object({
     projectId: Joi.string().pattern(objectIdPattern).required(),
     phase: Joi.string().valid('proposal', 'supervisor_review', 'mid_defense', 'final_submission').required(),
@@ -116,28 +315,110 @@ const teamResponseSchema = Joi.object({
 });
 
 // Search and filter schemas
+// Facet filters accept one value or a repeated parameter (?tags=ml&tags=iot); values within a facet are OR'ed
 const thesisSearchSchema = Joi.object({
     query: Joi.string().allow(''),
-    year: Joi.number().integer().min(2000).max(2100),
-    department: Joi.string(),
-    tags: Joi.array().items(Joi.string()),
-    supervisor: Joi.string(),
+    year: Joi.array().items(Joi.number().integer().min(2000).max(2100)).single(),
+    yearFrom: Joi.number().integer().min(2000).max(2100),
+    yearTo: Joi.number().integer().min(2000).max(2100)
+        .when('yearFrom', { is: Joi.exist(), then: Joi.number().min(Joi.ref('yearFrom')) }),
+    department: Joi.array().items(Joi.string()).single(),
+    tags: Joi.array().items(Joi.string()).single(),
+    techStack: Joi.array().items(Joi.string()).single(),
+    supervisor: Joi.array().items(Joi.string()).single(),
+    status: Joi.array().items(Joi.string().valid('approved', 'completed', 'archived')).single(),
+    license: Joi.array().items(Joi.string().valid(...LICENSE_IDS)).single(),
+    facets: Joi.boolean().default(true),
     page: Joi.number().integer().min(1).default(1),
     limit: Joi.number().integer().min(1).max(100).default(20),
     sortBy: Joi.string().valid('createdAt', 'year', 'views', 'likeCount').default('createdAt'),
     sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
 });
 
+// Citation export schemas (Module A)
+const citationFormats = ['bibtex', 'ris', 'csl', 'apa', 'ieee'];
+
+const citationQuerySchema = Joi.object({
+    format: Joi.string().valid(...citationFormats),
+});
+
+const thesisExportSchema = thesisSearchSchema.keys({
+    format: Joi.string().valid(...citationFormats).default('bibtex'),
+    ids: Joi.string().pattern(/^[0-9a-fA-F]{24}(,[0-9a-fA-F]{24})*$/),
+    limit: Joi.number().integer().min(1).max(500).default(100),
+});
+
+// Saved search schemas (Module A) - filters are the vault search filters without paging/sorting
+const savedSearchFiltersSchema = thesisSearchSchema
+    .fork(['page', 'limit', 'sortBy', 'sortOrder', 'facets'], schema => schema.strip());
+
+const savedSearchSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    filters: savedSearchFiltersSchema.required(),
+    frequency: Joi.string().valid('instant', 'daily', 'weekly').default('daily'),
+    digest: Joi.boolean().default(false),
+    muted: Joi.boolean().default(false),
+});
+
+const savedSearchUpdateSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    filters: savedSearchFiltersSchema,
+    frequency: Joi.string().valid('instant', 'daily', 'weekly'),
+    digest: Joi.boolean(),
+    muted: Joi.boolean(),
+}).min(1);
+
+// Related projects schema (Module A)
+const relatedProjectsQuerySchema = Joi.object({
+    limit: Joi.number().integer().min(1).max(20).default(5),
+});
+
+// Duplicate check schema (Module A)
+const duplicateCheckSchema = Joi.object({
+    abstract: Joi.string().min(100).required().messages({
+        'string.min': 'Abstract must be at least 100 characters',
+        'any.required': 'Abstract must be at least 100 characters',
+    }),
+    threshold: Joi.number().integer().min(1).max(100),
+    excludeProjectId: Joi.string().pattern(objectIdPattern),
+});
+
 module.exports = {
     userRegistrationSchema,
     userProfileUpdateSchema,
     projectSubmissionSchema,
     projectUpdateSchema,
+    revisionDiffQuerySchema,
     workflowReviewSchema,
+    workflowTransitionSchema,
+    workflowDefinitionSchema,
+    deliverableSchema,
+    deadlineTemplateSchema,
+    projectDeadlineSchema,
+    defenseSessionSchema,
+    defenseSessionUpdateSchema,
+    defenseBookingSchema,
+    defenseOutcomeSchema,
+    rubricSchema,
+    defenseScoresSchema,
+    gradeFinalizeSchema,
+    officeHourSlotsSchema,
+    auditQuerySchema,
+    webhookSchema,
+    webhookUpdateSchema,
+    webhookDeliveryQuerySchema,
+    thesisEmbargoSchema,
+    thesisLicenseSchema,
     projectCommentSchema,
     supervisorRequestSchema,
     supervisorResponseSchema,
     teamInvitationSchema,
     teamResponseSchema,
     thesisSearchSchema,
+    duplicateCheckSchema,
+    citationQuerySchema,
+    thesisExportSchema,
+    relatedProjectsQuerySchema,
+    savedSearchSchema,
+    savedSearchUpdateSchema,
 };
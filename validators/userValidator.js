@@ -93,6 +93,13 @@ const updateUserProfileSchema = Joi.object({
             'string.uri': 'Invalid website URL format',
             'string.max': 'Website URL must not exceed 200 characters',
         }),
+
+    emailFrequency: Joi.string()
+        .valid('instant', 'daily', 'weekly', 'off')
+        .optional()
+        .messages({
+            'any.only': 'Email frequency must be one of: instant, daily, weekly, off',
+        }),
 }).min(1).messages({
     'object.min': 'At least one field must be provided for update',
 });